@@ -1,13 +1,27 @@
-module.exports = {
+const projectDefaults = {
   testEnvironment: 'node',
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
-  testMatch: ['<rootDir>/tests/**/*.test.js'],
-  collectCoverageFrom: [
-    'src/**/*.js',
-    '!src/app.js',
-    '!src/config/**',
-    '!**/node_modules/**',
+  clearMocks: true,
+  resetMocks: true,
+  restoreMocks: true,
+};
+
+module.exports = {
+  // Unit tests fake their collaborators and models; the other tests get an in-memory MongoDB
+  projects: [
+    {
+      ...projectDefaults,
+      displayName: 'unit',
+      testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
+    },
+    {
+      ...projectDefaults,
+      displayName: 'integration',
+      setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+      testMatch: ['<rootDir>/tests/**/*.test.js'],
+      testPathIgnorePatterns: ['/node_modules/', '<rootDir>/tests/unit/'],
+    },
   ],
+  collectCoverageFrom: ['src/**/*.js', '!src/app.js', '!src/config/**', '!**/node_modules/**'],
   coverageReporters: ['text', 'lcov', 'html'],
   coverageDirectory: 'coverage',
   coverageThreshold: {
@@ -21,7 +35,4 @@ module.exports = {
   testTimeout: 30000,
   verbose: true,
   forceExit: true,
-  clearMocks: true,
-  resetMocks: true,
-  restoreMocks: true,
-};
\ No newline at end of file
+};
@@ -1,6 +1,12 @@
 require('dotenv').config();
+const mongoose = require('mongoose');
 const app = require('./src/app');
 const logger = require('./src/utils/logger');
+const tenantCache = require('./src/tenant/cache/TenantCache');
+const tenantConnectionManager = require('./src/infrastructure/database/TenantConnectionManager');
+const { container } = require('./src/shared/container/ServiceContainer');
+const { defineJobs } = require('./src/domain/jobs');
+const { defineSubscribers } = require('./src/domain/events');
 
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || 'localhost';
@@ -21,20 +27,39 @@ const server = app.listen(PORT, HOST, () => {
   logger.info(`API Documentation available at http://${HOST}:${PORT}/api-docs`);
 });
 
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
-  });
-});
+// Pick up tenant cache invalidations made by other instances
+tenantCache.startSync();
+
+// Background jobs and cron schedules (see src/domain/jobs)
+const jobScheduler = container.get('JobScheduler');
+defineJobs(jobScheduler, container);
+jobScheduler.start().catch((error) => logger.error('Job scheduler failed to start:', error));
+
+// Delivers domain events from the outbox to their subscribers (see src/domain/events)
+defineSubscribers(container.get('EventBus'), container);
+const outboxDispatcher = container.get('OutboxDispatcher');
+outboxDispatcher.start();
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received. Shutting down gracefully...');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
+const shutdown = (signal) => {
+  logger.info(`${signal} received. Shutting down gracefully...`);
+  tenantCache.stopSync();
+
+  server.close(async () => {
+    try {
+      await jobScheduler.stop();
+      await outboxDispatcher.stop();
+      await tenantConnectionManager.closeAll();
+      await mongoose.connection.close();
+      logger.info('Process terminated');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during shutdown:', error);
+      process.exit(1);
+    }
   });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = server;
\ No newline at end of file
@@ -10,6 +10,7 @@ const connectDatabase = require('./config/database');
 const routes = require('./routes');
 const { globalErrorHandler } = require('./middleware/index');
 const logger = require('./utils/logger');
+const { getEnvironment } = require('./config/environment');
 
 // Multi-tenant imports
 const { 
@@ -17,6 +18,7 @@ const {
   createTenantDatabaseMiddleware, 
   createTenantRateLimit 
 } = require('./tenant/middleware/tenantMiddleware');
+const tenantConnectionManager = require('./infrastructure/database/TenantConnectionManager');
 
 // Service container setup
 const { container } = require('./shared/container/ServiceContainer');
@@ -24,6 +26,9 @@ require('./infrastructure/container/serviceRegistration');
 
 const app = express();
 
+// req.ip is the client address from X-Forwarded-For, as far as it was set by trusted proxies
+app.set('trust proxy', getEnvironment().security.trustedProxies);
+
 connectDatabase();
 
 app.use(helmet({
@@ -72,12 +77,30 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
+// Body parsing runs before tenant resolution so that the tenant context
+// (AsyncLocalStorage) is not lost across the request stream callbacks
+app.use(compression());
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
+
 // Multi-tenant middleware setup
-const tenantStrategy = process.env.TENANT_STRATEGY || 'header'; // 'header', 'subdomain', 'path'
+// Comma separated, tried in order: 'customDomain', 'subdomain', 'header', 'path'
+const tenantStrategy = (process.env.TENANT_STRATEGY || 'header').split(',').map(name => name.trim());
 app.use(createTenantMiddleware({
   strategy: tenantStrategy,
   required: process.env.TENANT_REQUIRED !== 'false',
-  skipRoutes: ['/health', '/api-docs', '/', '/api', '/favicon.ico']
+  skipRoutes: [
+    '/health',
+    '/api-docs/*',
+    '/',
+    '/api',
+    '/favicon.ico',
+    '/api/tenants/*',
+    '/api/jobs/*',
+    '/api/test/setup-main-tenant',
+    '/api/test/all-tenants',
+  ]
 }));
 
 // Tenant database middleware
@@ -86,11 +109,6 @@ app.use(createTenantDatabaseMiddleware());
 // Tenant-specific rate limiting
 app.use(createTenantRateLimit());
 
-app.use(compression());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
-
 const morganFormat = process.env.NODE_ENV === 'production' 
   ? 'combined' 
   : 'dev';
@@ -110,6 +128,7 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV,
+    tenantConnections: tenantConnectionManager.getStats(),
   });
 });
 
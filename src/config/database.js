@@ -37,16 +37,7 @@ const connectDatabase = async () => {
       logger.info('MongoDB reconnected');
     });
 
-    process.on('SIGINT', async () => {
-      try {
-        await mongoose.connection.close();
-        logger.info('MongoDB connection closed through app termination');
-        process.exit(0);
-      } catch (error) {
-        logger.error('Error closing MongoDB connection:', error);
-        process.exit(1);
-      }
-    });
+    // Closing the connection on shutdown is handled by server.js
 
   } catch (error) {
     console.log(error)
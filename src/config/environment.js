@@ -16,6 +16,66 @@ const config = {
       refreshSecret: process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret',
       refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
     },
+    auth: {
+      requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    },
+    api: {
+      serviceKeys: process.env.SERVICE_API_KEYS?.split(',') || [],
+    },
+    tenantCache: {
+      ttlMs: parseInt(process.env.TENANT_CACHE_TTL_MS) || 5 * 60 * 1000,
+      maxEntries: parseInt(process.env.TENANT_CACHE_MAX_ENTRIES) || 1000,
+      syncIntervalMs: parseInt(process.env.TENANT_CACHE_SYNC_INTERVAL_MS) || 2000,
+    },
+    tenantDatabase: {
+      maxConnections: parseInt(process.env.TENANT_DB_MAX_CONNECTIONS) || 50,
+      defaultPoolSize: parseInt(process.env.TENANT_DB_POOL_SIZE) || 5,
+      idleTimeoutMs: parseInt(process.env.TENANT_DB_IDLE_TIMEOUT_MS) || 10 * 60 * 1000,
+      healthCheckIntervalMs: parseInt(process.env.TENANT_DB_HEALTH_CHECK_INTERVAL_MS) || 60 * 1000,
+    },
+    tenantArchive: {
+      directory: process.env.TENANT_ARCHIVE_DIR || 'archives',
+      retentionDays: parseInt(process.env.TENANT_ARCHIVE_RETENTION_DAYS) || 90,
+    },
+    tenantLifecycle: {
+      trialWarningDays: process.env.TENANT_TRIAL_WARNING_DAYS?.split(',').map(Number) || [7, 3, 1],
+      graceWarningDays: process.env.TENANT_GRACE_WARNING_DAYS?.split(',').map(Number) || [3, 1],
+    },
+    jobs: {
+      enabled: process.env.JOBS_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 5000,
+      concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 2,
+      leaseMs: parseInt(process.env.JOBS_LEASE_MS) || 60 * 1000,
+      maxAttempts: parseInt(process.env.JOBS_MAX_ATTEMPTS) || 5,
+      backoffMs: parseInt(process.env.JOBS_BACKOFF_MS) || 30 * 1000,
+      retentionDays: parseInt(process.env.JOBS_RETENTION_DAYS) || 14,
+    },
+    events: {
+      enabled: process.env.EVENTS_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.EVENTS_POLL_INTERVAL_MS) || 5000,
+      leaseMs: parseInt(process.env.EVENTS_LEASE_MS) || 60 * 1000,
+      maxAttempts: parseInt(process.env.EVENTS_MAX_ATTEMPTS) || 10,
+      backoffMs: parseInt(process.env.EVENTS_BACKOFF_MS) || 10 * 1000,
+      retentionDays: parseInt(process.env.EVENTS_RETENTION_DAYS) || 7,
+    },
+    webhooks: {
+      timeoutMs: parseInt(process.env.WEBHOOKS_TIMEOUT_MS) || 10 * 1000,
+      maxAttempts: parseInt(process.env.WEBHOOKS_MAX_ATTEMPTS) || 8,
+      backoffMs: parseInt(process.env.WEBHOOKS_BACKOFF_MS) || 60 * 1000,
+      disableAfterFailures: parseInt(process.env.WEBHOOKS_DISABLE_AFTER_FAILURES) || 20,
+      retentionDays: parseInt(process.env.WEBHOOKS_RETENTION_DAYS) || 30,
+      allowHttp: true,
+      allowPrivateNetworks: process.env.WEBHOOKS_ALLOW_PRIVATE_NETWORKS === 'true',
+    },
+    mfa: {
+      issuer: process.env.MFA_ISSUER || 'CloudMemberHub',
+      encryptionKey: process.env.MFA_ENCRYPTION_KEY || 'dev-mfa-encryption-key',
+      challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+      recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+    },
+    invitations: {
+      expiryDays: parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7,
+    },
     cors: {
       origins: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
     },
@@ -43,6 +103,13 @@ const config = {
       passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
       maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
       lockoutTime: parseInt(process.env.LOCKOUT_TIME) || 30 * 60 * 1000,
+      maxLockoutTime: parseInt(process.env.MAX_LOCKOUT_TIME) || 24 * 60 * 60 * 1000,
+      // Failed logins from one address to a tenant, across accounts, before it is throttled
+      ipMaxFailedLogins: parseInt(process.env.IP_MAX_FAILED_LOGINS) || 20,
+      ipFailedLoginWindow: parseInt(process.env.IP_FAILED_LOGIN_WINDOW) || 15 * 60 * 1000,
+      ipLockoutTime: parseInt(process.env.IP_LOCKOUT_TIME) || 15 * 60 * 1000,
+      // Proxies whose X-Forwarded-For is believed when determining the client IP
+      trustedProxies: process.env.TRUSTED_PROXIES?.split(',').map((proxy) => proxy.trim()) || [],
     },
     logging: {
       level: process.env.LOG_LEVEL || 'info',
@@ -69,6 +136,66 @@ const config = {
       refreshSecret: 'test-refresh-secret',
       refreshExpiresIn: '1d',
     },
+    auth: {
+      requireEmailVerification: false,
+    },
+    api: {
+      serviceKeys: ['test-service-key'],
+    },
+    tenantCache: {
+      ttlMs: 5 * 60 * 1000,
+      maxEntries: 100,
+      syncIntervalMs: 0, // No cross-instance invalidation in tests
+    },
+    tenantDatabase: {
+      maxConnections: 10,
+      defaultPoolSize: 2,
+      idleTimeoutMs: 60 * 1000,
+      healthCheckIntervalMs: 0, // Health checks are run explicitly in tests
+    },
+    tenantArchive: {
+      directory: 'tmp/test-archives',
+      retentionDays: 90,
+    },
+    tenantLifecycle: {
+      trialWarningDays: [7, 3, 1],
+      graceWarningDays: [3, 1],
+    },
+    jobs: {
+      enabled: false, // Jobs are run explicitly in tests
+      pollIntervalMs: 0,
+      concurrency: 1,
+      leaseMs: 60 * 1000,
+      maxAttempts: 3,
+      backoffMs: 1000,
+      retentionDays: 1,
+    },
+    events: {
+      enabled: false, // Events are dispatched explicitly in tests
+      pollIntervalMs: 0,
+      leaseMs: 60 * 1000,
+      maxAttempts: 3,
+      backoffMs: 1000,
+      retentionDays: 1,
+    },
+    webhooks: {
+      timeoutMs: 1000,
+      maxAttempts: 3,
+      backoffMs: 1000,
+      disableAfterFailures: 5,
+      retentionDays: 1,
+      allowHttp: true,
+      allowPrivateNetworks: false,
+    },
+    mfa: {
+      issuer: 'CloudMemberHub Test',
+      encryptionKey: 'test-mfa-encryption-key',
+      challengeExpiresIn: '5m',
+      recoveryCodeCount: 10,
+    },
+    invitations: {
+      expiryDays: 7,
+    },
     cors: {
       origins: ['http://localhost:3000'],
     },
@@ -86,6 +213,11 @@ const config = {
       passwordMinLength: 6,
       maxLoginAttempts: 10,
       lockoutTime: 5 * 60 * 1000,
+      maxLockoutTime: 60 * 60 * 1000,
+      ipMaxFailedLogins: 50,
+      ipFailedLoginWindow: 5 * 60 * 1000,
+      ipLockoutTime: 5 * 60 * 1000,
+      trustedProxies: [],
     },
     logging: {
       level: 'error',
@@ -112,6 +244,66 @@ const config = {
       refreshSecret: process.env.JWT_REFRESH_SECRET,
       refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
     },
+    auth: {
+      requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    },
+    api: {
+      serviceKeys: process.env.SERVICE_API_KEYS?.split(',') || [],
+    },
+    tenantCache: {
+      ttlMs: parseInt(process.env.TENANT_CACHE_TTL_MS) || 5 * 60 * 1000,
+      maxEntries: parseInt(process.env.TENANT_CACHE_MAX_ENTRIES) || 1000,
+      syncIntervalMs: parseInt(process.env.TENANT_CACHE_SYNC_INTERVAL_MS) || 2000,
+    },
+    tenantDatabase: {
+      maxConnections: parseInt(process.env.TENANT_DB_MAX_CONNECTIONS) || 50,
+      defaultPoolSize: parseInt(process.env.TENANT_DB_POOL_SIZE) || 5,
+      idleTimeoutMs: parseInt(process.env.TENANT_DB_IDLE_TIMEOUT_MS) || 10 * 60 * 1000,
+      healthCheckIntervalMs: parseInt(process.env.TENANT_DB_HEALTH_CHECK_INTERVAL_MS) || 60 * 1000,
+    },
+    tenantArchive: {
+      directory: process.env.TENANT_ARCHIVE_DIR || 'archives',
+      retentionDays: parseInt(process.env.TENANT_ARCHIVE_RETENTION_DAYS) || 90,
+    },
+    tenantLifecycle: {
+      trialWarningDays: process.env.TENANT_TRIAL_WARNING_DAYS?.split(',').map(Number) || [7, 3, 1],
+      graceWarningDays: process.env.TENANT_GRACE_WARNING_DAYS?.split(',').map(Number) || [3, 1],
+    },
+    jobs: {
+      enabled: process.env.JOBS_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 5000,
+      concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 2,
+      leaseMs: parseInt(process.env.JOBS_LEASE_MS) || 60 * 1000,
+      maxAttempts: parseInt(process.env.JOBS_MAX_ATTEMPTS) || 5,
+      backoffMs: parseInt(process.env.JOBS_BACKOFF_MS) || 30 * 1000,
+      retentionDays: parseInt(process.env.JOBS_RETENTION_DAYS) || 14,
+    },
+    events: {
+      enabled: process.env.EVENTS_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.EVENTS_POLL_INTERVAL_MS) || 5000,
+      leaseMs: parseInt(process.env.EVENTS_LEASE_MS) || 60 * 1000,
+      maxAttempts: parseInt(process.env.EVENTS_MAX_ATTEMPTS) || 10,
+      backoffMs: parseInt(process.env.EVENTS_BACKOFF_MS) || 10 * 1000,
+      retentionDays: parseInt(process.env.EVENTS_RETENTION_DAYS) || 7,
+    },
+    webhooks: {
+      timeoutMs: parseInt(process.env.WEBHOOKS_TIMEOUT_MS) || 10 * 1000,
+      maxAttempts: parseInt(process.env.WEBHOOKS_MAX_ATTEMPTS) || 8,
+      backoffMs: parseInt(process.env.WEBHOOKS_BACKOFF_MS) || 60 * 1000,
+      disableAfterFailures: parseInt(process.env.WEBHOOKS_DISABLE_AFTER_FAILURES) || 20,
+      retentionDays: parseInt(process.env.WEBHOOKS_RETENTION_DAYS) || 30,
+      allowHttp: process.env.WEBHOOKS_ALLOW_HTTP === 'true',
+      allowPrivateNetworks: process.env.WEBHOOKS_ALLOW_PRIVATE_NETWORKS === 'true',
+    },
+    mfa: {
+      issuer: process.env.MFA_ISSUER || 'CloudMemberHub',
+      encryptionKey: process.env.MFA_ENCRYPTION_KEY,
+      challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+      recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+    },
+    invitations: {
+      expiryDays: parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7,
+    },
     cors: {
       origins: process.env.ALLOWED_ORIGINS?.split(',') || [],
     },
@@ -139,6 +331,13 @@ const config = {
       passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
       maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
       lockoutTime: parseInt(process.env.LOCKOUT_TIME) || 30 * 60 * 1000,
+      maxLockoutTime: parseInt(process.env.MAX_LOCKOUT_TIME) || 24 * 60 * 60 * 1000,
+      // Failed logins from one address to a tenant, across accounts, before it is throttled
+      ipMaxFailedLogins: parseInt(process.env.IP_MAX_FAILED_LOGINS) || 20,
+      ipFailedLoginWindow: parseInt(process.env.IP_FAILED_LOGIN_WINDOW) || 15 * 60 * 1000,
+      ipLockoutTime: parseInt(process.env.IP_LOCKOUT_TIME) || 15 * 60 * 1000,
+      // Proxies whose X-Forwarded-For is believed when determining the client IP
+      trustedProxies: process.env.TRUSTED_PROXIES?.split(',').map((proxy) => proxy.trim()) || [],
     },
     logging: {
       level: process.env.LOG_LEVEL || 'warn',
@@ -155,4 +354,9 @@ if (!config[env]) {
   throw new Error(`Configuration for environment "${env}" not found`);
 }
 
-module.exports = config[env];
\ No newline at end of file
+const getEnvironment = () => config[env];
+
+module.exports = {
+  ...config[env],
+  getEnvironment,
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One security relevant action in a tenant, see AuditLogService. Written for requests too, so
+// it is a collection of its own instead of the embedded Tenant.auditLog.
+const auditLogSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    // Such as `security.ip_denied`
+    action: {
+      type: String,
+      required: true,
+    },
+    // Absent when nobody was authenticated
+    actor: {
+      userId: String,
+      email: String,
+      role: String,
+    },
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    collection: 'audit_logs',
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ tenantId: 1, createdAt: -1 });
+auditLogSchema.index({ tenantId: 1, action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -128,27 +128,143 @@ const addSoftDeleteMiddleware = (schema) => {
   };
 };
 
+// Row-level isolation middleware
+// Every query on a tenant-scoped model runs inside a tenant context (or an explicit
+// tenantContext.runAsSystem scope); in row mode the current tenantId is forced into it.
+// Models with the `sharedCollection` option keep all tenants in one collection whatever the
+// strategy, so they are always scoped
+const TENANT_SCOPED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'countDocuments',
+  'distinct',
+];
+
+// Stages that MongoDB only accepts at the start of a pipeline
+const LEADING_PIPELINE_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+// With TENANT_REQUIRED=false requests without a tenant get through (see app.js); their queries
+// on tenant data match nothing instead of failing
+const NO_TENANT_FILTER = { tenantId: { $in: [] } };
+
+const addTenantIsolationMiddleware = (schema) => {
+  const tenantContext = require('../../tenant/context/TenantContext');
+  const { AppError } = require('../../middleware/error.middleware');
+  const logger = require('../../utils/logger');
+
+  const isScoped = (tenant) => schema.get('sharedCollection') || tenant.isolationStrategy === 'row';
+
+  // Returns the filter that scopes a query to the current tenant, or null when none applies
+  const getRowFilter = (modelName) => {
+    if (tenantContext.isSystemScope()) {
+      return null;
+    }
+
+    const tenant = tenantContext.getCurrentTenant();
+    if (!tenant) {
+      if (process.env.TENANT_REQUIRED !== 'false') {
+        throw new AppError(`Tenant context is required to query ${modelName}`, 500);
+      }
+      logger.warn(`Query on ${modelName} without a tenant context matches no documents`);
+      return NO_TENANT_FILTER;
+    }
+
+    return isScoped(tenant) ? { tenantId: tenant.tenantId } : null;
+  };
+
+  schema.pre(TENANT_SCOPED_QUERIES, function() {
+    const filter = getRowFilter(this.model.modelName);
+    if (filter) {
+      this.where(filter);
+    }
+  });
+
+  schema.pre('estimatedDocumentCount', function() {
+    if (getRowFilter(this.model.modelName)) {
+      throw new AppError('estimatedDocumentCount cannot be scoped to a tenant, use countDocuments', 500);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const filter = getRowFilter(this.model().modelName);
+    if (!filter) {
+      return;
+    }
+
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0] && Object.keys(pipeline[0])[0];
+    const position = LEADING_PIPELINE_STAGES.includes(firstStage) ? 1 : 0;
+    pipeline.splice(position, 0, { $match: filter });
+  });
+
+  // New documents are stamped with the current tenant; writing into another tenant is refused
+  const stampTenant = (doc, tenant) => {
+    if (doc.tenantId && doc.tenantId !== tenant.tenantId) {
+      throw new AppError('Cannot write a document that belongs to another tenant', 403);
+    }
+    doc.tenantId = tenant.tenantId;
+    doc.tenantName = doc.tenantName || tenant.tenantName;
+  };
+
+  const getWritingTenant = () => {
+    const tenant = tenantContext.getCurrentTenant();
+    return !tenantContext.isSystemScope() && tenant && isScoped(tenant) ? tenant : null;
+  };
+
+  schema.pre('validate', function() {
+    const tenant = getWritingTenant();
+    if (tenant && this.isNew) {
+      stampTenant(this, tenant);
+    }
+  });
+
+  schema.pre('insertMany', (next, docs) => {
+    const tenant = getWritingTenant();
+    if (tenant) {
+      (Array.isArray(docs) ? docs : [docs]).forEach((doc) => stampTenant(doc, tenant));
+    }
+    next();
+  });
+};
+
 // Create base schema function
+// Pass `tenantIsolation: false` for global models (Tenant, Organization) that are not tenant data
 const createBaseSchema = (definition, options = {}) => {
+  // Entity fields win over the shared ones (the Tenant model defines its own tenantId)
   const schemaDefinition = {
-    ...definition,
     ...baseEntitySchema,
     ...multiTenantFields,
+    ...definition,
   };
 
+  // tenantIsolation stays on the schema options so tooling (strategy migrations) can tell
+  // tenant data apart from global models
   const schemaOptions = {
     ...baseSchemaOptions,
+    tenantIsolation: true,
     ...options,
   };
 
   const schema = new mongoose.Schema(schemaDefinition, schemaOptions);
-  
+
   // Add soft delete middleware
   addSoftDeleteMiddleware(schema);
 
-  // Add tenant index for row-level isolation
+  // Add tenant index and query scoping for row-level isolation
   schema.index({ tenantId: 1, isDeleted: 1 });
 
+  if (schemaOptions.tenantIsolation) {
+    addTenantIsolationMiddleware(schema);
+  }
+
   return schema;
 };
 
@@ -158,4 +274,5 @@ module.exports = {
   baseSchemaOptions,
   createBaseSchema,
   addSoftDeleteMiddleware,
+  addTenantIsolationMiddleware,
 };
\ No newline at end of file
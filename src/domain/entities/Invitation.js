@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Invitation of a person to join a tenant as a user, see InvitationService. The role and
+// permissions are assigned to the account created when the invitation is accepted.
+const invitationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    firstName: String,
+    lastName: String,
+    role: {
+      type: String,
+      default: 'user',
+    },
+    permissions: [String],
+    // Pending invitations past expiresAt are only marked expired when they are replaced
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: 'pending',
+    },
+    // `jti` of the newest link; resending replaces it, which invalidates earlier links
+    tokenId: {
+      type: String,
+      select: false,
+    },
+    invitedBy: {
+      userId: String,
+      email: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    acceptedAt: Date,
+    // The account created by accepting
+    userId: mongoose.Schema.Types.ObjectId,
+    revokedAt: Date,
+    revokedBy: String,
+  },
+  {
+    collection: 'invitations',
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ tenantId: 1, email: 1, status: 1 });
+
+invitationSchema.statics.INVITATION_STATUSES = INVITATION_STATUSES;
+
+// Pending invitations that have not expired hold a seat of the tenant's user limit
+invitationSchema.statics.countPending = function (tenantId, { excludeId = null } = {}) {
+  return this.countDocuments({
+    tenantId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Failed logins from one address to a tenant within a window, across accounts, see
+// LoginSecurityService. A new document starts each window; the TTL index removes old ones.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    // Set once `failures` reaches the limit, logins from the address are refused until then
+    blockedUntil: Date,
+    // End of the window, or of the block when that is later
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    collection: 'login_throttles',
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ tenantId: 1, ip: 1, expiresAt: -1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
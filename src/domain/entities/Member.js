@@ -332,15 +332,20 @@ memberSchema.virtual('daysUntilExpiry').get(function() {
   return Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24)); // Days
 });
 
-// Pre-save middleware
-memberSchema.pre('save', function(next) {
-  // Auto-generate member number if not provided
+// Pre-validate middleware
+memberSchema.pre('validate', function(next) {
+  // Auto-generate member number if not provided (before the required check runs)
   if (!this.membership.memberNumber && this.isNew) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 8);
     this.membership.memberNumber = `MB${timestamp}${random}`.toUpperCase();
   }
 
+  next();
+});
+
+// Pre-save middleware
+memberSchema.pre('save', function(next) {
   // Calculate next payment date
   if (this.isModified('financial.lastPaymentDate') || this.isModified('financial.membershipFee.frequency')) {
     this.calculateNextPaymentDate();
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { createBaseSchema } = require('./BaseEntity');
+const { provisioningSchema } = require('../../tenant/models/provisioningSchema');
+const { isValidIpRule } = require('../../utils/ipAddress');
 
 const organizationSchema = createBaseSchema({
   // Basic Organization Information
@@ -404,11 +406,36 @@ const organizationSchema = createBaseSchema({
         requireLowercase: { type: Boolean, default: true },
         requireNumbers: { type: Boolean, default: true },
         requireSymbols: { type: Boolean, default: false },
+        // Number of recent passwords, the current one included, that cannot be reused
+        historyCount: { type: Number, default: 0, min: 0, max: 24 },
+        // Passwords expire after this many days, 0 never
+        maxAgeDays: { type: Number, default: 0, min: 0 },
       },
       sessionTimeout: { type: Number, default: 3600000 }, // 1 hour
       twoFactorRequired: { type: Boolean, default: false },
-      ipWhitelist: [String],
-      maxLoginAttempts: { type: Number, default: 5 },
+      // Addresses or CIDR ranges, IPv4 or IPv6 (see IpAllowlistService); empty allows all
+      ipWhitelist: {
+        type: [String],
+        validate: {
+          validator: (rules) => rules.every(isValidIpRule),
+          message: 'IP allowlist entries must be IP addresses or CIDR ranges',
+        },
+      },
+      // Tenant admins and admins must also connect from these
+      adminIpWhitelist: {
+        type: [String],
+        validate: {
+          validator: (rules) => rules.every(isValidIpRule),
+          message: 'IP allowlist entries must be IP addresses or CIDR ranges',
+        },
+      },
+      // Account lockout after failed logins, see LoginSecurityService
+      maxLoginAttempts: { type: Number, default: 5, min: 1 },
+      lockoutDuration: { type: Number, default: 1800000, min: 60000 }, // 30 minutes
+      // Each further lockout before a successful login lasts twice as long
+      progressiveLockout: { type: Boolean, default: true },
+      // Emails the user and tenant admins when an account is locked or used from a new device
+      loginAlerts: { type: Boolean, default: true },
     },
     notifications: {
       email: {
@@ -503,6 +530,7 @@ const organizationSchema = createBaseSchema({
     default: 'pending_approval',
     index: true,
   },
+  provisioning: provisioningSchema,
   
   // Metadata and Custom Fields
   metadata: {
@@ -517,6 +545,7 @@ const organizationSchema = createBaseSchema({
   }],
 }, {
   collection: 'organizations',
+  tenantIsolation: false,
 });
 
 // Remove tenant fields since this IS the organization model
@@ -526,6 +555,7 @@ organizationSchema.remove(['tenantId', 'tenantName']);
 organizationSchema.index({ organizationId: 1 }, { unique: true });
 organizationSchema.index({ 'legalInfo.registrationNumber': 1 }, { unique: true });
 organizationSchema.index({ 'domain.subdomain': 1 }, { unique: true });
+organizationSchema.index({ 'domain.customDomain': 1 }, { unique: true, sparse: true });
 organizationSchema.index({ type: 1, status: 1 });
 organizationSchema.index({ 'subscription.plan': 1, 'subscription.status': 1 });
 organizationSchema.index({ 'address.headquarters.city': 1, 'address.headquarters.province': 1 });
@@ -587,8 +617,14 @@ organizationSchema.statics.findByOrganizationId = function(organizationId) {
   return this.findOne({ organizationId, status: { $ne: 'cancelled' } });
 };
 
-organizationSchema.statics.findBySubdomain = function(subdomain) {
-  return this.findOne({ 'domain.subdomain': subdomain, status: 'active' });
+organizationSchema.statics.findBySubdomain = function(subdomain, { includeInactive = false } = {}) {
+  const status = includeInactive ? { $ne: 'cancelled' } : 'active';
+  return this.findOne({ 'domain.subdomain': subdomain, status });
+};
+
+organizationSchema.statics.findByCustomDomain = function(domain, { includeInactive = false } = {}) {
+  const status = includeInactive ? { $ne: 'cancelled' } : 'active';
+  return this.findOne({ 'domain.customDomain': domain.toLowerCase(), status });
 };
 
 organizationSchema.statics.findByType = function(type) {
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_STATUSES = ['active', 'rotated', 'revoked'];
+
+// One issued refresh token, identified by the `jti` claim of the JWT. Tokens that replaced each
+// other through rotation share a `familyId`, which stands for one login (see
+// RefreshTokenService). Only the newest token of a family is `active`.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+    },
+    // Token this one replaced, absent for the first token of a family
+    parentJti: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    tenantId: String,
+    status: {
+      type: String,
+      enum: REFRESH_TOKEN_STATUSES,
+      default: 'active',
+    },
+    // Rotated tokens keep the lifetime of the login they belong to
+    rememberMe: {
+      type: Boolean,
+      default: false,
+    },
+    ip: String,
+    userAgent: String,
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+    // Records are removed by the TTL index once the token has expired
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    collection: 'refresh_tokens',
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ jti: 1 }, { unique: true });
+refreshTokenSchema.index({ familyId: 1, status: 1 });
+refreshTokenSchema.index({ userId: 1, tenantId: 1, status: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.statics.REFRESH_TOKEN_STATUSES = REFRESH_TOKEN_STATUSES;
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Custom role of a tenant, see RoleService. Users hold it through `customRoles` (home tenant)
+// or `tenantRoles[].role` (other tenants), both by key.
+const roleSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    // Derived from the name when the role is created, e.g. `branch_secretary`
+    key: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: 200,
+    },
+    // Registered permissions, see domain/permissions. Removed ones grant nothing.
+    permissions: [String],
+    createdBy: String,
+  },
+  {
+    collection: 'roles',
+    timestamps: true,
+  }
+);
+
+roleSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const SESSION_STATUSES = ['active', 'revoked', 'expired'];
+
+// One login of a user on a device, see SessionService. The session owns a refresh token family
+// (RefreshToken.familyId) and its id is the `sid` claim of the access tokens issued for it.
+const sessionSchema = new mongoose.Schema(
+  {
+    familyId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    tenantId: String,
+    status: {
+      type: String,
+      enum: SESSION_STATUSES,
+      default: 'active',
+    },
+    // Address and user agent of the login, lastIp is where the session was last used from
+    ip: String,
+    lastIp: String,
+    userAgent: String,
+    deviceType: String,
+    browser: String,
+    os: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // lastSeenAt plus the tenant's sessionTimeout, absent when the tenant has no idle timeout
+    idleExpiresAt: Date,
+    endedAt: Date,
+    endReason: String,
+    // Expiry of the newest refresh token; the TTL index removes the session after it
+    expiresAt: Date,
+  },
+  {
+    collection: 'sessions',
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ familyId: 1 }, { unique: true });
+sessionSchema.index({ userId: 1, tenantId: 1, status: 1, lastSeenAt: -1 });
+sessionSchema.index({ status: 1, idleExpiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.SESSION_STATUSES = SESSION_STATUSES;
+
+module.exports = mongoose.model('Session', sessionSchema);
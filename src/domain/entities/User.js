@@ -31,9 +31,15 @@ const userSchema = createBaseSchema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minLength: [8, 'Password must be at least 8 characters long'],
     select: false, // Don't include password in queries by default
   },
+  // Rules are the tenant's password policy, see PasswordPolicyService
+  passwordChangedAt: Date,
+  // Hashes of previous passwords, as many as the policy's historyCount forbids reusing
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
   role: {
     type: String,
     enum: {
@@ -43,16 +49,10 @@ const userSchema = createBaseSchema({
     default: 'user',
     index: true,
   },
-  permissions: [{
-    type: String,
-    enum: [
-      'users.read', 'users.write', 'users.delete',
-      'members.read', 'members.write', 'members.delete',
-      'reports.read', 'reports.write',
-      'settings.read', 'settings.write',
-      'tenant.manage',
-    ],
-  }],
+  // Direct grants of registered permissions (see domain/permissions), on top of the roles'
+  permissions: [String],
+  // Keys of the tenant's custom roles (see RoleService)
+  customRoles: [String],
   isActive: {
     type: Boolean,
     default: true,
@@ -76,6 +76,22 @@ const userSchema = createBaseSchema({
     default: 0,
   },
   lockoutUntil: Date,
+  // Lockouts since the last successful login, each one lasts longer with progressive lockout
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  // TOTP second factor (see MfaService): secrets are encrypted, recovery codes are hashed
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    // Secret of an enrollment that has not been confirmed with a code yet
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Time step of the last accepted code, a code is only accepted once
+    lastUsedStep: { type: Number, select: false },
+  },
   avatar: {
     url: String,
     publicId: String,
@@ -129,6 +145,10 @@ const userSchema = createBaseSchema({
   collection: 'users',
 });
 
+// One collection for all tenants whatever their isolation strategy, so user queries are always
+// scoped to the current tenant (see BaseEntity)
+userSchema.set('sharedCollection', true);
+
 // Compound indexes for multi-tenant queries
 userSchema.index({ tenantId: 1, email: 1 }, { unique: true });
 userSchema.index({ tenantId: 1, role: 1, isActive: 1 });
@@ -151,6 +171,7 @@ userSchema.pre('save', async function(next) {
   try {
     const saltRounds = process.env.BCRYPT_SALT_ROUNDS || 12;
     this.password = await bcrypt.hash(this.password, parseInt(saltRounds));
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -187,6 +208,7 @@ userSchema.methods.generateRefreshToken = function() {
   });
 };
 
+// Direct grants only, authorization checks effective permissions (see RoleService)
 userSchema.methods.hasPermission = function(permission) {
   return this.permissions.includes(permission);
 };
@@ -210,19 +232,55 @@ userSchema.methods.recordLogin = function() {
   this.loginCount += 1;
   this.failedLoginAttempts = 0;
   this.lockoutUntil = undefined;
+  this.lockoutCount = 0;
   return this.save();
 };
 
-userSchema.methods.recordFailedLogin = function() {
-  this.failedLoginAttempts += 1;
-  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
-  const lockoutTime = parseInt(process.env.LOCKOUT_TIME) || 30 * 60 * 1000; // 30 minutes
+// `policy` is the tenant's lockout policy (see LoginSecurityService). Attempts are only reset by
+// a successful login, so once a lockout ends every further failure locks the account again.
+// Both steps are atomic updates: concurrent failures are all counted, and of those reaching the
+// limit only the first one locks the account. The document gets the stored counts.
+userSchema.methods.recordFailedLogin = async function(policy) {
+  const session = this.$session();
+  const counted = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true, session }
+    )
+    .select('failedLoginAttempts lockoutUntil lockoutCount');
+  if (!counted) {
+    return this;
+  }
+
+  let { lockoutUntil, lockoutCount } = counted;
+  const now = new Date();
+
+  if (counted.failedLoginAttempts >= policy.maxAttempts && !(lockoutUntil > now)) {
+    const factor = policy.progressive ? 2 ** lockoutCount : 1;
+    const lockoutTime = Math.min(policy.lockoutDuration * factor, policy.maxLockoutDuration);
+    const locked = await this.constructor
+      .findOneAndUpdate(
+        {
+          _id: this._id,
+          lockoutCount,
+          $or: [{ lockoutUntil: null }, { lockoutUntil: { $lte: now } }],
+        },
+        {
+          $set: { lockoutUntil: new Date(now.getTime() + lockoutTime) },
+          $inc: { lockoutCount: 1 },
+        },
+        { new: true, session }
+      )
+      .select('lockoutUntil lockoutCount');
 
-  if (this.failedLoginAttempts >= maxAttempts) {
-    this.lockoutUntil = new Date(Date.now() + lockoutTime);
+    if (locked) {
+      ({ lockoutUntil, lockoutCount } = locked);
+    }
   }
 
-  return this.save();
+  this.set({ failedLoginAttempts: counted.failedLoginAttempts, lockoutUntil, lockoutCount });
+  return this;
 };
 
 // Static methods
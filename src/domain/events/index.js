@@ -0,0 +1,35 @@
+// In-process subscribers to domain events, see infrastructure/events/EventBus. Subscriber names
+// are recorded on delivered events and must not change.
+const defineSubscribers = (eventBus, container) => {
+  // Pushes tenant events to the tenant's webhooks
+  eventBus.subscribe('*', 'webhooks', (event) =>
+    container.get('WebhookService').handleEvent(event)
+  );
+
+  // Sessions end with their refresh token family and with their user's account
+  eventBus.subscribe('user.refresh_token_reused', 'sessions.refresh-token-reused', (event) =>
+    container.get('SessionService').end(event.payload.familyId, 'revoked', 'reuse_detected')
+  );
+  eventBus.subscribe('user.deactivated', 'sessions.user-deactivated', (event) =>
+    container
+      .get('SessionService')
+      .revokeAll(event.payload.userId, event.tenantId, { reason: 'user_deactivated' })
+  );
+  eventBus.subscribe('user.deleted', 'sessions.user-deleted', (event) =>
+    container
+      .get('SessionService')
+      .revokeAll(event.payload.userId, event.tenantId, { reason: 'user_deleted' })
+  );
+
+  // Login alerts to the user and the tenant admins
+  eventBus.subscribe('user.locked', 'notifications.user-locked', (event) =>
+    container.get('LoginSecurityService').notifyAccountLocked(event)
+  );
+  eventBus.subscribe('user.new_device_login', 'notifications.new-device-login', (event) =>
+    container.get('LoginSecurityService').notifyNewDeviceLogin(event)
+  );
+};
+
+module.exports = {
+  defineSubscribers,
+};
@@ -0,0 +1,91 @@
+const Tenant = require('../../tenant/models/Tenant');
+const Organization = require('../entities/Organization');
+
+const EXPIRY_NOTICE_DAYS = 30;
+
+// Periodic platform jobs; schedules are cron expressions in UTC (see infrastructure/jobs/cron)
+const defineJobs = (jobScheduler, container) => {
+  // Trial warnings, expiry and suspension after the grace period
+  jobScheduler.define(
+    'tenants.lifecycle-sweep',
+    () => container.get('TenantLifecycleService').sweep(),
+    { cron: '0 * * * *' }
+  );
+
+  jobScheduler.define(
+    'tenants.purge-expired-archives',
+    async () => ({ purged: await container.get('TenantArchiveService').purgeExpired() }),
+    { cron: '30 3 * * *' }
+  );
+
+  jobScheduler.define(
+    'tenants.reset-monthly-usage',
+    async () => {
+      const [tenants, organizations] = await Promise.all([
+        Tenant.updateMany({}, { $set: { 'usage.apiCallsThisMonth': 0 } }),
+        Organization.updateMany(
+          {},
+          { $set: { 'usage.emailsSentThisMonth': 0, 'usage.smsSentThisMonth': 0 } }
+        ),
+      ]);
+      return { tenants: tenants.modifiedCount, organizations: organizations.modifiedCount };
+    },
+    { cron: '0 0 1 * *' }
+  );
+
+  // Webhook deliveries whose first attempt failed
+  jobScheduler.define(
+    'webhooks.retry-deliveries',
+    async () => ({ attempted: await container.get('WebhookService').retryDue() }),
+    { cron: '* * * * *' }
+  );
+
+  // Sessions idle for longer than their tenant's sessionTimeout
+  jobScheduler.define(
+    'sessions.expire-idle',
+    async () => ({ expired: await container.get('SessionService').expireIdle() }),
+    { cron: '*/5 * * * *' }
+  );
+
+  // Lapsed memberships become inactive; the result also counts those expiring soon
+  jobScheduler.define(
+    'members.expire-memberships',
+    async () => {
+      const Member = await container.get('MemberRepository').getTenantModel();
+      const { modifiedCount } = await Member.updateMany(
+        {
+          'membership.status': 'active',
+          'membership.expiryDate': { $lt: new Date() },
+          isDeleted: false,
+        },
+        { $set: { 'membership.status': 'inactive' } }
+      );
+      const expiringSoon = await Member.findExpiringMembers(EXPIRY_NOTICE_DAYS).countDocuments();
+
+      return { expired: modifiedCount, expiringSoon };
+    },
+    { cron: '0 2 * * *', perTenant: true }
+  );
+
+  jobScheduler.define(
+    'members.mark-overdue-payments',
+    async () => {
+      const Member = await container.get('MemberRepository').getTenantModel();
+      const { modifiedCount } = await Member.updateMany(
+        {
+          'financial.nextPaymentDate': { $lt: new Date() },
+          'financial.paymentStatus': { $in: ['pending', 'failed'] },
+          isDeleted: false,
+        },
+        { $set: { 'financial.paymentStatus': 'overdue' } }
+      );
+
+      return { overdue: modifiedCount };
+    },
+    { cron: '15 2 * * *', perTenant: true }
+  );
+};
+
+module.exports = {
+  defineJobs,
+};
@@ -0,0 +1,65 @@
+// `<module>.<action>`, e.g. `members.write`
+const PERMISSION_KEY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+// Built-in roles that hold every permission, also the ones defined later
+const ALL_PERMISSIONS_ROLES = ['super_admin', 'tenant_admin'];
+
+/**
+ * Central list of the permissions that can be granted to users, directly or through roles.
+ *
+ * Every permission belongs to a module and names the built-in roles (`User.role`) that hold it
+ * by default; super admins and tenant admins hold all of them. Tenants build their custom roles
+ * (see RoleService) from the registered permissions only.
+ */
+class PermissionRegistry {
+  constructor() {
+    this.permissions = new Map();
+  }
+
+  define(key, { module = key.split('.')[0], description = '', roles = [] } = {}) {
+    if (!PERMISSION_KEY_PATTERN.test(key)) {
+      throw new Error(`Permission ${key} must have the form <module>.<action>`);
+    }
+    if (this.permissions.has(key)) {
+      throw new Error(`Permission ${key} is already defined`);
+    }
+
+    this.permissions.set(key, { key, module, description, roles });
+    return this;
+  }
+
+  has(key) {
+    return this.permissions.has(key);
+  }
+
+  keys() {
+    return [...this.permissions.keys()];
+  }
+
+  list() {
+    return [...this.permissions.values()].map((permission) => ({
+      ...permission,
+      roles: [...permission.roles],
+    }));
+  }
+
+  // The registered ones of `keys`, dropping permissions that no longer exist
+  filterKnown(keys) {
+    return keys.filter((key) => this.has(key));
+  }
+
+  findUnknown(keys) {
+    return keys.filter((key) => !this.has(key));
+  }
+
+  // Default permissions of a built-in role, none for other roles
+  getRolePermissions(role) {
+    if (ALL_PERMISSIONS_ROLES.includes(role)) {
+      return this.keys();
+    }
+    return this.list()
+      .filter((permission) => permission.roles.includes(role))
+      .map((permission) => permission.key);
+  }
+}
+
+module.exports = PermissionRegistry;
@@ -0,0 +1,41 @@
+const PermissionRegistry = require('./PermissionRegistry');
+
+// Permissions of the platform's modules. A module defines its permissions here when it is
+// built; `roles` are the built-in roles that hold a permission by default, besides super admins
+// and tenant admins, which hold all of them. Keys are stored on users and roles and must not
+// change.
+const permissionRegistry = new PermissionRegistry();
+
+permissionRegistry
+  .define('users.read', {
+    description: 'View the users of the tenant',
+    roles: ['admin', 'manager'],
+  })
+  .define('users.write', {
+    description: 'Create users and change their profiles',
+    roles: ['admin'],
+  })
+  .define('users.delete', { description: 'Delete users', roles: ['admin'] });
+
+permissionRegistry
+  .define('members.read', {
+    description: 'View members and their memberships',
+    roles: ['admin', 'manager'],
+  })
+  .define('members.write', {
+    description: 'Add members and change their details',
+    roles: ['admin', 'manager'],
+  })
+  .define('members.delete', { description: 'Delete members', roles: ['admin'] });
+
+permissionRegistry
+  .define('reports.read', { description: 'View reports', roles: ['admin', 'manager'] })
+  .define('reports.write', { description: 'Create and change reports', roles: ['admin'] });
+
+permissionRegistry
+  .define('settings.read', { description: 'View the organization settings', roles: ['admin'] })
+  .define('settings.write', { description: 'Change the organization settings' });
+
+permissionRegistry.define('tenant.manage', { description: 'Manage the tenant itself' });
+
+module.exports = permissionRegistry;
@@ -0,0 +1,30 @@
+const TenantAwareRepository = require('../../infrastructure/database/TenantAwareRepository');
+const Member = require('../entities/Member');
+
+class MemberRepository extends TenantAwareRepository {
+  constructor() {
+    super(Member);
+  }
+
+  async findByMemberNumber(memberNumber) {
+    return await this.findOne({ 'membership.memberNumber': memberNumber, isDeleted: false });
+  }
+
+  async findActiveMember(id) {
+    return await this.findOne({ _id: id, isDeleted: false });
+  }
+
+  async findPaginated(query = {}, options = {}) {
+    const { page = 1, limit = 20, sort = { createdAt: -1 } } = options;
+    const skip = (page - 1) * limit;
+
+    const [members, total] = await Promise.all([
+      this.find({ ...query }, { sort, skip, limit }),
+      this.count({ ...query }),
+    ]);
+
+    return { members, total };
+  }
+}
+
+module.exports = MemberRepository;
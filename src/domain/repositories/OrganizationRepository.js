@@ -0,0 +1,23 @@
+const TenantAwareRepository = require('../../infrastructure/database/TenantAwareRepository');
+const Organization = require('../entities/Organization');
+
+class OrganizationRepository extends TenantAwareRepository {
+  constructor() {
+    super(Organization);
+  }
+
+  // Organizations live in the shared collection, outside any tenant context
+  async findByOrganizationId(organizationId) {
+    return await Organization.findByOrganizationId(organizationId);
+  }
+
+  async findBySubdomain(subdomain) {
+    return await Organization.findBySubdomain(subdomain);
+  }
+
+  async findByCustomDomain(domain) {
+    return await Organization.findByCustomDomain(domain);
+  }
+}
+
+module.exports = OrganizationRepository;
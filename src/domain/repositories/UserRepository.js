@@ -0,0 +1,14 @@
+const TenantAwareRepository = require('../../infrastructure/database/TenantAwareRepository');
+const User = require('../entities/User');
+
+class UserRepository extends TenantAwareRepository {
+  constructor() {
+    super(User);
+  }
+
+  async findByEmail(email) {
+    return await this.findOne({ email: email.toLowerCase(), isDeleted: false });
+  }
+}
+
+module.exports = UserRepository;
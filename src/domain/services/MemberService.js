@@ -0,0 +1,306 @@
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const logger = require('../../utils/logger');
+
+// Fields managed by the system that clients may never write directly
+const PROTECTED_FIELDS = [
+  '_id',
+  'id',
+  'tenantId',
+  'tenantName',
+  'isDeleted',
+  'deletedAt',
+  'deletedBy',
+  'createdAt',
+  'createdBy',
+  'updatedAt',
+  'updatedBy',
+  'version',
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MemberService extends IService {
+  constructor(memberRepository, tenantService, eventBus) {
+    super();
+    this.memberRepository = memberRepository;
+    this.tenantService = tenantService;
+    this.eventBus = eventBus;
+  }
+
+  async create(memberData, tenantId, createdBy = null) {
+    try {
+      // Validate required fields
+      this.validateMemberData(memberData);
+
+      // Validate tenant has room for another member
+      await this.validateTenantCapacity(tenantId);
+
+      const data = this.stripProtectedFields(memberData);
+
+      if (data.membership?.memberNumber) {
+        await this.checkMemberNumberUniqueness(data.membership.memberNumber);
+      }
+
+      const Member = await this.memberRepository.getTenantModel();
+      const member = await this.eventBus.withTransaction(
+        async ({ session, publish }) => {
+          const created = await this.memberRepository.create(
+            { ...data, createdBy, updatedBy: createdBy },
+            { session }
+          );
+          publish('member.created', this.toEventPayload(created), { actor: createdBy });
+          return created;
+        },
+        { connection: Member.db }
+      );
+
+      // Update tenant usage
+      if (this.tenantService) {
+        await this.tenantService.updateUsage(tenantId, 'members', 1);
+      }
+
+      logger.info(`Member created: ${member.membership.memberNumber} in tenant ${tenantId}`);
+      return member;
+    } catch (error) {
+      logger.error('Error creating member:', error);
+      throw error;
+    }
+  }
+
+  async getById(memberId) {
+    try {
+      const member = await this.memberRepository.findActiveMember(memberId);
+      if (!member) {
+        throw new AppError('Member not found', 404);
+      }
+      return member;
+    } catch (error) {
+      logger.error(`Error getting member ${memberId}:`, error);
+      throw error;
+    }
+  }
+
+  async getAll(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        type,
+        paymentStatus,
+        category,
+        search,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+      } = options;
+
+      const query = { isDeleted: false };
+
+      if (status) query['membership.status'] = status;
+      if (type) query['membership.type'] = type;
+      if (paymentStatus) query['financial.paymentStatus'] = paymentStatus;
+      if (category) query['membership.categories'] = category;
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search), $options: 'i' };
+        query.$or = [
+          { 'personalInfo.firstName': pattern },
+          { 'personalInfo.lastName': pattern },
+          { 'contactInfo.email': pattern },
+          { 'membership.memberNumber': pattern },
+        ];
+      }
+
+      const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+      const { members, total } = await this.memberRepository.findPaginated(query, {
+        page,
+        limit,
+        sort,
+      });
+
+      return {
+        members,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting all members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the given sections of a member (PUT semantics).
+   * Nested objects that are sent replace the stored ones entirely.
+   */
+  async update(memberId, updateData, updatedBy = null) {
+    return this.applyUpdate(memberId, updateData, updatedBy, { merge: false });
+  }
+
+  /**
+   * Partially update a member (PATCH semantics).
+   * Nested objects are merged into the stored ones.
+   */
+  async patch(memberId, updateData, updatedBy = null) {
+    return this.applyUpdate(memberId, updateData, updatedBy, { merge: true });
+  }
+
+  async delete(memberId, tenantId, deletedBy = null) {
+    try {
+      const member = await this.getById(memberId);
+
+      // Soft delete
+      await this.eventBus.withTransaction(
+        async ({ session, publish }) => {
+          member.$session(session);
+          await member.softDelete(deletedBy);
+          publish('member.deleted', this.toEventPayload(member), { actor: deletedBy });
+        },
+        { connection: member.db }
+      );
+
+      // Update tenant usage
+      if (this.tenantService) {
+        await this.tenantService.updateUsage(tenantId, 'members', -1);
+      }
+
+      logger.info(`Member deleted: ${memberId} in tenant ${tenantId}`);
+      return { success: true, message: 'Member deleted successfully' };
+    } catch (error) {
+      logger.error(`Error deleting member ${memberId}:`, error);
+      throw error;
+    }
+  }
+
+  async search(criteria, options = {}) {
+    return this.getAll({ ...options, ...criteria });
+  }
+
+  validate(data) {
+    const errors = [];
+
+    if (!data.personalInfo?.firstName) {
+      errors.push('First name is required');
+    }
+
+    if (!data.personalInfo?.lastName) {
+      errors.push('Last name is required');
+    }
+
+    if (!data.personalInfo?.dateOfBirth) {
+      errors.push('Date of birth is required');
+    }
+
+    if (!data.contactInfo?.email) {
+      errors.push('Email is required');
+    }
+
+    if (!data.contactInfo?.phone?.primary) {
+      errors.push('Primary phone number is required');
+    }
+
+    if (data.financial?.membershipFee?.amount === undefined) {
+      errors.push('Membership fee amount is required');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Validation errors: ${errors.join(', ')}`, 400);
+    }
+
+    return true;
+  }
+
+  // Private methods
+  validateMemberData(data) {
+    return this.validate(data);
+  }
+
+  async applyUpdate(memberId, updateData, updatedBy, { merge }) {
+    try {
+      const member = await this.getById(memberId);
+      const data = this.stripProtectedFields(updateData);
+      const previousStatus = member.membership?.status;
+
+      const newMemberNumber = data.membership?.memberNumber;
+      if (newMemberNumber && newMemberNumber !== member.membership.memberNumber) {
+        await this.checkMemberNumberUniqueness(newMemberNumber);
+      }
+
+      if (merge) {
+        member.set(data, undefined, { merge: true });
+      } else {
+        member.set(data);
+      }
+      member.updatedBy = updatedBy;
+
+      const updatedMember = await this.eventBus.withTransaction(
+        async ({ session, publish }) => {
+          const saved = await member.save({ session });
+          publish('member.updated', this.toEventPayload(saved), { actor: updatedBy });
+          if (saved.membership?.status !== previousStatus) {
+            publish(
+              'member.status_changed',
+              { ...this.toEventPayload(saved), previousStatus },
+              { actor: updatedBy }
+            );
+          }
+          return saved;
+        },
+        { connection: member.db }
+      );
+
+      logger.info(`Member updated: ${memberId}`);
+      return updatedMember;
+    } catch (error) {
+      logger.error(`Error updating member ${memberId}:`, error);
+      throw error;
+    }
+  }
+
+  async validateTenantCapacity(tenantId) {
+    if (!this.tenantService) return true;
+
+    const usageStats = await this.tenantService.getUsageStats(tenantId);
+    if (!usageStats.isWithinLimits.members) {
+      throw new AppError(
+        `Tenant member limit reached (${usageStats.limits.maxMembers}). Upgrade your plan to add more members.`,
+        403
+      );
+    }
+
+    return true;
+  }
+
+  async checkMemberNumberUniqueness(memberNumber) {
+    // Soft-deleted members keep their number, the unique index still covers them
+    const existing = await this.memberRepository.exists({
+      'membership.memberNumber': memberNumber,
+    });
+    if (existing) {
+      throw new AppError('Member number already exists', 409);
+    }
+  }
+
+  toEventPayload(member) {
+    return {
+      memberId: member.id,
+      memberNumber: member.membership?.memberNumber,
+      email: member.contactInfo?.email,
+      status: member.membership?.status,
+    };
+  }
+
+  stripProtectedFields(data = {}) {
+    const sanitized = { ...data };
+    PROTECTED_FIELDS.forEach((field) => delete sanitized[field]);
+    return sanitized;
+  }
+}
+
+module.exports = Injectable(['MemberRepository', 'TenantService', 'EventBus'])(MemberService);
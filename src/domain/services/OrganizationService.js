@@ -4,11 +4,13 @@ const { AppError } = require('../../middleware/error.middleware');
 const Organization = require('../entities/Organization');
 const logger = require('../../utils/logger');
 
-@Injectable(['OrganizationRepository'])
 class OrganizationService extends IService {
-  constructor(organizationRepository) {
+  constructor(organizationRepository, tenantCache, tenantProvisioningService, eventBus) {
     super();
     this.organizationRepository = organizationRepository;
+    this.tenantCache = tenantCache;
+    this.tenantProvisioningService = tenantProvisioningService;
+    this.eventBus = eventBus;
   }
 
   async create(organizationData) {
@@ -41,13 +43,15 @@ class OrganizationService extends IService {
         status: 'pending_approval',
       });
 
-      const savedOrganization = await organization.save();
+      const savedOrganization = await this.saveAndPublish(organization, 'organization.created');
 
-      // Initialize organization database
-      await this.initializeOrganizationDatabase(savedOrganization);
+      // Initialize organization database, provisioning continues in the background
+      const provisioningOrganization = await this.initializeOrganizationDatabase(savedOrganization, {
+        adminUser: organizationData.adminUser,
+      });
 
       logger.info(`Organization created: ${savedOrganization.organizationId} (${savedOrganization.name})`);
-      return savedOrganization;
+      return provisioningOrganization;
     } catch (error) {
       logger.error('Error creating organization:', error);
       throw error;
@@ -144,6 +148,7 @@ class OrganizationService extends IService {
       // Update organization
       Object.assign(organization, updateData);
       const updatedOrganization = await organization.save();
+      await this.tenantCache.invalidate(organizationId);
 
       logger.info(`Organization updated: ${organizationId}`);
       return updatedOrganization;
@@ -161,12 +166,19 @@ class OrganizationService extends IService {
         throw new AppError('Organization is not pending approval', 400);
       }
 
+      if (organization.provisioning?.status && organization.provisioning.status !== 'completed') {
+        throw new AppError('Organization provisioning has not completed', 409);
+      }
+
       organization.status = 'active';
       organization.subscription.status = 'trial'; // Start with trial
       organization.metadata.set('approvedBy', approvedBy);
       organization.metadata.set('approvedAt', new Date());
 
-      const updatedOrganization = await organization.save();
+      const updatedOrganization = await this.saveAndPublish(organization, 'organization.approved', {
+        actor: approvedBy,
+      });
+      await this.tenantCache.invalidate(organizationId);
       
       logger.info(`Organization approved: ${organizationId} by ${approvedBy}`);
       return updatedOrganization;
@@ -185,7 +197,13 @@ class OrganizationService extends IService {
       organization.metadata.set('suspendedBy', suspendedBy);
       organization.metadata.set('suspendedAt', new Date());
 
-      const updatedOrganization = await organization.save();
+      const updatedOrganization = await this.saveAndPublish(
+        organization,
+        'organization.suspended',
+        { actor: suspendedBy },
+        { reason }
+      );
+      await this.tenantCache.invalidate(organizationId);
       
       logger.info(`Organization suspended: ${organizationId}, reason: ${reason}`);
       return updatedOrganization;
@@ -219,6 +237,7 @@ class OrganizationService extends IService {
       Object.assign(organization.modules, newModules);
 
       const updatedOrganization = await organization.save();
+      await this.tenantCache.invalidate(organizationId);
       
       logger.info(`Organization subscription upgraded: ${organizationId} from ${oldPlan} to ${newPlan}`);
       return updatedOrganization;
@@ -248,6 +267,7 @@ class OrganizationService extends IService {
       }
 
       const updatedOrganization = await organization.save();
+      await this.tenantCache.invalidate(organizationId);
       
       logger.info(`Module enabled for organization ${organizationId}: ${moduleName}`);
       return updatedOrganization;
@@ -496,17 +516,61 @@ class OrganizationService extends IService {
     return limits[plan] || limits.basic;
   }
 
-  async initializeOrganizationDatabase(organization) {
+  async getProvisioningStatus(organizationId) {
+    try {
+      const organization = await this.getById(organizationId);
+      return {
+        organizationId,
+        organizationStatus: organization.status,
+        ...this.tenantProvisioningService.getProgress(organization),
+      };
+    } catch (error) {
+      logger.error(`Error getting provisioning status for organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  async retryProvisioning(organizationId, options = {}) {
+    try {
+      const organization = await this.getById(organizationId);
+      const retried = await this.tenantProvisioningService.retry(organization, options);
+
+      logger.info(`Provisioning retried for organization ${organizationId}`);
+      return {
+        organizationId,
+        organizationStatus: retried.status,
+        ...this.tenantProvisioningService.getProgress(retried),
+      };
+    } catch (error) {
+      logger.error(`Error retrying provisioning for organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Organizations are tenants too, their events carry the organization ID as tenant ID
+  async saveAndPublish(organization, type, { actor } = {}, details = {}) {
+    return this.eventBus.withTransaction(async ({ session, publish }) => {
+      const saved = await organization.save({ session });
+      publish(
+        type,
+        {
+          organizationId: saved.organizationId,
+          name: saved.name,
+          status: saved.status,
+          ...details,
+        },
+        { tenantId: saved.organizationId, actor }
+      );
+      return saved;
+    });
+  }
+
+  async initializeOrganizationDatabase(organization, options = {}) {
     try {
       logger.info(`Initializing database for organization: ${organization.organizationId}`);
-      
-      // Bu method'da:
-      // 1. Organization-specific database connection oluşturulacak
-      // 2. Index'ler oluşturulacak
-      // 3. Varsayılan data seed edilecek
-      // 4. İlk admin user oluşturulacak
-      
-      return true;
+
+      // Connection, collections, indexes, default data and the first admin user
+      return await this.tenantProvisioningService.start(organization, options);
     } catch (error) {
       logger.error(`Error initializing database for organization ${organization.organizationId}:`, error);
       throw error;
@@ -514,4 +578,9 @@ class OrganizationService extends IService {
   }
 }
 
-module.exports = OrganizationService;
\ No newline at end of file
+module.exports = Injectable([
+  'OrganizationRepository',
+  'TenantCache',
+  'TenantProvisioningService',
+  'EventBus',
+])(OrganizationService);
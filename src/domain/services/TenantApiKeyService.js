@@ -0,0 +1,271 @@
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const permissionRegistry = require('../permissions');
+const {
+  generateKeyId,
+  generateSecret,
+  formatApiKey,
+  parseApiKey,
+  hashSecret,
+  verifySecret,
+} = require('../../tenant/apiKeys/apiKeyFormat');
+const logger = require('../../utils/logger');
+
+const API_KEY_ROLE = 'api_key';
+const MAX_NAME_LENGTH = 100;
+// lastUsedAt is only written when it is older than this, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API keys of a tenant, stored on `Tenant.api.keys`.
+ *
+ * Tenant admins create, rotate and revoke keys; the full key (`cmh_<keyId>_<secret>`) is only
+ * returned by create and rotate. Requests send it in `X-API-Key`: the tenant resolver finds the
+ * tenant through the key id and authenticateToken verifies the secret, after which the request
+ * acts as a principal holding only the key's permissions (see toPrincipal).
+ */
+class TenantApiKeyService extends IService {
+  constructor(eventBus) {
+    super();
+    this.eventBus = eventBus;
+  }
+
+  async list(tenantId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      return tenant.api.keys.map((key) => this.toView(key));
+    } catch (error) {
+      logger.error(`Error listing API keys of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Creating a key turns on API access for the tenant
+  async create(tenantId, { name, permissions: keyPermissions, expiresAt } = {}, createdBy = null) {
+    try {
+      this.validateName(name);
+      this.validatePermissions(keyPermissions);
+      const expiry = this.parseExpiry(expiresAt);
+
+      const keyId = generateKeyId();
+      const secret = generateSecret();
+
+      const key = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const tenant = await this.getTenant(tenantId, session);
+        tenant.api.enabled = true;
+        tenant.api.keys.push({
+          name,
+          keyId,
+          hash: hashSecret(secret),
+          permissions: [...new Set(keyPermissions)],
+          expiresAt: expiry,
+          createdBy: createdBy ? String(createdBy) : undefined,
+        });
+        await tenant.save({ session });
+
+        publish('api_key.created', this.toEventPayload(tenant.api.keys.at(-1)), {
+          tenantId,
+          actor: createdBy,
+        });
+        return tenant.api.keys.at(-1);
+      });
+
+      logger.info(`API key ${keyId} created for tenant ${tenantId}`);
+      return { ...this.toView(key), key: formatApiKey(keyId, secret) };
+    } catch (error) {
+      logger.error(`Error creating API key for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Replaces the secret and keeps the key id, name and permissions; the old secret stops working
+  async rotate(tenantId, keyId, rotatedBy = null) {
+    try {
+      const secret = generateSecret();
+
+      const key = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const tenant = await this.getTenant(tenantId, session);
+        const apiKey = this.getKey(tenant, keyId);
+        if (apiKey.revokedAt) {
+          throw new AppError('API key is revoked', 409);
+        }
+
+        apiKey.hash = hashSecret(secret);
+        apiKey.rotatedAt = new Date();
+        await tenant.save({ session });
+
+        publish('api_key.rotated', this.toEventPayload(apiKey), { tenantId, actor: rotatedBy });
+        return apiKey;
+      });
+
+      logger.info(`API key ${keyId} rotated for tenant ${tenantId}`);
+      return { ...this.toView(key), key: formatApiKey(keyId, secret) };
+    } catch (error) {
+      logger.error(`Error rotating API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  // Revoked keys stay listed for auditing but can never be used or rotated again
+  async revoke(tenantId, keyId, revokedBy = null) {
+    try {
+      const key = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const tenant = await this.getTenant(tenantId, session);
+        const apiKey = this.getKey(tenant, keyId);
+        if (apiKey.revokedAt) {
+          throw new AppError('API key is already revoked', 409);
+        }
+
+        apiKey.isActive = false;
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = revokedBy ? String(revokedBy) : undefined;
+        await tenant.save({ session });
+
+        publish('api_key.revoked', this.toEventPayload(apiKey), { tenantId, actor: revokedBy });
+        return apiKey;
+      });
+
+      logger.info(`API key ${keyId} revoked for tenant ${tenantId}`);
+      return this.toView(key);
+    } catch (error) {
+      logger.error(`Error revoking API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  // Verifies a raw `X-API-Key` value and returns the principal requests made with it act as.
+  // Unknown keys and wrong secrets fail alike so the response does not reveal which key ids exist.
+  async authenticate(rawKey) {
+    const parsed = parseApiKey(rawKey);
+    const tenant =
+      parsed &&
+      (await Tenant.findOne({
+        'api.keys.keyId': parsed.keyId,
+        isDeleted: { $ne: true },
+      })
+        .select('tenantId api.enabled api.keys')
+        .lean());
+    const key = tenant?.api?.keys.find((candidate) => candidate.keyId === parsed.keyId);
+
+    if (!key || !verifySecret(parsed.secret, key.hash)) {
+      throw new AppError('Invalid API key', 401);
+    }
+    if (!key.isActive || key.revokedAt) {
+      throw new AppError('API key is revoked', 401);
+    }
+    if (key.expiresAt && key.expiresAt <= new Date()) {
+      throw new AppError('API key has expired', 401);
+    }
+    if (!tenant.api.enabled) {
+      throw new AppError('API access is disabled for this organization', 403);
+    }
+
+    this.touch(tenant.tenantId, key);
+    return this.toPrincipal(tenant.tenantId, key);
+  }
+
+  // Not awaited, a failed update must not fail the request
+  touch(tenantId, key, now = new Date()) {
+    if (key.lastUsedAt && now - key.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    Tenant.updateOne(
+      { tenantId, 'api.keys.keyId': key.keyId },
+      { $set: { 'api.keys.$.lastUsedAt': now } }
+    ).catch((error) => logger.error(`Error recording use of API key ${key.keyId}:`, error));
+  }
+
+  // Stands in for the User document on req.user: it has no roles, so role-based routes
+  // (tenant admin and above) stay closed, and only the key's permissions are granted
+  toPrincipal(tenantId, key) {
+    const keyPermissions = [...key.permissions];
+    const name = `api-key:${key.keyId}`;
+
+    return {
+      _id: name,
+      id: name,
+      email: name,
+      firstName: key.name,
+      role: API_KEY_ROLE,
+      tenantId,
+      permissions: keyPermissions,
+      isActive: true,
+      apiKeyId: key.keyId,
+      hasRole: () => false,
+      hasPermission: (permission) => keyPermissions.includes(permission),
+      getTenantRole: () => null,
+      hasTenantPermission: (requestTenantId, permission) =>
+        requestTenantId === tenantId && keyPermissions.includes(permission),
+      isAccountLocked: () => false,
+    };
+  }
+
+  async getTenant(tenantId, session = null) {
+    const tenant = await Tenant.findOne({ tenantId, isDeleted: { $ne: true } }).session(session);
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+    return tenant;
+  }
+
+  getKey(tenant, keyId) {
+    const key = tenant.api.keys.find((candidate) => candidate.keyId === keyId);
+    if (!key) {
+      throw new AppError('API key not found', 404);
+    }
+    return key;
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new AppError(`name is required and must be at most ${MAX_NAME_LENGTH} characters`, 400);
+    }
+  }
+
+  validatePermissions(keyPermissions) {
+    if (!Array.isArray(keyPermissions) || !keyPermissions.length) {
+      throw new AppError('permissions must be a non-empty array', 400);
+    }
+
+    const invalid = permissionRegistry.findUnknown(keyPermissions);
+    if (invalid.length) {
+      throw new AppError(`Unknown permissions: ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  parseExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null) {
+      return undefined;
+    }
+
+    const expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new AppError('expiresAt must be a date in the future', 400);
+    }
+    return expiry;
+  }
+
+  toEventPayload(key) {
+    return { keyId: key.keyId, name: key.name, permissions: [...key.permissions] };
+  }
+
+  toView(key) {
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      permissions: key.permissions,
+      isActive: key.isActive,
+      createdAt: key.createdAt,
+      createdBy: key.createdBy,
+      lastUsedAt: key.lastUsedAt,
+      expiresAt: key.expiresAt,
+      rotatedAt: key.rotatedAt,
+      revokedAt: key.revokedAt,
+    };
+  }
+}
+
+module.exports = Injectable(['EventBus'])(TenantApiKeyService);
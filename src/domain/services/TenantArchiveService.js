@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const mongoose = require('mongoose');
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const TenantArchive = require('../../tenant/models/TenantArchive');
+const User = require('../entities/User');
+const Role = require('../entities/Role');
+const Invitation = require('../entities/Invitation');
+const LocalArchiveStorage = require('../../tenant/archive/LocalArchiveStorage');
+const tenantResolver = require('../../tenant/resolver/TenantResolver');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const FORMAT_VERSION = 1;
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archived from the shared main collections whatever the tenant's isolation strategy
+const SHARED_MODELS = [Tenant, User, Role, Invitation];
+
+const createLineSplitter = () => {
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, _encoding, callback) {
+      const lines = (remainder + decoder.write(chunk)).split('\n');
+      remainder = lines.pop();
+      lines.filter(Boolean).forEach((line) => this.push(line));
+      callback();
+    },
+    flush(callback) {
+      const last = remainder + decoder.end();
+      if (last) {
+        this.push(last);
+      }
+      callback();
+    },
+  });
+};
+
+/**
+ * Archives a tenant's data before deletion and restores it on request.
+ *
+ * An archive is a set of objects under `<tenantId>/<archiveId>` on the storage backend: one
+ * gzipped NDJSON file per collection (Extended JSON, so ObjectIds and dates survive) and a
+ * `manifest.json` listing the files with their document counts and checksums. Archives are
+ * kept for `retentionDays` and purged from storage afterwards.
+ */
+class TenantArchiveService extends IService {
+  constructor(tenantDataLocator, tenantSchemaModelRegistry, tenantCache) {
+    super();
+    this.tenantDataLocator = tenantDataLocator;
+    this.tenantSchemaModelRegistry = tenantSchemaModelRegistry;
+    this.tenantCache = tenantCache;
+
+    const { directory, retentionDays } = getEnvironment().tenantArchive;
+    this.storage = new LocalArchiveStorage({ directory });
+    this.retentionDays = retentionDays;
+  }
+
+  // Swap in another backend (see shared/interfaces/IArchiveStorage)
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  async archiveTenant(tenantId, options = {}) {
+    try {
+      const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+      if (!tenant) {
+        throw new AppError('Tenant not found', 404);
+      }
+      return await this.archive(tenant, options);
+    } catch (error) {
+      logger.error(`Error archiving tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async archive(tenant, { reason = 'manual', requestedBy = null } = {}) {
+    const tenantInfo = tenantResolver.mapTenantToTenantInfo(tenant);
+    const { tenantId } = tenantInfo;
+    const archiveId = new mongoose.Types.ObjectId();
+    const prefix = `${tenantId}/${archiveId}`;
+
+    const archive = await TenantArchive.create({
+      _id: archiveId,
+      tenantId,
+      reason,
+      requestedBy,
+      isolationStrategy: tenantInfo.isolationStrategy,
+      storage: {
+        backend: this.storage.name,
+        prefix,
+        location: this.storage.describe(prefix),
+      },
+    });
+
+    try {
+      const sources = await this.getSources(tenantInfo);
+      const collections = await sources.reduce(async (previous, source) => {
+        const written = await previous;
+        return [...written, await this.writeCollection(prefix, source)];
+      }, Promise.resolve([]));
+
+      const completedAt = new Date();
+      const expiresAt = new Date(completedAt.getTime() + this.retentionDays * DAY_MS);
+
+      await this.writeManifest(prefix, {
+        formatVersion: FORMAT_VERSION,
+        archiveId: archiveId.toString(),
+        tenantId,
+        tenantName: tenantInfo.tenantName,
+        isolationStrategy: tenantInfo.isolationStrategy,
+        createdAt: completedAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        collections,
+      });
+
+      Object.assign(archive, { status: 'completed', collections, completedAt, expiresAt });
+      await archive.save();
+    } catch (error) {
+      archive.status = 'failed';
+      archive.error = error.message;
+      await archive.save().catch(() => {});
+      await this.storage.remove(prefix).catch(() => {});
+      throw error;
+    }
+
+    await this.recordOnTenant(archive);
+
+    logger.info(`Tenant ${tenantId} archived to ${archive.storage.location}`);
+    return archive;
+  }
+
+  async listArchives(tenantId) {
+    try {
+      return await TenantArchive.find({ tenantId }).sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error(`Error listing archives for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async getArchive(tenantId, archiveId) {
+    try {
+      if (!mongoose.isValidObjectId(archiveId)) {
+        throw new AppError('Archive not found', 404);
+      }
+
+      const archive = await TenantArchive.findOne({ _id: archiveId, tenantId });
+      if (!archive) {
+        throw new AppError('Archive not found', 404);
+      }
+      return archive;
+    } catch (error) {
+      logger.error(`Error getting archive ${archiveId}:`, error);
+      throw error;
+    }
+  }
+
+  // Every file is verified before anything is written; writes are upserts by _id, so an
+  // interrupted restore can simply be run again
+  async restore(tenantId, archiveId, restoredBy = null) {
+    try {
+      const archive = await this.getArchive(tenantId, archiveId);
+
+      if (archive.status !== 'completed') {
+        throw new AppError(`Archive is ${archive.status} and cannot be restored`, 409);
+      }
+      if (archive.storage.backend !== this.storage.name) {
+        throw new AppError(`Archive is stored on the ${archive.storage.backend} backend`, 409);
+      }
+
+      const existing = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+      if (existing && !existing.isDeleted) {
+        throw new AppError('Tenant must be deleted before it is restored from an archive', 409);
+      }
+
+      const { prefix } = archive.storage;
+      const manifest = await this.readManifest(prefix);
+      if (manifest.formatVersion !== FORMAT_VERSION || manifest.tenantId !== tenantId) {
+        throw new AppError('Archive manifest does not match this tenant', 422);
+      }
+
+      await manifest.collections.reduce(async (previous, entry) => {
+        await previous;
+        await this.readCollection(prefix, entry);
+      }, Promise.resolve());
+
+      // The tenant record goes first, its archived isolation settings decide where the rest goes
+      const tenantEntry = manifest.collections.find((entry) => entry.name === Tenant.modelName);
+      if (!tenantEntry) {
+        throw new AppError('Archive does not contain the tenant record', 422);
+      }
+      await this.restoreCollection(
+        prefix,
+        tenantEntry,
+        await this.getRestoreLocation({ tenantId }, Tenant)
+      );
+
+      const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+      const tenantInfo = tenantResolver.mapTenantToTenantInfo(tenant);
+      const entities = this.tenantSchemaModelRegistry.getEntities();
+
+      await manifest.collections
+        .filter((entry) => entry !== tenantEntry)
+        .reduce(async (previous, entry) => {
+          await previous;
+
+          const Model =
+            SHARED_MODELS.find((Shared) => Shared.modelName === entry.name) ||
+            entities.get(entry.name);
+          if (!Model) {
+            throw new AppError(`Unknown entity in archive: ${entry.name}`, 422);
+          }
+
+          const location = await this.getRestoreLocation(tenantInfo, Model);
+          await this.restoreCollection(prefix, entry, location);
+        }, Promise.resolve());
+
+      archive.restoredAt = new Date();
+      archive.restoredBy = restoredBy;
+      await archive.save();
+
+      await this.recordOnTenant(archive);
+      await this.tenantCache.invalidate(tenantId);
+
+      logger.info(`Tenant ${tenantId} restored from archive ${archiveId} by ${restoredBy}`);
+      return {
+        tenantId,
+        archiveId,
+        collections: manifest.collections.map(({ name, count }) => ({ name, count })),
+      };
+    } catch (error) {
+      logger.error(`Error restoring tenant ${tenantId} from archive ${archiveId}:`, error);
+      throw error;
+    }
+  }
+
+  async purgeExpired(now = new Date()) {
+    try {
+      const expired = await TenantArchive.find({ status: 'completed', expiresAt: { $lte: now } });
+
+      const purged = await expired.reduce(async (previous, archive) => {
+        const count = await previous;
+
+        if (archive.storage.backend !== this.storage.name) {
+          logger.warn(
+            `Archive ${archive._id} is stored on the ${archive.storage.backend} backend, not purged`
+          );
+          return count;
+        }
+
+        await this.storage.remove(archive.storage.prefix);
+        archive.status = 'purged';
+        archive.purgedAt = new Date();
+        await archive.save();
+
+        logger.info(`Purged expired archive ${archive._id} of tenant ${archive.tenantId}`);
+        return count + 1;
+      }, Promise.resolve(0));
+
+      return purged;
+    } catch (error) {
+      logger.error('Error purging expired tenant archives:', error);
+      throw error;
+    }
+  }
+
+  async getSources(tenantInfo) {
+    const shared = SHARED_MODELS.map((Model) => ({
+      name: Model.modelName,
+      location: this.tenantDataLocator.getSharedLocation(tenantInfo, Model),
+    }));
+
+    const scoped = await Promise.all(
+      this.tenantSchemaModelRegistry.getTenantScopedEntities().map(async (Model) => ({
+        name: Model.modelName,
+        location: await this.tenantDataLocator.getLocation(tenantInfo, Model),
+      }))
+    );
+
+    return [...shared, ...scoped];
+  }
+
+  async getRestoreLocation(tenantInfo, Model) {
+    return SHARED_MODELS.includes(Model)
+      ? this.tenantDataLocator.getSharedLocation(tenantInfo, Model)
+      : this.tenantDataLocator.getLocation(tenantInfo, Model);
+  }
+
+  async writeCollection(prefix, { name, location }) {
+    const file = `${name}.ndjson.gz`;
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+
+    const serialize = new Transform({
+      writableObjectMode: true,
+      transform: (doc, _encoding, callback) => {
+        const line = `${EJSON.stringify(doc, { relaxed: false })}\n`;
+        hash.update(line);
+        count += 1;
+        callback(null, line);
+      },
+    });
+
+    await pipeline(
+      location.collection.find(location.filter).sort({ _id: 1 }).stream(),
+      serialize,
+      zlib.createGzip(),
+      await this.storage.createWriteStream(`${prefix}/${file}`)
+    );
+
+    return { name, source: location.name, file, count, checksum: hash.digest('hex') };
+  }
+
+  async writeManifest(prefix, manifest) {
+    await pipeline(
+      Readable.from([JSON.stringify(manifest, null, 2)]),
+      await this.storage.createWriteStream(`${prefix}/manifest.json`)
+    );
+  }
+
+  async readManifest(prefix) {
+    const chunks = [];
+
+    await pipeline(
+      await this.storage.createReadStream(`${prefix}/manifest.json`),
+      new Writable({
+        write: (chunk, _encoding, callback) => {
+          chunks.push(chunk);
+          callback();
+        },
+      })
+    );
+
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  }
+
+  // Streams a collection file, handing documents to onBatch when given, and checks the
+  // count and checksum recorded in the manifest
+  async readCollection(prefix, entry, onBatch = null) {
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length > 0) {
+        const documents = batch;
+        batch = [];
+        await onBatch(documents);
+      }
+    };
+
+    const sink = new Writable({
+      objectMode: true,
+      write: (line, _encoding, callback) => {
+        hash.update(`${line}\n`);
+        count += 1;
+
+        if (!onBatch) {
+          callback();
+          return;
+        }
+
+        batch.push(EJSON.parse(line, { relaxed: false }));
+        if (batch.length >= BATCH_SIZE) {
+          flush().then(() => callback(), callback);
+        } else {
+          callback();
+        }
+      },
+      final: (callback) => {
+        flush().then(() => callback(), callback);
+      },
+    });
+
+    await pipeline(
+      await this.storage.createReadStream(`${prefix}/${entry.file}`),
+      zlib.createGunzip(),
+      createLineSplitter(),
+      sink
+    );
+
+    if (count !== entry.count || hash.digest('hex') !== entry.checksum) {
+      throw new AppError(`Archive file ${entry.file} is corrupt or incomplete`, 422);
+    }
+  }
+
+  async restoreCollection(prefix, entry, location) {
+    await this.readCollection(prefix, entry, (documents) =>
+      location.collection.bulkWrite(
+        documents.map((doc) => ({
+          replaceOne: {
+            filter: { ...location.filter, _id: doc._id },
+            replacement: doc,
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      )
+    );
+  }
+
+  async recordOnTenant(archive) {
+    await Tenant.updateOne(
+      { tenantId: archive.tenantId },
+      {
+        $set: {
+          archive: {
+            archiveId: archive._id,
+            location: archive.storage.location,
+            archivedAt: archive.completedAt,
+            expiresAt: archive.expiresAt,
+          },
+        },
+      }
+    );
+  }
+}
+
+module.exports = Injectable(['TenantDataLocator', 'TenantSchemaModelRegistry', 'TenantCache'])(
+  TenantArchiveService
+);
@@ -0,0 +1,323 @@
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const { getPlanRules } = require('../../tenant/lifecycle/planRules');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXTENSION_DAYS = 365;
+const TRIAL_EXPIRED_REASON = 'trial_expired';
+
+const SYSTEM_ACTOR = { userId: 'system', userRole: 'system' };
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Moves tenants through the trial lifecycle:
+ * trialing -> expired (grace period, still served) -> suspended.
+ *
+ * The sweep runs as the `tenants.lifecycle-sweep` job (see domain/jobs). Every transition is a
+ * conditional update on the state it leaves, so overlapping sweeps apply it once. Transitions
+ * are written to the tenant's audit log and the tenant's contacts are notified.
+ */
+class TenantLifecycleService extends IService {
+  constructor(tenantCache, emailService, eventBus) {
+    super();
+    this.tenantCache = tenantCache;
+    this.emailService = emailService;
+    this.eventBus = eventBus;
+
+    const { trialWarningDays, graceWarningDays } = getEnvironment().tenantLifecycle;
+    this.trialWarningDays = trialWarningDays;
+    this.graceWarningDays = graceWarningDays;
+  }
+
+  async sweep(now = new Date()) {
+    try {
+      const result = {
+        trialWarnings: await this.sendWarnings('trial', now),
+        expired: await this.expireTrials(now),
+        graceWarnings: await this.sendWarnings('grace', now),
+        suspended: await this.suspendAfterGracePeriod(now),
+      };
+
+      logger.debug(`Tenant lifecycle sweep: ${JSON.stringify(result)}`);
+      return result;
+    } catch (error) {
+      logger.error('Error running tenant lifecycle sweep:', error);
+      throw error;
+    }
+  }
+
+  async expireTrials(now = new Date()) {
+    const tenants = await Tenant.findExpiredTrials(now);
+
+    return this.transitionEach(tenants, async (tenant) => {
+      const { graceDays } = getPlanRules(tenant.subscription.plan);
+      const gracePeriodEndsAt = addDays(tenant.subscription.trialEndsAt, graceDays);
+
+      const updated = await this.updateAndPublish(
+        {
+          _id: tenant._id,
+          'subscription.status': 'trialing',
+          'subscription.trialEndsAt': { $lt: now },
+        },
+        {
+          $set: {
+            status: 'expired',
+            'subscription.status': 'unpaid',
+            'subscription.gracePeriodEndsAt': gracePeriodEndsAt,
+            'lifecycle.expiredAt': now,
+          },
+          $push: {
+            auditLog: this.auditEntry('lifecycle.trial_expired', now, {
+              trialEndsAt: tenant.subscription.trialEndsAt,
+              gracePeriodEndsAt,
+            }),
+          },
+        },
+        'tenant.trial_expired',
+        { gracePeriodEndsAt }
+      );
+
+      if (updated) {
+        await this.tenantCache.invalidate(updated.tenantId);
+        await this.notify(updated, (email) =>
+          this.emailService.sendTrialExpiredEmail(email, updated.tenantName, gracePeriodEndsAt)
+        );
+      }
+      return updated;
+    });
+  }
+
+  async suspendAfterGracePeriod(now = new Date()) {
+    const filter = {
+      status: 'expired',
+      'subscription.status': 'unpaid',
+      'subscription.gracePeriodEndsAt': { $lte: now },
+      isActive: true,
+    };
+    const tenants = await Tenant.find(filter);
+
+    return this.transitionEach(tenants, async (tenant) => {
+      const updated = await this.updateAndPublish(
+        { ...filter, _id: tenant._id },
+        {
+          $set: {
+            status: 'suspended',
+            isActive: false,
+            'metadata.suspensionReason': TRIAL_EXPIRED_REASON,
+            'lifecycle.suspendedAt': now,
+          },
+          $push: {
+            auditLog: this.auditEntry('lifecycle.suspended', now, {
+              reason: TRIAL_EXPIRED_REASON,
+              gracePeriodEndsAt: tenant.subscription.gracePeriodEndsAt,
+            }),
+          },
+        },
+        'tenant.suspended',
+        { reason: TRIAL_EXPIRED_REASON }
+      );
+
+      if (updated) {
+        await this.tenantCache.invalidate(updated.tenantId);
+        await this.notify(updated, (email) =>
+          this.emailService.sendTenantSuspendedEmail(email, updated.tenantName)
+        );
+      }
+      return updated;
+    });
+  }
+
+  // Sends the closest due warning before the trial (or grace period) ends. Warnings that were
+  // skipped, e.g. while no sweep ran, are marked as sent with it so they never arrive late.
+  async sendWarnings(kind, now = new Date()) {
+    const offsets = kind === 'trial' ? this.trialWarningDays : this.graceWarningDays;
+    if (!offsets.length) {
+      return 0;
+    }
+
+    const field = kind === 'trial' ? 'trialEndsAt' : 'gracePeriodEndsAt';
+    const tenants = await Tenant.find({
+      'subscription.status': kind === 'trial' ? 'trialing' : 'unpaid',
+      [`subscription.${field}`]: { $gt: now, $lte: addDays(now, Math.max(...offsets)) },
+      isActive: true,
+    });
+
+    return this.transitionEach(tenants, async (tenant) => {
+      const endsAt = tenant.subscription[field];
+      const due = offsets.filter((days) => addDays(now, days) >= endsAt);
+      const key = `${kind}:${Math.min(...due)}`;
+
+      const claimed = await Tenant.updateOne(
+        { _id: tenant._id, 'lifecycle.warningsSent': { $ne: key } },
+        { $addToSet: { 'lifecycle.warningsSent': { $each: due.map((days) => `${kind}:${days}`) } } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return null;
+      }
+
+      await this.notify(tenant, (email) =>
+        kind === 'trial'
+          ? this.emailService.sendTrialEndingEmail(email, tenant.tenantName, endsAt)
+          : this.emailService.sendSuspensionWarningEmail(email, tenant.tenantName, endsAt)
+      );
+      return tenant;
+    });
+  }
+
+  // Pushes the trial end back (by `days`, or to `until`) and undoes expiry or a
+  // trial-related suspension. Paying tenants are not in a trial and cannot be extended.
+  async extendTrial(tenantId, { days, until } = {}, performedBy = SYSTEM_ACTOR) {
+    try {
+      const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+      if (!tenant || tenant.isDeleted) {
+        throw new AppError('Tenant not found', 404);
+      }
+
+      const { subscription } = tenant;
+      const suspendedForTrial =
+        tenant.status === 'suspended' &&
+        tenant.metadata?.get('suspensionReason') === TRIAL_EXPIRED_REASON;
+
+      if (!['trialing', 'unpaid'].includes(subscription.status)) {
+        throw new AppError(`Subscription is ${subscription.status}, not in a trial`, 409);
+      }
+      if (tenant.status === 'suspended' && !suspendedForTrial) {
+        throw new AppError('Tenant is suspended for another reason', 409);
+      }
+
+      const now = new Date();
+      const trialEndsAt = this.getExtendedTrialEnd(subscription.trialEndsAt, { days, until }, now);
+      const reopen = tenant.status === 'expired' || suspendedForTrial;
+
+      const update = {
+        $set: {
+          'subscription.status': 'trialing',
+          'subscription.trialEndsAt': trialEndsAt,
+          'lifecycle.warningsSent': [],
+          ...(reopen && { status: 'active', isActive: true }),
+        },
+        $unset: {
+          'subscription.gracePeriodEndsAt': '',
+          ...(suspendedForTrial && { 'metadata.suspensionReason': '' }),
+        },
+        $push: {
+          auditLog: this.auditEntry(
+            'lifecycle.trial_extended',
+            now,
+            {
+              previousTrialEndsAt: subscription.trialEndsAt,
+              trialEndsAt,
+              previousStatus: tenant.status,
+            },
+            performedBy
+          ),
+        },
+      };
+
+      // Guard against a concurrent sweep changing the state that was checked above
+      const updated = await this.updateAndPublish(
+        { _id: tenant._id, status: tenant.status, 'subscription.status': subscription.status },
+        update,
+        'tenant.trial_extended',
+        { previousTrialEndsAt: subscription.trialEndsAt, trialEndsAt },
+        performedBy
+      );
+      if (!updated) {
+        throw new AppError('Tenant changed while the trial was being extended, please retry', 409);
+      }
+
+      await this.tenantCache.invalidate(tenantId);
+
+      logger.info(`Trial of tenant ${tenantId} extended to ${trialEndsAt.toISOString()}`);
+      return updated;
+    } catch (error) {
+      logger.error(`Error extending trial of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  getExtendedTrialEnd(currentEnd, { days, until }, now) {
+    if (until !== undefined) {
+      const date = new Date(until);
+      if (Number.isNaN(date.getTime()) || date <= now) {
+        throw new AppError('until must be a date in the future', 400);
+      }
+      if (date > addDays(now, MAX_EXTENSION_DAYS)) {
+        throw new AppError(`Trials can be extended by at most ${MAX_EXTENSION_DAYS} days`, 400);
+      }
+      return date;
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXTENSION_DAYS) {
+      throw new AppError(`days must be an integer between 1 and ${MAX_EXTENSION_DAYS}`, 400);
+    }
+
+    // Extending an expired trial counts from today, not from the old end
+    const from = currentEnd && currentEnd > now ? currentEnd : now;
+    return addDays(from, days);
+  }
+
+  // Conditional update of one tenant; the event is only written when the update applied
+  async updateAndPublish(filter, update, type, details, actor = SYSTEM_ACTOR) {
+    return this.eventBus.withTransaction(async ({ session, publish }) => {
+      const updated = await Tenant.findOneAndUpdate(filter, update, { new: true, session });
+      if (updated) {
+        publish(
+          type,
+          {
+            tenantId: updated.tenantId,
+            tenantName: updated.tenantName,
+            status: updated.status,
+            ...details,
+          },
+          { tenantId: updated.tenantId, actor }
+        );
+      }
+      return updated;
+    });
+  }
+
+  // Applies a transition to each tenant in turn; one failing tenant does not stop the sweep
+  async transitionEach(tenants, transition) {
+    return tenants.reduce(async (previous, tenant) => {
+      const count = await previous;
+      try {
+        const updated = await transition(tenant);
+        return updated ? count + 1 : count;
+      } catch (error) {
+        logger.error(`Lifecycle transition failed for tenant ${tenant.tenantId}:`, error);
+        return count;
+      }
+    }, Promise.resolve(0));
+  }
+
+  // Notification failures are logged, the transition itself has already been applied
+  async notify(tenant, send) {
+    const { primaryContact, billingContact } = tenant.contact || {};
+    const recipients = [...new Set([primaryContact?.email, billingContact?.email].filter(Boolean))];
+
+    if (!recipients.length) {
+      logger.warn(`Tenant ${tenant.tenantId} has no contact email, lifecycle notification skipped`);
+      return;
+    }
+
+    await Promise.all(
+      recipients.map((email) =>
+        send(email).catch((error) =>
+          logger.error(`Lifecycle notification to ${email} failed for ${tenant.tenantId}:`, error)
+        )
+      )
+    );
+  }
+
+  auditEntry(action, timestamp, details, performedBy = SYSTEM_ACTOR) {
+    return { action, performedBy, details, timestamp };
+  }
+}
+
+module.exports = Injectable(['TenantCache', 'EmailService', 'EventBus'])(TenantLifecycleService);
@@ -0,0 +1,522 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const TenantMigration = require('../../tenant/models/TenantMigration');
+const tenantResolver = require('../../tenant/resolver/TenantResolver');
+const logger = require('../../utils/logger');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BATCH_SIZE = 500;
+
+// A running migration whose worker has not reported progress for this long is treated as
+// abandoned (crashed instance) and may be resumed elsewhere
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Only row-level copies carry these, so they are left out of checksums
+const ROW_FIELDS = ['tenantId', 'tenantName'];
+
+const TARGET_FIELDS = ['connectionString', 'databaseName', 'schemaName'];
+
+const withoutRowFields = (doc) => {
+  const data = { ...doc };
+  ROW_FIELDS.forEach((field) => delete data[field]);
+  return data;
+};
+
+/**
+ * Moves a tenant's data between isolation strategies (row, schema, database).
+ *
+ * A migration copies every tenant-scoped collection in `_id` order, recording the last
+ * copied id after each batch so an interrupted run resumes where it stopped. Copies are then
+ * verified by document count and checksum before `database.isolationStrategy` is switched
+ * with a single conditional update. Source data is left in place for a manual cleanup.
+ */
+class TenantMigrationService extends IService {
+  constructor(tenantCache, tenantSchemaModelRegistry, tenantConnectionManager, tenantDataLocator) {
+    super();
+    this.tenantCache = tenantCache;
+    this.tenantSchemaModelRegistry = tenantSchemaModelRegistry;
+    this.tenantConnectionManager = tenantConnectionManager;
+    this.tenantDataLocator = tenantDataLocator;
+    this.batchSize = BATCH_SIZE;
+  }
+
+  // Dry run: what would be copied where, without writing anything
+  async plan(tenantId, options = {}) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const toStrategy = this.validateTargetStrategy(tenant, options.isolationStrategy);
+      const target = this.getTargetConfig(options);
+
+      const sourceInfo = tenantResolver.mapTenantToTenantInfo(tenant);
+      const targetInfo = this.getTargetTenantInfo(tenant, toStrategy, target);
+
+      const collections = await Promise.all(
+        this.tenantSchemaModelRegistry.getTenantScopedEntities().map(async (Model) => {
+          const source = await this.tenantDataLocator.getLocation(sourceInfo, Model);
+          const destination = await this.tenantDataLocator.getLocation(targetInfo, Model);
+          const [documents, existingTargetDocuments] = await Promise.all([
+            source.collection.countDocuments(source.filter),
+            destination.collection.countDocuments(destination.filter),
+          ]);
+
+          return {
+            entity: Model.modelName,
+            sourceCollection: source.name,
+            targetCollection: destination.name,
+            documents,
+            existingTargetDocuments,
+          };
+        })
+      );
+
+      const warnings = [];
+      if (collections.some((collection) => collection.existingTargetDocuments > 0)) {
+        warnings.push('Existing documents in the target collections will be replaced');
+      }
+      if (tenant.isActive && tenant.status === 'active') {
+        warnings.push(
+          'Tenant is active, writes made during the copy will fail verification and require a resume'
+        );
+      }
+
+      return {
+        tenantId,
+        fromStrategy: tenant.database.isolationStrategy,
+        toStrategy,
+        target: this.describeTarget(targetInfo, target),
+        collections,
+        totalDocuments: collections.reduce((total, collection) => total + collection.documents, 0),
+        warnings,
+      };
+    } catch (error) {
+      logger.error(`Error planning isolation migration for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async start(tenantId, options = {}) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const toStrategy = this.validateTargetStrategy(tenant, options.isolationStrategy);
+      const target = this.getTargetConfig(options);
+
+      const inProgress = await TenantMigration.exists({
+        tenantId,
+        status: { $in: ['pending', 'running'] },
+      });
+      if (inProgress) {
+        throw new AppError('A migration is already in progress for this tenant', 409);
+      }
+
+      const sourceInfo = tenantResolver.mapTenantToTenantInfo(tenant);
+      const targetInfo = this.getTargetTenantInfo(tenant, toStrategy, target);
+
+      const collections = await Promise.all(
+        this.tenantSchemaModelRegistry.getTenantScopedEntities().map(async (Model) => ({
+          entity: Model.modelName,
+          sourceCollection: (await this.tenantDataLocator.getLocation(sourceInfo, Model)).name,
+          targetCollection: (await this.tenantDataLocator.getLocation(targetInfo, Model)).name,
+        }))
+      );
+
+      const migration = await TenantMigration.create({
+        tenantId,
+        fromStrategy: tenant.database.isolationStrategy,
+        toStrategy,
+        target,
+        collections,
+      });
+
+      logger.info(
+        `Isolation migration ${migration._id} created for tenant ${tenantId}: ${migration.fromStrategy} -> ${toStrategy}`
+      );
+
+      return await this.launch(migration._id);
+    } catch (error) {
+      logger.error(`Error starting isolation migration for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async resume(tenantId, migrationId) {
+    try {
+      await this.getMigration(tenantId, migrationId);
+      return await this.launch(migrationId);
+    } catch (error) {
+      logger.error(`Error resuming isolation migration ${migrationId}:`, error);
+      throw error;
+    }
+  }
+
+  async getMigration(tenantId, migrationId) {
+    try {
+      if (!mongoose.isValidObjectId(migrationId)) {
+        throw new AppError('Migration not found', 404);
+      }
+
+      const migration = await TenantMigration.findOne({ _id: migrationId, tenantId });
+      if (!migration) {
+        throw new AppError('Migration not found', 404);
+      }
+      return migration;
+    } catch (error) {
+      logger.error(`Error getting isolation migration ${migrationId}:`, error);
+      throw error;
+    }
+  }
+
+  async listMigrations(tenantId) {
+    try {
+      return await TenantMigration.find({ tenantId }).sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error(`Error listing isolation migrations for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Claims the migration and runs it in the background, callers poll getMigration for progress
+  async launch(migrationId) {
+    const migration = await TenantMigration.findOneAndUpdate(
+      {
+        _id: migrationId,
+        $or: [
+          { status: { $in: ['pending', 'failed'] } },
+          { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+        ],
+      },
+      {
+        $set: { status: 'running', heartbeatAt: new Date(), error: null },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!migration) {
+      throw new AppError('Migration is already running or has completed', 409);
+    }
+
+    if (!migration.startedAt) {
+      migration.startedAt = new Date();
+    }
+
+    this.run(migration).catch((error) => {
+      logger.error(`Isolation migration ${migration._id} failed:`, error);
+    });
+
+    return migration;
+  }
+
+  async run(migration) {
+    try {
+      const tenant = await this.getTenant(migration.tenantId);
+      const sourceInfo = tenantResolver.mapTenantToTenantInfo(tenant);
+      const targetInfo = this.getTargetTenantInfo(tenant, migration.toStrategy, migration.target);
+
+      if (tenant.database.isolationStrategy !== migration.fromStrategy) {
+        throw new AppError(
+          `Tenant is no longer on the ${migration.fromStrategy} isolation strategy`,
+          409
+        );
+      }
+
+      if (migration.phase === 'copy') {
+        await this.copyCollections(migration, sourceInfo, targetInfo);
+        migration.phase = 'verify';
+        await this.saveProgress(migration);
+      }
+
+      if (migration.phase === 'verify') {
+        await this.verifyCollections(migration, sourceInfo, targetInfo);
+        migration.phase = 'switch';
+        await this.saveProgress(migration);
+      }
+
+      await this.switchStrategy(migration, sourceInfo);
+
+      migration.phase = 'done';
+      migration.status = 'completed';
+      migration.completedAt = new Date();
+      await this.saveProgress(migration);
+
+      logger.info(
+        `Isolation migration ${migration._id} completed, tenant ${migration.tenantId} now uses ${migration.toStrategy}`
+      );
+      return migration;
+    } catch (error) {
+      migration.status = 'failed';
+      migration.error = error.message;
+      await this.saveProgress(migration).catch((saveError) => {
+        logger.error(`Error saving failed migration ${migration._id}:`, saveError);
+      });
+      throw error;
+    }
+  }
+
+  // Collections are processed one after another so progress is saved in a stable order
+  async copyCollections(migration, sourceInfo, targetInfo) {
+    const entities = this.getEntityMap();
+    const remaining = migration.collections.filter(
+      (entry) => entry.status !== 'copied' && entry.status !== 'verified'
+    );
+
+    await remaining.reduce(async (previous, entry) => {
+      await previous;
+
+      const Model = this.getEntity(entities, entry.entity);
+      const source = await this.tenantDataLocator.getLocation(sourceInfo, Model);
+      const target = await this.tenantDataLocator.getLocation(targetInfo, Model);
+
+      // A fresh copy replaces whatever an earlier, discarded attempt left behind
+      if (entry.lastId === undefined || entry.lastId === null) {
+        await target.collection.deleteMany(target.filter);
+        entry.copied = 0;
+      }
+
+      entry.status = 'copying';
+      await this.copyBatches(migration, entry, source, target, targetInfo);
+
+      entry.status = 'copied';
+      await this.saveProgress(migration);
+    }, Promise.resolve());
+  }
+
+  async copyBatches(migration, entry, source, target, targetInfo) {
+    const filter =
+      entry.lastId === undefined || entry.lastId === null
+        ? source.filter
+        : { ...source.filter, _id: { $gt: entry.lastId } };
+
+    const batch = await source.collection
+      .find(filter)
+      .sort({ _id: 1 })
+      .limit(this.batchSize)
+      .toArray();
+
+    if (batch.length === 0) {
+      return;
+    }
+
+    const documents = target.stampTenant
+      ? batch.map((doc) => ({
+          ...doc,
+          tenantId: targetInfo.tenantId,
+          tenantName: targetInfo.tenantName,
+        }))
+      : batch;
+
+    // Upserts keep a resumed batch idempotent; the tenant filter makes an _id owned by
+    // another tenant fail on the unique index instead of being overwritten
+    await target.collection.bulkWrite(
+      documents.map((doc) => ({
+        replaceOne: {
+          filter: { ...target.filter, _id: doc._id },
+          replacement: doc,
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+
+    entry.lastId = batch[batch.length - 1]._id;
+    entry.copied += batch.length;
+    await this.saveProgress(migration);
+
+    await this.copyBatches(migration, entry, source, target, targetInfo);
+  }
+
+  async verifyCollections(migration, sourceInfo, targetInfo) {
+    const entities = this.getEntityMap();
+    const remaining = migration.collections.filter((entry) => entry.status !== 'verified');
+
+    await remaining.reduce(async (previous, entry) => {
+      await previous;
+
+      const Model = this.getEntity(entities, entry.entity);
+      const [source, target] = await Promise.all([
+        this.tenantDataLocator
+          .getLocation(sourceInfo, Model)
+          .then((location) => this.summarize(location)),
+        this.tenantDataLocator
+          .getLocation(targetInfo, Model)
+          .then((location) => this.summarize(location)),
+      ]);
+
+      entry.sourceCount = source.count;
+      entry.targetCount = target.count;
+      entry.sourceChecksum = source.checksum;
+      entry.targetChecksum = target.checksum;
+
+      if (source.count !== target.count || source.checksum !== target.checksum) {
+        // Start this collection over on the next resume
+        entry.status = 'pending';
+        entry.lastId = null;
+        entry.copied = 0;
+        migration.phase = 'copy';
+
+        throw new AppError(
+          `Verification failed for ${entry.entity}: ${source.count} source and ${target.count} target documents, checksums ${source.checksum === target.checksum ? 'match' : 'differ'}`,
+          409
+        );
+      }
+
+      entry.status = 'verified';
+      await this.saveProgress(migration);
+    }, Promise.resolve());
+  }
+
+  // Count and order-dependent hash over the documents in _id order
+  async summarize({ collection, filter }) {
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+
+    await collection
+      .find(filter)
+      .sort({ _id: 1 })
+      .batchSize(this.batchSize)
+      .forEach((doc) => {
+        hash.update(EJSON.stringify(withoutRowFields(doc), { relaxed: false }));
+        count += 1;
+      });
+
+    return { count, checksum: hash.digest('hex') };
+  }
+
+  // Conditional on the source strategy, so a concurrent change to the tenant aborts the switch
+  async switchStrategy(migration, sourceInfo) {
+    const update = { 'database.isolationStrategy': migration.toStrategy };
+    TARGET_FIELDS.forEach((field) => {
+      if (migration.target?.[field]) {
+        update[`database.${field}`] = migration.target[field];
+      }
+    });
+
+    const result = await Tenant.updateOne(
+      { tenantId: migration.tenantId, 'database.isolationStrategy': migration.fromStrategy },
+      { $set: update }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new AppError('Tenant isolation strategy changed during the migration', 409);
+    }
+
+    await this.tenantCache.invalidate(migration.tenantId);
+
+    // Drop handles to the old location so nothing keeps serving from it
+    if (migration.fromStrategy === 'database') {
+      await this.tenantConnectionManager.closeConnection(migration.tenantId);
+    }
+    if (migration.fromStrategy === 'schema') {
+      this.tenantSchemaModelRegistry.evictTenant(
+        this.tenantSchemaModelRegistry.getCollectionPrefix(sourceInfo)
+      );
+    }
+  }
+
+  getEntityMap() {
+    return new Map(
+      this.tenantSchemaModelRegistry
+        .getTenantScopedEntities()
+        .map((Model) => [Model.modelName, Model])
+    );
+  }
+
+  getEntity(entities, name) {
+    const Model = entities.get(name);
+    if (!Model) {
+      throw new AppError(`Unknown tenant entity in migration: ${name}`, 500);
+    }
+    return Model;
+  }
+
+  getTargetTenantInfo(tenant, toStrategy, target = {}) {
+    const record = tenant.toObject ? tenant.toObject() : tenant;
+    const database = { ...record.database, isolationStrategy: toStrategy };
+
+    TARGET_FIELDS.forEach((field) => {
+      if (target[field]) {
+        database[field] = target[field];
+      }
+    });
+
+    const targetInfo = tenantResolver.mapTenantToTenantInfo({ ...record, database });
+    if (target.connectionString) {
+      // Not on the tenant record until the switch, so TenantConnectionManager gets it here
+      targetInfo.databaseConfig.uri = target.connectionString;
+    }
+    return targetInfo;
+  }
+
+  getTargetConfig(options) {
+    const target = {};
+    TARGET_FIELDS.forEach((field) => {
+      if (options[field]) {
+        target[field] = String(options[field]);
+      }
+    });
+
+    if (target.schemaName) {
+      // Throws for names that cannot be used as a collection prefix
+      this.tenantSchemaModelRegistry.getCollectionPrefix({ tenantSchema: target.schemaName });
+    }
+
+    return target;
+  }
+
+  // Never echoes the connection string, it may carry credentials
+  describeTarget(targetInfo, target) {
+    const description = {
+      isolationStrategy: targetInfo.isolationStrategy,
+      customConnection: Boolean(target.connectionString),
+    };
+
+    if (targetInfo.isolationStrategy === 'database') {
+      description.databaseName = targetInfo.databaseConfig.dbName;
+    }
+    if (targetInfo.isolationStrategy === 'schema') {
+      description.collectionPrefix = this.tenantSchemaModelRegistry.getCollectionPrefix(targetInfo);
+    }
+
+    return description;
+  }
+
+  validateTargetStrategy(tenant, isolationStrategy) {
+    if (!TenantMigration.ISOLATION_STRATEGIES.includes(isolationStrategy)) {
+      throw new AppError(
+        `isolationStrategy must be one of: ${TenantMigration.ISOLATION_STRATEGIES.join(', ')}`,
+        400
+      );
+    }
+
+    if (tenant.database.isolationStrategy === isolationStrategy) {
+      throw new AppError(`Tenant already uses the ${isolationStrategy} isolation strategy`, 400);
+    }
+
+    return isolationStrategy;
+  }
+
+  async getTenant(tenantId) {
+    const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+    if (!tenant || tenant.isDeleted) {
+      throw new AppError('Tenant not found', 404);
+    }
+    return tenant;
+  }
+
+  async saveProgress(migration) {
+    migration.heartbeatAt = new Date();
+    migration.markModified('collections');
+    await migration.save();
+  }
+}
+
+module.exports = Injectable([
+  'TenantCache',
+  'TenantSchemaModelRegistry',
+  'TenantConnectionManager',
+  'TenantDataLocator',
+])(TenantMigrationService);
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const User = require('../entities/User');
+const tenantContext = require('../../tenant/context/TenantContext');
+const tenantResolver = require('../../tenant/resolver/TenantResolver');
+const { PROVISIONING_STEPS } = require('../../tenant/models/provisioningSchema');
+const logger = require('../../utils/logger');
+
+// A running pipeline that has not reported progress for this long is treated as abandoned
+// (crashed instance) and may be retried
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const SETUP_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_TENANT_FEATURES = ['users', 'members', 'reports'];
+
+const splitName = (name = '') => {
+  const [firstName, ...rest] = name.trim().split(/\s+/);
+  return { firstName: firstName || 'Admin', lastName: rest.join(' ') || 'User' };
+};
+
+// Tenants created without an explicit feature list get the core modules
+const seedDefaultFeatures = async ({ record }) => {
+  if (record.features && record.features.enabled.length === 0) {
+    record.features.enabled = DEFAULT_TENANT_FEATURES;
+  }
+};
+
+/**
+ * Step-by-step provisioning of a new Tenant or Organization record: connection, collections,
+ * indexes, default data and the first admin user.
+ *
+ * Progress is stored on the record (`provisioning`), every step is safe to run again, and a
+ * failed pipeline is retried from the first step that did not complete. A tenant stays
+ * `pending` until all steps have succeeded.
+ */
+class TenantProvisioningService extends IService {
+  constructor(tenantConnectionManager, tenantSchemaModelRegistry, tenantCache, emailService) {
+    super();
+    this.tenantConnectionManager = tenantConnectionManager;
+    this.tenantSchemaModelRegistry = tenantSchemaModelRegistry;
+    this.tenantCache = tenantCache;
+    this.emailService = emailService;
+    this.seeders = [seedDefaultFeatures];
+
+    this.steps = {
+      connection: (context) => this.createConnection(context),
+      collections: (context) => this.createCollections(context),
+      indexes: (context) => this.createIndexes(context),
+      seed: (context) => this.seedDefaults(context),
+      adminUser: (context) => this.createAdminUser(context),
+    };
+  }
+
+  // Seeders receive { record, tenantInfo, getModel } and must be idempotent
+  registerSeeder(seeder) {
+    this.seeders.push(seeder);
+  }
+
+  // Resets the provisioning state and starts the pipeline in the background
+  async start(record, { adminUser } = {}) {
+    record.provisioning = {
+      status: 'pending',
+      steps: PROVISIONING_STEPS.map((name) => ({ name })),
+      adminUser: this.getAdminUser(record, adminUser),
+    };
+    await record.save();
+
+    return this.launch(record);
+  }
+
+  async retry(record, { adminUser } = {}) {
+    const { provisioning } = record;
+
+    if (!provisioning?.status || provisioning.status === 'completed') {
+      throw new AppError('Provisioning has already completed', 409);
+    }
+
+    const update = {};
+    const adminStep = provisioning.steps.find((step) => step.name === 'adminUser');
+    if (adminUser && adminStep.status !== 'completed') {
+      update['provisioning.adminUser'] = this.getAdminUser(record, adminUser);
+    }
+
+    return this.launch(record, update);
+  }
+
+  getProgress(record) {
+    const { provisioning } = record;
+
+    // Records created before the pipeline existed carry no state
+    if (!provisioning?.status) {
+      return { status: 'completed', currentStep: null, steps: [] };
+    }
+
+    const current = provisioning.steps.find((step) => step.status !== 'completed');
+
+    return {
+      status: provisioning.status,
+      currentStep: current ? current.name : null,
+      steps: provisioning.steps.map((step) => ({
+        name: step.name,
+        status: step.status,
+        attempts: step.attempts,
+        error: step.error,
+        startedAt: step.startedAt,
+        completedAt: step.completedAt,
+      })),
+      adminEmail: provisioning.adminUser?.email,
+      startedAt: provisioning.startedAt,
+      completedAt: provisioning.completedAt,
+    };
+  }
+
+  // Claims the pipeline so two instances never run it at the same time
+  async launch(record, update = {}) {
+    const Model = record.constructor;
+    const claimed = await Model.findOneAndUpdate(
+      {
+        _id: record._id,
+        $or: [
+          { 'provisioning.status': { $in: ['pending', 'failed'] } },
+          {
+            'provisioning.status': 'running',
+            'provisioning.heartbeatAt': { $lt: new Date(Date.now() - STALE_AFTER_MS) },
+          },
+        ],
+      },
+      {
+        $set: {
+          ...update,
+          'provisioning.status': 'running',
+          'provisioning.heartbeatAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new AppError('Provisioning is already running or has completed', 409);
+    }
+
+    if (!claimed.provisioning.startedAt) {
+      claimed.provisioning.startedAt = new Date();
+    }
+
+    this.run(claimed).catch((error) => {
+      logger.error(`Provisioning failed for ${this.getTenantInfo(claimed).tenantId}:`, error);
+    });
+
+    return claimed;
+  }
+
+  async run(record) {
+    const { provisioning } = record;
+    const tenantInfo = this.getTenantInfo(record);
+    const context = {
+      record,
+      tenantInfo,
+      getModel: (Model) => this.getTenantModel(tenantInfo, Model),
+    };
+
+    try {
+      const remaining = provisioning.steps.filter((step) => step.status !== 'completed');
+
+      await remaining.reduce(async (previous, step) => {
+        await previous;
+
+        step.status = 'running';
+        step.attempts += 1;
+        step.startedAt = new Date();
+        step.error = undefined;
+        await this.saveProgress(record);
+
+        await this.steps[step.name](context);
+
+        step.status = 'completed';
+        step.completedAt = new Date();
+        await this.saveProgress(record);
+      }, Promise.resolve());
+    } catch (error) {
+      const failed = provisioning.steps.find((step) => step.status === 'running');
+      if (failed) {
+        failed.status = 'failed';
+        failed.error = error.message;
+      }
+      provisioning.status = 'failed';
+
+      await this.saveProgress(record).catch((saveError) => {
+        logger.error(`Error saving provisioning state for ${tenantInfo.tenantId}:`, saveError);
+      });
+      throw error;
+    }
+
+    provisioning.status = 'completed';
+    provisioning.completedAt = new Date();
+
+    // Tenants wait in `pending` until every step has succeeded
+    if (record.status === 'pending') {
+      record.status = 'active';
+      record.isActive = true;
+    }
+
+    await this.saveProgress(record);
+    await this.tenantCache.invalidate(tenantInfo.tenantId);
+
+    logger.info(`Provisioning completed for ${tenantInfo.tenantId}`);
+    return record;
+  }
+
+  // For the database strategy this opens the tenant's pooled connection
+  async createConnection({ tenantInfo }) {
+    if (tenantInfo.isolationStrategy === 'database') {
+      await this.tenantConnectionManager.getConnection(tenantInfo);
+      return;
+    }
+
+    this.tenantSchemaModelRegistry.getDatabase();
+  }
+
+  // There are no data migrations yet, a new tenant only needs its collections. Existing
+  // collections (shared ones for row isolation) are left alone
+  async createCollections({ tenantInfo }) {
+    const models = await this.getTenantModels(tenantInfo);
+    await Promise.all(models.map((Model) => Model.createCollection()));
+  }
+
+  async createIndexes({ tenantInfo }) {
+    const models = await this.getTenantModels(tenantInfo);
+    await Promise.all(models.map((Model) => Model.createIndexes()));
+  }
+
+  async seedDefaults(context) {
+    await this.seeders.reduce(async (previous, seeder) => {
+      await previous;
+      await seeder(context);
+    }, Promise.resolve());
+  }
+
+  // The admin chooses a password from the setup email. A retry re-sends the email, and an
+  // account that has already been used is left untouched
+  async createAdminUser({ record, tenantInfo }) {
+    const { adminUser } = record.provisioning;
+    const { tenantId, tenantName } = tenantInfo;
+
+    if (!adminUser?.email) {
+      throw new AppError('An admin user email is required to provision the tenant', 400);
+    }
+
+    await tenantContext.run(tenantInfo, async () => {
+      let user = await User.findOne({ email: adminUser.email, tenantId });
+
+      if (user && user.lastLoginAt) {
+        adminUser.userId = user._id;
+        return;
+      }
+
+      if (!user) {
+        user = new User({
+          firstName: adminUser.firstName,
+          lastName: adminUser.lastName,
+          email: adminUser.email,
+          password: crypto.randomBytes(32).toString('hex'),
+          role: 'tenant_admin',
+          tenantId,
+          tenantName,
+        });
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      user.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+      user.passwordResetExpires = new Date(Date.now() + SETUP_TOKEN_TTL_MS);
+      await user.save();
+
+      adminUser.userId = user._id;
+      await this.emailService.sendAccountSetupEmail(user.email, token, tenantId, tenantName);
+    });
+  }
+
+  // Defaults to the tenant's primary contact, or the chairman / primary email of an organization
+  getAdminUser(record, adminUser = {}) {
+    const contact = record.contact?.primaryContact || record.leadership?.chairman || {};
+    const email = adminUser.email || contact.email || record.contact?.email?.primary;
+    const name = splitName(contact.name);
+
+    return {
+      email: email ? String(email).toLowerCase() : undefined,
+      firstName: adminUser.firstName || name.firstName,
+      lastName: adminUser.lastName || name.lastName,
+    };
+  }
+
+  getTenantInfo(record) {
+    return record.constructor.modelName === 'Organization'
+      ? tenantResolver.mapOrganizationToTenantInfo(record)
+      : tenantResolver.mapTenantToTenantInfo(record);
+  }
+
+  getTenantModels(tenantInfo) {
+    return Promise.all(
+      this.tenantSchemaModelRegistry
+        .getTenantScopedEntities()
+        .map((Model) => this.getTenantModel(tenantInfo, Model))
+    );
+  }
+
+  async getTenantModel(tenantInfo, Model) {
+    if (tenantInfo.isolationStrategy === 'database') {
+      return this.tenantConnectionManager.getModel(tenantInfo, Model);
+    }
+
+    if (tenantInfo.isolationStrategy === 'schema') {
+      return this.tenantSchemaModelRegistry.getModel(tenantInfo, Model);
+    }
+
+    return Model;
+  }
+
+  async saveProgress(record) {
+    record.provisioning.heartbeatAt = new Date();
+    await record.save();
+  }
+}
+
+module.exports = Injectable([
+  'TenantConnectionManager',
+  'TenantSchemaModelRegistry',
+  'TenantCache',
+  'EmailService',
+])(TenantProvisioningService);
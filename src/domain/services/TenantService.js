@@ -2,12 +2,27 @@ const IService = require('../../shared/interfaces/IService');
 const { Injectable } = require('../../shared/container/ServiceContainer');
 const { AppError } = require('../../middleware/error.middleware');
 const Tenant = require('../../tenant/models/Tenant');
+const Organization = require('../entities/Organization');
+const tenantResolver = require('../../tenant/resolver/TenantResolver');
+const { getPlanRules } = require('../../tenant/lifecycle/planRules');
 const logger = require('../../utils/logger');
 
 class TenantService extends IService {
-  constructor(tenantRepository) {
+  constructor(
+    tenantRepository,
+    tenantCache,
+    tenantSchemaModelRegistry,
+    tenantProvisioningService,
+    tenantArchiveService,
+    eventBus
+  ) {
     super();
     this.tenantRepository = tenantRepository;
+    this.tenantCache = tenantCache;
+    this.tenantSchemaModelRegistry = tenantSchemaModelRegistry;
+    this.tenantProvisioningService = tenantProvisioningService;
+    this.tenantArchiveService = tenantArchiveService;
+    this.eventBus = eventBus;
   }
 
   async create(tenantData) {
@@ -19,27 +34,32 @@ class TenantService extends IService {
       await this.checkTenantUniqueness(tenantData.tenantId, tenantData.domain.subdomain);
 
       // Create tenant
+      const { trialDays } = getPlanRules(tenantData.subscription?.plan);
       const tenant = new Tenant({
         ...tenantData,
         status: 'pending',
         subscription: {
           ...tenantData.subscription,
           status: 'trialing',
-          trialEndsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days trial
+          trialEndsAt: new Date(Date.now() + trialDays * 24 * 60 * 60 * 1000),
         },
       });
 
-      const savedTenant = await tenant.save();
+      const savedTenant = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const saved = await tenant.save({ session });
+        this.publishTenantEvent(publish, 'tenant.created', saved);
+        return saved;
+      });
 
-      // Initialize tenant database if using database isolation
-      if (savedTenant.database.isolationStrategy === 'database') {
-        await this.initializeTenantDatabase(savedTenant);
-      }
+      // Provisioning continues in the background, the tenant stays pending until it completes
+      const provisioningTenant = await this.initializeTenantDatabase(savedTenant, {
+        adminUser: tenantData.adminUser,
+      });
 
       // Log tenant creation
       logger.info(`Tenant created successfully: ${savedTenant.tenantId}`);
 
-      return savedTenant;
+      return provisioningTenant;
     } catch (error) {
       logger.error('Error creating tenant:', error);
       throw error;
@@ -131,6 +151,7 @@ class TenantService extends IService {
       // Update tenant
       Object.assign(tenant, updateData);
       const updatedTenant = await tenant.save();
+      await this.tenantCache.invalidate(tenantId);
 
       logger.info(`Tenant updated successfully: ${tenantId}`);
       return updatedTenant;
@@ -144,11 +165,16 @@ class TenantService extends IService {
     try {
       const tenant = await this.getById(tenantId);
 
-      // Soft delete
-      await tenant.softDelete();
+      // Archive first, a tenant is only deleted once its data is recoverable
+      await this.archiveTenantData(tenant, { reason: 'deletion' });
 
-      // Archive tenant data if needed
-      await this.archiveTenantData(tenant);
+      // Soft delete
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        tenant.$session(session);
+        await tenant.softDelete();
+        this.publishTenantEvent(publish, 'tenant.deleted', tenant);
+      });
+      await this.tenantCache.invalidate(tenantId);
 
       logger.info(`Tenant deleted successfully: ${tenantId}`);
       return { success: true, message: 'Tenant deleted successfully' };
@@ -161,7 +187,17 @@ class TenantService extends IService {
   async activate(tenantId) {
     try {
       const tenant = await this.getById(tenantId);
-      await tenant.activate();
+
+      if (tenant.provisioning?.status && tenant.provisioning.status !== 'completed') {
+        throw new AppError('Tenant provisioning has not completed', 409);
+      }
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        tenant.$session(session);
+        await tenant.activate();
+        this.publishTenantEvent(publish, 'tenant.activated', tenant);
+      });
+      await this.tenantCache.invalidate(tenantId);
       
       logger.info(`Tenant activated: ${tenantId}`);
       return tenant;
@@ -174,7 +210,12 @@ class TenantService extends IService {
   async suspend(tenantId, reason) {
     try {
       const tenant = await this.getById(tenantId);
-      await tenant.suspend(reason);
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        tenant.$session(session);
+        await tenant.suspend(reason);
+        this.publishTenantEvent(publish, 'tenant.suspended', tenant, { reason });
+      });
+      await this.tenantCache.invalidate(tenantId);
       
       logger.info(`Tenant suspended: ${tenantId}, reason: ${reason}`);
       return tenant;
@@ -187,7 +228,13 @@ class TenantService extends IService {
   async upgradeSubscription(tenantId, newPlan) {
     try {
       const tenant = await this.getById(tenantId);
-      await tenant.upgradeSubscription(newPlan);
+      const previousPlan = tenant.subscription.plan;
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        tenant.$session(session);
+        await tenant.upgradeSubscription(newPlan);
+        this.publishTenantEvent(publish, 'tenant.subscription_changed', tenant, { previousPlan });
+      });
+      await this.tenantCache.invalidate(tenantId);
       
       logger.info(`Tenant subscription upgraded: ${tenantId} to ${newPlan}`);
       return tenant;
@@ -235,6 +282,105 @@ class TenantService extends IService {
     }
   }
 
+  // User accounts count against `limits.maxUsers` of a tenant, or `limits.maxAdmins` of an
+  // organization, whose accounts are its admins (see TenantResolver). A max of -1 is unlimited.
+  async getUserCapacity(tenantId) {
+    try {
+      const tenant = await Tenant.findByTenantId(tenantId);
+      if (tenant) {
+        return { current: tenant.usage.currentUsers, max: tenant.limits.maxUsers };
+      }
+
+      const organization = await Organization.findByOrganizationId(tenantId);
+      if (!organization) {
+        throw new AppError('Tenant not found', 404);
+      }
+      return { current: organization.usage.currentAdmins, max: organization.limits.maxAdmins };
+    } catch (error) {
+      logger.error(`Error getting user capacity of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Counts user accounts where getUserCapacity reads them
+  async updateUserUsage(tenantId, increment = 1) {
+    if (await Tenant.exists({ tenantId })) {
+      return this.updateUsage(tenantId, 'users', increment);
+    }
+
+    const organization = await Organization.findByOrganizationId(tenantId);
+    if (!organization) {
+      throw new AppError('Tenant not found', 404);
+    }
+    return organization.updateUsage('admins', increment);
+  }
+
+  async listSchemaCollections(tenantId) {
+    try {
+      const tenant = await this.getAnyStatusById(tenantId);
+      const collections = await this.tenantSchemaModelRegistry.listTenantCollections(
+        tenantResolver.mapTenantToTenantInfo(tenant)
+      );
+
+      return { tenantId, isolationStrategy: tenant.database.isolationStrategy, collections };
+    } catch (error) {
+      logger.error(`Error listing schema collections for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async dropSchemaCollections(tenantId) {
+    try {
+      const tenant = await this.getAnyStatusById(tenantId);
+
+      // Dropping live data must be a deliberate step after the tenant is taken offline
+      if (tenant.isActive && !tenant.isDeleted) {
+        throw new AppError('Tenant must be suspended or deleted before its collections are dropped', 409);
+      }
+
+      const collections = await this.tenantSchemaModelRegistry.dropTenantCollections(
+        tenantResolver.mapTenantToTenantInfo(tenant)
+      );
+
+      logger.info(`Schema collections dropped for tenant ${tenantId}: ${collections.join(', ')}`);
+      return { tenantId, dropped: collections };
+    } catch (error) {
+      logger.error(`Error dropping schema collections for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async getProvisioningStatus(tenantId) {
+    try {
+      const tenant = await this.getAnyStatusById(tenantId);
+      return {
+        tenantId,
+        tenantStatus: tenant.status,
+        ...this.tenantProvisioningService.getProgress(tenant),
+      };
+    } catch (error) {
+      logger.error(`Error getting provisioning status for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async retryProvisioning(tenantId, options = {}) {
+    try {
+      const tenant = await this.getAnyStatusById(tenantId);
+      const retried = await this.tenantProvisioningService.retry(tenant, options);
+
+      logger.info(`Provisioning retried for tenant ${tenantId}`);
+      return {
+        tenantId,
+        tenantStatus: retried.status,
+        ...this.tenantProvisioningService.getProgress(retried),
+      };
+    } catch (error) {
+      logger.error(`Error retrying provisioning for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
   async getExpiredTrials() {
     try {
       return await Tenant.findExpiredTrials();
@@ -316,6 +462,15 @@ class TenantService extends IService {
     return this.validate(data);
   }
 
+  // Unlike getById this also finds suspended and soft-deleted tenants
+  async getAnyStatusById(tenantId) {
+    const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+    return tenant;
+  }
+
   async checkTenantUniqueness(tenantId, subdomain = null) {
     const existingTenant = await Tenant.findOne({
       $or: [
@@ -346,36 +501,38 @@ class TenantService extends IService {
     }
   }
 
-  async initializeTenantDatabase(tenant) {
+  async initializeTenantDatabase(tenant, options = {}) {
     try {
-      // This method would initialize the tenant-specific database
-      // For now, we'll just log the action
       logger.info(`Initializing database for tenant: ${tenant.tenantId}`);
-      
-      // In a real implementation, you would:
-      // 1. Create the database connection
-      // 2. Run migrations
-      // 3. Seed initial data
-      // 4. Create indexes
-      
-      return true;
+
+      // Connection, collections, indexes, default data and the first admin user
+      return await this.tenantProvisioningService.start(tenant, options);
     } catch (error) {
       logger.error(`Error initializing database for tenant ${tenant.tenantId}:`, error);
       throw error;
     }
   }
 
-  async archiveTenantData(tenant) {
+  // Tenant events are scoped to the tenant itself, these routes run without a tenant context
+  publishTenantEvent(publish, type, tenant, details = {}) {
+    publish(
+      type,
+      {
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+        status: tenant.status,
+        plan: tenant.subscription?.plan,
+        ...details,
+      },
+      { tenantId: tenant.tenantId }
+    );
+  }
+
+  async archiveTenantData(tenant, options = {}) {
     try {
-      // This method would archive tenant data before deletion
       logger.info(`Archiving data for tenant: ${tenant.tenantId}`);
-      
-      // In a real implementation, you would:
-      // 1. Export tenant data
-      // 2. Store in archive location
-      // 3. Clean up tenant database
-      
-      return true;
+
+      return await this.tenantArchiveService.archive(tenant, options);
     } catch (error) {
       logger.error(`Error archiving data for tenant ${tenant.tenantId}:`, error);
       throw error;
@@ -383,4 +540,11 @@ class TenantService extends IService {
   }
 }
 
-module.exports = Injectable(['TenantRepository'])(TenantService);
\ No newline at end of file
+module.exports = Injectable([
+  'TenantRepository',
+  'TenantCache',
+  'TenantSchemaModelRegistry',
+  'TenantProvisioningService',
+  'TenantArchiveService',
+  'EventBus',
+])(TenantService);
\ No newline at end of file
@@ -0,0 +1,620 @@
+const os = require('os');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IService = require('../../shared/interfaces/IService');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const WebhookDelivery = require('../../tenant/models/WebhookDelivery');
+const { matchesEventType, isEventPattern } = require('../../infrastructure/events/eventPattern');
+const { getEnvironment } = require('../../config/environment');
+const { isPublicIp } = require('../../utils/ipAddress');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 100;
+const DUPLICATE_KEY = 11000;
+const USER_AGENT = 'CloudMemberHub-Webhooks/1.0';
+
+/**
+ * Outbound webhooks configured on `Tenant.api.webhooks`.
+ *
+ * The `webhooks` event subscriber (see domain/events) records a delivery for every active
+ * webhook whose `events` match a tenant event and sends it right away. Failed deliveries are
+ * retried with exponential backoff by the `webhooks.retry-deliveries` job until they succeed
+ * or run out of attempts. A webhook is disabled after `disableAfterFailures` consecutive
+ * failed attempts.
+ *
+ * Requests carry the headers `X-Webhook-Id` (delivery), `X-Webhook-Event`,
+ * `X-Webhook-Timestamp` (unix seconds) and `X-Webhook-Signature`: `sha256=` followed by the
+ * hex HMAC-SHA256 of `<timestamp>.<body>` with the webhook secret.
+ *
+ * Webhook URLs must resolve to public addresses only, so tenants cannot make the platform call
+ * services on its own network. The host is checked when a URL is saved and resolved again for
+ * every attempt; the request then connects to the addresses that passed the check instead of
+ * looking the name up a second time.
+ */
+class WebhookService extends IService {
+  constructor(eventBus) {
+    super();
+    this.eventBus = eventBus;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const {
+      timeoutMs,
+      maxAttempts,
+      backoffMs,
+      disableAfterFailures,
+      retentionDays,
+      allowHttp,
+      allowPrivateNetworks,
+    } = getEnvironment().webhooks;
+    this.timeoutMs = timeoutMs;
+    this.leaseMs = timeoutMs * 3;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.disableAfterFailures = disableAfterFailures;
+    this.retentionDays = retentionDays;
+    this.allowHttp = allowHttp;
+    this.allowPrivateNetworks = allowPrivateNetworks;
+  }
+
+  async list(tenantId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      return tenant.api.webhooks.map((webhook) => this.toView(webhook));
+    } catch (error) {
+      logger.error(`Error listing webhooks of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async get(tenantId, webhookId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      return this.toView(this.getWebhook(tenant, webhookId));
+    } catch (error) {
+      logger.error(`Error getting webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  // The secret is only returned here and by rotateSecret
+  async create(tenantId, { url, events, description } = {}) {
+    try {
+      this.validateEvents(events);
+      await this.validateUrl(url);
+
+      const tenant = await this.getTenant(tenantId);
+      const secret = this.generateSecret();
+      tenant.api.webhooks.push({ url, events, description, secret });
+      await tenant.save();
+
+      const webhook = tenant.api.webhooks[tenant.api.webhooks.length - 1];
+      logger.info(`Webhook ${webhook.id} created for tenant ${tenantId}`);
+      return { ...this.toView(webhook), secret };
+    } catch (error) {
+      logger.error(`Error creating webhook for tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Re-enabling a webhook clears its failure count
+  async update(tenantId, webhookId, { url, events, description, isActive } = {}) {
+    try {
+      if (events !== undefined) this.validateEvents(events);
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        throw new AppError('isActive must be a boolean', 400);
+      }
+      if (url !== undefined) await this.validateUrl(url);
+
+      const tenant = await this.getTenant(tenantId);
+      const webhook = this.getWebhook(tenant, webhookId);
+
+      if (url !== undefined) webhook.url = url;
+      if (events !== undefined) webhook.events = events;
+      if (description !== undefined) webhook.description = description;
+      if (isActive === true && !webhook.isActive) {
+        webhook.failureCount = 0;
+        webhook.disabledAt = undefined;
+        webhook.disabledReason = undefined;
+      }
+      if (isActive !== undefined) webhook.isActive = isActive;
+
+      await tenant.save();
+
+      logger.info(`Webhook ${webhookId} updated for tenant ${tenantId}`);
+      return this.toView(webhook);
+    } catch (error) {
+      logger.error(`Error updating webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  // Pending deliveries of a deleted webhook fail on their next attempt
+  async delete(tenantId, webhookId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      this.getWebhook(tenant, webhookId).deleteOne();
+      await tenant.save();
+
+      logger.info(`Webhook ${webhookId} deleted for tenant ${tenantId}`);
+      return { success: true, message: 'Webhook deleted successfully' };
+    } catch (error) {
+      logger.error(`Error deleting webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  async rotateSecret(tenantId, webhookId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const webhook = this.getWebhook(tenant, webhookId);
+      const secret = this.generateSecret();
+
+      webhook.secret = secret;
+      await tenant.save();
+
+      logger.info(`Secret of webhook ${webhookId} rotated for tenant ${tenantId}`);
+      return { ...this.toView(webhook), secret };
+    } catch (error) {
+      logger.error(`Error rotating secret of webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  async listDeliveries(tenantId, webhookId, { status, page = 1, limit = 20 } = {}) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const webhook = this.getWebhook(tenant, webhookId);
+
+      const query = { tenantId, webhookId: webhook._id };
+      if (status) query.status = status;
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query)
+          .select('-body -lockedBy -lockedUntil -attempts.responseBody')
+          .sort({ createdAt: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        WebhookDelivery.countDocuments(query),
+      ]);
+
+      return {
+        deliveries,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error listing deliveries of webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  async getDelivery(tenantId, webhookId, deliveryId) {
+    try {
+      const validIds = mongoose.isValidObjectId(deliveryId) && mongoose.isValidObjectId(webhookId);
+      const delivery = validIds
+        ? await WebhookDelivery.findOne({ _id: deliveryId, tenantId, webhookId }).select(
+            '-lockedBy -lockedUntil -attempts.responseBody'
+          )
+        : null;
+
+      if (!delivery) {
+        throw new AppError('Webhook delivery not found', 404);
+      }
+      return delivery;
+    } catch (error) {
+      logger.error(`Error getting webhook delivery ${deliveryId}:`, error);
+      throw error;
+    }
+  }
+
+  // Sends the body of an earlier delivery again as a new delivery, with the current URL and secret
+  async replay(tenantId, webhookId, deliveryId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const webhook = this.getWebhook(tenant, webhookId);
+      if (!webhook.isActive) {
+        throw new AppError('Webhook is disabled, enable it before replaying deliveries', 409);
+      }
+
+      const original = await this.getDelivery(tenantId, webhookId, deliveryId);
+      const delivery = await this.createDelivery(webhook, tenantId, {
+        eventType: original.eventType,
+        body: original.body,
+        replayOf: original._id,
+      });
+
+      await this.attempt(delivery);
+
+      logger.info(`Webhook delivery ${deliveryId} replayed as ${delivery._id}`);
+      return this.getDelivery(tenantId, webhookId, delivery._id);
+    } catch (error) {
+      logger.error(`Error replaying webhook delivery ${deliveryId}:`, error);
+      throw error;
+    }
+  }
+
+  // Event subscriber, see domain/events. Deliveries are recorded before they are sent, so a
+  // failure here leaves them to the retry job rather than failing the event.
+  async handleEvent(event) {
+    if (!event.tenantId) {
+      return 0;
+    }
+
+    const tenant = await Tenant.findOne({
+      tenantId: event.tenantId,
+      isDeleted: { $ne: true },
+    }).select('tenantId api.webhooks');
+
+    const webhooks = (tenant?.api?.webhooks || []).filter(
+      (webhook) =>
+        webhook.isActive && webhook.events.some((pattern) => matchesEventType(pattern, event.type))
+    );
+    if (!webhooks.length) {
+      return 0;
+    }
+
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      tenantId: event.tenantId,
+      occurredAt: event.occurredAt,
+      data: event.payload,
+    });
+
+    const deliveries = await Promise.all(
+      webhooks.map((webhook) =>
+        this.createDelivery(webhook, event.tenantId, {
+          eventId: event.id,
+          eventType: event.type,
+          body,
+        })
+      )
+    );
+
+    const created = deliveries.filter(Boolean);
+    await Promise.all(
+      created.map((delivery) =>
+        this.attempt(delivery).catch((error) =>
+          logger.error(`Webhook delivery ${delivery._id} could not be attempted:`, error)
+        )
+      )
+    );
+    return created.length;
+  }
+
+  // Runs as the `webhooks.retry-deliveries` job
+  async retryDue(now = new Date(), remaining = RETRY_BATCH_SIZE) {
+    if (remaining === 0) {
+      return 0;
+    }
+
+    const delivery = await this.claim(now);
+    if (!delivery) {
+      return 0;
+    }
+
+    await this.attempt(delivery);
+    return 1 + (await this.retryDue(now, remaining - 1));
+  }
+
+  // New deliveries are leased to this instance, the retry job only takes them over when the
+  // first attempt never finished. Returns null when the event was already delivered to it.
+  async createDelivery(webhook, tenantId, { eventId, eventType, body, replayOf }) {
+    try {
+      return await WebhookDelivery.create({
+        tenantId,
+        webhookId: webhook._id,
+        eventId,
+        eventType,
+        url: webhook.url,
+        body,
+        replayOf,
+        lockedBy: this.workerId,
+        lockedUntil: new Date(Date.now() + this.leaseMs),
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY && eventId) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async claim(now) {
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lt: now } }],
+      },
+      { $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Sends a leased delivery once and records the outcome; returns true when it succeeded
+  async attempt(delivery) {
+    const tenant = await Tenant.findOne({
+      tenantId: delivery.tenantId,
+      isDeleted: { $ne: true },
+    }).select('tenantId api.webhooks');
+    const webhook = tenant?.api?.webhooks.id(delivery.webhookId);
+
+    if (!webhook || !webhook.isActive) {
+      await this.recordAttempt(delivery, 'failed', {
+        attemptedAt: new Date(),
+        error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+      });
+      return false;
+    }
+
+    const result = await this.send(webhook, delivery);
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+
+    if (succeeded) {
+      await this.recordAttempt(delivery, 'succeeded', result, webhook.url);
+      await Tenant.updateOne(
+        { tenantId: delivery.tenantId, 'api.webhooks._id': webhook._id },
+        {
+          $set: {
+            'api.webhooks.$.failureCount': 0,
+            'api.webhooks.$.lastDeliveryAt': result.attemptedAt,
+          },
+        }
+      );
+      return true;
+    }
+
+    const attempts = delivery.attempts.length + 1;
+    if (attempts >= this.maxAttempts) {
+      await this.recordAttempt(delivery, 'failed', result, webhook.url);
+    } else {
+      await this.recordAttempt(delivery, 'pending', result, webhook.url, {
+        nextAttemptAt: new Date(Date.now() + this.getBackoff(attempts)),
+      });
+    }
+
+    await this.recordWebhookFailure(delivery.tenantId, webhook, result.attemptedAt);
+    return false;
+  }
+
+  async send(webhook, delivery) {
+    const attemptedAt = new Date();
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000).toString();
+
+    try {
+      const url = new URL(webhook.url);
+      const addresses = await this.validateHost(url);
+
+      const statusCode = await this.post(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(delivery.body),
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.body)}`,
+        },
+        body: delivery.body,
+        addresses,
+      });
+
+      return {
+        attemptedAt,
+        statusCode,
+        durationMs: Date.now() - attemptedAt.getTime(),
+      };
+    } catch (error) {
+      return {
+        attemptedAt,
+        durationMs: Date.now() - attemptedAt.getTime(),
+        error: error.name === 'AbortError' ? `Timed out after ${this.timeoutMs}ms` : error.message,
+      };
+    }
+  }
+
+  // Resolves with the response status. Redirects are not followed (they count as a failure, the
+  // signed request is not re-sent elsewhere) and the response body is discarded. With
+  // `addresses` the connection goes to one of them, whatever the name resolves to by now.
+  post(url, { headers, body, addresses }) {
+    const transport = url.protocol === 'https:' ? https : http;
+    const lookup = addresses
+      ? (hostname, options, callback) => {
+          if (options.all) {
+            callback(null, addresses);
+          } else {
+            callback(null, addresses[0].address, addresses[0].family);
+          }
+        }
+      : undefined;
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        method: 'POST',
+        headers,
+        lookup,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      };
+      const request = transport.request(url, options, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async recordAttempt(delivery, status, attempt, url = delivery.url, update = {}) {
+    const done = status !== 'pending';
+    const completedAt = new Date();
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id, lockedBy: this.workerId },
+      {
+        $push: { attempts: attempt },
+        $set: {
+          ...update,
+          status,
+          url,
+          ...(attempt.statusCode && { lastStatusCode: attempt.statusCode }),
+          ...(done && {
+            completedAt,
+            expiresAt: new Date(completedAt.getTime() + this.retentionDays * DAY_MS),
+          }),
+        },
+        $unset: { lockedBy: '', lockedUntil: '' },
+      }
+    );
+  }
+
+  async recordWebhookFailure(tenantId, webhook, failedAt) {
+    const tenant = await Tenant.findOneAndUpdate(
+      { tenantId, 'api.webhooks._id': webhook._id },
+      {
+        $inc: { 'api.webhooks.$.failureCount': 1 },
+        $set: { 'api.webhooks.$.lastFailureAt': failedAt },
+      },
+      { new: true }
+    ).select('api.webhooks');
+
+    const updated = tenant?.api?.webhooks.id(webhook._id);
+    if (!updated?.isActive || updated.failureCount < this.disableAfterFailures) {
+      return;
+    }
+
+    const reason = `Disabled after ${updated.failureCount} consecutive failed delivery attempts`;
+    await this.eventBus.withTransaction(async ({ session, publish }) => {
+      const disabled = await Tenant.updateOne(
+        { tenantId, 'api.webhooks': { $elemMatch: { _id: webhook._id, isActive: true } } },
+        {
+          $set: {
+            'api.webhooks.$.isActive': false,
+            'api.webhooks.$.disabledAt': failedAt,
+            'api.webhooks.$.disabledReason': reason,
+          },
+        },
+        { session }
+      );
+
+      if (disabled.modifiedCount > 0) {
+        publish(
+          'webhook.disabled',
+          { webhookId: webhook.id, url: webhook.url, reason },
+          { tenantId }
+        );
+      }
+    });
+
+    logger.warn(`Webhook ${webhook.id} of tenant ${tenantId} disabled: ${reason}`);
+  }
+
+  getBackoff(attempts) {
+    return Math.min(this.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  async getTenant(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId, isDeleted: { $ne: true } });
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+    return tenant;
+  }
+
+  getWebhook(tenant, webhookId) {
+    const webhook = mongoose.isValidObjectId(webhookId) && tenant.api.webhooks.id(webhookId);
+    if (!webhook) {
+      throw new AppError('Webhook not found', 404);
+    }
+    return webhook;
+  }
+
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new AppError('url must be a valid URL', 400);
+    }
+
+    const protocols = this.allowHttp ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(parsed.protocol)) {
+      throw new AppError(`url must use ${this.allowHttp ? 'http or https' : 'https'}`, 400);
+    }
+
+    await this.validateHost(parsed);
+  }
+
+  // Every address the host resolves to must be public, a single private one is enough to
+  // reach an internal service. Returns the checked addresses, or null when private networks
+  // are allowed and nothing was checked.
+  async validateHost({ hostname }) {
+    if (this.allowPrivateNetworks) {
+      return null;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    } catch (error) {
+      throw new AppError(`url host ${hostname} could not be resolved`, 400);
+    }
+
+    if (addresses.some(({ address }) => !isPublicIp(address))) {
+      throw new AppError(`url host ${hostname} resolves to a non-public address`, 400);
+    }
+
+    return addresses;
+  }
+
+  validateEvents(events) {
+    if (!Array.isArray(events) || !events.length) {
+      throw new AppError('events must be a non-empty array', 400);
+    }
+
+    const invalid = events.filter((pattern) => !isEventPattern(pattern));
+    if (invalid.length) {
+      throw new AppError(`Invalid event types: ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  toView(webhook) {
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      description: webhook.description,
+      events: webhook.events,
+      isActive: webhook.isActive,
+      failureCount: webhook.failureCount,
+      lastDeliveryAt: webhook.lastDeliveryAt,
+      lastFailureAt: webhook.lastFailureAt,
+      disabledAt: webhook.disabledAt,
+      disabledReason: webhook.disabledReason,
+      createdAt: webhook.createdAt,
+    };
+  }
+}
+
+module.exports = Injectable(['EventBus'])(WebhookService);
@@ -2,36 +2,92 @@ const { container } = require('../../shared/container/ServiceContainer');
 
 // Infrastructure services
 const TenantAwareRepository = require('../database/TenantAwareRepository');
+const tenantConnectionManager = require('../database/TenantConnectionManager');
+const tenantSchemaModelRegistry = require('../database/TenantSchemaModelRegistry');
+const tenantDataLocator = require('../database/TenantDataLocator');
+const tenantCache = require('../../tenant/cache/TenantCache');
+const JobQueue = require('../jobs/JobQueue');
+const JobScheduler = require('../jobs/JobScheduler');
+const EventBus = require('../events/EventBus');
+const OutboxDispatcher = require('../events/OutboxDispatcher');
 
-// Domain services (will be created)
-// const UserService = require('../../domain/services/UserService');
-// const MemberService = require('../../domain/services/MemberService');
-// const TenantService = require('../../domain/services/TenantService');
+// Repositories
+const TenantRepository = require('../../domain/repositories/TenantRepository');
+const OrganizationRepository = require('../../domain/repositories/OrganizationRepository');
+const MemberRepository = require('../../domain/repositories/MemberRepository');
+const UserRepository = require('../../domain/repositories/UserRepository');
 
-// Application services (will be created)
+// Domain services
+const TenantService = require('../../domain/services/TenantService');
+const TenantMigrationService = require('../../domain/services/TenantMigrationService');
+const TenantProvisioningService = require('../../domain/services/TenantProvisioningService');
+const TenantArchiveService = require('../../domain/services/TenantArchiveService');
+const TenantLifecycleService = require('../../domain/services/TenantLifecycleService');
+const OrganizationService = require('../../domain/services/OrganizationService');
+const MemberService = require('../../domain/services/MemberService');
+const WebhookService = require('../../domain/services/WebhookService');
+const TenantApiKeyService = require('../../domain/services/TenantApiKeyService');
+
+// Application services
+const UserService = require('../../services/UserService');
+const LoginSecurityService = require('../../services/LoginSecurityService');
+const InvitationService = require('../../services/InvitationService');
+const RoleService = require('../../services/RoleService');
+const AuthService = require('../../services/AuthService');
+const EmailService = require('../../services/EmailService');
+const PasswordPolicyService = require('../../services/PasswordPolicyService');
+const RefreshTokenService = require('../../services/RefreshTokenService');
+const SessionService = require('../../services/SessionService');
+const MfaService = require('../../services/MfaService');
+const AuditLogService = require('../../services/AuditLogService');
+const IpAllowlistService = require('../../services/IpAllowlistService');
+
+// Use cases (will be created)
 // const UserUseCase = require('../../application/useCases/UserUseCase');
 // const MemberUseCase = require('../../application/useCases/MemberUseCase');
 
-// Repositories (will be created)
-// const UserRepository = require('../../domain/repositories/UserRepository');
-// const MemberRepository = require('../../domain/repositories/MemberRepository');
-
 // Register infrastructure services
 container.registerSingleton('TenantAwareRepository', TenantAwareRepository);
+container.registerInstance('TenantConnectionManager', tenantConnectionManager);
+container.registerInstance('TenantSchemaModelRegistry', tenantSchemaModelRegistry);
+container.registerInstance('TenantDataLocator', tenantDataLocator);
+container.registerInstance('TenantCache', tenantCache);
+container.registerSingleton('JobQueue', JobQueue);
+container.registerSingleton('JobScheduler', JobScheduler);
+container.registerSingleton('EventBus', EventBus);
+container.registerSingleton('OutboxDispatcher', OutboxDispatcher);
 
-// Register repositories when they are created
-// container.registerFactory('UserRepository', (container) => {
-//   return new UserRepository(UserModel);
-// });
+// Register repositories
+// Repositories are singletons so tenant connections are shared between requests
+container.registerSingleton('TenantRepository', TenantRepository);
+container.registerSingleton('OrganizationRepository', OrganizationRepository);
+container.registerSingleton('MemberRepository', MemberRepository);
+container.registerSingleton('UserRepository', UserRepository);
 
-// container.registerFactory('MemberRepository', (container) => {
-//   return new MemberRepository(MemberModel);
-// });
+// Register domain services
+container.registerSingleton('TenantService', TenantService);
+container.registerSingleton('TenantMigrationService', TenantMigrationService);
+container.registerSingleton('TenantProvisioningService', TenantProvisioningService);
+container.registerSingleton('TenantArchiveService', TenantArchiveService);
+container.registerSingleton('TenantLifecycleService', TenantLifecycleService);
+container.registerSingleton('OrganizationService', OrganizationService);
+container.registerSingleton('MemberService', MemberService);
+container.registerSingleton('WebhookService', WebhookService);
+container.registerSingleton('TenantApiKeyService', TenantApiKeyService);
 
-// Register domain services when they are created
-// container.registerSingleton('UserService', UserService);
-// container.registerSingleton('MemberService', MemberService);
-// container.registerSingleton('TenantService', TenantService);
+// Register application services
+container.registerSingleton('EmailService', EmailService);
+container.registerSingleton('AuditLogService', AuditLogService);
+container.registerSingleton('IpAllowlistService', IpAllowlistService);
+container.registerSingleton('PasswordPolicyService', PasswordPolicyService);
+container.registerSingleton('UserService', UserService);
+container.registerSingleton('RefreshTokenService', RefreshTokenService);
+container.registerSingleton('SessionService', SessionService);
+container.registerSingleton('MfaService', MfaService);
+container.registerSingleton('LoginSecurityService', LoginSecurityService);
+container.registerSingleton('InvitationService', InvitationService);
+container.registerSingleton('RoleService', RoleService);
+container.registerSingleton('AuthService', AuthService);
 
 // Register use cases when they are created
 // container.registerFactory('UserUseCase', (container) => {
@@ -42,4 +98,4 @@ container.registerSingleton('TenantAwareRepository', TenantAwareRepository);
 
 console.log('Service container initialized with registered services');
 
-module.exports = container;
\ No newline at end of file
+module.exports = container;
@@ -1,13 +1,12 @@
 const IRepository = require('../../shared/interfaces/IRepository');
 const tenantContext = require('../../tenant/context/TenantContext');
-const mongoose = require('mongoose');
-const logger = require('../../utils/logger');
+const tenantConnectionManager = require('./TenantConnectionManager');
+const tenantSchemaModelRegistry = require('./TenantSchemaModelRegistry');
 
 class TenantAwareRepository extends IRepository {
   constructor(Model) {
     super();
     this.Model = Model;
-    this.tenantConnections = new Map();
   }
 
   async getTenantModel() {
@@ -32,41 +31,13 @@ class TenantAwareRepository extends IRepository {
   }
 
   async getTenantDatabaseModel(tenantInfo) {
-    const tenantId = tenantInfo.tenantId;
-    
-    // Check if connection already exists
-    if (this.tenantConnections.has(tenantId)) {
-      const connection = this.tenantConnections.get(tenantId);
-      return connection.model(this.Model.modelName, this.Model.schema);
-    }
-
-    // Create new connection for tenant
-    const dbName = tenantInfo.databaseConfig?.dbName || `cloudmemberhub_${tenantId}`;
-    const uri = tenantInfo.databaseConfig?.uri || process.env.MONGODB_URI;
-    const tenantUri = uri.replace(/\/[^\/]*$/, `/${dbName}`);
-
-    const connection = mongoose.createConnection(tenantUri, {
-      maxPoolSize: 5,
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-    });
-
-    this.tenantConnections.set(tenantId, connection);
-    logger.info(`Created database connection for tenant: ${tenantId}`);
-
-    return connection.model(this.Model.modelName, this.Model.schema);
+    // Connections are shared by all repositories through the connection manager
+    return await tenantConnectionManager.getModel(tenantInfo, this.Model);
   }
 
   async getTenantSchemaModel(tenantInfo) {
-    // Schema-based isolation (using different collections)
-    const tenantSchema = tenantInfo.tenantSchema || tenantInfo.tenantId;
-    const collectionName = `${tenantSchema}_${this.Model.collection.name}`;
-    
-    return mongoose.model(
-      `${tenantSchema}_${this.Model.modelName}`,
-      this.Model.schema,
-      collectionName
-    );
+    // Schema-based isolation (tenant-prefixed collections), models are compiled once per tenant
+    return tenantSchemaModelRegistry.getModel(tenantInfo, this.Model);
   }
 
   async addTenantFilter(query = {}) {
@@ -79,7 +50,8 @@ class TenantAwareRepository extends IRepository {
     return query;
   }
 
-  async create(data) {
+  // options are passed to save(), e.g. { session } inside an EventBus transaction
+  async create(data, options = {}) {
     const TenantModel = await this.getTenantModel();
     const tenantInfo = tenantContext.getCurrentTenant();
     
@@ -90,7 +62,7 @@ class TenantAwareRepository extends IRepository {
     }
 
     const document = new TenantModel(data);
-    return await document.save();
+    return await document.save(options);
   }
 
   async findById(id) {
@@ -194,15 +166,7 @@ class TenantAwareRepository extends IRepository {
   }
 
   async closeTenantConnections() {
-    for (const [tenantId, connection] of this.tenantConnections) {
-      try {
-        await connection.close();
-        logger.info(`Closed database connection for tenant: ${tenantId}`);
-      } catch (error) {
-        logger.error(`Error closing connection for tenant ${tenantId}:`, error);
-      }
-    }
-    this.tenantConnections.clear();
+    await tenantConnectionManager.closeAll();
   }
 }
 
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+// A connection used within this window is never evicted to make room for another tenant,
+// so queries that already hold a model are not cut off mid-flight
+const EVICTION_GRACE_MS = 30 * 1000;
+const PING_TIMEOUT_MS = 5000;
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Shared pool of per-tenant MongoDB connections for the `database` isolation strategy.
+ *
+ * Connections are keyed by tenant id and kept in least-recently-used order. The number of
+ * open tenant connections is bounded by `maxConnections`; idle connections are closed after
+ * `idleTimeoutMs` and unhealthy ones are dropped so they are recreated on next use.
+ */
+class TenantConnectionManager {
+  constructor(options = {}) {
+    const { maxConnections, defaultPoolSize, idleTimeoutMs, healthCheckIntervalMs } = {
+      ...getEnvironment().tenantDatabase,
+      ...options,
+    };
+
+    this.maxConnections = maxConnections;
+    this.defaultPoolSize = defaultPoolSize;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.healthCheckIntervalMs = healthCheckIntervalMs;
+    this.connections = new Map();
+    this.connectionStrings = new Map();
+    this.maintenanceTimer = null;
+  }
+
+  async getConnection(tenantInfo) {
+    const { tenantId } = tenantInfo;
+    const config = await this.getConnectionConfig(tenantInfo);
+    const existing = this.connections.get(tenantId);
+
+    if (existing && existing.signature === config.signature) {
+      this.touch(tenantId, existing);
+      return existing.ready;
+    }
+
+    // Pool size, URI or database changed on the tenant record
+    if (existing) {
+      await this.closeConnection(tenantId);
+    }
+
+    await this.evictIdle();
+    await this.makeRoom();
+
+    // Another request may have opened the connection while we were evicting
+    const opened = this.connections.get(tenantId);
+    if (opened && opened.signature === config.signature) {
+      this.touch(tenantId, opened);
+      return opened.ready;
+    }
+
+    const entry = this.createEntry(tenantId, config);
+    this.connections.set(tenantId, entry);
+    this.startMaintenance();
+
+    return entry.ready;
+  }
+
+  async getModel(tenantInfo, Model) {
+    const connection = await this.getConnection(tenantInfo);
+    return connection.model(Model.modelName, Model.schema);
+  }
+
+  // `databaseConfig.uri` is only set by internal callers, e.g. for a migration target
+  async getConnectionConfig(tenantInfo) {
+    const { tenantId, databaseConfig = {} } = tenantInfo;
+    const uri =
+      databaseConfig.uri || (await this.getConnectionString(tenantInfo)) || process.env.MONGODB_URI;
+
+    if (!uri) {
+      throw new AppError('Tenant database is not configured', 503);
+    }
+
+    const dbName = databaseConfig.dbName || `cloudmemberhub_${tenantId}`;
+    const poolSize = databaseConfig.maxConnections || this.defaultPoolSize;
+
+    return { uri, dbName, poolSize, signature: `${uri}|${dbName}|${poolSize}` };
+  }
+
+  // Connection strings may carry credentials and are kept out of tenantInfo. They are read
+  // from the tenant record and reused until the record's updatedAt changes.
+  async getConnectionString({ tenantId, source, updatedAt }) {
+    if (source !== 'tenant') {
+      return null;
+    }
+
+    const version = updatedAt ? new Date(updatedAt).getTime() : null;
+    const cached = this.connectionStrings.get(tenantId);
+    if (cached && version !== null && cached.version === version) {
+      return cached.value;
+    }
+
+    const record = await Tenant.findOne({ tenantId }).select('database.connectionString').lean();
+    const value = record?.database?.connectionString || null;
+    this.connectionStrings.set(tenantId, { version, value });
+
+    return value;
+  }
+
+  createEntry(tenantId, { uri, dbName, poolSize, signature }) {
+    const connection = mongoose.createConnection(uri, {
+      dbName,
+      maxPoolSize: poolSize,
+      minPoolSize: 0,
+      maxIdleTimeMS: this.idleTimeoutMs,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+
+    connection.on('error', (error) => {
+      logger.error(`Database connection error for tenant ${tenantId}:`, error);
+    });
+
+    const entry = {
+      connection,
+      signature,
+      poolSize,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now(),
+      ready: null,
+    };
+
+    entry.ready = connection
+      .asPromise()
+      .then(() => {
+        logger.info(`Created database connection for tenant: ${tenantId} (pool size ${poolSize})`);
+        return connection;
+      })
+      .catch(async (error) => {
+        logger.error(`Failed to connect to database for tenant ${tenantId}:`, error);
+        if (this.connections.get(tenantId) === entry) {
+          this.connections.delete(tenantId);
+        }
+        await connection.close().catch(() => {});
+        throw new AppError('Tenant database is unavailable', 503);
+      });
+
+    return entry;
+  }
+
+  // Map keeps insertion order, re-inserting moves the tenant to the most recently used end
+  touch(tenantId, entry) {
+    entry.lastUsedAt = Date.now();
+    this.connections.delete(tenantId);
+    this.connections.set(tenantId, entry);
+  }
+
+  async makeRoom() {
+    const now = Date.now();
+    const evictable = [...this.connections.entries()].filter(
+      ([, entry]) => now - entry.lastUsedAt >= EVICTION_GRACE_MS
+    );
+    const overflow = this.connections.size + 1 - this.maxConnections;
+
+    if (overflow <= 0) {
+      return;
+    }
+
+    // Oldest entries come first in the Map
+    const victims = evictable.slice(0, overflow).map(([tenantId]) => tenantId);
+    await Promise.all(victims.map((tenantId) => this.closeConnection(tenantId)));
+
+    if (victims.length < overflow) {
+      logger.warn(
+        `Tenant connection limit (${this.maxConnections}) exceeded, all connections are in use`
+      );
+    }
+  }
+
+  async evictIdle() {
+    const now = Date.now();
+    const idle = [...this.connections.entries()]
+      .filter(([, entry]) => now - entry.lastUsedAt >= this.idleTimeoutMs)
+      .map(([tenantId]) => tenantId);
+
+    await Promise.all(idle.map((tenantId) => this.closeConnection(tenantId)));
+    return idle;
+  }
+
+  async checkHealth() {
+    const results = await Promise.all(
+      [...this.connections.entries()].map(async ([tenantId, entry]) => {
+        try {
+          const connection = await entry.ready;
+          await withTimeout(connection.db.admin().ping(), PING_TIMEOUT_MS, 'Ping timed out');
+          return { tenantId, healthy: true };
+        } catch (error) {
+          logger.warn(`Tenant database health check failed for ${tenantId}: ${error.message}`);
+          await this.closeConnection(tenantId);
+          return { tenantId, healthy: false, error: error.message };
+        }
+      })
+    );
+
+    return {
+      total: results.length,
+      healthy: results.filter((result) => result.healthy).length,
+      unhealthy: results.filter((result) => !result.healthy),
+    };
+  }
+
+  async runMaintenance() {
+    try {
+      await this.evictIdle();
+      await this.checkHealth();
+    } catch (error) {
+      logger.error('Tenant connection maintenance failed:', error);
+    }
+  }
+
+  startMaintenance() {
+    if (this.maintenanceTimer || !this.healthCheckIntervalMs) {
+      return;
+    }
+
+    this.maintenanceTimer = setInterval(() => this.runMaintenance(), this.healthCheckIntervalMs);
+    this.maintenanceTimer.unref();
+  }
+
+  stopMaintenance() {
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+  }
+
+  async closeConnection(tenantId) {
+    const entry = this.connections.get(tenantId);
+    if (!entry) {
+      return;
+    }
+
+    this.connections.delete(tenantId);
+
+    try {
+      await entry.connection.close();
+      logger.info(`Closed database connection for tenant: ${tenantId}`);
+    } catch (error) {
+      logger.error(`Error closing connection for tenant ${tenantId}:`, error);
+    }
+  }
+
+  async closeAll() {
+    this.stopMaintenance();
+    await Promise.all(
+      [...this.connections.keys()].map((tenantId) => this.closeConnection(tenantId))
+    );
+  }
+
+  // Counts only, safe to expose on the public health endpoint
+  getStats() {
+    const entries = [...this.connections.values()];
+    return {
+      open: entries.length,
+      connected: entries.filter((entry) => entry.connection.readyState === 1).length,
+      maxConnections: this.maxConnections,
+    };
+  }
+}
+
+const tenantConnectionManager = new TenantConnectionManager();
+
+module.exports = tenantConnectionManager;
@@ -0,0 +1,62 @@
+const tenantConnectionManager = require('./TenantConnectionManager');
+const tenantSchemaModelRegistry = require('./TenantSchemaModelRegistry');
+
+/**
+ * Finds the raw driver collection that holds a tenant's documents for an entity under the
+ * tenant's isolation strategy.
+ *
+ * A location is `{ collection, name, filter, stampTenant }`: `filter` selects the tenant's
+ * documents and `stampTenant` tells writers that documents must carry tenantId/tenantName.
+ * Raw collections bypass soft-delete, timestamps and row scoping middleware, so bulk tools
+ * (strategy migrations, archives) see documents exactly as stored.
+ */
+class TenantDataLocator {
+  constructor(connectionManager, modelRegistry) {
+    this.connectionManager = connectionManager;
+    this.modelRegistry = modelRegistry;
+  }
+
+  async getLocation(tenantInfo, Model) {
+    const { collectionName } = Model.collection;
+
+    if (tenantInfo.isolationStrategy === 'database') {
+      const connection = await this.connectionManager.getConnection(tenantInfo);
+      return {
+        collection: connection.db.collection(collectionName),
+        name: `${tenantInfo.databaseConfig.dbName}.${collectionName}`,
+        filter: {},
+        stampTenant: false,
+      };
+    }
+
+    if (tenantInfo.isolationStrategy === 'schema') {
+      const prefix = this.modelRegistry.getCollectionPrefix(tenantInfo);
+      const name = this.modelRegistry.getCollectionName(prefix, Model);
+      return {
+        collection: this.modelRegistry.getDatabase().collection(name),
+        name,
+        filter: {},
+        stampTenant: false,
+      };
+    }
+
+    return this.getSharedLocation(tenantInfo, Model);
+  }
+
+  // Main database collection filtered by tenant, for row isolation and for models that stay
+  // shared whatever the strategy (User, Tenant)
+  getSharedLocation(tenantInfo, Model) {
+    const { collectionName } = Model.collection;
+
+    return {
+      collection: this.modelRegistry.getDatabase().collection(collectionName),
+      name: collectionName,
+      filter: { tenantId: tenantInfo.tenantId },
+      stampTenant: true,
+    };
+  }
+}
+
+const tenantDataLocator = new TenantDataLocator(tenantConnectionManager, tenantSchemaModelRegistry);
+
+module.exports = tenantDataLocator;
@@ -0,0 +1,129 @@
+const { AppError } = require('../../middleware/error.middleware');
+const logger = require('../../utils/logger');
+
+const PREFIX_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Entities that can live in tenant-prefixed collections; loaded lazily to avoid require cycles
+const loadTenantEntities = () => [
+  require('../../domain/entities/User'),
+  require('../../domain/entities/Member'),
+  require('../../domain/entities/Organization'),
+];
+
+/**
+ * Models for the `schema` isolation strategy, where every tenant gets its own
+ * `<prefix>_<collection>` collections on the main connection.
+ *
+ * Tenant models are collection subclasses of the base model (`connection.model(name,
+ * collection)`), so nothing is added to the mongoose model registry. Each one is compiled
+ * once per tenant and entity and reused afterwards.
+ */
+class TenantSchemaModelRegistry {
+  constructor() {
+    this.models = new Map();
+    this.entities = null;
+  }
+
+  getCollectionPrefix(tenantInfo) {
+    const prefix = tenantInfo.tenantSchema || tenantInfo.tenantId;
+
+    if (!prefix || !PREFIX_PATTERN.test(prefix)) {
+      throw new AppError(`Invalid tenant schema name: ${prefix}`, 500);
+    }
+
+    return prefix;
+  }
+
+  getCollectionName(prefix, Model) {
+    return `${prefix}_${Model.collection.collectionName}`;
+  }
+
+  getModel(tenantInfo, Model) {
+    const prefix = this.getCollectionPrefix(tenantInfo);
+    const key = `${prefix}:${Model.modelName}`;
+
+    if (!this.models.has(key)) {
+      this.registerEntity(Model);
+
+      const TenantModel = Model.db.model(Model.modelName, this.getCollectionName(prefix, Model));
+
+      // Subclasses share the base model's init promise, so their indexes are built here
+      TenantModel.createIndexes().catch((error) => {
+        logger.error(`Error creating indexes for ${key}:`, error);
+      });
+
+      this.models.set(key, TenantModel);
+    }
+
+    return this.models.get(key);
+  }
+
+  registerEntity(Model) {
+    this.getEntities().set(Model.modelName, Model);
+  }
+
+  getEntities() {
+    if (!this.entities) {
+      this.entities = new Map(loadTenantEntities().map((Model) => [Model.modelName, Model]));
+    }
+    return this.entities;
+  }
+
+  // Entities whose documents live in the tenant's own storage (moved by strategy migrations,
+  // created by provisioning); global models and shared collections (users, read and written
+  // through the main model whatever the strategy) are left out
+  getTenantScopedEntities() {
+    return [...this.getEntities().values()].filter(
+      (Model) =>
+        Model.schema.get('tenantIsolation') !== false && !Model.schema.get('sharedCollection')
+    );
+  }
+
+  // All tenant entities share the main connection
+  getDatabase() {
+    const [Model] = this.getEntities().values();
+
+    if (!Model.db.db) {
+      throw new AppError('Database connection is not ready', 503);
+    }
+
+    return Model.db.db;
+  }
+
+  // Only the exact `<prefix>_<entity collection>` names are matched, so tenants whose
+  // prefixes share a beginning (acme / acme_corp) never see each other's collections
+  async listTenantCollections(tenantInfo) {
+    const prefix = this.getCollectionPrefix(tenantInfo);
+    const candidates = [...this.getEntities().values()].map((Model) =>
+      this.getCollectionName(prefix, Model)
+    );
+
+    const existing = await this.getDatabase()
+      .listCollections({ name: { $in: candidates } }, { nameOnly: true })
+      .toArray();
+
+    return existing.map((collection) => collection.name).sort();
+  }
+
+  async dropTenantCollections(tenantInfo) {
+    const prefix = this.getCollectionPrefix(tenantInfo);
+    const collections = await this.listTenantCollections(tenantInfo);
+    const db = this.getDatabase();
+
+    await Promise.all(collections.map((name) => db.dropCollection(name)));
+    this.evictTenant(prefix);
+
+    logger.info(`Dropped ${collections.length} schema collections for tenant prefix: ${prefix}`);
+    return collections;
+  }
+
+  evictTenant(prefix) {
+    [...this.models.keys()]
+      .filter((key) => key.startsWith(`${prefix}:`))
+      .forEach((key) => this.models.delete(key));
+  }
+}
+
+const tenantSchemaModelRegistry = new TenantSchemaModelRegistry();
+
+module.exports = tenantSchemaModelRegistry;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const OutboxEvent = require('./OutboxEvent');
+const tenantContext = require('../../tenant/context/TenantContext');
+const { matchesEventType } = require('./eventPattern');
+const logger = require('../../utils/logger');
+
+// Accepts a user id or { userId, userEmail, userRole }
+const toActor = (actor) => {
+  if (!actor) {
+    return undefined;
+  }
+  return actor.userId ? actor : { userId: String(actor) };
+};
+
+/**
+ * In-process domain event bus backed by a transactional outbox.
+ *
+ * Services make a change and publish its events in one unit of work:
+ *
+ *   await eventBus.withTransaction(async ({ session, publish }) => {
+ *     await member.save({ session });
+ *     publish('member.updated', { memberId: member.id });
+ *   });
+ *
+ * The events are inserted into `outbox_events` in the same transaction as the change, so an
+ * event exists exactly when its change was committed. The OutboxDispatcher then delivers them
+ * to subscribers at least once; handlers must tolerate seeing an event twice.
+ *
+ * Transactions need a replica set (or mongos) and a single connection. On a standalone server,
+ * and for changes made through a tenant database connection (database isolation), the change
+ * is written first and its events right after it, without a transaction. A crash between the
+ * two writes then loses those events.
+ */
+class EventBus {
+  constructor() {
+    this.subscribers = [];
+    this.publishListeners = [];
+    this.transactionsSupported = null;
+  }
+
+  // Patterns are an event type, a prefix (`member.*`) or `*`. Handlers receive the event
+  // ({ id, type, tenantId, payload, actor, occurredAt }) and run in system scope. Names
+  // identify the subscriber in the delivery record and must be stable.
+  subscribe(pattern, name, handler) {
+    if (this.subscribers.some((subscriber) => subscriber.name === name)) {
+      throw new Error(`Event subscriber ${name} is already registered`);
+    }
+
+    this.subscribers.push({ pattern, name, handler });
+  }
+
+  getSubscribers(type) {
+    return this.subscribers.filter((subscriber) => matchesEventType(subscriber.pattern, type));
+  }
+
+  // Called after events were committed, used by the dispatcher to deliver without waiting
+  onPublish(listener) {
+    this.publishListeners.push(listener);
+  }
+
+  // Runs `work({ session, publish })` and writes the published events with its changes.
+  // `connection` is the connection the work writes through, the default one unless the
+  // tenant uses database isolation (Model.db or document.db).
+  async withTransaction(work, { connection = mongoose.connection } = {}) {
+    if (!(await this.supportsTransactions(connection))) {
+      const events = [];
+      const result = await work({ session: null, publish: this.collect(events) });
+      await this.insert(events, null);
+      return result;
+    }
+
+    let result;
+    let events;
+    await mongoose.connection.transaction(async (session) => {
+      // The callback is retried on transient errors, events of an aborted attempt are dropped
+      events = [];
+      result = await work({ session, publish: this.collect(events) });
+      await this.insert(events, session);
+    });
+
+    this.notifyPublished(events);
+    return result;
+  }
+
+  // Publishes events that do not accompany a change
+  async publish(type, payload = {}, options = {}) {
+    const events = [];
+    this.collect(events)(type, payload, options);
+    await this.insert(events, null);
+  }
+
+  collect(events) {
+    return (type, payload = {}, { tenantId, actor } = {}) => {
+      events.push({
+        type,
+        payload,
+        tenantId: tenantId || tenantContext.getCurrentTenant()?.tenantId,
+        actor: toActor(actor),
+        occurredAt: new Date(),
+      });
+    };
+  }
+
+  async insert(events, session) {
+    if (!events.length) {
+      return;
+    }
+
+    await OutboxEvent.insertMany(events, { session });
+    if (!session) {
+      this.notifyPublished(events);
+    }
+  }
+
+  notifyPublished(events) {
+    if (!events.length) {
+      return;
+    }
+
+    this.publishListeners.forEach((listener) => {
+      try {
+        listener(events);
+      } catch (error) {
+        logger.error('Event publish listener failed:', error);
+      }
+    });
+  }
+
+  // Replica set members report their set name, mongos reports isdbgrid
+  async supportsTransactions(connection) {
+    if (connection !== mongoose.connection) {
+      return false;
+    }
+
+    if (this.transactionsSupported === null) {
+      const hello = await connection.db.admin().command({ hello: 1 });
+      this.transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+
+      if (!this.transactionsSupported) {
+        logger.warn('MongoDB does not support transactions, outbox events are written separately');
+      }
+    }
+    return this.transactionsSupported;
+  }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,182 @@
+const os = require('os');
+const crypto = require('crypto');
+const OutboxEvent = require('./OutboxEvent');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const tenantContext = require('../../tenant/context/TenantContext');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Delivers outbox events to the EventBus subscribers.
+ *
+ * Events are claimed with a lease like jobs (see JobQueue), in the order they occurred. Each
+ * subscriber that handled an event is recorded on it; when one fails the event is retried
+ * with backoff for the remaining subscribers only, and after maxAttempts it stays `dead`.
+ * Publishing wakes the dispatcher, the poll picks up anything else (retries, other instances).
+ */
+class OutboxDispatcher {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.timer = null;
+    this.draining = null;
+    this.stopping = false;
+
+    const { enabled, pollIntervalMs, leaseMs, maxAttempts, backoffMs, retentionDays } =
+      getEnvironment().events;
+    this.enabled = enabled;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.retentionDays = retentionDays;
+
+    this.eventBus.onPublish(() => {
+      if (this.timer) {
+        setImmediate(() => this.tick());
+      }
+    });
+  }
+
+  start() {
+    if (this.timer || !this.enabled || !this.pollIntervalMs) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Outbox dispatcher started (worker ${this.workerId})`);
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.draining;
+  }
+
+  // Only one drain runs at a time, later calls share it
+  tick() {
+    if (!this.draining) {
+      this.draining = this.drain()
+        .catch((error) => logger.error('Outbox dispatch failed:', error))
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  async drain() {
+    if (this.stopping) {
+      return;
+    }
+
+    const event = await this.claim();
+    if (!event) {
+      return;
+    }
+
+    await this.dispatch(event);
+    await this.drain();
+  }
+
+  async claim(now = new Date()) {
+    return OutboxEvent.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lt: now } }],
+      },
+      {
+        $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { occurredAt: 1 }, new: true }
+    );
+  }
+
+  async dispatch(event) {
+    const pending = this.eventBus
+      .getSubscribers(event.type)
+      .filter((subscriber) => !event.delivered.includes(subscriber.name));
+
+    const failures = await pending.reduce(async (previous, subscriber) => {
+      const failed = await previous;
+      try {
+        await tenantContext.runAsSystem(() => subscriber.handler(this.toMessage(event)));
+        await OutboxEvent.updateOne(
+          { _id: event._id },
+          { $addToSet: { delivered: subscriber.name } }
+        );
+        return failed;
+      } catch (error) {
+        logger.error(`Event ${event.type} (${event._id}) failed in ${subscriber.name}:`, error);
+        return [...failed, `${subscriber.name}: ${error.message}`];
+      }
+    }, Promise.resolve([]));
+
+    if (!failures.length) {
+      await this.markDelivered(event);
+      return;
+    }
+
+    const dead = await this.markFailed(event, failures.join('; '));
+    if (dead) {
+      logger.error(`Event ${event.type} (${event._id}) is dead after ${event.attempts} attempts`);
+    }
+  }
+
+  async markDelivered(event) {
+    const now = new Date();
+    await OutboxEvent.updateOne(
+      { _id: event._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: 'delivered',
+          deliveredAt: now,
+          expiresAt: new Date(now.getTime() + this.retentionDays * DAY_MS),
+        },
+        $unset: { lockedBy: '', lockedUntil: '', lastError: '' },
+      }
+    );
+  }
+
+  async markFailed(event, lastError) {
+    const dead = event.attempts >= this.maxAttempts;
+    const update = dead
+      ? { status: 'dead' }
+      : { nextAttemptAt: new Date(Date.now() + this.getBackoff(event.attempts)) };
+
+    await OutboxEvent.updateOne(
+      { _id: event._id, lockedBy: this.workerId },
+      {
+        $set: { ...update, lastError },
+        $unset: { lockedBy: '', lockedUntil: '' },
+      }
+    );
+
+    return dead;
+  }
+
+  getBackoff(attempts) {
+    return Math.min(this.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  toMessage(event) {
+    return {
+      id: event._id.toString(),
+      type: event.type,
+      tenantId: event.tenantId || null,
+      payload: event.payload,
+      actor: event.actor || null,
+      occurredAt: event.occurredAt,
+    };
+  }
+}
+
+module.exports = Injectable(['EventBus'])(OutboxDispatcher);
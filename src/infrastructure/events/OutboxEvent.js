@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const OUTBOX_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Domain event written to the outbox together with the change it describes, see EventBus.
+// The OutboxDispatcher delivers it to every matching subscriber and records each one in
+// `delivered`, so a retry only repeats the subscribers that failed.
+const outboxEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    tenantId: String,
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Who caused the change, e.g. { userId, userRole }; absent for system changes
+    actor: mongoose.Schema.Types.Mixed,
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: OUTBOX_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Lease held by the dispatcher delivering the event
+    lockedBy: String,
+    lockedUntil: Date,
+    // Names of the subscribers that handled the event
+    delivered: {
+      type: [String],
+      default: [],
+    },
+    lastError: String,
+    deliveredAt: Date,
+    // Delivered events are removed by the TTL index after the retention period
+    expiresAt: Date,
+  },
+  {
+    collection: 'outbox_events',
+    timestamps: true,
+  }
+);
+
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1, occurredAt: 1 });
+outboxEventSchema.index({ type: 1, occurredAt: -1 });
+outboxEventSchema.index({ tenantId: 1, occurredAt: -1 });
+outboxEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+outboxEventSchema.statics.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = mongoose.model('OutboxEvent', outboxEventSchema);
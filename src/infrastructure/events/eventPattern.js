@@ -0,0 +1,15 @@
+// Event types are `<source>.<action>`, e.g. `member.status_changed`
+const EVENT_PATTERN = /^(\*|[a-z][a-z_]*\.(\*|[a-z][a-z_]*))$/;
+
+// `member.created`, `member.*` or `*`
+const matchesEventType = (pattern, type) =>
+  pattern === '*' ||
+  pattern === type ||
+  (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)));
+
+const isEventPattern = (pattern) => typeof pattern === 'string' && EVENT_PATTERN.test(pattern);
+
+module.exports = {
+  matchesEventType,
+  isEventPattern,
+};
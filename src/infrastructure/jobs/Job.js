@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// Queued unit of work, see JobQueue. Failed attempts are re-queued with a later runAt until
+// maxAttempts is reached, then the job stays `dead` (the dead-letter list) until re-run.
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Set on per-tenant jobs, the handler runs in that tenant's context
+    tenantId: String,
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Incremented by each re-run from the admin API
+    reruns: {
+      type: Number,
+      default: 0,
+    },
+    // Lease held by the worker running the job, renewed while it runs
+    lockedBy: String,
+    lockedUntil: Date,
+    // Deduplicates enqueues, e.g. one job per schedule occurrence and tenant
+    uniqueKey: String,
+    parentId: mongoose.Schema.Types.ObjectId,
+    scheduleName: String,
+    result: mongoose.Schema.Types.Mixed,
+    lastError: String,
+    startedAt: Date,
+    completedAt: Date,
+    // Completed jobs are removed by the TTL index after the retention period
+    expiresAt: Date,
+  },
+  {
+    collection: 'jobs',
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ parentId: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
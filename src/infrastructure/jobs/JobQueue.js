@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Job = require('./Job');
+const { AppError } = require('../../middleware/error.middleware');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+const DUPLICATE_KEY = 11000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * MongoDB backed job queue.
+ *
+ * Workers claim a job by taking a lease (lockedBy/lockedUntil) with a conditional update, so a
+ * job runs on one instance at a time. A job whose lease ran out (its worker died) can be claimed
+ * again and counts as a failed attempt.
+ */
+class JobQueue {
+  constructor() {
+    const { leaseMs, maxAttempts, backoffMs, retentionDays } = getEnvironment().jobs;
+    this.leaseMs = leaseMs;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.retentionDays = retentionDays;
+  }
+
+  // Returns null when a job with the same uniqueKey already exists
+  async enqueue(name, payload = {}, options = {}) {
+    const { tenantId, runAt, maxAttempts, uniqueKey, parentId, scheduleName } = options;
+
+    try {
+      return await Job.create({
+        name,
+        payload,
+        tenantId,
+        runAt: runAt || new Date(),
+        maxAttempts: maxAttempts || this.maxAttempts,
+        uniqueKey,
+        parentId,
+        scheduleName,
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY && uniqueKey) {
+        return null;
+      }
+      logger.error(`Error enqueuing job ${name}:`, error);
+      throw error;
+    }
+  }
+
+  async claim(workerId, names) {
+    const now = new Date();
+    await this.buryAbandoned(now);
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: names },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + this.leaseMs),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Expired leases on jobs without attempts left go straight to the dead-letter list
+  async buryAbandoned(now) {
+    await Job.updateMany(
+      {
+        status: 'running',
+        lockedUntil: { $lt: now },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] },
+      },
+      {
+        $set: { status: 'dead', lastError: 'Lease expired, the worker stopped responding' },
+        $unset: { lockedBy: '', lockedUntil: '' },
+      }
+    );
+  }
+
+  // Returns false when the lease was lost to another worker
+  async renewLease(job) {
+    const result = await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy, status: 'running' },
+      { $set: { lockedUntil: new Date(Date.now() + this.leaseMs) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async complete(job, result) {
+    const now = new Date();
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + this.retentionDays * DAY_MS),
+        },
+        $unset: { lockedBy: '', lockedUntil: '', lastError: '' },
+      }
+    );
+  }
+
+  // Re-queues with exponential backoff, or dead-letters the job once it is out of attempts
+  async fail(job, error) {
+    const dead = job.attempts >= job.maxAttempts;
+    const update = dead
+      ? { status: 'dead' }
+      : { status: 'queued', runAt: new Date(Date.now() + this.getBackoff(job.attempts)) };
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      {
+        $set: { ...update, lastError: error.message },
+        $unset: { lockedBy: '', lockedUntil: '' },
+      }
+    );
+
+    return dead;
+  }
+
+  getBackoff(attempts) {
+    return Math.min(this.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  async list({ status, name, tenantId, page = 1, limit = 20 } = {}) {
+    try {
+      const query = {};
+      if (status) query.status = status;
+      if (name) query.name = name;
+      if (tenantId) query.tenantId = tenantId;
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .sort({ createdAt: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        Job.countDocuments(query),
+      ]);
+
+      return {
+        jobs,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing jobs:', error);
+      throw error;
+    }
+  }
+
+  async get(jobId) {
+    try {
+      const job = mongoose.isValidObjectId(jobId) ? await Job.findById(jobId) : null;
+      if (!job) {
+        throw new AppError('Job not found', 404);
+      }
+      return job;
+    } catch (error) {
+      logger.error(`Error getting job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  async getStats() {
+    try {
+      const counts = await Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+
+      return Job.JOB_STATUSES.reduce(
+        (stats, status) => ({
+          ...stats,
+          [status]: counts.find((entry) => entry._id === status)?.count || 0,
+        }),
+        {}
+      );
+    } catch (error) {
+      logger.error('Error getting job stats:', error);
+      throw error;
+    }
+  }
+
+  // Runs a finished or dead job again with a fresh set of attempts
+  async rerun(jobId) {
+    try {
+      const existing = await this.get(jobId);
+      const job = await Job.findOneAndUpdate(
+        { _id: existing._id, status: { $in: ['completed', 'dead'] } },
+        {
+          $set: { status: 'queued', attempts: 0, runAt: new Date() },
+          $inc: { reruns: 1 },
+          $unset: { result: '', completedAt: '', expiresAt: '', lastError: '' },
+        },
+        { new: true }
+      );
+
+      if (!job) {
+        throw new AppError('Only completed or dead jobs can be re-run', 409);
+      }
+
+      logger.info(`Job ${job.name} (${jobId}) queued to run again`);
+      return job;
+    } catch (error) {
+      logger.error(`Error re-running job ${jobId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = JobQueue;
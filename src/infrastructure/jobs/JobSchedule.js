@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Cron schedule state shared by all instances. Whichever instance advances nextRunAt first
+// enqueues the occurrence, see JobScheduler.enqueueDueSchedules.
+const jobScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    cron: {
+      type: String,
+      required: true,
+    },
+    perTenant: {
+      type: Boolean,
+      default: false,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    lastRunAt: Date,
+    lastJobId: mongoose.Schema.Types.ObjectId,
+  },
+  {
+    collection: 'job_schedules',
+    timestamps: true,
+  }
+);
+
+jobScheduleSchema.index({ nextRunAt: 1 });
+
+module.exports = mongoose.model('JobSchedule', jobScheduleSchema);
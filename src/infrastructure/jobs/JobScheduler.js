@@ -0,0 +1,277 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobSchedule = require('./JobSchedule');
+const { parseCron } = require('./cron');
+const { Injectable } = require('../../shared/container/ServiceContainer');
+const { AppError } = require('../../middleware/error.middleware');
+const Tenant = require('../../tenant/models/Tenant');
+const Organization = require('../../domain/entities/Organization');
+const tenantContext = require('../../tenant/context/TenantContext');
+const tenantResolver = require('../../tenant/resolver/TenantResolver');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+/**
+ * Runs job handlers from the JobQueue and enqueues cron schedules.
+ *
+ * Jobs are registered with `define(name, handler, { cron, perTenant, maxAttempts })`. A
+ * per-tenant job is fanned out: the scheduled run enqueues one child job per active tenant and
+ * each child runs its handler inside that tenant's context. Other jobs run in system scope.
+ *
+ * Handlers receive `{ job, payload, tenantId, tenantInfo }` and their return value is stored
+ * as the job result. Throwing fails the attempt and the queue retries with backoff.
+ */
+class JobScheduler {
+  constructor(jobQueue) {
+    this.jobQueue = jobQueue;
+    this.definitions = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.running = new Set();
+    this.timer = null;
+    this.stopping = false;
+
+    const { enabled, pollIntervalMs, concurrency, leaseMs } = getEnvironment().jobs;
+    this.enabled = enabled;
+    this.pollIntervalMs = pollIntervalMs;
+    this.concurrency = concurrency;
+    this.heartbeatMs = Math.floor(leaseMs / 3);
+  }
+
+  define(name, handler, { cron, perTenant = false, maxAttempts } = {}) {
+    if (this.definitions.has(name)) {
+      throw new Error(`Job ${name} is already defined`);
+    }
+
+    this.definitions.set(name, {
+      name,
+      handler,
+      cron: cron && parseCron(cron),
+      perTenant,
+      maxAttempts,
+    });
+  }
+
+  async start() {
+    if (this.timer || !this.enabled || !this.pollIntervalMs) {
+      return;
+    }
+
+    await this.syncSchedules();
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Job scheduler started (${this.definitions.size} jobs, worker ${this.workerId})`);
+  }
+
+  // Waits for running jobs so their leases are released cleanly
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running]);
+  }
+
+  async tick() {
+    try {
+      await this.enqueueDueSchedules();
+      await this.drain();
+    } catch (error) {
+      logger.error('Job scheduler tick failed:', error);
+    }
+  }
+
+  // Creates missing schedules and follows cron changes; nextRunAt of an unchanged schedule is
+  // kept, so a restart neither skips nor repeats an occurrence
+  async syncSchedules(now = new Date()) {
+    const scheduled = [...this.definitions.values()].filter((definition) => definition.cron);
+
+    await Promise.all(
+      scheduled.map(async ({ name, cron, perTenant }) => {
+        const existing = await JobSchedule.findOne({ name });
+
+        if (!existing) {
+          await JobSchedule.updateOne(
+            { name },
+            { $setOnInsert: { cron: cron.expression, perTenant, nextRunAt: cron.next(now) } },
+            { upsert: true }
+          );
+        } else if (existing.cron !== cron.expression || existing.perTenant !== perTenant) {
+          existing.cron = cron.expression;
+          existing.perTenant = perTenant;
+          existing.nextRunAt = cron.next(now);
+          await existing.save();
+        }
+      })
+    );
+  }
+
+  async enqueueDueSchedules(now = new Date()) {
+    const due = await JobSchedule.find({
+      name: { $in: [...this.definitions.keys()] },
+      nextRunAt: { $lte: now },
+    });
+
+    return due.reduce(async (previous, schedule) => {
+      const enqueued = await previous;
+      const definition = this.definitions.get(schedule.name);
+
+      // Advancing nextRunAt is the claim, only one instance enqueues each occurrence
+      const claimed = await JobSchedule.findOneAndUpdate(
+        { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+        { $set: { nextRunAt: definition.cron.next(now), lastRunAt: now } },
+        { new: true }
+      );
+      if (!claimed) {
+        return enqueued;
+      }
+
+      const job = await this.jobQueue.enqueue(
+        schedule.name,
+        {},
+        {
+          maxAttempts: definition.maxAttempts,
+          uniqueKey: `${schedule.name}@${schedule.nextRunAt.toISOString()}`,
+          scheduleName: schedule.name,
+        }
+      );
+      if (job) {
+        await JobSchedule.updateOne({ _id: schedule._id }, { $set: { lastJobId: job._id } });
+      }
+
+      return enqueued + 1;
+    }, Promise.resolve(0));
+  }
+
+  // Claims and starts jobs until the queue is empty or all worker slots are busy
+  async drain() {
+    if (this.stopping || this.running.size >= this.concurrency) {
+      return;
+    }
+
+    const job = await this.jobQueue.claim(this.workerId, [...this.definitions.keys()]);
+    if (!job) {
+      return;
+    }
+
+    const execution = this.execute(job).finally(() => {
+      this.running.delete(execution);
+    });
+    this.running.add(execution);
+
+    await this.drain();
+  }
+
+  async execute(job) {
+    const definition = this.definitions.get(job.name);
+    const heartbeat = setInterval(() => {
+      this.jobQueue.renewLease(job).catch(() => {});
+    }, this.heartbeatMs);
+
+    try {
+      const result = await this.runHandler(definition, job);
+      await this.jobQueue.complete(job, result);
+      logger.info(`Job ${job.name} completed${job.tenantId ? ` for ${job.tenantId}` : ''}`);
+    } catch (error) {
+      const dead = await this.jobQueue.fail(job, error).catch(() => false);
+      logger.error(
+        `Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts})${dead ? ', moved to dead-letter list' : ''}:`,
+        error
+      );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async runHandler(definition, job) {
+    if (definition.perTenant && !job.tenantId) {
+      return tenantContext.runAsSystem(() => this.fanOut(definition, job));
+    }
+
+    if (!job.tenantId) {
+      return tenantContext.runAsSystem(() =>
+        definition.handler({ job, payload: job.payload, tenantId: null, tenantInfo: null })
+      );
+    }
+
+    const tenantInfo = await tenantResolver.getOrganizationInfo(job.tenantId);
+    if (!tenantInfo?.isActive) {
+      return { skipped: `Tenant ${job.tenantId} is not active` };
+    }
+
+    return tenantContext.run(tenantInfo, () =>
+      definition.handler({ job, payload: job.payload, tenantId: job.tenantId, tenantInfo })
+    );
+  }
+
+  // Child keys derive from the parent run, so a retried fan-out does not enqueue twice while
+  // a re-run from the admin API starts a new set of children
+  async fanOut(definition, job) {
+    const tenantIds = await this.getActiveTenantIds();
+    const parentKey = `${job._id}.${job.reruns}`;
+
+    const children = await Promise.all(
+      tenantIds.map((tenantId) =>
+        this.jobQueue.enqueue(job.name, job.payload, {
+          tenantId,
+          parentId: job._id,
+          maxAttempts: definition.maxAttempts,
+          uniqueKey: `${parentKey}:${tenantId}`,
+          scheduleName: job.scheduleName,
+        })
+      )
+    );
+
+    return { tenants: tenantIds.length, enqueued: children.filter(Boolean).length };
+  }
+
+  // Tenant and organization records, see TenantResolver.fetchOrganizationFromDatabase
+  async getActiveTenantIds() {
+    const [tenants, organizations] = await Promise.all([
+      Tenant.find({ isActive: true, isDeleted: { $ne: true } }).select('tenantId'),
+      Organization.find({ status: 'active', isDeleted: { $ne: true } }).select('organizationId'),
+    ]);
+
+    return [
+      ...new Set([
+        ...tenants.map((tenant) => tenant.tenantId),
+        ...organizations.map((organization) => organization.organizationId),
+      ]),
+    ];
+  }
+
+  // Enqueues a run now, outside the schedule
+  async trigger(name, payload = {}) {
+    try {
+      const definition = this.definitions.get(name);
+      if (!definition) {
+        throw new AppError(`Unknown job: ${name}`, 404);
+      }
+
+      return await this.jobQueue.enqueue(name, payload, { maxAttempts: definition.maxAttempts });
+    } catch (error) {
+      logger.error(`Error triggering job ${name}:`, error);
+      throw error;
+    }
+  }
+
+  async listSchedules() {
+    try {
+      const schedules = await JobSchedule.find().sort({ name: 1 });
+      const byName = new Map(schedules.map((schedule) => [schedule.name, schedule]));
+
+      return [...this.definitions.values()].map(({ name, cron, perTenant }) => ({
+        name,
+        cron: cron ? cron.expression : null,
+        perTenant,
+        nextRunAt: byName.get(name)?.nextRunAt || null,
+        lastRunAt: byName.get(name)?.lastRunAt || null,
+        lastJobId: byName.get(name)?.lastJobId || null,
+      }));
+    } catch (error) {
+      logger.error('Error listing job schedules:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Injectable(['JobQueue'])(JobScheduler);
@@ -0,0 +1,108 @@
+// Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Fields accept `*`, numbers, ranges (`1-5`), steps (`*/15`, `0-30/10`) and comma separated lists.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 },
+];
+
+// Gives up on expressions that never match, e.g. 30 February
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const range = (from, to, step = 1) =>
+  Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, index) => from + index * step);
+
+const parseNumber = (value, field, expression) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+  }
+  return number;
+};
+
+const parsePart = (part, field, expression) => {
+  const [base, stepValue] = part.split('/');
+  const step =
+    stepValue === undefined ? 1 : parseNumber(stepValue, { ...field, min: 1 }, expression);
+
+  if (base === '*') {
+    return range(field.min, field.max, step);
+  }
+
+  const [from, to] = base.split('-');
+  const start = parseNumber(from, field, expression);
+  let end = start;
+  if (to !== undefined) {
+    end = parseNumber(to, field, expression);
+  } else if (stepValue !== undefined) {
+    // `5/15` runs from 5 to the end of the field
+    end = field.max;
+  }
+
+  if (end < start) {
+    throw new Error(`Invalid range "${base}" in cron expression "${expression}"`);
+  }
+  return range(start, end, step);
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const fields = FIELDS.reduce((parsed, field, index) => {
+    // 7 is accepted as Sunday, like most cron implementations
+    const raw = field.name === 'dayOfWeek' ? parts[index].replace(/\b7\b/g, '0') : parts[index];
+    const values = raw.split(',').flatMap((part) => parsePart(part, field, expression));
+    return { ...parsed, [field.name]: new Set(values) };
+  }, {});
+
+  // Standard cron: when both day fields are restricted a day matches either of them
+  const anyDayOfMonth = parts[2] === '*';
+  const anyDayOfWeek = parts[4] === '*';
+
+  const matchesDay = (date) => {
+    const dayOfMonth = fields.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = fields.dayOfWeek.has(date.getUTCDay());
+    if (anyDayOfMonth || anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  };
+
+  // First matching minute strictly after `after`
+  const next = (after = new Date()) => {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    let searched = 0;
+    while (searched < MAX_SEARCH_MINUTES) {
+      if (!fields.month.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!fields.hour.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!fields.minute.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date;
+      }
+      searched += 1;
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+  };
+
+  return { expression, next };
+};
+
+module.exports = {
+  parseCron,
+};
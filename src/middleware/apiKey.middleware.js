@@ -1,18 +1,41 @@
+const crypto = require('crypto');
 const { AppError } = require('./error.middleware');
+const logger = require('../utils/logger');
 
+// Compares digests so the time taken does not depend on how much of the key matched
+const matchesKey = (provided, key) =>
+  crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(provided).digest(),
+    crypto.createHash('sha256').update(key).digest()
+  );
+
+/**
+ * Platform API keys (API_KEYS) for the tenant and job administration routes.
+ * Tenant API keys are separate, see TenantApiKeyService.
+ *
+ * Without configured keys every request passes outside production; in production the
+ * routes are closed instead.
+ */
 function apiKeyMiddleware(options = {}) {
   const { required = true } = options;
-  const keys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
+  const keys = process.env.API_KEYS
+    ? process.env.API_KEYS.split(',')
+        .map((key) => key.trim())
+        .filter(Boolean)
+    : [];
 
   return (req, res, next) => {
-    if (keys.length === 0) {
+    if (keys.length === 0 && process.env.NODE_ENV !== 'production') {
       return next();
     }
 
     const provided = req.headers['x-api-key'] || req.headers['api-key'];
-    const valid = provided && keys.includes(provided);
+    const valid = typeof provided === 'string' && keys.some((key) => matchesKey(provided, key));
 
     if (!valid && required) {
+      if (keys.length === 0) {
+        logger.error('API_KEYS is not configured, platform API requests are refused');
+      }
       return next(new AppError('Invalid or missing API key', 401));
     }
 
@@ -1,12 +1,39 @@
 const jwt = require('jsonwebtoken');
 const { AppError, asyncHandler } = require('./error.middleware');
 const User = require('../domain/entities/User');
+const tenantContext = require('../tenant/context/TenantContext');
+const { container } = require('../shared/container/ServiceContainer');
+const { parseApiKey } = require('../tenant/apiKeys/apiKeyFormat');
 const { getEnvironment } = require('../config/environment');
 const logger = require('../utils/logger');
 
+/**
+ * Authenticates a tenant API key from the X-API-Key header
+ * Attaches the key's principal (see TenantApiKeyService.toPrincipal) as the user
+ */
+const authenticateApiKey = async (req, next) => {
+  const principal = await container.get('TenantApiKeyService').authenticate(req.headers['x-api-key']);
+
+  // The key resolved the tenant, it is never valid for another tenant or outside of one
+  if (!req.tenantId || principal.tenantId !== req.tenantId) {
+    throw new AppError('API key is not valid for this organization', 403);
+  }
+
+  await container.get('IpAllowlistService').enforce(req, principal);
+
+  req.user = principal;
+  req.userId = null;
+  req.apiKey = { keyId: principal.apiKeyId, tenantId: principal.tenantId };
+  req.authType = 'apiKey';
+
+  logger.debug(`API key authenticated: ${principal.apiKeyId} (${principal.tenantId})`);
+  next();
+};
+
 /**
  * Middleware to authenticate JWT tokens
  * Extracts token from Authorization header or cookies
+ * Falls back to a tenant API key in X-API-Key when no token is sent
  * Verifies token and attaches user to request object
  */
 const authenticateToken = asyncHandler(async (req, res, next) => {
@@ -26,6 +53,10 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
   }
 
   if (!token) {
+    if (parseApiKey(req.headers['x-api-key'])) {
+      await authenticateApiKey(req, next);
+      return;
+    }
     throw new AppError('Access token is required', 401);
   }
 
@@ -34,8 +65,11 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
     const env = getEnvironment();
     const decoded = jwt.verify(token, env.jwt.secret);
     
-    // Find user by ID  
-    const user = await User.findById(decoded.id).select('-password');
+    // Find user by ID, routes outside a tenant (e.g. /api/tenants) look it up across tenants
+    const findUser = () => User.findById(decoded.id).select('-password').exec();
+    const user = tenantContext.getCurrentTenant()
+      ? await findUser()
+      : await tenantContext.runAsSystem(findUser);
     
     if (!user) {
       throw new AppError('User not found or token invalid', 401);
@@ -56,6 +90,15 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
       throw new AppError('Email verification required', 403);
     }
 
+    // Tokens of an ended or idle session are refused (tokens without a session predate them)
+    if (decoded.sid) {
+      await container.get('SessionService').touch({ _id: decoded.sid }, { req });
+      req.sessionId = decoded.sid;
+    }
+
+    // Requests from outside the tenant's IP allowlist are refused
+    await container.get('IpAllowlistService').enforce(req, user);
+
     // Attach user to request
     req.user = user;
     req.userId = user._id;
@@ -76,6 +119,7 @@ const authenticateToken = asyncHandler(async (req, res, next) => {
 /**
  * Middleware to authenticate refresh tokens
  * Used specifically for token refresh endpoints
+ * The token must be the active one of its family in the refresh token store
  */
 const authenticateRefreshToken = asyncHandler(async (req, res, next) => {
   let refreshToken;
@@ -92,11 +136,10 @@ const authenticateRefreshToken = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const env = getEnvironment();
-    const decoded = jwt.verify(refreshToken, env.jwt.refreshSecret);
-    
-    // Find user and check if refresh token is still valid
-    const user = await User.findById(decoded.id).select('-password');
+    const { record } = await container.get('RefreshTokenService').verify(refreshToken);
+
+    // Find user the refresh token was issued to
+    const user = await User.findById(record.userId).select('-password');
     
     if (!user) {
       throw new AppError('User not found or refresh token invalid', 401);
@@ -106,9 +149,8 @@ const authenticateRefreshToken = asyncHandler(async (req, res, next) => {
       throw new AppError('Account is deactivated', 401);
     }
 
-    // Check if this refresh token is in the user's valid tokens list (if implemented)
-    // This would require storing refresh tokens in the database
-    
+    await container.get('IpAllowlistService').enforce(req, user);
+
     req.user = user;
     req.userId = user._id;
     req.refreshToken = refreshToken;
@@ -153,8 +195,15 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
     const env = getEnvironment();
     const decoded = jwt.verify(token, env.jwt.secret);
     const user = await User.findById(decoded.id).select('-password');
+    // An ended session throws and counts as no token
+    if (user && decoded.sid) {
+      await container.get('SessionService').touch({ _id: decoded.sid }, { req });
+      req.sessionId = decoded.sid;
+    }
     
     if (user && user.isActive && !user.isLocked) {
+      // A refused address throws and counts as no token
+      await container.get('IpAllowlistService').enforce(req, user);
       req.user = user;
       req.userId = user._id;
     } else {
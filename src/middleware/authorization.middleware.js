@@ -1,6 +1,23 @@
-const { AppError } = require('./error.middleware');
+const { AppError, asyncHandler } = require('./error.middleware');
+const { container } = require('../shared/container/ServiceContainer');
+const permissionRegistry = require('../domain/permissions');
 const logger = require('../utils/logger');
 
+/**
+ * Effective permissions of the request's user in the request's tenant (see RoleService),
+ * resolved once per request
+ * @param {Object} req - Express request
+ * @returns {Promise<Set>} Permission keys
+ */
+const getEffectivePermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await container
+      .get('RoleService')
+      .getEffectivePermissions(req.user, req.tenantId || req.user.tenantId);
+  }
+  return req.permissions;
+};
+
 /**
  * Middleware to check if user has required role(s)
  * @param {string|Array} roles - Required role(s)
@@ -37,14 +54,15 @@ const requirePermission = (permissions) => {
   // Normalize permissions to array
   const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
   
-  return (req, res, next) => {
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       throw new AppError('Authentication required', 401);
     }
 
-    // Check if user has all required permissions
+    // Check if user has all required permissions, from roles or direct grants
+    const effectivePermissions = await getEffectivePermissions(req);
     const hasAllPermissions = requiredPermissions.every(permission => 
-      req.user.hasPermission(permission)
+      effectivePermissions.has(permission)
     );
     
     if (!hasAllPermissions) {
@@ -54,7 +72,7 @@ const requirePermission = (permissions) => {
 
     logger.debug(`Permission authorization passed for user ${req.user.email}`);
     next();
-  };
+  });
 };
 
 /**
@@ -63,14 +81,15 @@ const requirePermission = (permissions) => {
  * @returns {Function} Express middleware function
  */
 const requireAnyPermission = (permissions) => {
-  return (req, res, next) => {
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       throw new AppError('Authentication required', 401);
     }
 
     // Check if user has any of the required permissions
+    const effectivePermissions = await getEffectivePermissions(req);
     const hasAnyPermission = permissions.some(permission => 
-      req.user.hasPermission(permission)
+      effectivePermissions.has(permission)
     );
     
     if (!hasAnyPermission) {
@@ -80,11 +99,11 @@ const requireAnyPermission = (permissions) => {
 
     logger.debug(`Any-permission authorization passed for user ${req.user.email}`);
     next();
-  };
+  });
 };
 
 /**
- * Middleware to check tenant-specific role
+ * Middleware to check tenant-specific role, built-in or custom (by key)
  * @param {string|Array} roles - Required tenant role(s)
  * @returns {Function} Express middleware function
  */
@@ -100,23 +119,23 @@ const requireTenantRole = (roles) => {
       throw new AppError('Tenant context required', 400);
     }
 
-    // Get user's role for current tenant
-    const userTenantRole = req.user.getTenantRole(req.tenantId);
+    // Get user's roles for current tenant
+    const userTenantRoles = container.get('RoleService').getRoles(req.user, req.tenantId);
     
-    if (!userTenantRole) {
+    if (!userTenantRoles.length) {
       logger.warn(`No tenant role found for user ${req.user.email} in tenant ${req.tenantId}`);
       throw new AppError('No access to this tenant', 403);
     }
 
     // Check if user has required tenant role
-    const hasRole = requiredRoles.includes(userTenantRole);
+    const hasRole = requiredRoles.some(role => userTenantRoles.includes(role));
     
     if (!hasRole) {
-      logger.warn(`Tenant role access denied for user ${req.user.email}: required ${requiredRoles.join(', ')}, current: ${userTenantRole}`);
+      logger.warn(`Tenant role access denied for user ${req.user.email}: required ${requiredRoles.join(', ')}, current: ${userTenantRoles.join(', ')}`);
       throw new AppError('Insufficient tenant permissions', 403);
     }
 
-    logger.debug(`Tenant role authorization passed for user ${req.user.email} with role ${userTenantRole}`);
+    logger.debug(`Tenant role authorization passed for user ${req.user.email} with roles ${userTenantRoles.join(', ')}`);
     next();
   };
 };
@@ -129,7 +148,7 @@ const requireTenantRole = (roles) => {
 const requireTenantPermission = (permissions) => {
   const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
   
-  return (req, res, next) => {
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       throw new AppError('Authentication required', 401);
     }
@@ -138,9 +157,10 @@ const requireTenantPermission = (permissions) => {
       throw new AppError('Tenant context required', 400);
     }
 
-    // Check if user has all required tenant permissions
+    // Check if user has all required permissions in the tenant
+    const effectivePermissions = await getEffectivePermissions(req);
     const hasAllPermissions = requiredPermissions.every(permission => 
-      req.user.hasTenantPermission(req.tenantId, permission)
+      effectivePermissions.has(permission)
     );
     
     if (!hasAllPermissions) {
@@ -150,7 +170,7 @@ const requireTenantPermission = (permissions) => {
 
     logger.debug(`Tenant permission authorization passed for user ${req.user.email} in tenant ${req.tenantId}`);
     next();
-  };
+  });
 };
 
 /**
@@ -160,7 +180,7 @@ const requireTenantPermission = (permissions) => {
  * @returns {Function} Express middleware function
  */
 const requireOwnershipOrPermission = (userIdParam = 'userId', adminPermission = 'users.read') => {
-  return (req, res, next) => {
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       throw new AppError('Authentication required', 401);
     }
@@ -178,14 +198,14 @@ const requireOwnershipOrPermission = (userIdParam = 'userId', adminPermission =
     }
 
     // Allow if user has admin permission
-    if (req.user.hasPermission(adminPermission)) {
+    if ((await getEffectivePermissions(req)).has(adminPermission)) {
       logger.debug(`Admin permission authorization passed for user ${req.user.email}`);
       return next();
     }
 
     logger.warn(`Ownership/permission access denied for user ${req.user.email} accessing ${targetUserId}`);
     throw new AppError('Access denied: insufficient permissions', 403);
-  };
+  });
 };
 
 /**
@@ -283,28 +303,13 @@ const roles = {
   USER: 'user',
 };
 
-const permissions = {
-  // User permissions
-  USERS_READ: 'users.read',
-  USERS_WRITE: 'users.write',
-  USERS_DELETE: 'users.delete',
-  
-  // Member permissions
-  MEMBERS_READ: 'members.read',
-  MEMBERS_WRITE: 'members.write',
-  MEMBERS_DELETE: 'members.delete',
-  
-  // Report permissions
-  REPORTS_READ: 'reports.read',
-  REPORTS_WRITE: 'reports.write',
-  
-  // Settings permissions
-  SETTINGS_READ: 'settings.read',
-  SETTINGS_WRITE: 'settings.write',
-  
-  // Tenant permissions
-  TENANT_MANAGE: 'tenant.manage',
-};
+// Constants of the registered permissions, `users.read` as USERS_READ; modules define theirs in
+// domain/permissions
+const permissions = Object.freeze(
+  Object.fromEntries(
+    permissionRegistry.keys().map(key => [key.toUpperCase().replace(/[^A-Z0-9]+/g, '_'), key])
+  )
+);
 
 module.exports = {
   requireRole,
@@ -317,6 +322,7 @@ module.exports = {
   requireTenantAdmin,
   requireActiveUser,
   requireAll,
+  getEffectivePermissions,
   roles,
   permissions,
 };
\ No newline at end of file
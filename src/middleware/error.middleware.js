@@ -51,6 +51,7 @@ const sendErrorProd = (err, res) => {
     res.status(err.statusCode).json({
       success: false,
       message: err.message,
+      ...(err.details && { details: err.details }),
       timestamp: new Date().toISOString(),
     });
   } else {
@@ -0,0 +1,66 @@
+const express = require('express');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getTenantApiKeyService = () => container.get('TenantApiKeyService');
+
+// API keys of the current tenant, managed by its admins
+router.use(auth.tenantAdmin);
+
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const keys = await getTenantApiKeyService().list(req.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: keys,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Body: name, permissions, expiresAt. The response holds the key, it is not shown again
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const key = await getTenantApiKeyService().create(req.tenantId, req.body, req.userId);
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: key,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:keyId/rotate',
+  asyncHandler(async (req, res) => {
+    const key = await getTenantApiKeyService().rotate(req.tenantId, req.params.keyId, req.userId);
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated successfully',
+      data: key,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:keyId',
+  asyncHandler(async (req, res) => {
+    const key = await getTenantApiKeyService().revoke(req.tenantId, req.params.keyId, req.userId);
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: key,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
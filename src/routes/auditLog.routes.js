@@ -0,0 +1,33 @@
+const express = require('express');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getAuditLogService = () => container.get('AuditLogService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Audit trail of the current tenant, newest first; `action` filters e.g. `security.ip_denied`
+router.get(
+  '/',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getAuditLogService().list(req.tenantId, {
+      action: typeof req.query.action === 'string' ? req.query.action : undefined,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit log retrieved successfully',
+      data: result.entries,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
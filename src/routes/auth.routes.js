@@ -1,22 +1,459 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/error.middleware');
+const jwt = require('jsonwebtoken');
+const { asyncHandler, auth, AppError } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
 
 const router = express.Router();
 
-router.get('/', asyncHandler(async (req, res) => {
+// Resolved lazily so the container is fully registered before first use
+const getAuthService = () => container.get('AuthService');
+const getSessionService = () => container.get('SessionService');
+const getMfaService = () => container.get('MfaService');
+const getPasswordPolicyService = () => container.get('PasswordPolicyService');
+const getInvitationService = () => container.get('InvitationService');
+
+// Cookie names must match what authenticateToken/authenticateRefreshToken read
+const ACCESS_TOKEN_COOKIE = 'accessToken';
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+
+// The refresh token is only ever needed by the auth endpoints
+const REFRESH_TOKEN_PATH = '/api/auth';
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+});
+
+// Cookie lifetime follows the `exp` claim of the token it carries
+const expiresFromToken = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? new Date(decoded.exp * 1000) : undefined;
+};
+
+const setAuthCookies = (res, tokens) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, tokens.accessToken, {
+    ...baseCookieOptions(),
+    path: '/',
+    expires: expiresFromToken(tokens.accessToken),
+  });
+
+  res.cookie(REFRESH_TOKEN_COOKIE, tokens.refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_TOKEN_PATH,
+    expires: expiresFromToken(tokens.refreshToken),
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...baseCookieOptions(), path: '/' });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...baseCookieOptions(), path: REFRESH_TOKEN_PATH });
+};
+
+// The refresh token stays in its httpOnly cookie and is never echoed in the body
+const publicTokens = (tokens) => ({
+  accessToken: tokens.accessToken,
+  expiresIn: tokens.expiresIn,
+  tokenType: tokens.tokenType,
+});
+
+// When the tenant requires MFA the new user gets an enrollment challenge instead of tokens
+router.post(
+  '/register',
+  asyncHandler(async (req, res) => {
+    const { message, user, tokens, ...challenge } = await getAuthService().register(
+      req.body,
+      req.tenantId,
+      req
+    );
+    if (tokens) {
+      setAuthCookies(res, tokens);
+    }
+
+    res.status(201).json({
+      success: true,
+      message,
+      data: tokens ? { user, tokens: publicTokens(tokens) } : { user, ...challenge },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Responds to a login step: the completed login, an MFA challenge (`mfaRequired`) or an expired
+// password (`passwordExpired` with a reset token). Recovery codes come with enrollment at login.
+const sendLogin = (res, result) => {
+  const { message, user, tokens, ...data } = result;
+  if (tokens) {
+    setAuthCookies(res, tokens);
+  }
+
   res.status(200).json({
     success: true,
-    message: 'Auth routes available',
-    endpoints: {
-      register: 'POST /api/auth/register',
-      login: 'POST /api/auth/login',
-      logout: 'POST /api/auth/logout',
-      refresh: 'POST /api/auth/refresh',
-      forgotPassword: 'POST /api/auth/forgot-password',
-      resetPassword: 'POST /api/auth/reset-password',
-    },
+    message,
+    data: tokens ? { user, tokens: publicTokens(tokens), ...data } : data,
     timestamp: new Date().toISOString(),
   });
-}));
+};
+
+// Users with MFA get a challenge token instead of tokens, see /mfa/verify and /mfa/enroll
+router.post(
+  '/login',
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().login(req.body, req.tenantId, req);
+    sendLogin(res, result);
+  })
+);
+
+// Completes a login with a TOTP or recovery code
+router.post(
+  '/mfa/verify',
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+    const result = await getAuthService().verifyMfaLogin(challengeToken, code, req.tenantId, req);
+    sendLogin(res, result);
+  })
+);
+
+// Enrollment works for logged in users and, with the challenge token of a login that requires
+// enrollment, before the login completes
+router.post(
+  '/mfa/enroll',
+  auth.optional,
+  asyncHandler(async (req, res) => {
+    const { challengeToken } = req.body;
+    let result;
+    if (challengeToken) {
+      result = await getAuthService().beginMfaEnrollmentLogin(challengeToken, req.tenantId);
+    } else if (req.userId) {
+      result = await getMfaService().beginEnrollment(req.userId, req.tenantId);
+    } else {
+      throw new AppError('Authentication required', 401);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/mfa/enroll/confirm',
+  auth.optional,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+    if (challengeToken) {
+      const result = await getAuthService().confirmMfaEnrollmentLogin(
+        challengeToken,
+        code,
+        req.tenantId,
+        req
+      );
+      sendLogin(res, result);
+      return;
+    }
+    if (!req.userId) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const result = await getMfaService().confirmEnrollment(req.userId, req.tenantId, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled, store your recovery codes in a safe place',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/mfa',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const status = await getMfaService().getStatus(req.userId, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA status retrieved successfully',
+      data: status,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Not allowed when the tenant requires MFA
+router.post(
+  '/mfa/disable',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const result = await getMfaService().disable(req.userId, req.tenantId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA disabled',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Replaces the recovery codes; requires a current TOTP or recovery code
+router.post(
+  '/mfa/recovery-codes',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const result = await getMfaService().regenerateRecoveryCodes(
+      req.userId,
+      req.tenantId,
+      req.body.code
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated, the previous codes no longer work',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/refresh',
+  auth.refresh,
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().refreshToken(req.refreshToken, req);
+    setAuthCookies(res, result.tokens);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: result.user,
+        tokens: publicTokens(result.tokens),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Logout works with an expired access token too, the cookies are always cleared
+router.post(
+  '/logout',
+  auth.optional,
+  asyncHandler(async (req, res) => {
+    const refreshToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body.refreshToken;
+    const result = await getAuthService().logout(req.userId, refreshToken);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Logs out every other device; with `includeCurrent: true` this one as well
+router.post(
+  '/logout-all',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const includeCurrent = req.body.includeCurrent === true;
+    const refreshToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body.refreshToken;
+    const result = await getAuthService().revokeAllSessions(
+      req.userId,
+      req.tenantId,
+      includeCurrent ? null : refreshToken
+    );
+    if (includeCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { revokedCount: result.revokedCount },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Active sessions of the current user, the one making the request is flagged `current`
+router.get(
+  '/sessions',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().getUserSessions(req.userId, req.tenantId, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Logs out one device; revoking the current session also clears the cookies
+router.delete(
+  '/sessions/:sessionId',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const session = await getSessionService().revoke(
+      req.userId,
+      req.tenantId,
+      req.params.sessionId,
+      'logout'
+    );
+    if (req.params.sessionId === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: session,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Rules of the current tenant, for clients to show before a password is submitted
+router.get(
+  '/password-policy',
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Password policy retrieved successfully',
+      data: getPasswordPolicyService().getPolicy(),
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/forgot-password',
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().forgotPassword(req.body.email, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/reset-password',
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    const result = await getAuthService().resetPassword(token, password, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Invitation links from POST /api/invitations: the invitee reads the invitation, then accepts it
+// with their password and becomes a verified user
+router.get(
+  '/invitation',
+  asyncHandler(async (req, res) => {
+    const invitation = await getInvitationService().getByToken(req.query.token, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation retrieved successfully',
+      data: invitation,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/accept-invitation',
+  asyncHandler(async (req, res) => {
+    const { token, firstName, lastName, password } = req.body;
+    const user = await getInvitationService().accept(token, req.tenantId, {
+      firstName,
+      lastName,
+      password,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted, you can now log in',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/verify-email',
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().verifyEmail(req.body.token, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/resend-verification',
+  asyncHandler(async (req, res) => {
+    const result = await getAuthService().resendVerificationEmail(req.body.email, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/change-password',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const result = await getAuthService().changePassword(
+      req.userId,
+      currentPassword,
+      newPassword,
+      req.tenantId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/me',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Current user retrieved successfully',
+      data: getAuthService().sanitizeUser(req.user),
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,6 +3,12 @@ const authRoutes = require('./auth.routes');
 const userRoutes = require('./user.routes');
 const memberRoutes = require('./member.routes');
 const tenantRoutes = require('./tenant.routes');
+const jobRoutes = require('./job.routes');
+const webhookRoutes = require('./webhook.routes');
+const apiKeyRoutes = require('./apiKey.routes');
+const auditLogRoutes = require('./auditLog.routes');
+const invitationRoutes = require('./invitation.routes');
+const roleRoutes = require('./role.routes');
 const testRoutes = require('./test.routes');
 
 const router = express.Router();
@@ -24,16 +30,52 @@ const defaultRoutes = [
     path: '/tenants',
     route: tenantRoutes,
   },
+  {
+    path: '/jobs',
+    route: jobRoutes,
+  },
+  {
+    path: '/webhooks',
+    route: webhookRoutes,
+  },
+  {
+    path: '/api-keys',
+    route: apiKeyRoutes,
+  },
+  {
+    path: '/audit-logs',
+    route: auditLogRoutes,
+  },
+  {
+    path: '/invitations',
+    route: invitationRoutes,
+  },
+  {
+    path: '/roles',
+    route: roleRoutes,
+  },
+];
+
+// Sample data and debug endpoints, they echo the resolved tenant and are not authenticated
+const devRoutes = [
   {
     path: '/test',
     route: testRoutes,
   },
 ];
 
+const isDevelopment = process.env.NODE_ENV === 'development';
+
 defaultRoutes.forEach((route) => {
   router.use(route.path, route.route);
 });
 
+if (isDevelopment) {
+  devRoutes.forEach((route) => {
+    router.use(route.path, route.route);
+  });
+}
+
 router.get('/', (req, res) => {
   res.status(200).json({
     success: true,
@@ -45,19 +87,27 @@ router.get('/', (req, res) => {
       users: '/api/users',
       members: '/api/members',
       tenants: '/api/tenants',
-      test: '/api/test',
-    },
-    testEndpoints: {
-      setupMainTenant: 'POST /api/test/setup-main-tenant',
-      tenantInfo: 'GET /api/test/tenant-info',
-      createSampleUsers: 'POST /api/test/create-sample-users',
-      createSampleMembers: 'POST /api/test/create-sample-members',
-      tenantStats: 'GET /api/test/tenant-stats',
-      allTenants: 'GET /api/test/all-tenants',
-      debug: 'GET /api/test/debug',
+      jobs: '/api/jobs',
+      webhooks: '/api/webhooks',
+      apiKeys: '/api/api-keys',
+      auditLogs: '/api/audit-logs',
+      invitations: '/api/invitations',
+      roles: '/api/roles',
+      ...(isDevelopment && { test: '/api/test' }),
     },
+    ...(isDevelopment && {
+      testEndpoints: {
+        setupMainTenant: 'POST /api/test/setup-main-tenant',
+        tenantInfo: 'GET /api/test/tenant-info',
+        createSampleUsers: 'POST /api/test/create-sample-users',
+        createSampleMembers: 'POST /api/test/create-sample-members',
+        tenantStats: 'GET /api/test/tenant-stats',
+        allTenants: 'GET /api/test/all-tenants',
+        debug: 'GET /api/test/debug',
+      },
+    }),
     multiTenant: {
-      strategies: ['header', 'subdomain', 'path'],
+      strategies: ['apiKey', 'customDomain', 'subdomain', 'header', 'path'],
       defaultStrategy: process.env.TENANT_STRATEGY || 'header',
       isolationStrategies: ['database', 'schema', 'row'],
     },
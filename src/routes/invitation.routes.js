@@ -0,0 +1,88 @@
+const express = require('express');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getInvitationService = () => container.get('InvitationService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Invitees accept through POST /api/auth/accept-invitation
+router.post(
+  '/',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const invitation = await getInvitationService().invite(req.tenantId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invitation,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Pending invitations by default; `status` selects accepted, revoked, expired or all
+router.get(
+  '/',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getInvitationService().list(req.tenantId, {
+      status: typeof req.query.status === 'string' ? req.query.status : undefined,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, MAX_PAGE_SIZE),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: result.invitations,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Sends a new link and restarts the expiry; earlier links stop working
+router.post(
+  '/:invitationId/resend',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const invitation = await getInvitationService().resend(
+      req.params.invitationId,
+      req.tenantId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: invitation,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:invitationId',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const invitation = await getInvitationService().revoke(
+      req.params.invitationId,
+      req.tenantId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/error.middleware');
+const apiKeyMiddleware = require('../middleware/apiKey.middleware');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { requireSuperAdmin } = require('../middleware/authorization.middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getJobQueue = () => container.get('JobQueue');
+const getJobScheduler = () => container.get('JobScheduler');
+
+// Platform administration only
+router.use(apiKeyMiddleware(), authenticateToken, requireSuperAdmin);
+
+// Filters: status, name, tenantId, page, limit
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const result = await getJobQueue().list(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Jobs retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/stats',
+  asyncHandler(async (req, res) => {
+    const stats = await getJobQueue().getStats();
+    res.status(200).json({
+      success: true,
+      message: 'Job statistics retrieved successfully',
+      data: stats,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Jobs that ran out of attempts
+router.get(
+  '/dead-letter',
+  asyncHandler(async (req, res) => {
+    const result = await getJobQueue().list({ ...req.query, status: 'dead' });
+    res.status(200).json({
+      success: true,
+      message: 'Dead-letter jobs retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/schedules',
+  asyncHandler(async (req, res) => {
+    const schedules = await getJobScheduler().listSchedules();
+    res.status(200).json({
+      success: true,
+      message: 'Job schedules retrieved successfully',
+      data: schedules,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Runs a defined job now, outside its schedule
+router.post(
+  '/schedules/:name/run',
+  asyncHandler(async (req, res) => {
+    const job = await getJobScheduler().trigger(req.params.name, req.body.payload);
+    res.status(202).json({
+      success: true,
+      message: 'Job queued',
+      data: job,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:jobId',
+  asyncHandler(async (req, res) => {
+    const job = await getJobQueue().get(req.params.jobId);
+    res.status(200).json({
+      success: true,
+      message: 'Job retrieved successfully',
+      data: job,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:jobId/rerun',
+  asyncHandler(async (req, res) => {
+    const job = await getJobQueue().rerun(req.params.jobId);
+    res.status(202).json({
+      success: true,
+      message: 'Job queued to run again',
+      data: job,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
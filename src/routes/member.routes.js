@@ -1,21 +1,114 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
 
 const router = express.Router();
 
-router.get('/', asyncHandler(async (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Member routes available',
-    endpoints: {
-      getAllMembers: 'GET /api/members',
-      createMember: 'POST /api/members',
-      getMember: 'GET /api/members/:id',
-      updateMember: 'PUT /api/members/:id',
-      deleteMember: 'DELETE /api/members/:id',
-    },
-    timestamp: new Date().toISOString(),
-  });
-}));
-
-module.exports = router;
\ No newline at end of file
+// Resolved lazily so the container is fully registered before first use
+const getMemberService = () => container.get('MemberService');
+
+const MAX_PAGE_SIZE = 100;
+
+router.get(
+  '/',
+  auth.canReadMembers,
+  asyncHandler(async (req, res) => {
+    const { status, type, paymentStatus, category, search, sortBy, sortOrder } = req.query;
+
+    const result = await getMemberService().getAll({
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, MAX_PAGE_SIZE),
+      status,
+      type,
+      paymentStatus,
+      category,
+      search,
+      sortBy,
+      sortOrder,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Members retrieved successfully',
+      data: result.members,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/',
+  auth.canWriteMembers,
+  asyncHandler(async (req, res) => {
+    const member = await getMemberService().create(req.body, req.tenantId, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member created successfully',
+      data: member,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:id',
+  auth.canReadMembers,
+  asyncHandler(async (req, res) => {
+    const member = await getMemberService().getById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member retrieved successfully',
+      data: member,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.put(
+  '/:id',
+  auth.canWriteMembers,
+  asyncHandler(async (req, res) => {
+    const member = await getMemberService().update(req.params.id, req.body, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      data: member,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.patch(
+  '/:id',
+  auth.canWriteMembers,
+  asyncHandler(async (req, res) => {
+    const member = await getMemberService().patch(req.params.id, req.body, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      data: member,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:id',
+  auth.canDeleteMembers,
+  asyncHandler(async (req, res) => {
+    const result = await getMemberService().delete(req.params.id, req.tenantId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
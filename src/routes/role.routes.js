@@ -0,0 +1,86 @@
+const express = require('express');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getRoleService = () => container.get('RoleService');
+
+// Registered permissions, what custom roles are built from
+router.get(
+  '/permissions',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Permissions retrieved successfully',
+      data: getRoleService().listPermissions(),
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Built-in roles with their default permissions, then the tenant's custom roles
+router.get(
+  '/',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const roles = await getRoleService().list(req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: roles,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Users get custom roles through PATCH /api/users/:userId/roles
+router.post(
+  '/',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const role = await getRoleService().create(req.tenantId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.put(
+  '/:roleId',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const role = await getRoleService().update(req.params.roleId, req.tenantId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:roleId',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const role = await getRoleService().delete(req.params.roleId, req.tenantId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: role,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
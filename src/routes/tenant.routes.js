@@ -1,13 +1,24 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const apiKeyMiddleware = require('../middleware/apiKey.middleware');
-const TenantService = require('../domain/services/TenantService');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { requireSuperAdmin } = require('../middleware/authorization.middleware');
+const { container } = require('../shared/container/ServiceContainer');
 
 const router = express.Router();
-const tenantService = new TenantService();
+
+// Resolved lazily so the container is fully registered before first use
+const getTenantService = () => container.get('TenantService');
+const getTenantMigrationService = () => container.get('TenantMigrationService');
+const getTenantArchiveService = () => container.get('TenantArchiveService');
+const getTenantLifecycleService = () => container.get('TenantLifecycleService');
+
+// Platform key and a super admin token. Without API_KEYS the key check passes outside
+// production, so the token is what guards these routes there.
+const platformAdmin = [apiKeyMiddleware(), authenticateToken, requireSuperAdmin];
 
 router.post('/', apiKeyMiddleware(), asyncHandler(async (req, res) => {
-  const tenant = await tenantService.create(req.body);
+  const tenant = await getTenantService().create(req.body);
   res.status(201).json({
     success: true,
     message: 'Tenant created successfully',
@@ -16,14 +27,250 @@ router.post('/', apiKeyMiddleware(), asyncHandler(async (req, res) => {
   });
 }));
 
-router.get('/:tenantId', asyncHandler(async (req, res) => {
-  const tenant = await tenantService.getById(req.params.tenantId);
-  res.status(200).json({
-    success: true,
-    message: 'Tenant retrieved successfully',
-    data: tenant,
-    timestamp: new Date().toISOString(),
-  });
-}));
+// The full record, including API key metadata, webhook URLs and IP allowlists
+router.get(
+  '/:tenantId',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const tenant = await getTenantService().getById(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Tenant retrieved successfully',
+      data: tenant,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Provisioning progress of a new tenant (connection, collections, indexes, seed, admin user)
+router.get(
+  '/:tenantId/provisioning',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const progress = await getTenantService().getProvisioningStatus(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Provisioning status retrieved successfully',
+      data: progress,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Resumes from the failed step; body may carry a corrected adminUser { email, firstName, lastName }
+router.post(
+  '/:tenantId/provisioning/retry',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const progress = await getTenantService().retryProvisioning(req.params.tenantId, {
+      adminUser: req.body.adminUser,
+    });
+    res.status(202).json({
+      success: true,
+      message: 'Provisioning retry started',
+      data: progress,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Collections of the `schema` isolation strategy (<prefix>_users, <prefix>_members, ...)
+router.get(
+  '/:tenantId/schema-collections',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getTenantService().listSchemaCollections(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Tenant collections retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:tenantId/schema-collections',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    // The tenant id has to be repeated in the body to confirm the drop
+    if (req.body.confirm !== req.params.tenantId) {
+      throw new AppError('Confirmation does not match tenant ID', 400);
+    }
+
+    const result = await getTenantService().dropSchemaCollections(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Tenant collections dropped successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Isolation strategy migrations (row / schema / database)
+router.post(
+  '/:tenantId/migrations/dry-run',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const report = await getTenantMigrationService().plan(req.params.tenantId, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Migration dry run completed',
+      data: report,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:tenantId/migrations',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const migration = await getTenantMigrationService().start(req.params.tenantId, req.body);
+    res.status(202).json({
+      success: true,
+      message: 'Migration started',
+      data: migration,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:tenantId/migrations',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const migrations = await getTenantMigrationService().listMigrations(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Migrations retrieved successfully',
+      data: migrations,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:tenantId/migrations/:migrationId',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const migration = await getTenantMigrationService().getMigration(
+      req.params.tenantId,
+      req.params.migrationId
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Migration retrieved successfully',
+      data: migration,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:tenantId/migrations/:migrationId/resume',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const migration = await getTenantMigrationService().resume(
+      req.params.tenantId,
+      req.params.migrationId
+    );
+    res.status(202).json({
+      success: true,
+      message: 'Migration resumed',
+      data: migration,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Extends a trial by `days` or to `until`; also reopens a tenant expired or suspended by the trial
+router.post(
+  '/:tenantId/trial/extend',
+  apiKeyMiddleware(),
+  authenticateToken,
+  requireSuperAdmin,
+  asyncHandler(async (req, res) => {
+    const tenant = await getTenantLifecycleService().extendTrial(
+      req.params.tenantId,
+      { days: req.body.days, until: req.body.until },
+      { userId: req.user._id.toString(), userEmail: req.user.email, userRole: req.user.role }
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Trial extended successfully',
+      data: tenant,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Tenant data archives, also written automatically when a tenant is deleted
+router.post(
+  '/:tenantId/archives',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const archive = await getTenantArchiveService().archiveTenant(req.params.tenantId, {
+      requestedBy: req.user.email,
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Tenant archived successfully',
+      data: archive,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:tenantId/archives',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const archives = await getTenantArchiveService().listArchives(req.params.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Archives retrieved successfully',
+      data: archives,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:tenantId/archives/:archiveId',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const archive = await getTenantArchiveService().getArchive(
+      req.params.tenantId,
+      req.params.archiveId
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Archive retrieved successfully',
+      data: archive,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Brings a deleted tenant back from an archive, restricted to super admins
+router.post(
+  '/:tenantId/archives/:archiveId/restore',
+  platformAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getTenantArchiveService().restore(
+      req.params.tenantId,
+      req.params.archiveId,
+      req.user.email
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Tenant restored successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
 
 module.exports = router;
@@ -1,20 +1,338 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/error.middleware');
+const {
+  asyncHandler,
+  auth,
+  authenticateToken,
+  requireOwnershipOrPermission,
+  permissions,
+} = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
 
 const router = express.Router();
 
-router.get('/', asyncHandler(async (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'User routes available',
-    endpoints: {
-      getAllUsers: 'GET /api/users',
-      getUserProfile: 'GET /api/users/profile',
-      updateProfile: 'PUT /api/users/profile',
-      deleteAccount: 'DELETE /api/users/profile',
-    },
-    timestamp: new Date().toISOString(),
-  });
-}));
-
-module.exports = router;
\ No newline at end of file
+// Resolved lazily so the container is fully registered before first use
+const getUserService = () => container.get('UserService');
+const getSessionService = () => container.get('SessionService');
+const getMfaService = () => container.get('MfaService');
+const getLoginSecurityService = () => container.get('LoginSecurityService');
+const getRoleService = () => container.get('RoleService');
+
+const MAX_PAGE_SIZE = 100;
+
+const parseBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+const parseListOptions = (query) => ({
+  page: parseInt(query.page, 10) || 1,
+  limit: Math.min(parseInt(query.limit, 10) || 20, MAX_PAGE_SIZE),
+  role: query.role,
+  isActive: parseBoolean(query.isActive),
+});
+
+router.get(
+  '/',
+  auth.canReadUsers,
+  asyncHandler(async (req, res) => {
+    const { search, sortBy, sortOrder } = req.query;
+
+    const result = await getUserService().getAll(req.tenantId, {
+      ...parseListOptions(req.query),
+      search,
+      sortBy,
+      sortOrder,
+      requestingUserId: req.userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: result.users,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/',
+  auth.canWriteUsers,
+  asyncHandler(async (req, res) => {
+    const user = await getUserService().create(req.body, req.tenantId, { createdBy: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/search',
+  auth.canReadUsers,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().searchUsers(
+      req.tenantId,
+      req.query.q || '',
+      parseListOptions(req.query)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: result.users,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/me',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const profile = await getUserService().getProfile(req.userId, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile retrieved successfully',
+      data: profile,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.put(
+  '/me',
+  auth.required,
+  asyncHandler(async (req, res) => {
+    const profile = await getUserService().updateProfile(req.userId, req.body, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: profile,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:userId',
+  authenticateToken,
+  requireOwnershipOrPermission('userId', permissions.USERS_READ),
+  asyncHandler(async (req, res) => {
+    const user = await getUserService().getById(req.params.userId, req.tenantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.put(
+  '/:userId',
+  authenticateToken,
+  requireOwnershipOrPermission('userId', permissions.USERS_WRITE),
+  asyncHandler(async (req, res) => {
+    const user = await getUserService().update(
+      req.params.userId,
+      req.body,
+      req.tenantId,
+      req.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:userId',
+  auth.canDeleteUsers,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().delete(req.params.userId, req.tenantId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.patch(
+  '/:userId/role',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().updateRole(
+      req.params.userId,
+      req.body.role,
+      req.tenantId,
+      req.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.patch(
+  '/:userId/permissions',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().updatePermissions(
+      req.params.userId,
+      req.body.permissions || [],
+      req.tenantId,
+      req.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Replaces the user's custom roles (see /api/roles); the built-in role changes through /role
+router.patch(
+  '/:userId/roles',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const user = await getRoleService().assign(
+      req.params.userId,
+      req.tenantId,
+      req.body.roles,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User roles updated successfully',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.patch(
+  '/:userId/activate',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().activate(req.params.userId, req.tenantId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.patch(
+  '/:userId/deactivate',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getUserService().deactivate(req.params.userId, req.tenantId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Sessions of a user in the tenant; `status` is active (default), revoked, expired or all
+router.get(
+  '/:userId/sessions',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    await getUserService().getById(req.params.userId, req.tenantId);
+    const sessions = await getSessionService().list(req.params.userId, req.tenantId, {
+      status: req.query.status,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:userId/sessions/:sessionId',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    await getUserService().getById(req.params.userId, req.tenantId);
+    const session = await getSessionService().revoke(
+      req.params.userId,
+      req.tenantId,
+      req.params.sessionId,
+      'revoked_by_admin'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: session,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// For users who lost their authenticator and recovery codes; where the tenant requires MFA they
+// enroll again on their next login
+router.delete(
+  '/:userId/mfa',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await getMfaService().reset(req.params.userId, req.tenantId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA reset successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Ends a lockout after failed logins before it expires
+router.post(
+  '/:userId/unlock',
+  auth.tenantAdmin,
+  asyncHandler(async (req, res) => {
+    const user = await getLoginSecurityService().unlock(req.params.userId, req.tenantId, {
+      user: req.user,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { asyncHandler, auth } = require('../middleware');
+const { container } = require('../shared/container/ServiceContainer');
+
+const router = express.Router();
+
+// Resolved lazily so the container is fully registered before first use
+const getWebhookService = () => container.get('WebhookService');
+
+// Webhooks of the current tenant, managed by its admins
+router.use(auth.tenantAdmin);
+
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const webhooks = await getWebhookService().list(req.tenantId);
+    res.status(200).json({
+      success: true,
+      message: 'Webhooks retrieved successfully',
+      data: webhooks,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Body: url, events, description. The response holds the signing secret, it is not shown again
+router.post(
+  '/',
+  asyncHandler(async (req, res) => {
+    const webhook = await getWebhookService().create(req.tenantId, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:webhookId',
+  asyncHandler(async (req, res) => {
+    const webhook = await getWebhookService().get(req.tenantId, req.params.webhookId);
+    res.status(200).json({
+      success: true,
+      message: 'Webhook retrieved successfully',
+      data: webhook,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Body: url, events, description, isActive
+router.patch(
+  '/:webhookId',
+  asyncHandler(async (req, res) => {
+    const webhook = await getWebhookService().update(req.tenantId, req.params.webhookId, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  '/:webhookId',
+  asyncHandler(async (req, res) => {
+    const result = await getWebhookService().delete(req.tenantId, req.params.webhookId);
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:webhookId/rotate-secret',
+  asyncHandler(async (req, res) => {
+    const webhook = await getWebhookService().rotateSecret(req.tenantId, req.params.webhookId);
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: webhook,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Filters: status, page, limit
+router.get(
+  '/:webhookId/deliveries',
+  asyncHandler(async (req, res) => {
+    const result = await getWebhookService().listDeliveries(
+      req.tenantId,
+      req.params.webhookId,
+      req.query
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deliveries retrieved successfully',
+      data: result.deliveries,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  '/:webhookId/deliveries/:deliveryId',
+  asyncHandler(async (req, res) => {
+    const delivery = await getWebhookService().getDelivery(
+      req.tenantId,
+      req.params.webhookId,
+      req.params.deliveryId
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Webhook delivery retrieved successfully',
+      data: delivery,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.post(
+  '/:webhookId/deliveries/:deliveryId/replay',
+  asyncHandler(async (req, res) => {
+    const delivery = await getWebhookService().replay(
+      req.tenantId,
+      req.params.webhookId,
+      req.params.deliveryId
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Webhook delivery replayed',
+      data: delivery,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+module.exports = router;
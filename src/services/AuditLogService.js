@@ -0,0 +1,56 @@
+const AuditLog = require('../domain/entities/AuditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Audit trail of a tenant's security events, such as requests refused by the IP allowlist.
+ * Entries are written by the services that detect the events and listed for tenant admins.
+ */
+class AuditLogService {
+  // Never throws: a failed audit write is logged and must not fail the request
+  async record(action, { tenantId, user = null, req = null, details } = {}) {
+    try {
+      await AuditLog.create({
+        tenantId,
+        action,
+        actor: user ? { userId: String(user._id), email: user.email, role: user.role } : undefined,
+        ip: req?.ip,
+        userAgent: req?.get?.('user-agent'),
+        method: req?.method,
+        path: req?.originalUrl,
+        details,
+      });
+    } catch (error) {
+      logger.error(`Error writing audit log entry ${action} for tenant ${tenantId}:`, error);
+    }
+  }
+
+  async list(tenantId, { action, page = 1, limit = 50 } = {}) {
+    try {
+      const filter = { tenantId, ...(action && { action }) };
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error listing audit log of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditLogService;
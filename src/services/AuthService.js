@@ -8,20 +8,45 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { getEnvironment } = require('../config/environment');
 
+// What self-registration takes from the request; role, permissions and account state are set by
+// the platform and tenant admins only
+const REGISTRATION_FIELDS = ['email', 'password', 'firstName', 'lastName', 'profile', 'preferences'];
+
 class AuthService extends IService {
-  constructor(userService, tenantService, emailService) {
+  constructor(
+    userService,
+    tenantService,
+    emailService,
+    eventBus,
+    refreshTokenService,
+    sessionService,
+    mfaService,
+    passwordPolicyService,
+    ipAllowlistService,
+    loginSecurityService
+  ) {
     super();
     this.userService = userService;
     this.tenantService = tenantService;
     this.emailService = emailService;
+    this.eventBus = eventBus;
+    this.refreshTokenService = refreshTokenService;
+    this.sessionService = sessionService;
+    this.mfaService = mfaService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.ipAllowlistService = ipAllowlistService;
+    this.loginSecurityService = loginSecurityService;
     this.env = getEnvironment();
   }
 
-  async register(userData, tenantId) {
+  async register(userData, tenantId, req = null) {
     try {
       // Validate tenant exists and is active
       await this.validateTenant(tenantId);
 
+      // Registration is refused from outside the tenant's IP allowlist
+      await this.ipAllowlistService.enforce(req);
+
       // Validate registration data
       this.validateRegistrationData(userData);
 
@@ -36,12 +61,18 @@ class AuthService extends IService {
         throw new AppError('User already exists with this email', 409);
       }
 
-      // Create user through UserService
+      // Create user through UserService, always as a plain user
+      const registrationData = {};
+      REGISTRATION_FIELDS.forEach(field => {
+        if (userData[field] !== undefined) {
+          registrationData[field] = userData[field];
+        }
+      });
+
       const user = await this.userService.create({
-        ...userData,
+        ...registrationData,
         email: userData.email.toLowerCase(),
-        role: userData.role || 'user',
-        isEmailVerified: false
+        role: 'user'
       }, tenantId);
 
       // Generate email verification token
@@ -56,11 +87,22 @@ class AuthService extends IService {
         await this.emailService.sendVerificationEmail(user.email, verificationToken, tenantId);
       }
 
-      // Generate tokens
-      const tokens = this.generateTokens(user);
-
       logger.info(`User registered successfully: ${user.email} in tenant ${tenantId}`);
 
+      // A tenant that requires MFA gets the same enrollment challenge as at login, the session
+      // only starts once the new user has enrolled
+      const mfaStep = this.mfaService.getLoginRequirement(user);
+      if (mfaStep) {
+        return {
+          user: this.sanitizeUser(user),
+          ...this.createMfaRequirement(user, mfaStep, { tenantId }),
+          message: 'Registration successful. Set up multi-factor authentication to continue.'
+        };
+      }
+
+      // Start a session and generate its tokens
+      const tokens = await this.startSession(user, { tenantId, req });
+
       return {
         user: this.sanitizeUser(user),
         tokens,
@@ -76,9 +118,16 @@ class AuthService extends IService {
     try {
       const { email, password, rememberMe = false } = credentials;
 
+      if (!email || !password) {
+        throw new AppError('Email and password are required', 400);
+      }
+
       // Validate tenant
       await this.validateTenant(tenantId);
 
+      // Addresses with too many failed logins are refused before any account is checked
+      await this.loginSecurityService.assertIpAllowed(tenantId, req);
+
       // Find user with password
       const user = await User.findOne({
         email: email.toLowerCase(),
@@ -87,6 +136,12 @@ class AuthService extends IService {
       }).select('+password');
 
       if (!user) {
+        await this.eventBus.publish(
+          'user.login_failed',
+          { email: email.toLowerCase(), reason: 'unknown_user', ip: req?.ip },
+          { tenantId }
+        );
+        await this.loginSecurityService.recordIpFailure(tenantId, req);
         throw new AppError('Invalid credentials', 401);
       }
 
@@ -99,7 +154,10 @@ class AuthService extends IService {
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        await user.recordFailedLogin();
+        await this.loginSecurityService.recordFailedLogin(user, 'invalid_password', {
+          tenantId,
+          req
+        });
         throw new AppError('Invalid credentials', 401);
       }
 
@@ -113,34 +171,95 @@ class AuthService extends IService {
         throw new AppError('Please verify your email before logging in', 403);
       }
 
-      // Record successful login
-      await user.recordLogin();
+      // Checked for the user so that admin allowlists and the super admin bypass apply
+      await this.ipAllowlistService.enforce(req, user);
 
-      // Generate tokens
-      const tokens = this.generateTokens(user, rememberMe);
-
-      // Log security event
-      logger.info(`User logged in: ${user.email} from ${req?.ip || 'unknown IP'}`);
+      // With MFA the login only completes once the second factor is verified, or enrolled
+      // when the tenant requires it; until then the client only gets a challenge token
+      const mfaStep = this.mfaService.getLoginRequirement(user);
+      if (mfaStep) {
+        return this.createMfaRequirement(user, mfaStep, { rememberMe, tenantId });
+      }
 
-      return {
-        user: this.sanitizeUser(user),
-        tokens,
-        message: 'Login successful'
-      };
+      return await this.completeLogin(user, { rememberMe, tenantId, req });
     } catch (error) {
       logger.error('Error during login:', error);
       throw error;
     }
   }
 
+  // Second step of a login with MFA: a TOTP or recovery code for the challenge from login()
+  async verifyMfaLogin(challengeToken, code, tenantId, req = null) {
+    try {
+      const challenge = this.verifyMfaChallenge(challengeToken, 'verify', tenantId);
+      await this.loginSecurityService.assertIpAllowed(tenantId, req);
+      const user = await this.getChallengeUser(challenge, tenantId);
+
+      const method = await this.mfaService.verify(user, code);
+      if (!method) {
+        await this.loginSecurityService.recordFailedLogin(user, 'invalid_mfa_code', {
+          tenantId,
+          req
+        });
+        throw new AppError('Invalid verification code', 401);
+      }
+
+      return await this.completeLogin(user, {
+        rememberMe: challenge.rememberMe,
+        tenantId,
+        req,
+        mfaMethod: method
+      });
+    } catch (error) {
+      logger.error('Error verifying MFA login:', error);
+      throw error;
+    }
+  }
+
+  // Enrollment during login, for users of tenants that require MFA and have not set it up
+  async beginMfaEnrollmentLogin(challengeToken, tenantId) {
+    try {
+      const challenge = this.verifyMfaChallenge(challengeToken, 'enroll', tenantId);
+      await this.getChallengeUser(challenge, tenantId);
+
+      return await this.mfaService.beginEnrollment(challenge.id, tenantId);
+    } catch (error) {
+      logger.error('Error starting MFA enrollment during login:', error);
+      throw error;
+    }
+  }
+
+  // Confirming the enrollment completes the login and returns the recovery codes
+  async confirmMfaEnrollmentLogin(challengeToken, code, tenantId, req = null) {
+    try {
+      const challenge = this.verifyMfaChallenge(challengeToken, 'enroll', tenantId);
+      await this.getChallengeUser(challenge, tenantId);
+
+      const { recoveryCodes } = await this.mfaService.confirmEnrollment(challenge.id, tenantId, code);
+      const user = await this.getChallengeUser(challenge, tenantId);
+
+      const result = await this.completeLogin(user, {
+        rememberMe: challenge.rememberMe,
+        tenantId,
+        req,
+        mfaMethod: 'totp'
+      });
+      return { ...result, recoveryCodes };
+    } catch (error) {
+      logger.error('Error confirming MFA enrollment during login:', error);
+      throw error;
+    }
+  }
+
+  // Ends the session of the refresh token, which also locks out its access tokens
   async logout(userId, refreshToken) {
     try {
-      // In a production system, you would:
-      // 1. Blacklist the refresh token
-      // 2. Store blacklisted tokens in Redis/database
-      // 3. Clean up expired blacklisted tokens periodically
+      const familyId = refreshToken && this.refreshTokenService.decode(refreshToken)?.familyId;
+      if (familyId) {
+        await this.sessionService.end(familyId, 'revoked', 'logout');
+      }
 
-      logger.info(`User logged out: ${userId}`);
+      logger.info(`User logged out: ${userId || 'unknown user'}`);
       return { message: 'Logout successful' };
     } catch (error) {
       logger.error('Error during logout:', error);
@@ -148,23 +267,34 @@ class AuthService extends IService {
     }
   }
 
-  async refreshToken(refreshToken) {
+  // Rotates the refresh token: the presented one is used up and its successor continues the
+  // same family, see RefreshTokenService
+  async refreshToken(refreshToken, req = null) {
     try {
       if (!refreshToken) {
         throw new AppError('Refresh token is required', 401);
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, this.env.jwt.refreshSecret);
-      
+      const record = await this.refreshTokenService.consume(refreshToken);
+
       // Find user
-      const user = await User.findById(decoded.id);
+      const user = await User.findById(record.userId);
       if (!user || !user.isActive) {
+        await this.sessionService.end(record.familyId, 'revoked', 'user_inactive');
         throw new AppError('User not found or inactive', 401);
       }
 
+      // Idle sessions end here instead of being extended
+      const session = await this.sessionService.touch({ familyId: record.familyId }, { req });
+
       // Generate new tokens
-      const tokens = this.generateTokens(user);
+      const tokens = await this.generateTokens(user, {
+        rememberMe: record.rememberMe,
+        tenantId: record.tenantId,
+        session,
+        parentJti: record.jti,
+        req
+      });
 
       logger.debug(`Tokens refreshed for user: ${user.email}`);
 
@@ -183,6 +313,10 @@ class AuthService extends IService {
 
   async forgotPassword(email, tenantId) {
     try {
+      if (!email) {
+        throw new AppError('Email is required', 400);
+      }
+
       const user = await User.findOne({
         email: email.toLowerCase(),
         tenantId,
@@ -194,14 +328,7 @@ class AuthService extends IService {
         return { message: 'If an account with this email exists, a password reset link has been sent.' };
       }
 
-      // Generate reset token
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-
-      // Save reset token to user
-      user.passwordResetToken = hashedToken;
-      user.passwordResetExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-      await user.save();
+      const resetToken = await this.createPasswordResetToken(user);
 
       // Send reset email
       if (this.emailService) {
@@ -219,6 +346,10 @@ class AuthService extends IService {
 
   async resetPassword(token, newPassword, tenantId) {
     try {
+      if (!token) {
+        throw new AppError('Reset token is required', 400);
+      }
+
       // Hash the token to match stored version
       const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
@@ -228,23 +359,26 @@ class AuthService extends IService {
         passwordResetExpires: { $gt: Date.now() },
         tenantId,
         isDeleted: false
-      });
+      }).select('+password +passwordHistory');
 
       if (!user) {
         throw new AppError('Invalid or expired reset token', 400);
       }
 
-      // Validate new password
-      this.validatePassword(newPassword);
-
-      // Update password
-      user.password = newPassword; // Will be hashed by middleware
+      // Validate and update the password, checked against the tenant's password policy
+      await this.passwordPolicyService.setPassword(user, newPassword);
       user.passwordResetToken = undefined;
       user.passwordResetExpires = undefined;
       user.failedLoginAttempts = 0;
       user.lockoutUntil = undefined;
 
-      await user.save();
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await user.save({ session });
+        this.userService.publishUserEvent(publish, 'user.password_reset', user);
+      });
+
+      // Whoever had access before the reset is logged out
+      await this.sessionService.revokeAll(user._id, tenantId, { reason: 'password_reset' });
 
       logger.info(`Password reset completed for user: ${user.email}`);
 
@@ -257,6 +391,10 @@ class AuthService extends IService {
 
   async verifyEmail(token, tenantId) {
     try {
+      if (!token) {
+        throw new AppError('Verification token is required', 400);
+      }
+
       const user = await User.findOne({
         emailVerificationToken: token,
         emailVerificationExpires: { $gt: Date.now() },
@@ -289,6 +427,10 @@ class AuthService extends IService {
 
   async resendVerificationEmail(email, tenantId) {
     try {
+      if (!email) {
+        throw new AppError('Email is required', 400);
+      }
+
       const user = await User.findOne({
         email: email.toLowerCase(),
         tenantId,
@@ -326,11 +468,15 @@ class AuthService extends IService {
 
   async changePassword(userId, currentPassword, newPassword, tenantId) {
     try {
+      if (!currentPassword || !newPassword) {
+        throw new AppError('Current and new password are required', 400);
+      }
+
       const user = await User.findOne({
         _id: userId,
         tenantId,
         isDeleted: false
-      }).select('+password');
+      }).select('+password +passwordHistory');
 
       if (!user) {
         throw new AppError('User not found', 404);
@@ -342,12 +488,14 @@ class AuthService extends IService {
         throw new AppError('Current password is incorrect', 400);
       }
 
-      // Validate new password
-      this.validatePassword(newPassword);
-
-      // Update password
-      user.password = newPassword; // Will be hashed by middleware
-      await user.save();
+      // Validate and update the password, checked against the tenant's password policy
+      await this.passwordPolicyService.setPassword(user, newPassword);
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await user.save({ session });
+        this.userService.publishUserEvent(publish, 'user.password_changed', user, {
+          actor: userId
+        });
+      });
 
       logger.info(`Password changed for user: ${userId}`);
 
@@ -379,11 +527,9 @@ class AuthService extends IService {
     }
   }
 
-  async getUserSessions(userId, tenantId) {
+  // Active sessions of the user, the one of `currentSessionId` is flagged as current
+  async getUserSessions(userId, tenantId, currentSessionId = null) {
     try {
-      // In a production system, you would store active sessions
-      // and return them here. For now, we'll return a placeholder.
-      
       const user = await User.findOne({
         _id: userId,
         tenantId,
@@ -395,7 +541,7 @@ class AuthService extends IService {
       }
 
       return {
-        sessions: [], // Would contain active session data
+        sessions: await this.sessionService.list(user._id, tenantId, { currentSessionId }),
         lastLoginAt: user.lastLoginAt,
         loginCount: user.loginCount
       };
@@ -405,12 +551,9 @@ class AuthService extends IService {
     }
   }
 
+  // Ends every session of the user, except the one `excludeCurrentToken` belongs to
   async revokeAllSessions(userId, tenantId, excludeCurrentToken = null) {
     try {
-      // In a production system, you would:
-      // 1. Blacklist all existing tokens for this user
-      // 2. Optionally exclude the current token from blacklisting
-      
       const user = await User.findOne({
         _id: userId,
         tenantId,
@@ -421,9 +564,13 @@ class AuthService extends IService {
         throw new AppError('User not found', 404);
       }
 
-      logger.info(`All sessions revoked for user: ${userId}`);
+      const revokedCount = await this.sessionService.revokeAll(user._id, tenantId, {
+        exceptToken: excludeCurrentToken
+      });
+
+      logger.info(`All sessions revoked for user: ${userId} (${revokedCount} refresh tokens)`);
 
-      return { message: 'All sessions revoked successfully' };
+      return { message: 'All sessions revoked successfully', revokedCount };
     } catch (error) {
       logger.error('Error revoking sessions:', error);
       throw error;
@@ -468,10 +615,9 @@ class AuthService extends IService {
       }
     }
 
+    // The tenant's password policy is checked by UserService.create
     if (!userData.password) {
       errors.push('Password is required');
-    } else {
-      this.validatePassword(userData.password);
     }
 
     if (errors.length > 0) {
@@ -481,43 +627,119 @@ class AuthService extends IService {
     return true;
   }
 
-  validatePassword(password) {
-    const errors = [];
+  // Helper methods
+  async completeLogin(user, { rememberMe = false, tenantId, req = null, mfaMethod } = {}) {
+    // Again for the second step of an MFA login, which may come from elsewhere
+    await this.ipAllowlistService.enforce(req, user);
 
-    if (!password || password.length < 8) {
-      errors.push('Password must be at least 8 characters long');
+    // An expired password has to be replaced first, with the reset token returned here
+    if (this.passwordPolicyService.isExpired(user)) {
+      logger.info(`Password expired for user: ${user.email}`);
+      return {
+        passwordExpired: true,
+        resetToken: await this.createPasswordResetToken(user),
+        message: 'Your password has expired, choose a new one to continue'
+      };
     }
 
-    if (!/(?=.*[a-z])/.test(password)) {
-      errors.push('Password must contain at least one lowercase letter');
-    }
+    // Compared with the user's earlier sessions, before this login starts one
+    const newDevice = await this.sessionService.getNewDevice(user, { tenantId, req });
 
-    if (!/(?=.*[A-Z])/.test(password)) {
-      errors.push('Password must contain at least one uppercase letter');
-    }
+    // Record successful login
+    await this.eventBus.withTransaction(async ({ session, publish }) => {
+      user.$session(session);
+      await user.recordLogin();
+      this.userService.publishUserEvent(publish, 'user.logged_in', user, {
+        ip: req?.ip,
+        ...(mfaMethod && { mfaMethod })
+      });
+      if (newDevice) {
+        this.userService.publishUserEvent(publish, 'user.new_device_login', user, {
+          ...newDevice,
+          ip: req?.ip
+        });
+      }
+    });
 
-    if (!/(?=.*\d)/.test(password)) {
-      errors.push('Password must contain at least one number');
+    // Start a session and generate its tokens
+    const tokens = await this.startSession(user, { rememberMe, tenantId, req });
+
+    // Log security event
+    logger.info(`User logged in: ${user.email} from ${req?.ip || 'unknown IP'}`);
+
+    return {
+      user: this.sanitizeUser(user),
+      tokens,
+      message: 'Login successful'
+    };
+  }
+
+  createMfaRequirement(user, mfaStep, { rememberMe = false, tenantId }) {
+    return {
+      mfaRequired: true,
+      mfaEnrollmentRequired: mfaStep === 'enroll',
+      challengeToken: this.createMfaChallenge(user, { purpose: mfaStep, rememberMe, tenantId }),
+      message: mfaStep === 'enroll'
+        ? 'Your organization requires multi-factor authentication, set it up to continue'
+        : 'Multi-factor authentication code required'
+    };
+  }
+
+  // Challenge tokens are signed with a key derived from the JWT secret, so they can never pass
+  // as access tokens
+  createMfaChallenge(user, { purpose, rememberMe = false, tenantId }) {
+    return jwt.sign(
+      { id: user._id, tenantId, purpose, rememberMe },
+      this.getMfaChallengeSecret(),
+      { expiresIn: this.env.mfa.challengeExpiresIn }
+    );
+  }
+
+  verifyMfaChallenge(challengeToken, purpose, tenantId) {
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken || '', this.getMfaChallengeSecret());
+    } catch (error) {
+      challenge = null;
     }
 
-    if (!/(?=.*[@$!%*?&])/.test(password)) {
-      errors.push('Password must contain at least one special character (@$!%*?&)');
+    if (!challenge || challenge.purpose !== purpose || challenge.tenantId !== tenantId) {
+      throw new AppError('Invalid or expired MFA challenge, please log in again', 401);
     }
+    return challenge;
+  }
 
-    if (errors.length > 0) {
-      throw new AppError(`Password validation failed: ${errors.join(', ')}`, 400);
+  getMfaChallengeSecret() {
+    return crypto.createHmac('sha256', this.env.jwt.secret).update('mfa-challenge').digest();
+  }
+
+  // The user may have been locked or deactivated since the password step
+  async getChallengeUser(challenge, tenantId) {
+    const user = await this.mfaService.getUser(challenge.id, tenantId);
+    if (!user.isActive) {
+      throw new AppError('Account is deactivated', 401);
+    }
+    if (user.isLocked) {
+      const lockTimeRemaining = Math.ceil((user.lockoutUntil - Date.now()) / (1000 * 60));
+      throw new AppError(`Account locked. Try again in ${lockTimeRemaining} minutes.`, 423);
     }
+    return user;
+  }
 
-    return true;
+  async startSession(user, { rememberMe = false, tenantId, req = null } = {}) {
+    const session = await this.sessionService.start(user, { tenantId, req });
+    return this.generateTokens(user, { rememberMe, tenantId, session, req });
   }
 
-  // Helper methods
-  generateTokens(user, rememberMe = false) {
+  // Tokens belong to the session: the access token carries its id and the refresh token
+  // continues its family. parentJti is the refresh token being rotated.
+  async generateTokens(user, { rememberMe = false, tenantId, session, parentJti, req = null } = {}) {
     const payload = {
       id: user._id,
       email: user.email,
       role: user.role,
-      tenantId: user.tenantId
+      tenantId: user.tenantId,
+      sid: session.id
     };
 
     const accessTokenExpiry = rememberMe ? '30d' : (this.env.jwt.expiresIn || '15m');
@@ -527,20 +749,34 @@ class AuthService extends IService {
       expiresIn: accessTokenExpiry
     });
 
-    const refreshToken = jwt.sign(
-      { id: user._id, tokenType: 'refresh' },
-      this.env.jwt.refreshSecret,
-      { expiresIn: refreshTokenExpiry }
-    );
+    const refreshToken = await this.refreshTokenService.issue(user, {
+      expiresIn: refreshTokenExpiry,
+      tenantId,
+      familyId: session.familyId,
+      parentJti,
+      rememberMe,
+      ip: req?.ip,
+      userAgent: req?.get?.('user-agent')
+    });
+    await this.sessionService.extend(session, refreshToken.expiresAt);
 
     return {
       accessToken,
-      refreshToken,
+      refreshToken: refreshToken.token,
       expiresIn: accessTokenExpiry,
       tokenType: 'Bearer'
     };
   }
 
+  // Stores the hash of a new reset token, valid for 10 minutes, and returns the token
+  async createPasswordResetToken(user) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    user.passwordResetExpires = new Date(Date.now() + 10 * 60 * 1000);
+    await user.save();
+    return resetToken;
+  }
+
   generateEmailVerificationToken() {
     return crypto.randomBytes(32).toString('hex');
   }
@@ -552,6 +788,13 @@ class AuthService extends IService {
     delete userObj.passwordResetExpires;
     delete userObj.emailVerificationToken;
     delete userObj.emailVerificationExpires;
+    delete userObj.passwordHistory;
+    if (userObj.mfa) {
+      delete userObj.mfa.secret;
+      delete userObj.mfa.pendingSecret;
+      delete userObj.mfa.recoveryCodes;
+      delete userObj.mfa.lastUsedStep;
+    }
     return userObj;
   }
 
@@ -560,4 +803,15 @@ class AuthService extends IService {
   }
 }
 
-module.exports = Injectable(['UserService', 'TenantService', 'EmailService'])(AuthService);
\ No newline at end of file
+module.exports = Injectable([
+  'UserService',
+  'TenantService',
+  'EmailService',
+  'EventBus',
+  'RefreshTokenService',
+  'SessionService',
+  'MfaService',
+  'PasswordPolicyService',
+  'IpAllowlistService',
+  'LoginSecurityService'
+])(AuthService);
\ No newline at end of file
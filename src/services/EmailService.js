@@ -0,0 +1,185 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environment');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatTime = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+class EmailService {
+  constructor() {
+    this.env = getEnvironment();
+    this.transporter = null;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  async sendVerificationEmail(email, token, tenantId) {
+    const link = this.buildLink('/verify-email', { token, tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: 'Verify your email address',
+      text: `Welcome to CloudMemberHub!\n\nPlease verify your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours.`,
+    });
+  }
+
+  async sendPasswordResetEmail(email, token, tenantId) {
+    const link = this.buildLink('/reset-password', { token, tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: 'Reset your password',
+      text: `A password reset was requested for your account.\n\nOpen the link below to choose a new password:\n${link}\n\nThis link expires in 10 minutes. If you did not request a reset, you can ignore this email.`,
+    });
+  }
+
+  // Sent to the first administrator of a newly provisioned tenant
+  async sendAccountSetupEmail(email, token, tenantId, tenantName) {
+    const link = this.buildLink('/reset-password', { token, tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: `Your ${tenantName} administrator account`,
+      text: `An administrator account has been created for you on CloudMemberHub (${tenantName}).\n\nOpen the link below to choose your password:\n${link}\n\nThis link expires in 7 days.`,
+    });
+  }
+
+  async sendInvitationEmail(email, token, tenantId, { tenantName, invitedBy, expiresAt }) {
+    const link = this.buildLink('/accept-invitation', { token, tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: `You have been invited to ${tenantName} on CloudMemberHub`,
+      text: `${invitedBy || 'An administrator'} invited you to join ${tenantName} on CloudMemberHub.\n\nOpen the link below to choose your password and activate your account:\n${link}\n\nThis link expires on ${formatDate(expiresAt)}.`,
+    });
+  }
+
+  // Trial lifecycle notifications, sent to the tenant's contacts
+  async sendTrialEndingEmail(email, tenantName, trialEndsAt) {
+    return this.sendMail({
+      to: email,
+      subject: `Your ${tenantName} trial ends on ${formatDate(trialEndsAt)}`,
+      text: `The CloudMemberHub trial for ${tenantName} ends on ${formatDate(trialEndsAt)}.\n\nChoose a plan before then to keep full access to your account.`,
+    });
+  }
+
+  async sendTrialExpiredEmail(email, tenantName, gracePeriodEndsAt) {
+    return this.sendMail({
+      to: email,
+      subject: `Your ${tenantName} trial has ended`,
+      text: `The CloudMemberHub trial for ${tenantName} has ended.\n\nYour account stays available until ${formatDate(gracePeriodEndsAt)}. Choose a plan before then to avoid suspension.`,
+    });
+  }
+
+  async sendSuspensionWarningEmail(email, tenantName, suspendsAt) {
+    return this.sendMail({
+      to: email,
+      subject: `${tenantName} will be suspended on ${formatDate(suspendsAt)}`,
+      text: `The grace period after the CloudMemberHub trial for ${tenantName} ends on ${formatDate(suspendsAt)}, after which the account is suspended.\n\nChoose a plan to keep access.`,
+    });
+  }
+
+  async sendTenantSuspendedEmail(email, tenantName) {
+    return this.sendMail({
+      to: email,
+      subject: `${tenantName} has been suspended`,
+      text: `The CloudMemberHub account for ${tenantName} has been suspended because the trial and grace period have ended.\n\nYour data is kept; choose a plan or contact support to reactivate the account.`,
+    });
+  }
+
+  // Login alerts, sent to the user and to the tenant's admins (see LoginSecurityService)
+  async sendAccountLockedEmail(email, { lockoutUntil, ip }, tenantId) {
+    const link = this.buildLink('/forgot-password', { tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: 'Your account has been locked',
+      text: `Your CloudMemberHub account was locked after repeated failed sign-in attempts from ${ip || 'an unknown address'}. You can sign in again after ${formatTime(lockoutUntil)}.\n\nIf these attempts were not yours, choose a new password:\n${link}`,
+    });
+  }
+
+  async sendAccountLockedAdminEmail(email, { account, lockoutUntil, ip }) {
+    return this.sendMail({
+      to: email,
+      subject: `Account ${account} has been locked`,
+      text: `The CloudMemberHub account ${account} was locked after repeated failed sign-in attempts from ${ip || 'an unknown address'} until ${formatTime(lockoutUntil)}.\n\nAn administrator can unlock it earlier.`,
+    });
+  }
+
+  async sendNewDeviceLoginEmail(email, { device, ip, loggedInAt }, tenantId) {
+    const link = this.buildLink('/forgot-password', { tenant: tenantId });
+
+    return this.sendMail({
+      to: email,
+      subject: 'New sign-in to your account',
+      text: `Your CloudMemberHub account was signed in to from a new device: ${device}, ${ip || 'unknown address'}, at ${formatTime(loggedInAt)}.\n\nIf this was not you, choose a new password and sign out your other sessions:\n${link}`,
+    });
+  }
+
+  async sendNewDeviceLoginAdminEmail(email, { account, device, ip, loggedInAt }) {
+    return this.sendMail({
+      to: email,
+      subject: `New device sign-in for ${account}`,
+      text: `The CloudMemberHub account ${account} was signed in to from a new device: ${device}, ${ip || 'unknown address'}, at ${formatTime(loggedInAt)}.`,
+    });
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    try {
+      const from = this.env.email?.from;
+      const info = await this.getTransporter().sendMail({
+        from: from?.email ? `"${from.name}" <${from.email}>` : undefined,
+        to,
+        subject,
+        text,
+        html,
+      });
+
+      if (!this.isConfigured()) {
+        logger.warn(`SMTP is not configured, email "${subject}" to ${to} was not delivered`);
+      } else {
+        logger.info(`Email sent to ${to}: ${subject}`);
+      }
+
+      return info;
+    } catch (error) {
+      logger.error(`Error sending email to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  // Helper methods
+  isConfigured() {
+    return Boolean(this.env.email?.host);
+  }
+
+  getTransporter() {
+    if (this.transporter) {
+      return this.transporter;
+    }
+
+    if (this.isConfigured()) {
+      const { host, port, user, pass } = this.env.email;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure: port === 465,
+        auth: user ? { user, pass } : undefined,
+      });
+    } else {
+      // Without SMTP settings messages are rendered but not sent
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return this.transporter;
+  }
+
+  buildLink(path, params = {}) {
+    const url = new URL(path, this.frontendUrl);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) url.searchParams.set(key, value);
+    });
+    return url.toString();
+  }
+}
+
+module.exports = EmailService;
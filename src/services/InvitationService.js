@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const User = require('../domain/entities/User');
+const Invitation = require('../domain/entities/Invitation');
+const tenantContext = require('../tenant/context/TenantContext');
+const { getEnvironment } = require('../config/environment');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Same rule as UserService.validateUserData
+const EMAIL_PATTERN = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const LIST_STATUSES = [...Invitation.INVITATION_STATUSES, 'all'];
+// Invitations that can still be resent or revoked
+const OPEN_STATUSES = ['pending', 'expired'];
+
+/**
+ * Invitations of people to a tenant by its admins.
+ *
+ * An invitation preassigns the role and permissions of the account, which the inviter must be
+ * allowed to grant (see RoleService.assertCanGrant). The invitee gets a link whose token is
+ * signed with a key derived from JWT_SECRET and expires after INVITATION_EXPIRY_DAYS; resending
+ * issues a new link and invalidates the earlier ones. Accepting sets the password and creates
+ * the user with a verified email. Pending invitations count against the tenant's user limit
+ * (see UserService.validateTenantCapacity).
+ */
+class InvitationService extends IService {
+  constructor(userService, emailService, eventBus, roleService) {
+    super();
+    this.userService = userService;
+    this.emailService = emailService;
+    this.eventBus = eventBus;
+    this.roleService = roleService;
+    this.env = getEnvironment();
+  }
+
+  async invite(tenantId, data, invitedBy = null) {
+    try {
+      const { role = 'user', permissions = [], firstName, lastName } = data;
+      const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+
+      if (!EMAIL_PATTERN.test(email)) {
+        throw new AppError('Valid email is required', 400);
+      }
+      this.userService.validateRole(role);
+      this.userService.validatePermissions(permissions);
+      await this.roleService.assertCanGrant(invitedBy, tenantId, { role, permissions });
+
+      if (await User.exists({ email, tenantId, isDeleted: false })) {
+        throw new AppError('User already exists in this tenant', 409);
+      }
+
+      // A lapsed invitation is replaced by the new one
+      await Invitation.updateMany(
+        { tenantId, email, status: 'pending', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+      );
+      if (await Invitation.exists({ tenantId, email, status: 'pending' })) {
+        throw new AppError(
+          'An invitation is already pending for this email, resend it instead',
+          409
+        );
+      }
+
+      await this.userService.validateTenantCapacity(tenantId);
+
+      const invitation = new Invitation({
+        tenantId,
+        email,
+        firstName,
+        lastName,
+        role,
+        permissions,
+        invitedBy: invitedBy
+          ? { userId: String(invitedBy._id), email: invitedBy.email }
+          : undefined,
+        expiresAt: this.getExpiry(),
+      });
+      const token = this.issueToken(invitation);
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await invitation.save({ session });
+        this.publishInvitationEvent(publish, 'invitation.created', invitation, invitedBy);
+      });
+
+      await this.send(invitation, token);
+
+      logger.info(`Invitation ${invitation.id} sent to ${email} for tenant ${tenantId}`);
+      return this.toView(invitation);
+    } catch (error) {
+      logger.error(`Error inviting user to tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Pending invitations by default; `status` selects others or `all`
+  async list(tenantId, { status = 'pending', page = 1, limit = 20 } = {}) {
+    try {
+      if (!LIST_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${LIST_STATUSES.join(', ')}`, 400);
+      }
+
+      const filter = { tenantId, ...this.getStatusFilter(status, new Date()) };
+      const [invitations, total] = await Promise.all([
+        Invitation.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Invitation.countDocuments(filter),
+      ]);
+
+      return {
+        invitations: invitations.map((invitation) => this.toView(invitation)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error listing invitations of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // Sends a new link, also for expired invitations, which take a seat again
+  async resend(invitationId, tenantId, resentBy = null) {
+    try {
+      const invitation = await this.getOpenInvitation(invitationId, tenantId);
+      await this.userService.validateTenantCapacity(tenantId, { invitationId: invitation._id });
+
+      invitation.set({ status: 'pending', expiresAt: this.getExpiry() });
+      const token = this.issueToken(invitation);
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await invitation.save({ session });
+        this.publishInvitationEvent(publish, 'invitation.resent', invitation, resentBy);
+      });
+
+      await this.send(invitation, token);
+
+      logger.info(`Invitation ${invitationId} resent to ${invitation.email}`);
+      return this.toView(invitation);
+    } catch (error) {
+      logger.error(`Error resending invitation ${invitationId}:`, error);
+      throw error;
+    }
+  }
+
+  async revoke(invitationId, tenantId, revokedBy = null) {
+    try {
+      const invitation = await this.getOpenInvitation(invitationId, tenantId);
+
+      invitation.set({
+        status: 'revoked',
+        revokedAt: new Date(),
+        revokedBy: revokedBy ? String(revokedBy._id) : undefined,
+      });
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await invitation.save({ session });
+        this.publishInvitationEvent(publish, 'invitation.revoked', invitation, revokedBy);
+      });
+
+      logger.info(`Invitation ${invitationId} revoked`);
+      return this.toView(invitation);
+    } catch (error) {
+      logger.error(`Error revoking invitation ${invitationId}:`, error);
+      throw error;
+    }
+  }
+
+  // What the invitee sees before accepting
+  async getByToken(token, tenantId) {
+    try {
+      const invitation = await this.verifyToken(token, tenantId);
+
+      return {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        tenantName: this.getTenantName(tenantId),
+        expiresAt: invitation.expiresAt,
+      };
+    } catch (error) {
+      logger.error('Error reading invitation:', error);
+      throw error;
+    }
+  }
+
+  // Creates the invitee's account with the preassigned role and permissions
+  async accept(token, tenantId, { firstName, lastName, password } = {}) {
+    try {
+      const invitation = await this.verifyToken(token, tenantId);
+
+      const user = await this.userService.create(
+        {
+          email: invitation.email,
+          firstName: firstName || invitation.firstName,
+          lastName: lastName || invitation.lastName,
+          password,
+          role: invitation.role,
+          permissions: invitation.permissions,
+        },
+        tenantId,
+        { invitation }
+      );
+
+      logger.info(`Invitation ${invitation.id} accepted by ${user.email}`);
+      return user;
+    } catch (error) {
+      logger.error('Error accepting invitation:', error);
+      throw error;
+    }
+  }
+
+  // Only the newest link of a pending invitation is valid
+  async verifyToken(token, tenantId) {
+    let claims;
+    try {
+      claims = jwt.verify(token || '', this.getTokenSecret());
+    } catch (error) {
+      claims = null;
+    }
+
+    const invitation =
+      claims?.tenantId === tenantId && mongoose.isValidObjectId(claims.id)
+        ? await Invitation.findOne({ _id: claims.id, tenantId }).select('+tokenId')
+        : null;
+
+    if (!invitation || invitation.tokenId !== claims.jti) {
+      throw new AppError('Invalid or expired invitation', 400);
+    }
+    const status = this.getStatus(invitation);
+    if (status !== 'pending') {
+      throw new AppError(
+        status === 'expired' ? 'Invitation has expired' : `Invitation has been ${status}`,
+        400
+      );
+    }
+    return invitation;
+  }
+
+  async getOpenInvitation(invitationId, tenantId) {
+    const invitation = mongoose.isValidObjectId(invitationId)
+      ? await Invitation.findOne({ _id: invitationId, tenantId })
+      : null;
+
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+    if (!OPEN_STATUSES.includes(invitation.status)) {
+      throw new AppError(`Invitation has already been ${invitation.status}`, 409);
+    }
+    return invitation;
+  }
+
+  // Replaces the link; the caller saves the invitation
+  issueToken(invitation) {
+    invitation.set({
+      tokenId: crypto.randomUUID(),
+      sentCount: invitation.sentCount + 1,
+      lastSentAt: new Date(),
+    });
+
+    return jwt.sign({ id: invitation.id, tenantId: invitation.tenantId }, this.getTokenSecret(), {
+      jwtid: invitation.tokenId,
+      expiresIn: Math.floor((invitation.expiresAt - Date.now()) / 1000),
+    });
+  }
+
+  // Derived from the JWT secret, so invitation tokens can never pass as access tokens
+  getTokenSecret() {
+    return crypto.createHmac('sha256', this.env.jwt.secret).update('invitation').digest();
+  }
+
+  async send(invitation, token) {
+    await this.emailService.sendInvitationEmail(invitation.email, token, invitation.tenantId, {
+      tenantName: this.getTenantName(invitation.tenantId),
+      invitedBy: invitation.invitedBy?.email,
+      expiresAt: invitation.expiresAt,
+    });
+  }
+
+  publishInvitationEvent(publish, type, invitation, actor) {
+    publish(
+      type,
+      { invitationId: invitation.id, email: invitation.email, role: invitation.role },
+      { tenantId: invitation.tenantId, actor: actor ? String(actor._id) : undefined }
+    );
+  }
+
+  getExpiry() {
+    return new Date(Date.now() + this.env.invitations.expiryDays * DAY_MS);
+  }
+
+  getTenantName(tenantId) {
+    const tenant = tenantContext.getCurrentTenant();
+    return tenant?.organizationName || tenant?.tenantName || tenantId;
+  }
+
+  // Pending invitations past their expiry count as expired before they are marked
+  getStatus(invitation, now = new Date()) {
+    return invitation.status === 'pending' && invitation.expiresAt <= now
+      ? 'expired'
+      : invitation.status;
+  }
+
+  getStatusFilter(status, now) {
+    switch (status) {
+      case 'all':
+        return {};
+      case 'pending':
+        return { status, expiresAt: { $gt: now } };
+      case 'expired':
+        return { $or: [{ status }, { status: 'pending', expiresAt: { $lte: now } }] };
+      default:
+        return { status };
+    }
+  }
+
+  toView(invitation, now = new Date()) {
+    return {
+      id: invitation.id,
+      email: invitation.email,
+      firstName: invitation.firstName,
+      lastName: invitation.lastName,
+      role: invitation.role,
+      permissions: invitation.permissions,
+      status: this.getStatus(invitation, now),
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      sentCount: invitation.sentCount,
+      lastSentAt: invitation.lastSentAt,
+      acceptedAt: invitation.acceptedAt,
+      userId: invitation.userId,
+      revokedAt: invitation.revokedAt,
+      revokedBy: invitation.revokedBy,
+      createdAt: invitation.createdAt,
+    };
+  }
+}
+
+module.exports = Injectable(['UserService', 'EmailService', 'EventBus', 'RoleService'])(
+  InvitationService
+);
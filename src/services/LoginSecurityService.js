@@ -0,0 +1,257 @@
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const User = require('../domain/entities/User');
+const LoginThrottle = require('../domain/entities/LoginThrottle');
+const tenantContext = require('../tenant/context/TenantContext');
+const tenantResolver = require('../tenant/resolver/TenantResolver');
+const { getEnvironment } = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Roles of the tenant admins who receive login alerts
+const ALERT_ROLES = ['tenant_admin', 'admin'];
+const MAX_ALERTED_ADMINS = 20;
+
+/**
+ * Protection of logins against password guessing, and login alerts.
+ *
+ * Accounts lock after the tenant's `settings.security.maxLoginAttempts` failed logins for
+ * `lockoutDuration` milliseconds; with `progressiveLockout` each further lockout before a
+ * successful login lasts twice as long, up to MAX_LOCKOUT_TIME. Tenants without these settings
+ * use MAX_LOGIN_ATTEMPTS and LOCKOUT_TIME. Independently of accounts, an address with
+ * IP_MAX_FAILED_LOGINS failed logins to a tenant within IP_FAILED_LOGIN_WINDOW is refused for
+ * IP_LOCKOUT_TIME, which catches credential stuffing across many accounts.
+ *
+ * Lockouts (`user.locked`) and logins from new devices (`user.new_device_login`) are emailed to
+ * the user and the tenant admins by event subscribers, unless the tenant turns off `loginAlerts`.
+ */
+class LoginSecurityService extends IService {
+  constructor(userService, emailService, eventBus, auditLogService) {
+    super();
+    this.userService = userService;
+    this.emailService = emailService;
+    this.eventBus = eventBus;
+    this.auditLogService = auditLogService;
+    this.env = getEnvironment();
+  }
+
+  getLockoutPolicy() {
+    const security = tenantContext.getCurrentTenant()?.tenantConfig?.security || {};
+    return {
+      maxAttempts: security.maxLoginAttempts || this.env.security.maxLoginAttempts,
+      lockoutDuration: security.lockoutDuration || this.env.security.lockoutTime,
+      progressive: security.progressiveLockout ?? true,
+      maxLockoutDuration: this.env.security.maxLockoutTime,
+    };
+  }
+
+  // Throws 429 while the request's address is throttled for the tenant
+  async assertIpAllowed(tenantId, req = null) {
+    if (!req?.ip) {
+      return;
+    }
+
+    const throttle = await LoginThrottle.findOne({
+      tenantId,
+      ip: req.ip,
+      blockedUntil: { $gt: new Date() },
+    });
+    if (throttle) {
+      const minutes = Math.ceil((throttle.blockedUntil - Date.now()) / (1000 * 60));
+      throw new AppError(
+        `Too many failed logins from your network. Try again in ${minutes} minutes.`,
+        429
+      );
+    }
+  }
+
+  // Counts a failed password or MFA code against the account and the address
+  async recordFailedLogin(user, reason, { tenantId = user.tenantId, req = null } = {}) {
+    const wasLocked = user.isLocked;
+
+    await this.eventBus.withTransaction(async ({ session, publish }) => {
+      user.$session(session);
+      await user.recordFailedLogin(this.getLockoutPolicy());
+      this.userService.publishUserEvent(publish, 'user.login_failed', user, {
+        reason,
+        failedLoginAttempts: user.failedLoginAttempts,
+        locked: user.isLocked,
+        ip: req?.ip,
+      });
+
+      if (user.isLocked && !wasLocked) {
+        this.userService.publishUserEvent(publish, 'user.locked', user, {
+          lockoutUntil: user.lockoutUntil,
+          lockoutCount: user.lockoutCount,
+          ip: req?.ip,
+        });
+      }
+    });
+
+    if (user.isLocked && !wasLocked) {
+      logger.warn(`Account ${user.email} locked until ${user.lockoutUntil.toISOString()}`);
+      await this.auditLogService.record('security.account_locked', {
+        tenantId,
+        req,
+        details: {
+          userId: String(user._id),
+          email: user.email,
+          reason,
+          lockoutUntil: user.lockoutUntil,
+          lockoutCount: user.lockoutCount,
+        },
+      });
+    }
+
+    await this.recordIpFailure(tenantId, req);
+  }
+
+  // Also for logins with unknown emails, which are not counted against any account
+  async recordIpFailure(tenantId, req = null) {
+    if (!req?.ip) {
+      return;
+    }
+
+    const { ipMaxFailedLogins, ipFailedLoginWindow, ipLockoutTime } = this.env.security;
+    const now = new Date();
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { tenantId, ip: req.ip, expiresAt: { $gt: now } },
+      {
+        $inc: { failures: 1 },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + ipFailedLoginWindow) },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (throttle.failures < ipMaxFailedLogins || throttle.blockedUntil > now) {
+      return;
+    }
+
+    const blockedUntil = new Date(now.getTime() + ipLockoutTime);
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { blockedUntil, expiresAt: new Date(Math.max(throttle.expiresAt, blockedUntil)) } }
+    );
+
+    logger.warn(
+      `Logins from ${req.ip} to tenant ${tenantId} throttled until ${blockedUntil.toISOString()}`
+    );
+    await this.auditLogService.record('security.login_throttled', {
+      tenantId,
+      req,
+      details: { failures: throttle.failures, blockedUntil },
+    });
+  }
+
+  // For tenant admins, before the lockout ends by itself
+  async unlock(userId, tenantId, { user: admin = null, req = null } = {}) {
+    try {
+      const user = await User.findOne({ _id: userId, tenantId, isDeleted: false });
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+      if (!user.isLocked) {
+        throw new AppError('Account is not locked', 409);
+      }
+
+      user.failedLoginAttempts = 0;
+      user.lockoutUntil = undefined;
+      user.lockoutCount = 0;
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await user.save({ session });
+        this.userService.publishUserEvent(publish, 'user.unlocked', user, {
+          actor: admin && String(admin._id),
+        });
+      });
+
+      await this.auditLogService.record('security.account_unlocked', {
+        tenantId,
+        user: admin,
+        req,
+        details: { userId: String(user._id), email: user.email },
+      });
+
+      logger.info(`Account ${user.email} unlocked by ${admin?.email || 'unknown'}`);
+      return this.userService.sanitizeUser(user);
+    } catch (error) {
+      logger.error(`Error unlocking user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Runs as the subscriber of `user.locked`
+  async notifyAccountLocked({ tenantId, payload }) {
+    const recipients = await this.getAlertRecipients(tenantId, payload.userId);
+    if (!recipients) {
+      return;
+    }
+
+    const { user, admins } = recipients;
+    await Promise.all([
+      this.emailService.sendAccountLockedEmail(user.email, payload, tenantId),
+      ...admins.map((admin) =>
+        this.emailService.sendAccountLockedAdminEmail(admin.email, {
+          ...payload,
+          account: user.email,
+        })
+      ),
+    ]);
+  }
+
+  // Runs as the subscriber of `user.new_device_login`
+  async notifyNewDeviceLogin({ tenantId, payload, occurredAt }) {
+    const recipients = await this.getAlertRecipients(tenantId, payload.userId);
+    if (!recipients) {
+      return;
+    }
+
+    const { user, admins } = recipients;
+    const login = { device: this.describeDevice(payload), ip: payload.ip, loggedInAt: occurredAt };
+    await Promise.all([
+      this.emailService.sendNewDeviceLoginEmail(user.email, login, tenantId),
+      ...admins.map((admin) =>
+        this.emailService.sendNewDeviceLoginAdminEmail(admin.email, {
+          ...login,
+          account: user.email,
+        })
+      ),
+    ]);
+  }
+
+  // null when the tenant turned alerts off or the user is gone; the user is not among the admins
+  async getAlertRecipients(tenantId, userId) {
+    const tenantInfo = await tenantResolver.getOrganizationInfo(tenantId);
+    if (tenantInfo?.tenantConfig?.security?.loginAlerts === false) {
+      return null;
+    }
+
+    const user = await User.findOne({ _id: userId, tenantId, isDeleted: false }).select('email');
+    if (!user) {
+      return null;
+    }
+
+    const admins = await User.find({
+      _id: { $ne: user._id },
+      isActive: true,
+      isDeleted: false,
+      $or: [
+        { tenantId, role: { $in: ALERT_ROLES } },
+        { tenantRoles: { $elemMatch: { tenantId, role: { $in: ALERT_ROLES }, isActive: true } } },
+      ],
+    })
+      .select('email')
+      .limit(MAX_ALERTED_ADMINS);
+
+    return { user, admins };
+  }
+
+  describeDevice({ deviceType, browser, os }) {
+    return `${browser || 'Unknown browser'} on ${os || 'unknown OS'} (${deviceType || 'unknown'})`;
+  }
+}
+
+module.exports = Injectable(['UserService', 'EmailService', 'EventBus', 'AuditLogService'])(
+  LoginSecurityService
+);
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const User = require('../domain/entities/User');
+const tenantContext = require('../tenant/context/TenantContext');
+const totp = require('../utils/totp');
+const { getEnvironment } = require('../config/environment');
+const logger = require('../utils/logger');
+
+const SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep';
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * TOTP multi-factor authentication of users.
+ *
+ * Users enroll by scanning the otpauth URI (or its QR code) into an authenticator app and
+ * confirming a first code, which returns their one-time recovery codes. The TOTP secret is
+ * stored encrypted with `MFA_ENCRYPTION_KEY`, recovery codes only as hashes. When the tenant
+ * sets `settings.security.mfaRequired` (organizations: `twoFactorRequired`) users must enroll
+ * before their login completes and cannot disable MFA. The login itself is in AuthService.
+ */
+class MfaService extends IService {
+  constructor(userService, eventBus) {
+    super();
+    this.userService = userService;
+    this.eventBus = eventBus;
+    this.env = getEnvironment();
+  }
+
+  async getStatus(userId, tenantId) {
+    try {
+      const user = await this.getUser(userId, tenantId);
+      return {
+        enabled: Boolean(user.mfa?.enabled),
+        enabledAt: user.mfa?.enabledAt,
+        recoveryCodesRemaining: user.mfa?.enabled ? user.mfa.recoveryCodes.length : 0,
+        required: this.isRequired(),
+      };
+    } catch (error) {
+      logger.error(`Error getting MFA status of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Stores a pending secret until confirmEnrollment; starting again replaces it
+  async beginEnrollment(userId, tenantId) {
+    try {
+      const user = await this.getUser(userId, tenantId);
+      if (user.mfa?.enabled) {
+        throw new AppError('MFA is already enabled', 409);
+      }
+
+      const secret = totp.generateSecret();
+      user.set('mfa.pendingSecret', this.encrypt(secret));
+      await user.save();
+
+      const otpauthUri = totp.buildOtpauthUri({
+        issuer: this.env.mfa.issuer,
+        account: user.email,
+        secret,
+      });
+
+      return { secret, otpauthUri, qrCode: await QRCode.toDataURL(otpauthUri) };
+    } catch (error) {
+      logger.error(`Error starting MFA enrollment of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Enables MFA once the user proves their app produces codes; the recovery codes are only
+  // returned here and by regenerateRecoveryCodes
+  async confirmEnrollment(userId, tenantId, code) {
+    try {
+      const user = await this.getUser(userId, tenantId);
+      if (user.mfa?.enabled) {
+        throw new AppError('MFA is already enabled', 409);
+      }
+      if (!user.mfa?.pendingSecret) {
+        throw new AppError('Start MFA enrollment first', 400);
+      }
+
+      const step = totp.verifyCode(this.decrypt(user.mfa.pendingSecret), this.normalize(code));
+      if (step === null) {
+        throw new AppError('Invalid verification code', 400);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      user.set('mfa', {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.mfa.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)),
+        lastUsedStep: step,
+      });
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await user.save({ session });
+        this.userService.publishUserEvent(publish, 'user.mfa_enabled', user, { actor: userId });
+      });
+
+      logger.info(`MFA enabled for user ${userId}`);
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error(`Error confirming MFA enrollment of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async disable(userId, tenantId, code) {
+    try {
+      if (this.isRequired()) {
+        throw new AppError('MFA is required by your organization', 403);
+      }
+
+      const user = await this.getEnabledUser(userId, tenantId);
+      if (!(await this.verify(user, code))) {
+        throw new AppError('Invalid verification code', 400);
+      }
+
+      await this.clear(user, 'user.mfa_disabled', userId);
+
+      logger.info(`MFA disabled for user ${userId}`);
+      return { enabled: false };
+    } catch (error) {
+      logger.error(`Error disabling MFA of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Replaces all recovery codes, used or not
+  async regenerateRecoveryCodes(userId, tenantId, code) {
+    try {
+      const user = await this.getEnabledUser(userId, tenantId);
+      if (!(await this.verify(user, code))) {
+        throw new AppError('Invalid verification code', 400);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'mfa.recoveryCodes': recoveryCodes.map((recoveryCode) =>
+              this.hashRecoveryCode(recoveryCode)
+            ),
+          },
+        }
+      );
+
+      logger.info(`MFA recovery codes regenerated for user ${userId}`);
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error(`Error regenerating MFA recovery codes of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // For admins when a user lost their device and recovery codes. Where MFA is required the
+  // user has to enroll again on their next login.
+  async reset(userId, tenantId, resetBy = null) {
+    try {
+      const user = await this.getUser(userId, tenantId);
+      if (!user.mfa?.enabled && !user.mfa?.pendingSecret) {
+        throw new AppError('MFA is not enabled for this user', 409);
+      }
+
+      await this.clear(user, 'user.mfa_reset', resetBy);
+
+      logger.info(`MFA of user ${userId} reset by ${resetBy}`);
+      return { enabled: false };
+    } catch (error) {
+      logger.error(`Error resetting MFA of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Checks a TOTP or recovery code of a user loaded with getUser. Returns the method used, or
+  // null. Both are single use: a TOTP step is only accepted once, a recovery code is removed.
+  async verify(user, code) {
+    const normalized = this.normalize(code);
+
+    if (totp.CODE_PATTERN.test(normalized)) {
+      const lastUsedStep = user.mfa.lastUsedStep ?? -1;
+      const step = totp.verifyCode(this.decrypt(user.mfa.secret), normalized, {
+        afterStep: lastUsedStep,
+      });
+      if (step === null) {
+        return null;
+      }
+
+      // Conditional so that the same code sent twice at once only passes once
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'mfa.lastUsedStep': { $exists: false } }, { 'mfa.lastUsedStep': { $lt: step } }],
+        },
+        { $set: { 'mfa.lastUsedStep': step } }
+      );
+      return result.modifiedCount ? 'totp' : null;
+    }
+
+    const hash = this.hashRecoveryCode(normalized);
+    const result = await User.updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': hash },
+      { $pull: { 'mfa.recoveryCodes': hash } }
+    );
+    if (!result.modifiedCount) {
+      return null;
+    }
+
+    logger.info(`MFA recovery code used by user ${user._id}`);
+    return 'recovery_code';
+  }
+
+  // What a login of the user still needs: `verify` a code, `enroll` first, or nothing
+  getLoginRequirement(user) {
+    if (user.mfa?.enabled) {
+      return 'verify';
+    }
+    return this.isRequired() ? 'enroll' : null;
+  }
+
+  isRequired() {
+    const security = tenantContext.getCurrentTenant()?.tenantConfig?.security || {};
+    return Boolean(security.mfaRequired || security.twoFactorRequired);
+  }
+
+  async getUser(userId, tenantId) {
+    const user = await User.findOne({ _id: userId, tenantId, isDeleted: false }).select(
+      SECRET_FIELDS
+    );
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+
+  async getEnabledUser(userId, tenantId) {
+    const user = await this.getUser(userId, tenantId);
+    if (!user.mfa?.enabled) {
+      throw new AppError('MFA is not enabled', 400);
+    }
+    return user;
+  }
+
+  async clear(user, eventType, actor) {
+    user.set('mfa', { enabled: false });
+    await this.eventBus.withTransaction(async ({ session, publish }) => {
+      await user.save({ session });
+      this.userService.publishUserEvent(publish, eventType, user, { actor });
+    });
+  }
+
+  // Codes look like `3f9a1-c07e2`; spaces, dashes and case are ignored when they are entered
+  generateRecoveryCodes() {
+    return Array.from({ length: this.env.mfa.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+  }
+
+  normalize(code) {
+    return typeof code === 'string' || typeof code === 'number'
+      ? String(code).replace(/\s/g, '')
+      : '';
+  }
+
+  // Secrets are stored as `iv.tag.ciphertext`, base64 encoded
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  getEncryptionKey() {
+    if (!this.env.mfa.encryptionKey) {
+      throw new AppError('MFA is not configured', 500);
+    }
+    return crypto.createHash('sha256').update(this.env.mfa.encryptionKey).digest();
+  }
+}
+
+module.exports = Injectable(['UserService', 'EventBus'])(MfaService);
@@ -0,0 +1,129 @@
+const bcrypt = require('bcryptjs');
+const { AppError } = require('../middleware/error.middleware');
+const tenantContext = require('../tenant/context/TenantContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound of `historyCount`, also the most previous hashes a user keeps
+const MAX_HISTORY = 24;
+
+// Same defaults as the passwordPolicy schema of Tenant and Organization
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSymbols: false,
+  historyCount: 0,
+  maxAgeDays: 0,
+};
+
+const CHARACTER_RULES = [
+  { rule: 'requireUppercase', pattern: /[A-Z]/, message: 'at least one uppercase letter' },
+  { rule: 'requireLowercase', pattern: /[a-z]/, message: 'at least one lowercase letter' },
+  { rule: 'requireNumbers', pattern: /\d/, message: 'at least one number' },
+  { rule: 'requireSymbols', pattern: /[^A-Za-z0-9]/, message: 'at least one symbol' },
+];
+
+// Rejected passwords are reported rule by rule in the `details.failures` of the response
+const createPolicyError = (failures) =>
+  Object.assign(
+    new AppError(
+      `Password does not meet the password policy: ${failures.map((f) => f.message).join(', ')}`,
+      400
+    ),
+    { details: { failures } }
+  );
+
+/**
+ * Password rules of the current tenant, from `settings.security.passwordPolicy` of the Tenant
+ * or Organization.
+ *
+ * Besides the character rules a policy can forbid reusing the last `historyCount` passwords and
+ * let passwords expire after `maxAgeDays`. Every place that sets a password goes through
+ * validate() (new users) or setPassword() (existing users).
+ */
+class PasswordPolicyService {
+  getPolicy() {
+    const policy = tenantContext.getCurrentTenant()?.tenantConfig?.security?.passwordPolicy || {};
+    const merged = Object.fromEntries(
+      Object.entries(DEFAULT_POLICY).map(([rule, fallback]) => [rule, policy[rule] ?? fallback])
+    );
+    return { ...merged, historyCount: Math.min(merged.historyCount, MAX_HISTORY) };
+  }
+
+  // Lists the failed rules, empty when the password is accepted. Reuse is only checked for an
+  // existing user loaded with `+password +passwordHistory`.
+  async check(password, { user = null, policy = this.getPolicy() } = {}) {
+    if (typeof password !== 'string' || !password) {
+      return [{ rule: 'required', message: 'Password is required' }];
+    }
+
+    const failures = [];
+    if (password.length < policy.minLength) {
+      failures.push({
+        rule: 'minLength',
+        message: `Password must be at least ${policy.minLength} characters long`,
+      });
+    }
+
+    CHARACTER_RULES.filter(({ rule, pattern }) => policy[rule] && !pattern.test(password)).forEach(
+      ({ rule, message }) => failures.push({ rule, message: `Password must contain ${message}` })
+    );
+
+    if (user && policy.historyCount > 0 && (await this.isReused(password, user, policy))) {
+      failures.push({
+        rule: 'history',
+        message: `Password must differ from your last ${policy.historyCount} passwords`,
+      });
+    }
+
+    return failures;
+  }
+
+  async validate(password, options = {}) {
+    const failures = await this.check(password, options);
+    if (failures.length) {
+      throw createPolicyError(failures);
+    }
+    return true;
+  }
+
+  // Validates and assigns a new password; the caller saves the user. The previous hash moves
+  // into the history, which keeps the hashes before the current one that the policy forbids.
+  async setPassword(user, password) {
+    const policy = this.getPolicy();
+    await this.validate(password, { user, policy });
+
+    const previous = user.password && !user.isModified('password') ? [user.password] : [];
+    user.passwordHistory = [...previous, ...(user.passwordHistory || [])].slice(
+      0,
+      Math.max(policy.historyCount - 1, 0)
+    );
+    user.password = password; // Will be hashed by the User pre-save middleware
+    return user;
+  }
+
+  // `historyCount` includes the current password
+  async isReused(password, user, policy) {
+    const hashes = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historyCount);
+    const matches = await Promise.all(hashes.map((hash) => bcrypt.compare(password, hash)));
+    return matches.includes(true);
+  }
+
+  // Passwords set before passwordChangedAt was recorded count from the account creation
+  getExpiry(user, policy = this.getPolicy()) {
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return policy.maxAgeDays > 0 && changedAt
+      ? new Date(new Date(changedAt).getTime() + policy.maxAgeDays * DAY_MS)
+      : null;
+  }
+
+  isExpired(user, now = new Date()) {
+    const expiry = this.getExpiry(user);
+    return Boolean(expiry) && expiry <= now;
+  }
+}
+
+module.exports = PasswordPolicyService;
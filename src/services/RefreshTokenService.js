@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const RefreshToken = require('../domain/entities/RefreshToken');
+const { getEnvironment } = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * Store of issued refresh tokens, grouped into families.
+ *
+ * A login starts a family. Every refresh consumes the presented token (`rotated`) and issues
+ * its successor in the same family, so only the newest token of a family works. When a rotated
+ * token is presented again it has been copied, and the whole family is revoked: the thief and
+ * the user both have to log in again.
+ *
+ * Tokens are JWTs carrying `jti` (the record) and `familyId`. Tokens issued before the store
+ * existed have no `jti` and are refused.
+ */
+class RefreshTokenService extends IService {
+  constructor(eventBus) {
+    super();
+    this.eventBus = eventBus;
+    this.env = getEnvironment();
+  }
+
+  // Signs and records a refresh token; without a familyId it starts a new family
+  async issue(
+    user,
+    {
+      expiresIn,
+      tenantId = user.tenantId,
+      familyId = crypto.randomUUID(),
+      parentJti,
+      rememberMe = false,
+      ip,
+      userAgent,
+    } = {}
+  ) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      { id: user._id, tokenType: 'refresh', familyId },
+      this.env.jwt.refreshSecret,
+      { expiresIn, jwtid: jti }
+    );
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+    await RefreshToken.create({
+      jti,
+      familyId,
+      parentJti,
+      userId: user._id,
+      tenantId,
+      rememberMe,
+      ip,
+      userAgent,
+      expiresAt,
+    });
+
+    return { token, jti, familyId, expiresAt };
+  }
+
+  // Checks a token without using it up. JWT errors are passed on for the caller to map.
+  async verify(rawToken) {
+    const decoded = jwt.verify(rawToken, this.env.jwt.refreshSecret);
+    const record = decoded.jti
+      ? await RefreshToken.findOne({ jti: decoded.jti, status: 'active' })
+      : null;
+
+    if (!record) {
+      await this.reject(decoded.jti);
+    }
+    return { decoded, record };
+  }
+
+  // Marks an active token as rotated and returns its record. Of two concurrent refreshes with
+  // the same token only one succeeds, the other counts as reuse.
+  async consume(rawToken) {
+    const decoded = jwt.verify(rawToken, this.env.jwt.refreshSecret);
+    const record = decoded.jti
+      ? await RefreshToken.findOneAndUpdate(
+          { jti: decoded.jti, status: 'active' },
+          { $set: { status: 'rotated', rotatedAt: new Date() } },
+          { new: true }
+        )
+      : null;
+
+    if (!record) {
+      await this.reject(decoded.jti);
+    }
+    return record;
+  }
+
+  // Revokes the family of a token, also when it has expired; unusable tokens are ignored
+  async revoke(rawToken, reason = 'logout') {
+    const decoded = this.decode(rawToken);
+    return decoded?.familyId ? this.revokeFamily(decoded.familyId, reason) : 0;
+  }
+
+  // `exceptToken` keeps the family of the caller's own token, if it belongs to the same user
+  async revokeAll(userId, tenantId, { exceptToken = null, reason = 'revoked_all' } = {}) {
+    const except = exceptToken && this.decode(exceptToken);
+    const filter = { userId, tenantId, status: 'active' };
+    if (except?.familyId && String(except.id) === String(userId)) {
+      filter.familyId = { $ne: except.familyId };
+    }
+
+    const result = await RefreshToken.updateMany(filter, {
+      $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.modifiedCount;
+  }
+
+  async revokeFamily(familyId, reason) {
+    const result = await RefreshToken.updateMany(
+      { familyId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Always throws; a token that was already rotated revokes its family first
+  async reject(jti) {
+    const record = jti ? await RefreshToken.findOne({ jti }) : null;
+
+    if (record?.status === 'rotated') {
+      const revoked = await this.revokeFamily(record.familyId, 'reuse_detected');
+      logger.warn(
+        `Refresh token reuse detected for user ${record.userId}, family ${record.familyId} revoked`
+      );
+      await this.eventBus.publish(
+        'user.refresh_token_reused',
+        { userId: String(record.userId), familyId: record.familyId, revokedTokens: revoked },
+        { tenantId: record.tenantId }
+      );
+    }
+
+    throw new AppError(
+      record?.status === 'revoked' ? 'Refresh token has been revoked' : 'Invalid refresh token',
+      401
+    );
+  }
+
+  decode(rawToken) {
+    try {
+      return jwt.verify(rawToken, this.env.jwt.refreshSecret, { ignoreExpiration: true });
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = Injectable(['EventBus'])(RefreshTokenService);
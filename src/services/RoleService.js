@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const User = require('../domain/entities/User');
+const Role = require('../domain/entities/Role');
+const permissionRegistry = require('../domain/permissions');
+const logger = require('../utils/logger');
+
+// Built-in roles a tenant's users can have (`User.role`); they are listed with the custom roles
+const BUILT_IN_ROLES = ['user', 'manager', 'admin', 'tenant_admin'];
+// Keys custom roles cannot take
+const RESERVED_KEYS = [...BUILT_IN_ROLES, 'super_admin', 'api_key'];
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MAX_ROLES_PER_TENANT = 50;
+
+/**
+ * Custom roles of tenants, e.g. "Branch Secretary" or "Treasurer", built from the permissions of
+ * the permission registry (see domain/permissions), and effective permissions of users.
+ *
+ * A user's effective permissions in a tenant are the union of the defaults of their built-in
+ * role, the permissions of their custom roles and their direct grants (`permissions`); in other
+ * tenants, those of their `tenantRoles` entry, whose role is a built-in or custom role key.
+ * Super admins hold every permission and API keys only their own. The permission middleware
+ * (see authorization.middleware) checks effective permissions.
+ *
+ * Only super admins and tenant admins grant freely. Anyone else can only hand out permissions
+ * they hold themselves, whether directly, through a role or through a role's definition (see
+ * assertCanGrant), so that nobody can raise their own or another user's access above theirs.
+ */
+class RoleService extends IService {
+  constructor(userService, eventBus) {
+    super();
+    this.userService = userService;
+    this.eventBus = eventBus;
+  }
+
+  listPermissions() {
+    return permissionRegistry.list();
+  }
+
+  // Built-in roles first, with their default permissions
+  async list(tenantId) {
+    try {
+      const roles = await Role.find({ tenantId }).sort({ name: 1 });
+
+      return [
+        ...BUILT_IN_ROLES.map((key) => ({
+          key,
+          name: key,
+          system: true,
+          permissions: permissionRegistry.getRolePermissions(key),
+        })),
+        ...roles.map((role) => this.toView(role)),
+      ];
+    } catch (error) {
+      logger.error(`Error listing roles of tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  async create(tenantId, { name, description, permissions = [] } = {}, createdBy = null) {
+    try {
+      this.validateName(name);
+      this.validatePermissions(permissions);
+      await this.assertCanGrant(createdBy, tenantId, { permissions });
+
+      const key = this.toKey(name);
+      if (!ROLE_KEY_PATTERN.test(key) || RESERVED_KEYS.includes(key)) {
+        throw new AppError(`${name} cannot be used as a role name`, 400);
+      }
+      if (await Role.exists({ tenantId, key })) {
+        throw new AppError(`Role ${key} already exists`, 409);
+      }
+      if ((await Role.countDocuments({ tenantId })) >= MAX_ROLES_PER_TENANT) {
+        throw new AppError(`A tenant can have at most ${MAX_ROLES_PER_TENANT} custom roles`, 409);
+      }
+
+      const role = new Role({
+        tenantId,
+        key,
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: createdBy ? String(createdBy._id) : undefined,
+      });
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await role.save({ session });
+        this.publishRoleEvent(publish, 'role.created', role, createdBy);
+      });
+
+      logger.info(`Role ${key} created in tenant ${tenantId}`);
+      return this.toView(role);
+    } catch (error) {
+      logger.error(`Error creating role in tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+
+  // The key stays, so assignments keep working after a rename
+  async update(roleId, tenantId, { name, description, permissions } = {}, updatedBy = null) {
+    try {
+      const role = await this.getRole(roleId, tenantId);
+
+      if (name !== undefined) {
+        this.validateName(name);
+        role.name = name;
+      }
+      if (description !== undefined) {
+        role.description = description;
+      }
+      if (permissions !== undefined) {
+        this.validatePermissions(permissions);
+        await this.assertCanGrant(updatedBy, tenantId, {
+          permissions: permissions.filter((permission) => !role.permissions.includes(permission)),
+        });
+        role.permissions = [...new Set(permissions)];
+      }
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await role.save({ session });
+        this.publishRoleEvent(publish, 'role.updated', role, updatedBy);
+      });
+
+      logger.info(`Role ${role.key} updated in tenant ${tenantId}`);
+      return this.toView(role);
+    } catch (error) {
+      logger.error(`Error updating role ${roleId}:`, error);
+      throw error;
+    }
+  }
+
+  // Only roles no user holds, so that nobody loses permissions unnoticed
+  async delete(roleId, tenantId, deletedBy = null) {
+    try {
+      const role = await this.getRole(roleId, tenantId);
+
+      const holders = await User.countDocuments({
+        isDeleted: false,
+        $or: [
+          { tenantId, customRoles: role.key },
+          { tenantRoles: { $elemMatch: { tenantId, role: role.key } } },
+        ],
+      });
+      if (holders) {
+        throw new AppError(`Role ${role.key} is assigned to ${holders} users`, 409);
+      }
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await Role.deleteOne({ _id: role._id }, { session });
+        this.publishRoleEvent(publish, 'role.deleted', role, deletedBy);
+      });
+
+      logger.info(`Role ${role.key} deleted from tenant ${tenantId}`);
+      return this.toView(role);
+    } catch (error) {
+      logger.error(`Error deleting role ${roleId}:`, error);
+      throw error;
+    }
+  }
+
+  // Replaces the custom roles of a user of the tenant
+  async assign(userId, tenantId, roleKeys, assignedBy = null) {
+    try {
+      if (!Array.isArray(roleKeys) || roleKeys.some((key) => typeof key !== 'string')) {
+        throw new AppError('roles must be an array of role keys', 400);
+      }
+
+      const user = mongoose.isValidObjectId(userId)
+        ? await User.findOne({ _id: userId, tenantId, isDeleted: false })
+        : null;
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const keys = [...new Set(roleKeys)];
+      const roles = await Role.find({ tenantId, key: { $in: keys } }).select('key');
+      const unknown = keys.filter((key) => !roles.some((role) => role.key === key));
+      if (unknown.length) {
+        throw new AppError(`Unknown roles: ${unknown.join(', ')}`, 400);
+      }
+
+      const previousRoles = [...user.customRoles];
+      await this.assertCanGrant(assignedBy, tenantId, {
+        customRoles: keys.filter((key) => !previousRoles.includes(key)),
+      });
+      user.customRoles = keys;
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await user.save({ session });
+        this.userService.publishUserEvent(publish, 'user.roles_changed', user, {
+          actor: assignedBy && String(assignedBy._id),
+          roles: keys,
+          previousRoles,
+        });
+      });
+
+      logger.info(`Roles of user ${userId} set to [${keys.join(', ')}] in tenant ${tenantId}`);
+      return this.userService.sanitizeUser(user);
+    } catch (error) {
+      logger.error(`Error assigning roles to user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Set of permission keys; only registered permissions count
+  async getEffectivePermissions(user, tenantId = user.tenantId) {
+    if (user.apiKeyId) {
+      return new Set(permissionRegistry.filterKnown(user.permissions));
+    }
+    if (user.role === 'super_admin') {
+      return new Set(permissionRegistry.keys());
+    }
+
+    const { roles, grants } = this.getAssignments(user, tenantId);
+    return this.resolvePermissions(tenantId, roles, grants);
+  }
+
+  // Throws 403 unless `grantor` may hand out the built-in `role`, the `customRoles` and the
+  // direct `permissions` in the tenant. Without a grantor the platform itself assigns them, e.g.
+  // on registration or when an invitation is accepted.
+  async assertCanGrant(grantor, tenantId, { role, customRoles = [], permissions = [] } = {}) {
+    if (!grantor || this.isTenantAdmin(grantor, tenantId)) {
+      return;
+    }
+    if (role === 'tenant_admin') {
+      throw new AppError('Only tenant admins can assign the tenant_admin role', 403);
+    }
+
+    const [granted, held] = await Promise.all([
+      this.resolvePermissions(tenantId, [...(role ? [role] : []), ...customRoles], permissions),
+      this.getEffectivePermissions(grantor, tenantId),
+    ]);
+    const missing = [...granted].filter((permission) => !held.has(permission));
+    if (missing.length) {
+      throw new AppError(
+        `You cannot grant permissions you do not hold: ${missing.join(', ')}`,
+        403
+      );
+    }
+  }
+
+  isTenantAdmin(user, tenantId = user.tenantId) {
+    return user.role === 'super_admin' || this.getRoles(user, tenantId).includes('tenant_admin');
+  }
+
+  // Registered permissions of built-in and custom role keys plus direct grants
+  async resolvePermissions(tenantId, roles, grants = []) {
+    const customKeys = roles.filter((role) => !RESERVED_KEYS.includes(role));
+    const customRoles = customKeys.length
+      ? await Role.find({ tenantId, key: { $in: customKeys } }).select('permissions')
+      : [];
+
+    return new Set(
+      permissionRegistry.filterKnown([
+        ...roles.flatMap((role) => permissionRegistry.getRolePermissions(role)),
+        ...customRoles.flatMap((role) => role.permissions),
+        ...grants,
+      ])
+    );
+  }
+
+  // Built-in and custom role keys of the user in the tenant
+  getRoles(user, tenantId = user.tenantId) {
+    return this.getAssignments(user, tenantId).roles;
+  }
+
+  getAssignments(user, tenantId) {
+    const home = user.tenantId === tenantId;
+    const tenantRole = user.tenantRoles?.find(
+      (entry) => entry.tenantId === tenantId && entry.isActive !== false
+    );
+
+    return {
+      roles: [
+        ...(home ? [user.role, ...(user.customRoles || [])] : []),
+        ...(tenantRole?.role ? [tenantRole.role] : []),
+      ],
+      grants: [...(home ? user.permissions || [] : []), ...(tenantRole?.permissions || [])],
+    };
+  }
+
+  async getRole(roleId, tenantId) {
+    const role = mongoose.isValidObjectId(roleId)
+      ? await Role.findOne({ _id: roleId, tenantId })
+      : null;
+
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+    return role;
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      throw new AppError('name is required and must be at most 50 characters', 400);
+    }
+  }
+
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('permissions must be an array', 400);
+    }
+
+    const unknown = permissionRegistry.findUnknown(permissions);
+    if (unknown.length) {
+      throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+  }
+
+  // "Branch Secretary" -> branch_secretary
+  toKey(name) {
+    return name
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  publishRoleEvent(publish, type, role, actor) {
+    publish(
+      type,
+      { roleId: role.id, key: role.key, name: role.name, permissions: [...role.permissions] },
+      { tenantId: role.tenantId, actor: actor ? String(actor._id) : undefined }
+    );
+  }
+
+  toView(role) {
+    return {
+      id: role.id,
+      key: role.key,
+      name: role.name,
+      description: role.description,
+      system: false,
+      permissions: role.permissions,
+      createdBy: role.createdBy,
+      createdAt: role.createdAt,
+      updatedAt: role.updatedAt,
+    };
+  }
+}
+
+module.exports = Injectable(['UserService', 'EventBus'])(RoleService);
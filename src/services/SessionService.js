@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IService = require('../shared/interfaces/IService');
+const { Injectable } = require('../shared/container/ServiceContainer');
+const { AppError } = require('../middleware/error.middleware');
+const Session = require('../domain/entities/Session');
+const tenantContext = require('../tenant/context/TenantContext');
+const { parseUserAgent } = require('../utils/userAgent');
+const logger = require('../utils/logger');
+
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+const MAX_LISTED_SESSIONS = 100;
+const EXPIRE_BATCH_SIZE = 500;
+const LIST_STATUSES = [...Session.SESSION_STATUSES, 'all'];
+
+/**
+ * Login sessions of users.
+ *
+ * Every login starts a session that owns a refresh token family (see RefreshTokenService).
+ * Access tokens carry the session id as `sid`, so ending a session locks out its access and
+ * refresh tokens at once. A session that has not been used for the tenant's
+ * `settings.security.sessionTimeout` (milliseconds) expires on its next use, or when the
+ * `sessions.expire-idle` job runs.
+ */
+class SessionService extends IService {
+  constructor(refreshTokenService) {
+    super();
+    this.refreshTokenService = refreshTokenService;
+  }
+
+  // The caller issues the session's tokens and then records their expiry with extend()
+  async start(user, { tenantId = user.tenantId, req = null } = {}) {
+    const now = new Date();
+    const userAgent = req?.get?.('user-agent');
+
+    return Session.create({
+      familyId: crypto.randomUUID(),
+      userId: user._id,
+      tenantId,
+      ip: req?.ip,
+      lastIp: req?.ip,
+      userAgent,
+      ...parseUserAgent(userAgent),
+      lastSeenAt: now,
+      idleExpiresAt: this.getIdleExpiry(now),
+    });
+  }
+
+  // The device of a login when the user has sessions, none of them from that device (call it
+  // before starting the login's session), otherwise null. Sessions are kept until their refresh
+  // tokens expire, so devices unused for longer count as new again.
+  async getNewDevice(user, { tenantId = user.tenantId, req = null } = {}) {
+    const { deviceType, browser = null, os = null } = parseUserAgent(req?.get?.('user-agent'));
+
+    const [hasSessions, knownDevice] = await Promise.all([
+      Session.exists({ userId: user._id, tenantId }),
+      Session.exists({ userId: user._id, tenantId, deviceType, browser, os }),
+    ]);
+    return hasSessions && !knownDevice ? { deviceType, browser, os } : null;
+  }
+
+  // Records the expiry of the session's newest refresh token
+  async extend(session, expiresAt) {
+    await Session.updateOne({ _id: session._id }, { $set: { expiresAt } });
+  }
+
+  // Runs for every authenticated request ({ _id: sid }) and refresh ({ familyId }). Throws when
+  // the session has ended and expires it when it was idle too long, otherwise records the use.
+  async touch(query, { req = null, now = new Date() } = {}) {
+    const session = await Session.findOne(query);
+
+    if (
+      !session ||
+      session.status !== 'active' ||
+      (session.expiresAt && session.expiresAt <= now)
+    ) {
+      throw new AppError('Session has ended', 401);
+    }
+
+    if (session.idleExpiresAt && session.idleExpiresAt <= now) {
+      await this.end(session.familyId, 'expired', 'idle_timeout');
+      throw new AppError('Session expired due to inactivity', 401);
+    }
+
+    const ip = req?.ip || session.lastIp;
+    if (now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS || ip !== session.lastIp) {
+      const idleExpiresAt = this.getIdleExpiry(now);
+      await Session.updateOne(
+        { _id: session._id, status: 'active' },
+        { $set: { lastSeenAt: now, lastIp: ip, ...(idleExpiresAt && { idleExpiresAt }) } }
+      );
+    }
+
+    return session;
+  }
+
+  // Active sessions by default; `status` selects ended ones or `all`
+  async list(userId, tenantId, { status = 'active', currentSessionId = null } = {}) {
+    try {
+      if (!LIST_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${LIST_STATUSES.join(', ')}`, 400);
+      }
+
+      const now = new Date();
+      const sessions = await Session.find({ userId, tenantId })
+        .sort({ lastSeenAt: -1 })
+        .limit(MAX_LISTED_SESSIONS);
+
+      return sessions
+        .map((session) => this.toView(session, now, currentSessionId))
+        .filter((session) => status === 'all' || session.status === status);
+    } catch (error) {
+      logger.error(`Error listing sessions of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async revoke(userId, tenantId, sessionId, reason = 'revoked') {
+    try {
+      const session = mongoose.isValidObjectId(sessionId)
+        ? await Session.findOne({ _id: sessionId, userId, tenantId })
+        : null;
+
+      if (!session) {
+        throw new AppError('Session not found', 404);
+      }
+      if (session.status !== 'active') {
+        throw new AppError('Session has already ended', 409);
+      }
+
+      await this.end(session.familyId, 'revoked', reason);
+
+      logger.info(`Session ${sessionId} of user ${userId} revoked (${reason})`);
+      return this.toView(await Session.findById(session._id));
+    } catch (error) {
+      logger.error(`Error revoking session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Ends all sessions of the user, except the one `exceptToken` (a refresh token) belongs to;
+  // returns the number of refresh tokens revoked
+  async revokeAll(userId, tenantId, { exceptToken = null, reason = 'revoked_all' } = {}) {
+    const except = exceptToken && this.refreshTokenService.decode(exceptToken);
+    const exceptFamilyId = except && String(except.id) === String(userId) ? except.familyId : null;
+
+    await Session.updateMany(
+      {
+        userId,
+        tenantId,
+        status: 'active',
+        ...(exceptFamilyId && { familyId: { $ne: exceptFamilyId } }),
+      },
+      { $set: { status: 'revoked', endedAt: new Date(), endReason: reason } }
+    );
+
+    return this.refreshTokenService.revokeAll(userId, tenantId, { exceptToken, reason });
+  }
+
+  // Ends the session of a refresh token family and revokes the family
+  async end(familyId, status, reason) {
+    await Session.updateOne(
+      { familyId, status: 'active' },
+      { $set: { status, endedAt: new Date(), endReason: reason } }
+    );
+    await this.refreshTokenService.revokeFamily(familyId, reason);
+  }
+
+  // Runs as the `sessions.expire-idle` job
+  async expireIdle(now = new Date()) {
+    const sessions = await Session.find({ status: 'active', idleExpiresAt: { $lte: now } })
+      .select('familyId')
+      .limit(EXPIRE_BATCH_SIZE);
+
+    await Promise.all(
+      sessions.map((session) => this.end(session.familyId, 'expired', 'idle_timeout'))
+    );
+    return sessions.length;
+  }
+
+  // The current tenant's timeout applies from now on, also to sessions started before it changed
+  getIdleExpiry(now) {
+    const timeout = tenantContext.getCurrentTenant()?.tenantConfig?.security?.sessionTimeout;
+    return timeout > 0 ? new Date(now.getTime() + timeout) : undefined;
+  }
+
+  // Sessions past their idle or refresh deadline count as expired before the job marks them
+  getStatus(session, now) {
+    if (session.status !== 'active') {
+      return session.status;
+    }
+
+    const lapsed = [session.idleExpiresAt, session.expiresAt].some(
+      (deadline) => deadline && deadline <= now
+    );
+    return lapsed ? 'expired' : 'active';
+  }
+
+  toView(session, now = new Date(), currentSessionId = null) {
+    return {
+      id: session.id,
+      status: this.getStatus(session, now),
+      current: Boolean(currentSessionId) && session.id === String(currentSessionId),
+      deviceType: session.deviceType,
+      browser: session.browser,
+      os: session.os,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastIp: session.lastIp,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      idleExpiresAt: session.idleExpiresAt,
+      endedAt: session.endedAt,
+      endReason: session.endReason,
+    };
+  }
+}
+
+module.exports = Injectable(['RefreshTokenService'])(SessionService);
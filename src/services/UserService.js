@@ -1,24 +1,59 @@
 const IService = require('../shared/interfaces/IService');
-const { Injectable } = require('../shared/container/ServiceContainer');
+const { Injectable, container } = require('../shared/container/ServiceContainer');
 const { AppError } = require('../middleware/error.middleware');
 const User = require('../domain/entities/User');
+const Invitation = require('../domain/entities/Invitation');
+const permissionRegistry = require('../domain/permissions');
 const logger = require('../utils/logger');
-const bcrypt = require('bcryptjs');
+
+// Fields that can only change through dedicated flows (role/permission
+// endpoints, activation, email verification, login tracking)
+const PRIVILEGED_FIELDS = [
+  '_id', 'tenantId', 'tenantName',
+  'role', 'permissions', 'customRoles', 'tenantRoles',
+  'isActive', 'isEmailVerified', 'isDeleted', 'deletedAt', 'deletedBy',
+  'failedLoginAttempts', 'lockoutUntil', 'lockoutCount', 'loginCount', 'lastLoginAt',
+  'emailVerificationToken', 'emailVerificationExpires',
+  'passwordResetToken', 'passwordResetExpires',
+  'passwordChangedAt', 'passwordHistory',
+  'mfa'
+];
+
+// Built-in roles that can be assigned to users of a tenant; permissions come from the
+// permission registry, custom roles from RoleService
+const USER_ROLES = ['user', 'manager', 'admin', 'tenant_admin'];
+
+// Resolved lazily, RoleService depends on this service
+const getRoleService = () => container.get('RoleService');
 
 class UserService extends IService {
-  constructor(userRepository, tenantService) {
+  constructor(userRepository, tenantService, eventBus, passwordPolicyService) {
     super();
     this.userRepository = userRepository;
     this.tenantService = tenantService;
+    this.eventBus = eventBus;
+    this.passwordPolicyService = passwordPolicyService;
   }
 
-  async create(userData, tenantId) {
+  // With `invitation` (see InvitationService) the user accepts it: the invitation's seat is used,
+  // the email counts as verified and the invitation is marked accepted with the user.
+  // `createdBy` can only give the user permissions it holds itself (see RoleService).
+  async create(userData, tenantId, { invitation = null, createdBy = null } = {}) {
     try {
       // Validate tenant exists and has capacity
-      await this.validateTenantCapacity(tenantId);
+      await this.validateTenantCapacity(tenantId, { invitationId: invitation?._id });
 
-      // Validate user data
+      // Validate user data; role and permissions are the only privileged fields taken
       this.validateUserData(userData);
+      await this.passwordPolicyService.validate(userData.password);
+
+      const { role = 'user', permissions = [] } = userData;
+      this.validateRole(role);
+      this.validatePermissions(permissions);
+      await getRoleService().assertCanGrant(createdBy, tenantId, { role, permissions });
+
+      const data = { ...userData };
+      PRIVILEGED_FIELDS.forEach(field => delete data[field]);
 
       // Check if user already exists in this tenant
       const existingUser = await User.findOne({
@@ -33,18 +68,31 @@ class UserService extends IService {
 
       // Create user with tenant association
       const user = new User({
-        ...userData,
+        ...data,
         tenantId,
         email: userData.email.toLowerCase(),
+        role,
+        permissions: [...new Set(permissions)],
         isActive: true,
-        isEmailVerified: false
+        isEmailVerified: Boolean(invitation)
       });
 
-      const savedUser = await user.save();
+      const savedUser = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const saved = await user.save({ session });
+        if (invitation) {
+          invitation.set({ status: 'accepted', acceptedAt: new Date(), userId: saved._id });
+          await invitation.save({ session });
+        }
+        this.publishUserEvent(publish, 'user.created', saved, invitation ? {
+          actor: invitation.invitedBy?.userId,
+          invitationId: String(invitation._id)
+        } : {});
+        return saved;
+      });
 
       // Update tenant usage
       if (this.tenantService) {
-        await this.tenantService.updateUsage(tenantId, 'users', 1);
+        await this.tenantService.updateUserUsage(tenantId, 1);
       }
 
       logger.info(`User created successfully: ${savedUser.email} in tenant ${tenantId}`);
@@ -163,7 +211,7 @@ class UserService extends IService {
         _id: userId,
         tenantId,
         isDeleted: false
-      });
+      }).select('+password +passwordHistory');
 
       if (!user) {
         throw new AppError('User not found', 404);
@@ -172,20 +220,31 @@ class UserService extends IService {
       // Validate update permissions
       await this.validateUpdatePermissions(user, requestingUserId, tenantId);
 
-      // Validate update data
-      if (updateData.email && updateData.email !== user.email) {
-        await this.validateEmailUniqueness(updateData.email, tenantId, userId);
+      // Passwords change through /auth/change-password, which checks the current password,
+      // or a reset, both of which end the other sessions
+      if (updateData.password !== undefined) {
+        throw new AppError('Use /api/auth/change-password to change the password', 400);
       }
 
-      // Handle password update separately
-      if (updateData.password) {
-        await this.updatePassword(user, updateData.password);
-        delete updateData.password;
+      const data = { ...updateData };
+      PRIVILEGED_FIELDS.forEach(field => delete data[field]);
+
+      // Validate update data; a new email has to be verified again
+      if (data.email !== undefined) {
+        data.email = String(data.email).toLowerCase();
+        if (data.email !== user.email) {
+          await this.validateEmailUniqueness(data.email, tenantId, userId);
+          data.isEmailVerified = false;
+        }
       }
 
       // Update user
-      Object.assign(user, updateData);
-      const updatedUser = await user.save();
+      Object.assign(user, data);
+      const updatedUser = await this.eventBus.withTransaction(async ({ session, publish }) => {
+        const saved = await user.save({ session });
+        this.publishUserEvent(publish, 'user.updated', saved, { actor: requestingUserId });
+        return saved;
+      });
 
       logger.info(`User updated successfully: ${userId} in tenant ${tenantId}`);
       return this.sanitizeUser(updatedUser);
@@ -211,11 +270,15 @@ class UserService extends IService {
       await this.validateDeletePermissions(user, requestingUserId, tenantId);
 
       // Soft delete
-      await user.softDelete();
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        user.$session(session);
+        await user.softDelete();
+        this.publishUserEvent(publish, 'user.deleted', user, { actor: requestingUserId });
+      });
 
       // Update tenant usage
       if (this.tenantService) {
-        await this.tenantService.updateUsage(tenantId, 'users', -1);
+        await this.tenantService.updateUserUsage(tenantId, -1);
       }
 
       logger.info(`User deleted successfully: ${userId} in tenant ${tenantId}`);
@@ -233,7 +296,10 @@ class UserService extends IService {
       // Validate permissions
       await this.validateAdminPermissions(requestingUserId, tenantId);
 
-      await User.findByIdAndUpdate(userId, { isActive: true });
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await User.findByIdAndUpdate(userId, { isActive: true }, { session });
+        this.publishUserEvent(publish, 'user.activated', user, { actor: requestingUserId });
+      });
       
       logger.info(`User activated: ${userId} in tenant ${tenantId}`);
       return { success: true, message: 'User activated successfully' };
@@ -250,7 +316,10 @@ class UserService extends IService {
       // Validate permissions
       await this.validateAdminPermissions(requestingUserId, tenantId);
 
-      await User.findByIdAndUpdate(userId, { isActive: false });
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await User.findByIdAndUpdate(userId, { isActive: false }, { session });
+        this.publishUserEvent(publish, 'user.deactivated', user, { actor: requestingUserId });
+      });
       
       logger.info(`User deactivated: ${userId} in tenant ${tenantId}`);
       return { success: true, message: 'User deactivated successfully' };
@@ -265,15 +334,19 @@ class UserService extends IService {
       const user = await this.getById(userId, tenantId);
       
       // Validate permissions - only admins can update roles
-      await this.validateAdminPermissions(requestingUserId, tenantId);
+      const requestingUser = await this.validateAdminPermissions(requestingUserId, tenantId);
 
       // Validate role
-      const validRoles = ['user', 'manager', 'admin', 'tenant_admin'];
-      if (!validRoles.includes(newRole)) {
-        throw new AppError(`Invalid role. Must be one of: ${validRoles.join(', ')}`, 400);
-      }
-
-      await User.findByIdAndUpdate(userId, { role: newRole });
+      this.validateRole(newRole);
+      await getRoleService().assertCanGrant(requestingUser, tenantId, { role: newRole });
+
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        await User.findByIdAndUpdate(userId, { role: newRole }, { session });
+        this.publishUserEvent(publish, 'user.role_changed', { ...user, role: newRole }, {
+          actor: requestingUserId,
+          previousRole: user.role
+        });
+      });
       
       logger.info(`User role updated: ${userId} to ${newRole} in tenant ${tenantId}`);
       return { success: true, message: 'User role updated successfully' };
@@ -288,21 +361,13 @@ class UserService extends IService {
       const user = await this.getById(userId, tenantId);
       
       // Validate permissions
-      await this.validateAdminPermissions(requestingUserId, tenantId);
+      const requestingUser = await this.validateAdminPermissions(requestingUserId, tenantId);
 
-      // Validate permissions array
-      const validPermissions = [
-        'users.read', 'users.write', 'users.delete',
-        'members.read', 'members.write', 'members.delete',
-        'reports.read', 'reports.write',
-        'settings.read', 'settings.write',
-        'tenant.manage'
-      ];
-
-      const invalidPermissions = permissions.filter(p => !validPermissions.includes(p));
-      if (invalidPermissions.length > 0) {
-        throw new AppError(`Invalid permissions: ${invalidPermissions.join(', ')}`, 400);
-      }
+      // Validate permissions array; only added permissions count as granted
+      this.validatePermissions(permissions);
+      await getRoleService().assertCanGrant(requestingUser, tenantId, {
+        permissions: permissions.filter(permission => !user.permissions?.includes(permission))
+      });
 
       await User.findByIdAndUpdate(userId, { permissions });
       
@@ -369,7 +434,7 @@ class UserService extends IService {
         _id: userId,
         tenantId,
         isDeleted: false
-      }).select('+password');
+      }).select('+password +passwordHistory');
 
       if (!user) {
         throw new AppError('User not found', 404);
@@ -382,7 +447,11 @@ class UserService extends IService {
       }
 
       // Update password
-      await this.updatePassword(user, newPassword);
+      await this.eventBus.withTransaction(async ({ session, publish }) => {
+        user.$session(session);
+        await this.updatePassword(user, newPassword);
+        this.publishUserEvent(publish, 'user.password_changed', user, { actor: userId });
+      });
       
       logger.info(`Password changed for user: ${userId} in tenant ${tenantId}`);
       return { success: true, message: 'Password changed successfully' };
@@ -442,12 +511,17 @@ class UserService extends IService {
   }
 
   // Validation methods
-  async validateTenantCapacity(tenantId) {
+  // Pending invitations hold a seat until they are accepted, revoked or expire; `invitationId`
+  // is the invitation whose seat is being used or renewed
+  async validateTenantCapacity(tenantId, { invitationId = null } = {}) {
     if (!this.tenantService) return true;
 
     try {
-      const usageStats = await this.tenantService.getUsageStats(tenantId);
-      if (!usageStats.isWithinLimits.users) {
+      const [{ current, max }, pending] = await Promise.all([
+        this.tenantService.getUserCapacity(tenantId),
+        Invitation.countPending(tenantId, { excludeId: invitationId })
+      ]);
+      if (max !== -1 && current + pending >= max) {
         throw new AppError('Tenant user limit exceeded', 403);
       }
       return true;
@@ -529,12 +603,12 @@ class UserService extends IService {
     }
 
     // Super admin has all permissions
-    if (requestingUser.role === 'super_admin') return true;
+    if (requestingUser.role === 'super_admin') return requestingUser;
 
     // Tenant admins can manage their tenant
     if (requestingUser.tenantId === tenantId && 
         ['admin', 'tenant_admin'].includes(requestingUser.role)) {
-      return true;
+      return requestingUser;
     }
 
     throw new AppError('Admin privileges required', 403);
@@ -557,6 +631,25 @@ class UserService extends IService {
     }
   }
 
+  validateRole(role) {
+    if (!USER_ROLES.includes(role)) {
+      throw new AppError(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`, 400);
+    }
+    return true;
+  }
+
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('Permissions must be an array', 400);
+    }
+
+    const invalidPermissions = permissionRegistry.findUnknown(permissions);
+    if (invalidPermissions.length > 0) {
+      throw new AppError(`Invalid permissions: ${invalidPermissions.join(', ')}`, 400);
+    }
+    return true;
+  }
+
   validateUserData(userData) {
     const errors = [];
 
@@ -577,15 +670,8 @@ class UserService extends IService {
       }
     }
 
-    if (userData.password && userData.password.length < 8) {
-      errors.push('Password must be at least 8 characters long');
-    }
-
-    if (userData.role) {
-      const validRoles = ['user', 'manager', 'admin', 'tenant_admin'];
-      if (!validRoles.includes(userData.role)) {
-        errors.push(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
-      }
+    if (userData.role && !USER_ROLES.includes(userData.role)) {
+      errors.push(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
     }
 
     if (errors.length > 0) {
@@ -597,12 +683,19 @@ class UserService extends IService {
 
   // Helper methods
   async updatePassword(user, newPassword) {
-    const saltRounds = process.env.BCRYPT_SALT_ROUNDS || 12;
-    const hashedPassword = await bcrypt.hash(newPassword, parseInt(saltRounds));
-    user.password = hashedPassword;
+    await this.passwordPolicyService.setPassword(user, newPassword);
     return user.save();
   }
 
+  // Accepts documents and sanitized users; events never carry credentials
+  publishUserEvent(publish, type, user, { actor, ...details } = {}) {
+    publish(
+      type,
+      { userId: String(user._id), email: user.email, role: user.role, ...details },
+      { tenantId: user.tenantId, actor }
+    );
+  }
+
   sanitizeUser(user) {
     const userObj = user.toObject ? user.toObject() : user;
     delete userObj.password;
@@ -610,6 +703,7 @@ class UserService extends IService {
     delete userObj.passwordResetExpires;
     delete userObj.emailVerificationToken;
     delete userObj.emailVerificationExpires;
+    delete userObj.passwordHistory;
     return userObj;
   }
 
@@ -618,4 +712,9 @@ class UserService extends IService {
   }
 }
 
-module.exports = Injectable(['UserRepository', 'TenantService'])(UserService);
\ No newline at end of file
+module.exports = Injectable([
+  'UserRepository',
+  'TenantService',
+  'EventBus',
+  'PasswordPolicyService'
+])(UserService);
\ No newline at end of file
@@ -0,0 +1,32 @@
+// Adapter interface for tenant archive backends (local disk, object storage, ...).
+// Archives are sets of objects under a common key prefix: `<prefix>/manifest.json` and one
+// compressed file per collection.
+class IArchiveStorage {
+  get name() {
+    throw new Error('Method not implemented');
+  }
+
+  // Human readable location of a prefix, recorded on the tenant
+  describe(_prefix) {
+    throw new Error('Method not implemented');
+  }
+
+  async createWriteStream(_key) {
+    throw new Error('Method not implemented');
+  }
+
+  async createReadStream(_key) {
+    throw new Error('Method not implemented');
+  }
+
+  async exists(_key) {
+    throw new Error('Method not implemented');
+  }
+
+  // Removes every object under the prefix
+  async remove(_prefix) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = IArchiveStorage;
@@ -0,0 +1,25 @@
+// Adapter interface for cache backends. Shared stores (e.g. Redis) are visible to
+// every instance, so entries deleted there need no cross-instance broadcast.
+class ICacheStore {
+  get isShared() {
+    return false;
+  }
+
+  async get(_key) {
+    throw new Error('Method not implemented');
+  }
+
+  async set(_key, _value, _ttlMs) {
+    throw new Error('Method not implemented');
+  }
+
+  async delete(_key) {
+    throw new Error('Method not implemented');
+  }
+
+  async clear() {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = ICacheStore;
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Tenant API keys look like `cmh_<keyId>_<secret>`: the key id locates the key (and with it the
+// tenant), only a hash of the secret is stored
+const API_KEY_PREFIX = 'cmh';
+const API_KEY_PATTERN = /^cmh_([0-9a-f]{16})_([0-9a-f]{64})$/;
+
+const generateKeyId = () => crypto.randomBytes(8).toString('hex');
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const formatApiKey = (keyId, secret) => `${API_KEY_PREFIX}_${keyId}_${secret}`;
+
+// Returns { keyId, secret }, or null when the value is not a tenant API key
+const parseApiKey = (value) => {
+  const match = typeof value === 'string' && API_KEY_PATTERN.exec(value.trim());
+  return match ? { keyId: match[1], secret: match[2] } : null;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const verifySecret = (secret, hash) => {
+  const expected = Buffer.from(hash || '', 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  generateKeyId,
+  generateSecret,
+  formatApiKey,
+  parseApiKey,
+  hashSecret,
+  verifySecret,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const IArchiveStorage = require('../../shared/interfaces/IArchiveStorage');
+
+const KEY_PATTERN = /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9._-]+)*$/;
+
+// Default archive backend, keys map to files below a base directory
+class LocalArchiveStorage extends IArchiveStorage {
+  constructor({ directory }) {
+    super();
+    this.directory = path.resolve(directory);
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  describe(prefix) {
+    return `file://${this.resolve(prefix)}`;
+  }
+
+  async createWriteStream(key) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    return fs.createWriteStream(file);
+  }
+
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+
+  // Keys are generated by the archiver, the check only guards against path traversal
+  resolve(key) {
+    if (!KEY_PATTERN.test(key) || key.split('/').some((part) => part.startsWith('.'))) {
+      throw new Error(`Invalid archive key: ${key}`);
+    }
+    return path.join(this.directory, key);
+  }
+}
+
+module.exports = LocalArchiveStorage;
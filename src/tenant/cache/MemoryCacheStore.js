@@ -0,0 +1,49 @@
+const ICacheStore = require('../../shared/interfaces/ICacheStore');
+
+// Per-process LRU store. Map keeps insertion order, so re-inserting on read moves an
+// entry to the back and the first key is always the least recently used one.
+class MemoryCacheStore extends ICacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    super();
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,125 @@
+const MemoryCacheStore = require('./MemoryCacheStore');
+const TenantCacheInvalidation = require('../models/TenantCacheInvalidation');
+const { getEnvironment } = require('../../config/environment');
+const logger = require('../../utils/logger');
+
+const tenantKey = (tenantId) => `tenant:${tenantId}`;
+const aliasKey = (type, value) => `alias:${type}:${value}`;
+
+/**
+ * Cache for resolved tenant information.
+ *
+ * Entries are stored under `tenant:<id>`; subdomains and custom domains are stored as
+ * aliases pointing at the tenant id, so invalidating a tenant only needs its id.
+ * With a per-process store, invalidations are written to a MongoDB feed that every
+ * instance polls, so a suspension reaches all instances within `syncIntervalMs`.
+ */
+class TenantCache {
+  constructor(options = {}) {
+    const { ttlMs, maxEntries, syncIntervalMs } = {
+      ...getEnvironment().tenantCache,
+      ...options,
+    };
+
+    this.ttlMs = ttlMs;
+    this.syncIntervalMs = syncIntervalMs;
+    this.store = options.store || new MemoryCacheStore({ maxEntries });
+    this.syncTimer = null;
+    this.lastSyncAt = null;
+  }
+
+  // Swap in a shared store adapter (see shared/interfaces/ICacheStore)
+  setStore(store) {
+    this.store = store;
+  }
+
+  async getTenant(tenantId) {
+    return this.safely('read', () => this.store.get(tenantKey(tenantId)));
+  }
+
+  async getTenantIdByAlias(type, value) {
+    return this.safely('read', () => this.store.get(aliasKey(type, value)));
+  }
+
+  async setTenant(tenantInfo, aliases = {}) {
+    return this.safely('write', async () => {
+      await this.store.set(tenantKey(tenantInfo.tenantId), tenantInfo, this.ttlMs);
+      await Promise.all(
+        Object.entries(aliases).map(([type, value]) =>
+          this.store.set(aliasKey(type, value), tenantInfo.tenantId, this.ttlMs)
+        )
+      );
+    });
+  }
+
+  // Drops the tenant locally and tells the other instances to do the same
+  async invalidate(tenantId) {
+    await this.evict(tenantId);
+
+    if (this.isBroadcasting()) {
+      await this.safely('broadcast', () => TenantCacheInvalidation.create({ tenantId }));
+    }
+  }
+
+  async evict(tenantId) {
+    return this.safely('delete', () => this.store.delete(tenantKey(tenantId)));
+  }
+
+  async clear() {
+    return this.safely('clear', () => this.store.clear());
+  }
+
+  // A syncIntervalMs of 0 turns cross-instance invalidation off (single instance setups)
+  isBroadcasting() {
+    return !this.store.isShared && this.syncIntervalMs > 0;
+  }
+
+  startSync() {
+    if (this.syncTimer || !this.isBroadcasting()) {
+      return;
+    }
+
+    this.lastSyncAt = new Date();
+    this.syncTimer = setInterval(() => this.syncInvalidations(), this.syncIntervalMs);
+    this.syncTimer.unref();
+  }
+
+  stopSync() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  async syncInvalidations() {
+    // Look back one extra interval to tolerate small clock differences between instances,
+    // evicting the same tenant twice is harmless
+    const since = new Date(this.lastSyncAt.getTime() - this.syncIntervalMs);
+    const checkedAt = new Date();
+
+    try {
+      const invalidations = await TenantCacheInvalidation.find({ createdAt: { $gt: since } })
+        .select('tenantId')
+        .lean();
+
+      const tenantIds = [...new Set(invalidations.map((entry) => entry.tenantId))];
+      await Promise.all(tenantIds.map((tenantId) => this.evict(tenantId)));
+
+      this.lastSyncAt = checkedAt;
+    } catch (error) {
+      logger.warn(`Tenant cache invalidation sync failed: ${error.message}`);
+    }
+  }
+
+  // A failing cache must never fail tenant resolution or the mutation that triggered it
+  async safely(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.warn(`Tenant cache ${operation} failed: ${error.message}`);
+      return undefined;
+    }
+  }
+}
+
+const tenantCache = new TenantCache();
+
+module.exports = tenantCache;
@@ -3,12 +3,22 @@ const { AsyncLocalStorage } = require('async_hooks');
 class TenantContext {
   constructor() {
     this.asyncLocalStorage = new AsyncLocalStorage();
+    this.systemScopeStorage = new AsyncLocalStorage();
   }
 
   run(tenantInfo, callback) {
     return this.asyncLocalStorage.run(tenantInfo, callback);
   }
 
+  // Explicit cross-tenant scope for jobs and platform code, row-level filters are skipped
+  runAsSystem(callback) {
+    return this.systemScopeStorage.run(true, callback);
+  }
+
+  isSystemScope() {
+    return this.systemScopeStorage.getStore() === true;
+  }
+
   getCurrentTenant() {
     return this.asyncLocalStorage.getStore();
   }
@@ -0,0 +1,15 @@
+// Trial length and grace period (days between trial expiry and suspension) per subscription plan
+const PLAN_RULES = {
+  free: { trialDays: 30, graceDays: 7 },
+  basic: { trialDays: 30, graceDays: 14 },
+  standard: { trialDays: 30, graceDays: 14 },
+  premium: { trialDays: 30, graceDays: 14 },
+  enterprise: { trialDays: 30, graceDays: 30 },
+};
+
+const getPlanRules = (plan) => PLAN_RULES[plan] || PLAN_RULES.free;
+
+module.exports = {
+  PLAN_RULES,
+  getPlanRules,
+};
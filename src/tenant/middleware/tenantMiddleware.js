@@ -5,7 +5,7 @@ const logger = require('../../utils/logger');
 
 const createTenantMiddleware = (options = {}) => {
   const {
-    strategy = 'header', // 'header', 'subdomain', 'path'
+    strategy = 'header', // 'customDomain', 'subdomain', 'header', 'path' or an ordered array of them
     required = true,
     skipRoutes = ['/health', '/api-docs', '/', '/api'],
   } = options;
@@ -13,7 +13,14 @@ const createTenantMiddleware = (options = {}) => {
   return async (req, res, next) => {
     try {
       // Skip tenant resolution for certain routes
-      if (skipRoutes.some(route => req.path === route || req.path.startsWith(route))) {
+      // Entries ending in '/*' skip the whole subtree, everything else must match exactly
+      const isSkipped = skipRoutes.some(route => (
+        route.endsWith('/*')
+          ? req.path.startsWith(route.slice(0, -1)) || req.path === route.slice(0, -2)
+          : req.path === route
+      ));
+
+      if (isSkipped) {
         return next();
       }
 
@@ -39,11 +46,13 @@ const createTenantMiddleware = (options = {}) => {
         // Add tenant info to request for easy access
         req.tenant = tenantInfo;
         req.tenantId = tenantInfo?.tenantId;
+        req.tenantResolution = tenantInfo?.resolution;
         
         // Add tenant info to response headers for debugging
         if (tenantInfo && process.env.NODE_ENV === 'development') {
           res.set('X-Current-Tenant', tenantInfo.tenantId);
           res.set('X-Tenant-Name', tenantInfo.tenantName);
+          res.set('X-Tenant-Resolved-By', tenantInfo.resolution?.strategy);
         }
 
         next();
@@ -126,11 +135,12 @@ const createTenantRateLimit = () => {
 
       const tenantId = tenantInfo.tenantId;
       const now = Date.now();
-      const windowSize = 60 * 1000; // 1 minute
+      const defaultWindowSize = 60 * 1000; // 1 minute
       const defaultLimit = 100;
 
       // Get tenant specific limits
       const tenantLimit = tenantInfo.tenantConfig?.rateLimits?.requests || defaultLimit;
+      const windowSize = tenantInfo.tenantConfig?.rateLimits?.windowMs || defaultWindowSize;
 
       if (!tenantLimits.has(tenantId)) {
         tenantLimits.set(tenantId, {
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { createBaseSchema } = require('../../domain/entities/BaseEntity');
+const { provisioningSchema } = require('./provisioningSchema');
+const { isValidIpRule } = require('../../utils/ipAddress');
 
 const tenantSchema = createBaseSchema({
   // Basic Information
@@ -60,6 +62,7 @@ const tenantSchema = createBaseSchema({
     default: 'pending',
     index: true,
   },
+  provisioning: provisioningSchema,
   isActive: {
     type: Boolean,
     default: true,
@@ -80,6 +83,8 @@ const tenantSchema = createBaseSchema({
       default: 'trialing',
     },
     trialEndsAt: Date,
+    // Set when the trial expires, the tenant is suspended once it has passed
+    gracePeriodEndsAt: Date,
     currentPeriodStart: Date,
     currentPeriodEnd: Date,
     cancelAtPeriodEnd: {
@@ -196,6 +201,10 @@ const tenantSchema = createBaseSchema({
         requireLowercase: { type: Boolean, default: true },
         requireNumbers: { type: Boolean, default: true },
         requireSymbols: { type: Boolean, default: false },
+        // Number of recent passwords, the current one included, that cannot be reused
+        historyCount: { type: Number, default: 0, min: 0, max: 24 },
+        // Passwords expire after this many days, 0 never
+        maxAgeDays: { type: Number, default: 0, min: 0 },
       },
       sessionTimeout: {
         type: Number,
@@ -205,7 +214,43 @@ const tenantSchema = createBaseSchema({
         type: Boolean,
         default: false,
       },
-      ipWhitelist: [String],
+      // Addresses or CIDR ranges, IPv4 or IPv6 (see IpAllowlistService); empty allows all
+      ipWhitelist: {
+        type: [String],
+        validate: {
+          validator: (rules) => rules.every(isValidIpRule),
+          message: 'IP allowlist entries must be IP addresses or CIDR ranges',
+        },
+      },
+      // Tenant admins and admins must also connect from these
+      adminIpWhitelist: {
+        type: [String],
+        validate: {
+          validator: (rules) => rules.every(isValidIpRule),
+          message: 'IP allowlist entries must be IP addresses or CIDR ranges',
+        },
+      },
+      // Account lockout after failed logins, see LoginSecurityService
+      maxLoginAttempts: {
+        type: Number,
+        default: 5,
+        min: 1,
+      },
+      lockoutDuration: {
+        type: Number,
+        default: 1800000, // 30 minutes
+        min: 60000,
+      },
+      // Each further lockout before a successful login lasts twice as long
+      progressiveLockout: {
+        type: Boolean,
+        default: true,
+      },
+      // Emails the user and tenant admins when an account is locked or used from a new device
+      loginAlerts: {
+        type: Boolean,
+        default: true,
+      },
     },
     notifications: {
       email: {
@@ -281,19 +326,37 @@ const tenantSchema = createBaseSchema({
   // Integration and API
   api: {
     enabled: { type: Boolean, default: false },
+    // Tenant API keys (see TenantApiKeyService); only the hash of the secret is stored and
+    // `permissions` limits what requests made with the key may do
     keys: [{
       name: String,
       keyId: String,
+      hash: String,
       permissions: [String],
       isActive: { type: Boolean, default: true },
       createdAt: { type: Date, default: Date.now },
+      createdBy: String,
       lastUsedAt: Date,
+      expiresAt: Date,
+      rotatedAt: Date,
+      revokedAt: Date,
+      revokedBy: String,
     }],
+    // Outbound webhooks (see WebhookService); `events` holds event types or patterns like
+    // `member.*`, the secret signs every delivery and is never returned after creation
     webhooks: [{
       url: String,
+      description: String,
       events: [String],
       isActive: { type: Boolean, default: true },
       secret: String,
+      // Consecutive failed delivery attempts, the webhook is disabled at the configured limit
+      failureCount: { type: Number, default: 0 },
+      lastDeliveryAt: Date,
+      lastFailureAt: Date,
+      disabledAt: Date,
+      disabledReason: String,
+      createdAt: { type: Date, default: Date.now },
     }],
   },
 
@@ -303,6 +366,22 @@ const tenantSchema = createBaseSchema({
     of: mongoose.Schema.Types.Mixed,
   },
 
+  // Latest data archive (see TenantArchiveService)
+  archive: {
+    archiveId: mongoose.Schema.Types.ObjectId,
+    location: String,
+    archivedAt: Date,
+    expiresAt: Date,
+  },
+
+  // Trial lifecycle state (see TenantLifecycleService)
+  lifecycle: {
+    // Warning keys such as `trial:7` or `grace:1`, cleared when the trial is extended
+    warningsSent: [String],
+    expiredAt: Date,
+    suspendedAt: Date,
+  },
+
   // Audit Trail
   auditLog: [{
     action: String,
@@ -318,18 +397,35 @@ const tenantSchema = createBaseSchema({
   }],
 }, {
   collection: 'tenants',
-  // Override tenant fields since this is the tenant model itself
-  discriminatorKey: null,
+  // Tenant records are platform data, not data of a tenant
+  tenantIsolation: false,
 });
 
-// Remove tenant fields from the tenant model itself
-tenantSchema.remove(['tenantId', 'tenantName']);
+// Webhook secrets are only shown when created or rotated (see WebhookService), API key hashes never
+const baseToJSON = tenantSchema.get('toJSON');
+tenantSchema.set('toJSON', {
+  ...baseToJSON,
+  transform(doc, ret, options) {
+    const json = baseToJSON.transform(doc, ret, options);
+    (json?.api?.webhooks || []).forEach((webhook) => {
+      delete webhook.secret;
+    });
+    (json?.api?.keys || []).forEach((key) => {
+      delete key.hash;
+    });
+    return json;
+  },
+});
 
 // Indexes
 tenantSchema.index({ tenantId: 1 }, { unique: true });
 tenantSchema.index({ 'domain.subdomain': 1 }, { unique: true });
+tenantSchema.index({ 'domain.customDomain': 1 }, { unique: true, sparse: true });
+tenantSchema.index({ 'api.keys.keyId': 1 }, { unique: true, sparse: true });
 tenantSchema.index({ status: 1, isActive: 1 });
 tenantSchema.index({ 'subscription.plan': 1, 'subscription.status': 1 });
+tenantSchema.index({ 'subscription.status': 1, 'subscription.trialEndsAt': 1 });
+tenantSchema.index({ 'subscription.status': 1, 'subscription.gracePeriodEndsAt': 1 });
 tenantSchema.index({ 'usage.lastActivityAt': 1 });
 
 // Virtual for full domain
@@ -372,11 +468,14 @@ tenantSchema.methods.hasFeature = function(feature) {
 };
 
 tenantSchema.methods.isWithinLimits = function() {
+  // A limit of -1 means unlimited (see upgradeSubscription)
+  const within = (current, max) => max === -1 || current < max;
+
   return {
-    users: this.usage.currentUsers < this.limits.maxUsers,
-    members: this.usage.currentMembers < this.limits.maxMembers,
-    storage: this.usage.storageUsedGB < this.limits.maxStorageGB,
-    apiCalls: this.usage.apiCallsThisMonth < this.limits.maxApiCallsPerMonth,
+    users: within(this.usage.currentUsers, this.limits.maxUsers),
+    members: within(this.usage.currentMembers, this.limits.maxMembers),
+    storage: within(this.usage.storageUsedGB, this.limits.maxStorageGB),
+    apiCalls: within(this.usage.apiCallsThisMonth, this.limits.maxApiCallsPerMonth),
   };
 };
 
@@ -457,22 +556,29 @@ tenantSchema.methods.upgradeSubscription = function(newPlan) {
 };
 
 // Static methods
-tenantSchema.statics.findByTenantId = function(tenantId) {
-  return this.findOne({ tenantId, isActive: true });
+// includeInactive lets callers tell a suspended tenant apart from a missing one
+tenantSchema.statics.findByTenantId = function(tenantId, { includeInactive = false } = {}) {
+  return this.findOne(includeInactive ? { tenantId } : { tenantId, isActive: true });
+};
+
+tenantSchema.statics.findBySubdomain = function(subdomain, { includeInactive = false } = {}) {
+  const query = { 'domain.subdomain': subdomain };
+  return this.findOne(includeInactive ? query : { ...query, isActive: true });
 };
 
-tenantSchema.statics.findBySubdomain = function(subdomain) {
-  return this.findOne({ 'domain.subdomain': subdomain, isActive: true });
+tenantSchema.statics.findByCustomDomain = function(domain, { includeInactive = false } = {}) {
+  const query = { 'domain.customDomain': domain.toLowerCase() };
+  return this.findOne(includeInactive ? query : { ...query, isActive: true });
 };
 
 tenantSchema.statics.findActiveTenants = function() {
   return this.find({ status: 'active', isActive: true });
 };
 
-tenantSchema.statics.findExpiredTrials = function() {
+tenantSchema.statics.findExpiredTrials = function(now = new Date()) {
   return this.find({
     'subscription.status': 'trialing',
-    'subscription.trialEndsAt': { $lt: new Date() },
+    'subscription.trialEndsAt': { $lt: now },
     isActive: true,
   });
 };
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One archived collection: `file` is relative to the archive prefix, `checksum` is the
+// sha256 of the uncompressed NDJSON content
+const archiveCollectionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    source: String,
+    file: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    checksum: String,
+  },
+  { _id: false }
+);
+
+// Archive of a tenant's data, see TenantArchiveService
+const tenantArchiveSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['deletion', 'manual'],
+      default: 'manual',
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed', 'purged'],
+      default: 'running',
+    },
+    storage: {
+      backend: { type: String, required: true },
+      prefix: { type: String, required: true },
+      location: String,
+    },
+    isolationStrategy: String,
+    collections: [archiveCollectionSchema],
+    error: String,
+    requestedBy: String,
+    completedAt: Date,
+    // Restorable until then, expired archives are purged from storage
+    expiresAt: Date,
+    purgedAt: Date,
+    restoredAt: Date,
+    restoredBy: String,
+  },
+  {
+    collection: 'tenant_archives',
+    timestamps: true,
+  }
+);
+
+tenantArchiveSchema.index({ tenantId: 1, createdAt: -1 });
+tenantArchiveSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('TenantArchive', tenantArchiveSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Invalidation feed polled by every instance that keeps a per-process tenant cache
+const tenantCacheInvalidationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60 * 60, // Instances only look back a few seconds, keep an hour for debugging
+    },
+  },
+  {
+    collection: 'tenant_cache_invalidations',
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('TenantCacheInvalidation', tenantCacheInvalidationSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const ISOLATION_STRATEGIES = ['database', 'schema', 'row'];
+
+// Progress of one entity collection, `lastId` is the resume point of the copy
+const migrationCollectionSchema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true },
+    sourceCollection: { type: String, required: true },
+    targetCollection: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'copying', 'copied', 'verified'],
+      default: 'pending',
+    },
+    copied: { type: Number, default: 0 },
+    lastId: mongoose.Schema.Types.Mixed,
+    sourceCount: Number,
+    targetCount: Number,
+    sourceChecksum: String,
+    targetChecksum: String,
+  },
+  { _id: false }
+);
+
+// Isolation strategy migration of a single tenant, see TenantMigrationService
+const tenantMigrationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    fromStrategy: {
+      type: String,
+      enum: ISOLATION_STRATEGIES,
+      required: true,
+    },
+    toStrategy: {
+      type: String,
+      enum: ISOLATION_STRATEGIES,
+      required: true,
+    },
+    // Tenant.database fields applied together with the strategy switch
+    target: {
+      connectionString: String,
+      databaseName: String,
+      schemaName: String,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'failed', 'completed'],
+      default: 'pending',
+    },
+    phase: {
+      type: String,
+      enum: ['copy', 'verify', 'switch', 'done'],
+      default: 'copy',
+    },
+    collections: [migrationCollectionSchema],
+    attempts: { type: Number, default: 0 },
+    error: String,
+    heartbeatAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    collection: 'tenant_migrations',
+    timestamps: true,
+  }
+);
+
+tenantMigrationSchema.index({ tenantId: 1, createdAt: -1 });
+
+// The connection string may carry credentials
+tenantMigrationSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    if (ret.target && ret.target.connectionString) {
+      ret.target.connectionString = '[redacted]';
+    }
+    return ret;
+  },
+});
+
+tenantMigrationSchema.statics.ISOLATION_STRATEGIES = ISOLATION_STRATEGIES;
+
+module.exports = mongoose.model('TenantMigration', tenantMigrationSchema);
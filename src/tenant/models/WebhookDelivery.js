@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One HTTP attempt, the response body is not kept
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, default: Date.now },
+    statusCode: Number,
+    durationMs: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+// Delivery of one event to one tenant webhook, see WebhookService. Pending deliveries are
+// retried with backoff until they succeed or run out of attempts (`failed`).
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Outbox event that triggered the delivery, absent for replays
+    eventId: String,
+    eventType: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // Request body, sent unchanged on every attempt and replay
+    body: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: [deliveryAttemptSchema],
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    lastStatusCode: Number,
+    replayOf: mongoose.Schema.Types.ObjectId,
+    completedAt: Date,
+    // Removed by the TTL index after the retention period
+    expiresAt: Date,
+  },
+  {
+    collection: 'webhook_deliveries',
+    timestamps: true,
+  }
+);
+
+// An event is delivered to a webhook once, however often the outbox hands it over
+webhookDeliverySchema.index(
+  { webhookId: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $exists: true } } }
+);
+webhookDeliverySchema.index({ tenantId: 1, webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
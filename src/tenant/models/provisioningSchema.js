@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const PROVISIONING_STEPS = ['connection', 'collections', 'indexes', 'seed', 'adminUser'];
+
+const provisioningStepSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: PROVISIONING_STEPS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * Provisioning progress stored on Tenant and Organization records, see
+ * TenantProvisioningService. `status` has no default on purpose: records created before
+ * provisioning existed have no state and are treated as provisioned.
+ */
+const provisioningSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+    },
+    steps: [provisioningStepSchema],
+    // First admin account; no password is kept, the admin chooses one from the setup email
+    adminUser: {
+      email: String,
+      firstName: String,
+      lastName: String,
+      userId: mongoose.Schema.Types.ObjectId,
+    },
+    heartbeatAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+  },
+  { _id: false }
+);
+
+module.exports = {
+  PROVISIONING_STEPS,
+  provisioningSchema,
+};
@@ -1,15 +1,116 @@
+const net = require('net');
 const { AppError } = require('../../middleware/error.middleware');
 const logger = require('../../utils/logger');
+const tenantCache = require('../cache/TenantCache');
+const Tenant = require('../models/Tenant');
+const Organization = require('../../domain/entities/Organization');
+const { parseApiKey } = require('../apiKeys/apiKeyFormat');
+
+// Tenants in these states are still found, but requests against them are refused
+const INACTIVE_TENANT_STATUSES = ['inactive', 'suspended'];
+
+// Core modules map to the feature names used by validateTenantAccess
+const CORE_MODULE_FEATURES = {
+  membershipManagement: 'members',
+  userManagement: 'users',
+  basicReporting: 'reports',
+};
+
+const getOrganizationFeatures = (modules = {}) => {
+  const core = modules.core || {};
+  const features = Object.entries(CORE_MODULE_FEATURES)
+    .filter(([moduleName]) => core[moduleName])
+    .map(([, feature]) => feature);
+
+  Object.entries(modules).forEach(([moduleName, module]) => {
+    if (moduleName !== 'core' && module?.enabled) {
+      features.push(moduleName);
+    }
+  });
+
+  return features;
+};
+
+const toPlainObject = record => (record.toObject ? record.toObject() : record);
+
+// Records still being provisioned are not served; records without provisioning state predate it
+const isProvisioned = record => !record.provisioning?.status || record.provisioning.status === 'completed';
+
+// Soft-deleted records behave as if they did not exist
+const isResolvable = record => Boolean(record) && !record.isDeleted;
+
+// Strategy name -> identifier extractor and lookup method on the resolver
+const RESOLUTION_STRATEGIES = {
+  apiKey: { identify: 'getApiKeyIdFromHeader', lookup: 'getOrganizationInfoByApiKeyId' },
+  customDomain: { identify: 'getCustomDomainFromHost', lookup: 'getOrganizationInfoByCustomDomain' },
+  subdomain: { identify: 'getSubdomainFromHost', lookup: 'getOrganizationInfoBySubdomain' },
+  header: { identify: 'getOrganizationIdFromHeader', lookup: 'getOrganizationInfo' },
+  path: { identify: 'getOrganizationIdFromPath', lookup: 'getOrganizationInfo' },
+};
+
+const RESERVED_SUBDOMAINS = ['www', 'api'];
+
+// localhost is always treated as a base domain so that tenant1.localhost works in development
+const getBaseDomains = () => [(process.env.BASE_DOMAIN || 'cloudmemberhub.com').toLowerCase(), 'localhost'];
+
+// req.hostname already drops the port (and honours X-Forwarded-Host behind a trusted proxy)
+const getRequestHostname = req => {
+  const hostname = req.hostname || req.get?.('host')?.replace(/:\d+$/, '');
+  return hostname ? hostname.toLowerCase().replace(/\.$/, '') : null;
+};
 
 class TenantResolver {
   constructor() {
-    this.tenantCache = new Map();
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.tenantCache = tenantCache;
+  }
+
+  // Identifier extraction - each returns null when the request carries no usable identifier
+  getOrganizationIdFromHeader(req) {
+    return req.headers['x-organization-id'] || req.headers['organization-id'] || req.headers['x-tenant-id'] || req.headers['tenant-id'] || null;
+  }
+
+  // Only the key id is read here, the secret is verified when the request is authenticated
+  getApiKeyIdFromHeader(req) {
+    return parseApiKey(req.headers['x-api-key'])?.keyId || null;
+  }
+
+  getCustomDomainFromHost(req) {
+    const hostname = getRequestHostname(req);
+
+    if (!hostname || hostname === 'localhost' || net.isIP(hostname)) {
+      return null;
+    }
+
+    // Hosts under one of our base domains are never custom domains
+    const isOwnDomain = getBaseDomains().some(base => hostname === base || hostname.endsWith(`.${base}`));
+    return isOwnDomain ? null : hostname;
+  }
+
+  getSubdomainFromHost(req) {
+    const hostname = getRequestHostname(req);
+    const base = hostname && getBaseDomains().find(domain => hostname.endsWith(`.${domain}`));
+
+    if (!base) {
+      return null;
+    }
+
+    // Only a single label directly under the base domain identifies an organization
+    const subdomain = hostname.slice(0, -(base.length + 1));
+    if (subdomain.includes('.') || RESERVED_SUBDOMAINS.includes(subdomain)) {
+      return null;
+    }
+
+    return subdomain;
+  }
+
+  getOrganizationIdFromPath(req) {
+    const pathParts = req.path.split('/');
+    return pathParts[2] || null; // /api/org123/...
   }
 
   async resolveTenantFromHeader(req) {
-    const organizationId = req.headers['x-organization-id'] || req.headers['organization-id'] || req.headers['x-tenant-id'] || req.headers['tenant-id'];
-    
+    const organizationId = this.getOrganizationIdFromHeader(req);
+
     if (!organizationId) {
       throw new AppError('Organization ID is required', 400);
     }
@@ -17,11 +118,20 @@ class TenantResolver {
     return this.getOrganizationInfo(organizationId);
   }
 
+  async resolveTenantFromCustomDomain(req) {
+    const domain = this.getCustomDomainFromHost(req);
+
+    if (!domain) {
+      throw new AppError('Request host is not a custom organization domain', 400);
+    }
+
+    return this.getOrganizationInfoByCustomDomain(domain);
+  }
+
   async resolveTenantFromSubdomain(req) {
-    const host = req.get('host');
-    const subdomain = host?.split('.')[0];
-    
-    if (!subdomain || subdomain === 'www' || subdomain === 'api') {
+    const subdomain = this.getSubdomainFromHost(req);
+
+    if (!subdomain) {
       throw new AppError('Invalid organization subdomain', 400);
     }
 
@@ -29,9 +139,8 @@ class TenantResolver {
   }
 
   async resolveTenantFromPath(req) {
-    const pathParts = req.path.split('/');
-    const organizationId = pathParts[2]; // /api/org123/...
-    
+    const organizationId = this.getOrganizationIdFromPath(req);
+
     if (!organizationId) {
       throw new AppError('Organization ID not found in path', 400);
     }
@@ -39,32 +148,63 @@ class TenantResolver {
     return this.getOrganizationInfo(organizationId);
   }
 
+  // Accepts a single strategy or an ordered chain, e.g. ['customDomain', 'subdomain', 'header']
+  normalizeStrategies(strategy) {
+    const strategies = (Array.isArray(strategy) ? strategy : String(strategy).split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    const unknown = strategies.filter(name => !RESOLUTION_STRATEGIES[name]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown tenant resolution strategy: ${unknown.join(', ')}`, 500);
+    }
+
+    return strategies.length > 0 ? strategies : ['header'];
+  }
+
+  // Tries the strategies in order; a strategy whose identifier matches no record
+  // falls through to the next one so that API aliases still work with a header
+  async resolveWithStrategies(req, strategies, identified = false) {
+    if (strategies.length === 0) {
+      return { tenantInfo: null, identified };
+    }
+
+    const [strategy, ...rest] = strategies;
+    const { identify, lookup } = RESOLUTION_STRATEGIES[strategy];
+    const identifier = this[identify](req);
+
+    if (identifier) {
+      const tenantInfo = await this[lookup](identifier);
+      if (tenantInfo) {
+        return { tenantInfo, resolution: { strategy, identifier } };
+      }
+    }
+
+    return this.resolveWithStrategies(req, rest, identified || Boolean(identifier));
+  }
+
+  // A tenant API key always identifies its own tenant, ahead of the configured strategies
   async resolveTenant(req, strategy = 'header') {
     try {
-      let tenantInfo;
-
-      switch (strategy) {
-        case 'subdomain':
-          tenantInfo = await this.resolveTenantFromSubdomain(req);
-          break;
-        case 'path':
-          tenantInfo = await this.resolveTenantFromPath(req);
-          break;
-        case 'header':
-        default:
-          tenantInfo = await this.resolveTenantFromHeader(req);
-          break;
-      }
+      const strategies = [...new Set(['apiKey', ...this.normalizeStrategies(strategy)])];
+      const { tenantInfo, resolution, identified } = await this.resolveWithStrategies(req, strategies);
 
       if (!tenantInfo) {
-        throw new AppError('Tenant not found', 404);
+        throw identified
+          ? new AppError('Organization not found', 404)
+          : new AppError('Organization ID is required', 400);
+      }
+
+      if (tenantInfo.status === 'suspended') {
+        throw new AppError('Organization is suspended', 403);
       }
 
       if (!tenantInfo.isActive) {
-        throw new AppError('Tenant is inactive', 403);
+        throw new AppError('Organization is inactive', 403);
       }
 
-      return tenantInfo;
+      // Cached records are shared, so the per-request resolution goes on a copy
+      return { ...tenantInfo, resolution };
     } catch (error) {
       logger.error('Tenant resolution error:', error);
       throw error;
@@ -72,28 +212,57 @@ class TenantResolver {
   }
 
   async getOrganizationInfo(organizationId) {
-    // Cache kontrolü
-    const cached = this.tenantCache.get(organizationId);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      return cached.data;
+    const cached = await this.tenantCache.getTenant(organizationId);
+    if (cached) {
+      return cached;
     }
 
-    // Gerçek uygulamada bu bilgi database'den gelecek
     const organizationInfo = await this.fetchOrganizationFromDatabase(organizationId);
-    
+
     if (organizationInfo) {
-      this.tenantCache.set(organizationId, {
-        data: organizationInfo,
-        timestamp: Date.now()
-      });
+      await this.tenantCache.setTenant(organizationInfo);
     }
 
     return organizationInfo;
   }
 
   async getOrganizationInfoBySubdomain(subdomain) {
-    // Gerçek uygulamada bu bilgi database'den gelecek
-    return this.fetchOrganizationFromDatabaseBySubdomain(subdomain);
+    const normalized = subdomain.toLowerCase();
+    return this.getOrganizationInfoByAlias('subdomain', normalized, () =>
+      this.fetchOrganizationFromDatabaseBySubdomain(normalized)
+    );
+  }
+
+  async getOrganizationInfoByCustomDomain(domain) {
+    const normalized = domain.toLowerCase();
+    return this.getOrganizationInfoByAlias('customDomain', normalized, () =>
+      this.fetchOrganizationFromDatabaseByCustomDomain(normalized)
+    );
+  }
+
+  async getOrganizationInfoByApiKeyId(keyId) {
+    const tenant = await Tenant.findOne({ 'api.keys.keyId': keyId, isDeleted: { $ne: true } })
+      .select('tenantId')
+      .lean();
+    return tenant ? this.getOrganizationInfo(tenant.tenantId) : null;
+  }
+
+  // An alias is only trusted while the cached tenant still carries that subdomain/domain
+  async getOrganizationInfoByAlias(type, value, fetch) {
+    const tenantId = await this.tenantCache.getTenantIdByAlias(type, value);
+    const cached = tenantId && (await this.tenantCache.getTenant(tenantId));
+
+    if (cached && cached[type] === value) {
+      return cached;
+    }
+
+    const organizationInfo = await fetch();
+
+    if (organizationInfo) {
+      await this.tenantCache.setTenant(organizationInfo, { [type]: value });
+    }
+
+    return organizationInfo;
   }
 
   // Legacy support
@@ -106,231 +275,146 @@ class TenantResolver {
   }
 
   async fetchOrganizationFromDatabase(organizationId) {
-    // Bu method gerçek uygulamada OrganizationService'den gelecek
-    // Şimdilik mock data döndürüyoruz
-    const mockOrganizations = {
-      'memberhub-dev': {
-        tenantId: 'memberhub-dev', // Legacy support
-        organizationId: 'memberhub-dev',
-        tenantName: 'MemberHub Development', // Legacy support
-        organizationName: 'MemberHub Development',
-        tenantSchema: 'memberhub_dev',
-        subdomain: 'dev',
-        customDomain: 'memberhub.com',
-        type: 'association',
-        isActive: true,
-        isolationStrategy: 'database',
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `memberhub_memberhub_dev`,
-        },
-        tenantConfig: {
-          features: ['users', 'members', 'reports', 'analytics', 'integrations', 'api_access', 'financial', 'events'],
-          limits: {
-            maxUsers: -1,
-            maxMembers: -1,
-          },
-          settings: {
-            timezone: 'Europe/Istanbul',
-            currency: 'TRY',
-            language: 'tr',
-          },
-          rateLimits: {
-            requests: 1000,
-          }
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      },
-      'dernek-ornek': {
-        tenantId: 'dernek-ornek',
-        organizationId: 'dernek-ornek',
-        tenantName: 'Örnek Derneği',
-        organizationName: 'Örnek Derneği',
-        tenantSchema: 'dernek_ornek',
-        subdomain: 'ornekdernek',
-        type: 'association',
-        isActive: true,
-        isolationStrategy: 'database',
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `memberhub_dernek_ornek`,
-        },
-        tenantConfig: {
-          features: ['users', 'members', 'reports', 'communication', 'events'],
-          limits: {
-            maxUsers: 50,
-            maxMembers: 500,
-          },
-          settings: {
-            timezone: 'Europe/Istanbul',
-            currency: 'TRY',
-            language: 'tr',
-          }
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      },
-      'meslek-odasi': {
-        tenantId: 'meslek-odasi',
-        organizationId: 'meslek-odasi',
-        tenantName: 'Örnek Meslek Odası',
-        organizationName: 'Örnek Meslek Odası',
-        tenantSchema: 'meslek_odasi',
-        subdomain: 'meslekodasi',
-        type: 'professional_chamber',
-        isActive: true,
-        isolationStrategy: 'database',
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `memberhub_meslek_odasi`,
-        },
-        tenantConfig: {
-          features: ['users', 'members', 'reports', 'financial', 'governance', 'education'],
-          limits: {
-            maxUsers: 100,
-            maxMembers: 2000,
-          },
-          settings: {
-            timezone: 'Europe/Istanbul',
-            currency: 'TRY',
-            language: 'tr',
-          }
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      },
-    };
+    // Tenant records are the operational source of truth, organizations are looked up second
+    const tenant = await Tenant.findByTenantId(organizationId, { includeInactive: true });
+    if (isResolvable(tenant)) {
+      return this.mapTenantToTenantInfo(tenant);
+    }
 
-    return mockOrganizations[organizationId] || null;
+    const organization = await Organization.findByOrganizationId(organizationId);
+    return isResolvable(organization) ? this.mapOrganizationToTenantInfo(organization) : null;
   }
 
   async fetchOrganizationFromDatabaseBySubdomain(subdomain) {
-    // Bu method gerçek uygulamada OrganizationService'den gelecek
-    const organizations = Object.values(await this.getAllMockOrganizations());
-    return organizations.find(org => org.subdomain === subdomain) || null;
+    const normalized = subdomain.toLowerCase();
+
+    const tenant = await Tenant.findBySubdomain(normalized, { includeInactive: true });
+    if (isResolvable(tenant)) {
+      return this.mapTenantToTenantInfo(tenant);
+    }
+
+    const organization = await Organization.findBySubdomain(normalized, { includeInactive: true });
+    return isResolvable(organization) ? this.mapOrganizationToTenantInfo(organization) : null;
   }
 
-  async getAllMockOrganizations() {
-    return {
-      'memberhub-dev': await this.fetchOrganizationFromDatabase('memberhub-dev'),
-      'dernek-ornek': await this.fetchOrganizationFromDatabase('dernek-ornek'),
-      'meslek-odasi': await this.fetchOrganizationFromDatabase('meslek-odasi'),
-    };
+  async fetchOrganizationFromDatabaseByCustomDomain(domain) {
+    const tenant = await Tenant.findByCustomDomain(domain, { includeInactive: true });
+    if (isResolvable(tenant)) {
+      return this.mapTenantToTenantInfo(tenant);
+    }
+
+    const organization = await Organization.findByCustomDomain(domain, { includeInactive: true });
+    return isResolvable(organization) ? this.mapOrganizationToTenantInfo(organization) : null;
   }
 
   // Legacy support
   async fetchTenantFromDatabase(tenantId) {
-    // Bu method gerçek uygulamada TenantService'den gelecek
-    // Şimdilik mock data döndürüyoruz
-    const mockTenants = {
-      'main': {
-        tenantId: 'main',
-        tenantName: 'MemberHub Development',
-        tenantSchema: 'memberhub',
-        subdomain: 'dev',
-        customDomain: 'memberhub.com',
-        isActive: true,
-        isolationStrategy: 'database', // 'database', 'schema', 'row'
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `cloudmemberhub_main`,
-        },
-        tenantConfig: {
-          features: ['users', 'members', 'reports', 'analytics', 'integrations', 'api_access'],
-          limits: {
-            maxUsers: -1, // Unlimited
-            maxMembers: -1, // Unlimited
-          },
-          settings: {
-            timezone: 'Europe/Istanbul',
-            currency: 'TRY',
-            language: 'tr',
-          },
-          rateLimits: {
-            requests: 1000,
-          }
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
+    const tenant = await Tenant.findByTenantId(tenantId, { includeInactive: true });
+    return isResolvable(tenant) ? this.mapTenantToTenantInfo(tenant) : null;
+  }
+
+  async fetchTenantFromDatabaseBySubdomain(subdomain) {
+    const tenant = await Tenant.findBySubdomain(subdomain.toLowerCase(), { includeInactive: true });
+    return isResolvable(tenant) ? this.mapTenantToTenantInfo(tenant) : null;
+  }
+
+  // Mapping helpers - both record types are exposed in the shape TenantContext consumes
+  mapTenantToTenantInfo(record) {
+    const tenant = toPlainObject(record);
+
+    const { tenantId, database = {}, features = {}, limits = {}, settings = {} } = tenant;
+    const disabledFeatures = features.disabled || [];
+
+    return {
+      tenantId,
+      organizationId: tenantId,
+      tenantName: tenant.tenantName,
+      organizationName: tenant.displayName || tenant.tenantName,
+      tenantSchema: database.schemaName || tenantId.replace(/-/g, '_'),
+      subdomain: tenant.domain?.subdomain,
+      customDomain: tenant.domain?.customDomain,
+      source: 'tenant',
+      status: tenant.status,
+      isActive: tenant.isActive && !INACTIVE_TENANT_STATUSES.includes(tenant.status) && isProvisioned(tenant),
+      isolationStrategy: database.isolationStrategy || 'database',
+      // No connection string: tenantInfo is cached and attached to requests, and the string may
+      // carry credentials. TenantConnectionManager reads it from the tenant record.
+      databaseConfig: {
+        dbName: database.databaseName || `cloudmemberhub_${tenantId}`,
+        maxConnections: database.maxConnections,
       },
-      'tenant1': {
-        tenantId: 'tenant1',
-        tenantName: 'Company A',
-        tenantSchema: 'company_a',
-        subdomain: 'company-a',
-        isActive: true,
-        isolationStrategy: 'database', // 'database', 'schema', 'row'
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `cloudmemberhub_${tenantId}`,
+      tenantConfig: {
+        features: (features.enabled || []).filter(feature => !disabledFeatures.includes(feature)),
+        limits: {
+          maxUsers: limits.maxUsers,
+          maxMembers: limits.maxMembers,
+          maxStorageGB: limits.maxStorageGB,
+          maxApiCallsPerMonth: limits.maxApiCallsPerMonth,
         },
-        tenantConfig: {
-          features: ['users', 'members', 'reports'],
-          limits: {
-            maxUsers: 100,
-            maxMembers: 1000,
-          },
-          settings: {
-            timezone: 'Europe/Istanbul',
-            currency: 'TRY',
-            language: 'tr',
-          }
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      },
-      'tenant2': {
-        tenantId: 'tenant2',
-        tenantName: 'Company B',
-        tenantSchema: 'company_b',
-        subdomain: 'company-b',
-        isActive: true,
-        isolationStrategy: 'database',
-        databaseConfig: {
-          uri: process.env.MONGODB_URI,
-          dbName: `cloudmemberhub_${tenantId}`,
+        settings: {
+          timezone: settings.timezone,
+          currency: settings.currency,
+          language: settings.language,
+          dateFormat: settings.dateFormat,
         },
-        tenantConfig: {
-          features: ['users', 'members'],
-          limits: {
-            maxUsers: 50,
-            maxMembers: 500,
-          },
-          settings: {
-            timezone: 'Europe/London',
-            currency: 'EUR',
-            language: 'en',
-          }
+        security: settings.security || {},
+        rateLimits: {
+          requests: limits.rateLimitRequests,
+          windowMs: limits.rateLimitWindow,
         },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      }
+      },
+      createdAt: tenant.createdAt,
+      updatedAt: tenant.updatedAt,
     };
-
-    return mockTenants[tenantId] || null;
   }
 
-  async fetchTenantFromDatabaseBySubdomain(subdomain) {
-    // Bu method gerçek uygulamada TenantService'den gelecek
-    const tenants = Object.values(await this.getAllMockTenants());
-    return tenants.find(tenant => tenant.subdomain === subdomain) || null;
-  }
+  mapOrganizationToTenantInfo(record) {
+    const organization = toPlainObject(record);
+
+    const { organizationId, dataIsolation = {}, limits = {}, settings = {} } = organization;
 
-  async getAllMockTenants() {
-    // Mock data - gerçek uygulamada database'den gelecek
     return {
-      'tenant1': await this.fetchTenantFromDatabase('tenant1'),
-      'tenant2': await this.fetchTenantFromDatabase('tenant2'),
+      tenantId: organizationId, // Legacy support
+      organizationId,
+      tenantName: organization.name, // Legacy support
+      organizationName: organization.name,
+      tenantSchema: dataIsolation.schemaName || organizationId.replace(/-/g, '_'),
+      subdomain: organization.domain?.subdomain,
+      customDomain: organization.domain?.customDomain,
+      type: organization.type,
+      source: 'organization',
+      status: organization.status,
+      isActive: organization.status === 'active' && isProvisioned(organization),
+      isolationStrategy: dataIsolation.strategy || 'database',
+      databaseConfig: {
+        dbName: dataIsolation.databaseName || `memberhub_${organizationId.replace(/-/g, '_')}`,
+      },
+      tenantConfig: {
+        features: getOrganizationFeatures(organization.modules),
+        limits: {
+          maxUsers: limits.maxAdmins,
+          maxMembers: limits.maxMembers,
+          maxStorageGB: limits.maxStorageGB,
+        },
+        settings: {
+          timezone: settings.general?.timezone,
+          currency: settings.general?.currency,
+          language: settings.general?.language,
+          dateFormat: settings.general?.dateFormat,
+        },
+        security: settings.security || {},
+        rateLimits: {},
+      },
+      createdAt: organization.createdAt,
+      updatedAt: organization.updatedAt,
     };
   }
 
-  clearCache(tenantId = null) {
+  async clearCache(tenantId = null) {
     if (tenantId) {
-      this.tenantCache.delete(tenantId);
-    } else {
-      this.tenantCache.clear();
+      return this.tenantCache.invalidate(tenantId);
     }
+    return this.tenantCache.clear();
   }
 }
 
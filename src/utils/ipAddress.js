@@ -0,0 +1,93 @@
+const net = require('net');
+
+// IPv4 clients of a dual-stack server show up as `::ffff:a.b.c.d`
+const IPV4_MAPPED_PREFIX = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const normalizeIp = (ip) => {
+  const address = String(ip || '')
+    .trim()
+    .replace(/%.*$/, '');
+  const mapped = address.match(IPV4_MAPPED_PREFIX);
+  return mapped ? mapped[1] : address;
+};
+
+// Parses `10.0.0.1`, `10.0.0.0/24`, `2001:db8::1` or `2001:db8::/32`; null when invalid
+const parseIpRule = (rule) => {
+  const [address, prefix, extra] = String(rule || '')
+    .trim()
+    .split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) {
+    return null;
+  }
+
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  if (prefix === undefined) {
+    return { address, type };
+  }
+
+  const bits = Number(prefix);
+  const maxBits = version === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefix) || bits > maxBits) {
+    return null;
+  }
+  return { address, type, prefix: bits };
+};
+
+const isValidIpRule = (rule) => parseIpRule(rule) !== null;
+
+// Returns a function telling whether an address matches any of the rules; invalid rules are
+// skipped, they are rejected when the list is saved
+const createIpMatcher = (rules = []) => {
+  const blockList = new net.BlockList();
+
+  rules
+    .map(parseIpRule)
+    .filter(Boolean)
+    .forEach(({ address, type, prefix }) => {
+      if (prefix === undefined) {
+        blockList.addAddress(address, type);
+      } else {
+        blockList.addSubnet(address, prefix, type);
+      }
+    });
+
+  return (ip) => {
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    return Boolean(version) && blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+  };
+};
+
+// Loopback, private, link-local, unique local and other ranges that are not reachable on the
+// public internet. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList.
+const NON_PUBLIC_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/96',
+  '64:ff9b::/96',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8',
+];
+
+const isNonPublicIp = createIpMatcher(NON_PUBLIC_RANGES);
+
+const isPublicIp = (ip) => Boolean(net.isIP(normalizeIp(ip))) && !isNonPublicIp(ip);
+
+module.exports = {
+  normalizeIp,
+  parseIpRule,
+  isValidIpRule,
+  createIpMatcher,
+  isPublicIp,
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords as used by authenticator apps: HMAC-SHA1, 30 second
+// steps, 6 digits, secrets shared as base32
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const CODE_PATTERN = /^\d{6}$/;
+
+const toBase32 = (buffer) => {
+  const bits = [...buffer].map((byte) => byte.toString(2).padStart(8, '0')).join('');
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const fromBase32 = (value) => {
+  const bits = value
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+const generateSecret = (bytes = 20) => toBase32(crypto.randomBytes(bytes));
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) for the given time step; the modulo arithmetic is the dynamic truncation
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] % 16;
+  const binary = hmac.readUInt32BE(offset) % 2 ** 31;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step, or null. `window` steps of clock drift are accepted either
+// way, and only steps after `afterStep` so that a code cannot be used twice.
+const verifyCode = (secret, code, { window = 1, time = Date.now(), afterStep = -1 } = {}) => {
+  if (!CODE_PATTERN.test(code)) {
+    return null;
+  }
+
+  const current = getStep(time);
+  const step = Array.from({ length: window * 2 + 1 }, (_, index) => current - window + index).find(
+    (candidate) =>
+      candidate > afterStep &&
+      crypto.timingSafeEqual(Buffer.from(generateCode(secret, candidate)), Buffer.from(code))
+  );
+  return step === undefined ? null : step;
+};
+
+// otpauth:// URI understood by authenticator apps, usually shown as a QR code
+const buildOtpauthUri = ({ issuer, account, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  CODE_PATTERN,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getStep,
+  buildOtpauthUri,
+  toBase32,
+};
@@ -0,0 +1,43 @@
+// Rough device, browser and OS detection for listing sessions; the first matching rule wins
+const DEVICE_TYPES = [
+  ['bot', /bot|crawler|spider|curl|wget|postman|insomnia|python-requests|axios|node-fetch/i],
+  ['tablet', /ipad|tablet|kindle|silk|(android(?!.*mobile))/i],
+  ['mobile', /mobi|iphone|ipod|android|blackberry|windows phone|opera mini/i],
+  ['desktop', /windows nt|macintosh|mac os x|x11|linux|cros/i],
+];
+
+const BROWSERS = [
+  ['Edge', /edg(e|a|ios)?\//i],
+  ['Opera', /opr\/|opera/i],
+  ['Samsung Internet', /samsungbrowser/i],
+  ['Chrome', /chrome|crios/i],
+  ['Firefox', /firefox|fxios/i],
+  ['Safari', /safari/i],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iphone|ipad|ipod/i],
+  ['Android', /android/i],
+  ['Windows', /windows/i],
+  ['ChromeOS', /cros/i],
+  ['macOS', /macintosh|mac os x/i],
+  ['Linux', /linux|x11/i],
+];
+
+const match = (rules, userAgent) => rules.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { deviceType: 'unknown' };
+  }
+
+  return {
+    deviceType: match(DEVICE_TYPES, userAgent) || 'unknown',
+    browser: match(BROWSERS, userAgent),
+    os: match(OPERATING_SYSTEMS, userAgent),
+  };
+};
+
+module.exports = {
+  parseUserAgent,
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { createBaseSchema } = require('../../../../src/domain/entities/BaseEntity');
+const User = require('../../../../src/domain/entities/User');
+const tenantContext = require('../../../../src/tenant/context/TenantContext');
+
+const Probe = mongoose.model('IsolationProbe', createBaseSchema({ name: String }));
+
+const tenant = (isolationStrategy) => ({ tenantId: 'acme', tenantName: 'Acme', isolationStrategy });
+
+// Queries have to be executed inside the scope, awaiting the query object itself runs it outside
+const inTenant = (info, callback) => tenantContext.run(info, callback);
+
+describe('tenant isolation plugin', () => {
+  let countDocuments;
+  let aggregate;
+
+  beforeEach(() => {
+    countDocuments = jest.spyOn(Probe.collection, 'countDocuments').mockResolvedValue(0);
+    aggregate = jest
+      .spyOn(Probe.collection, 'aggregate')
+      .mockReturnValue({ toArray: jest.fn().mockResolvedValue([]) });
+  });
+
+  describe('queries', () => {
+    it('adds the tenant filter under the row strategy', async () => {
+      await inTenant(tenant('row'), () => Probe.countDocuments({ name: 'a' }).exec());
+
+      expect(countDocuments.mock.calls[0][0]).toEqual({ name: 'a', tenantId: 'acme' });
+    });
+
+    it('leaves queries of tenant-owned storage unfiltered under other strategies', async () => {
+      await inTenant(tenant('database'), () => Probe.countDocuments({ name: 'a' }).exec());
+
+      expect(countDocuments.mock.calls[0][0]).toEqual({ name: 'a' });
+    });
+
+    it('always scopes shared collections such as users', async () => {
+      const countUsers = jest.spyOn(User.collection, 'countDocuments').mockResolvedValue(0);
+
+      await inTenant(tenant('database'), () => User.countDocuments({ role: 'admin' }).exec());
+
+      expect(countUsers.mock.calls[0][0]).toEqual({ role: 'admin', tenantId: 'acme' });
+    });
+
+    it('throws without a tenant context', async () => {
+      await expect(Probe.countDocuments({}).exec()).rejects.toThrow(
+        'Tenant context is required to query IsolationProbe'
+      );
+      expect(countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('matches no documents without a tenant when tenants are optional', async () => {
+      const required = process.env.TENANT_REQUIRED;
+      process.env.TENANT_REQUIRED = 'false';
+
+      try {
+        await Probe.countDocuments({ name: 'a' }).exec();
+      } finally {
+        process.env.TENANT_REQUIRED = required;
+      }
+
+      expect(countDocuments.mock.calls[0][0]).toEqual({ name: 'a', tenantId: { $in: [] } });
+    });
+
+    it('skips the filter in an explicit system scope', async () => {
+      await inTenant(tenant('row'), () =>
+        tenantContext.runAsSystem(() => Probe.countDocuments({ name: 'a' }).exec())
+      );
+
+      expect(countDocuments.mock.calls[0][0]).toEqual({ name: 'a' });
+    });
+
+    it('refuses estimatedDocumentCount when the model is scoped', async () => {
+      await expect(
+        inTenant(tenant('row'), () => Probe.estimatedDocumentCount().exec())
+      ).rejects.toThrow('use countDocuments');
+    });
+  });
+
+  describe('aggregate', () => {
+    it('prepends a $match on the tenant', async () => {
+      await inTenant(tenant('row'), () => Probe.aggregate([{ $group: { _id: '$name' } }]).exec());
+
+      expect(aggregate.mock.calls[0][0]).toEqual([
+        { $match: { tenantId: 'acme' } },
+        { $group: { _id: '$name' } },
+      ]);
+    });
+
+    it('keeps stages that must come first in front of the $match', async () => {
+      const geoNear = { $geoNear: { near: [0, 0], distanceField: 'distance' } };
+
+      await inTenant(tenant('row'), () => Probe.aggregate([geoNear]).exec());
+
+      expect(aggregate.mock.calls[0][0]).toEqual([geoNear, { $match: { tenantId: 'acme' } }]);
+    });
+  });
+
+  describe('writes', () => {
+    it('stamps new documents with the current tenant', async () => {
+      const probe = new Probe({ name: 'a' });
+
+      await inTenant(tenant('row'), () => probe.validate());
+
+      expect(probe.tenantId).toBe('acme');
+      expect(probe.tenantName).toBe('Acme');
+    });
+
+    it('refuses documents that belong to another tenant', async () => {
+      const probe = new Probe({ name: 'a', tenantId: 'beta' });
+
+      await expect(inTenant(tenant('row'), () => probe.validate())).rejects.toThrow(
+        'belongs to another tenant'
+      );
+    });
+  });
+});
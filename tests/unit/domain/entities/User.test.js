@@ -0,0 +1,110 @@
+const User = require('../../../../src/domain/entities/User');
+
+const NOW = new Date('2024-09-02T10:00:00Z');
+const MINUTE = 60 * 1000;
+const policy = {
+  maxAttempts: 3,
+  lockoutDuration: 15 * MINUTE,
+  progressive: true,
+  maxLockoutDuration: 60 * MINUTE,
+};
+
+// findOneAndUpdate(...).select(...) resolving to each of `results` in turn
+const mockUpdates = (...results) => {
+  const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate');
+  results.forEach((result) =>
+    findOneAndUpdate.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(result) })
+  );
+  return findOneAndUpdate;
+};
+
+describe('User', () => {
+  describe('recordFailedLogin', () => {
+    let user;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+      user = new User({
+        email: 'ada@example.com',
+        password: 'Str0ng-Passw0rd!',
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        tenantId: 'acme',
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('counts the failure with an atomic increment', async () => {
+      const findOneAndUpdate = mockUpdates({ failedLoginAttempts: 2, lockoutCount: 0 });
+
+      await user.recordFailedLogin(policy);
+
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(findOneAndUpdate.mock.calls[0].slice(0, 2)).toEqual([
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+      ]);
+      expect(user.failedLoginAttempts).toBe(2);
+      expect(user.isLocked).toBe(false);
+    });
+
+    it('locks the account when the stored count reaches the limit', async () => {
+      const findOneAndUpdate = mockUpdates(
+        { failedLoginAttempts: 3, lockoutCount: 1 },
+        { lockoutUntil: new Date(NOW.getTime() + 30 * MINUTE), lockoutCount: 2 }
+      );
+
+      await user.recordFailedLogin(policy);
+
+      const [filter, update] = findOneAndUpdate.mock.calls[1];
+      expect(filter).toEqual({
+        _id: user._id,
+        lockoutCount: 1,
+        $or: [{ lockoutUntil: null }, { lockoutUntil: { $lte: NOW } }],
+      });
+      // Second lockout, twice as long
+      expect(update).toEqual({
+        $set: { lockoutUntil: new Date(NOW.getTime() + 30 * MINUTE) },
+        $inc: { lockoutCount: 1 },
+      });
+      expect(user.isLocked).toBe(true);
+      expect(user.lockoutCount).toBe(2);
+    });
+
+    it('caps progressive lockouts', async () => {
+      const findOneAndUpdate = mockUpdates({ failedLoginAttempts: 9, lockoutCount: 5 }, null);
+
+      await user.recordFailedLogin(policy);
+
+      expect(findOneAndUpdate.mock.calls[1][1].$set.lockoutUntil).toEqual(
+        new Date(NOW.getTime() + 60 * MINUTE)
+      );
+    });
+
+    it('leaves the lockout to the concurrent failure that reached the limit first', async () => {
+      mockUpdates({ failedLoginAttempts: 4, lockoutCount: 0 }, null);
+
+      await user.recordFailedLogin(policy);
+
+      expect(user.failedLoginAttempts).toBe(4);
+      expect(user.isLocked).toBe(false);
+    });
+
+    it('does not extend a lockout that is still running', async () => {
+      const lockoutUntil = new Date(NOW.getTime() + 5 * MINUTE);
+      const findOneAndUpdate = mockUpdates({
+        failedLoginAttempts: 5,
+        lockoutUntil,
+        lockoutCount: 1,
+      });
+
+      await user.recordFailedLogin(policy);
+
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(user.lockoutUntil).toEqual(lockoutUntil);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const dns = require('dns');
+const http = require('http');
+const WebhookService = require('../../../../src/domain/services/WebhookService');
+
+const resolvesTo = (...addresses) =>
+  jest
+    .spyOn(dns.promises, 'lookup')
+    .mockResolvedValue(
+      addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }))
+    );
+
+describe('WebhookService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WebhookService({});
+  });
+
+  describe('validateUrl', () => {
+    it('accepts a host that resolves to public addresses', async () => {
+      resolvesTo('93.184.215.14', '2606:2800:21f:cb07:6820:80da:af6b:8b2c');
+
+      await expect(service.validateUrl('https://hooks.example.com/in')).resolves.toBeUndefined();
+      expect(dns.promises.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+    });
+
+    it('rejects a host with any non-public address', async () => {
+      resolvesTo('93.184.215.14', '10.0.0.5');
+
+      await expect(service.validateUrl('https://hooks.example.com/in')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'url host hooks.example.com resolves to a non-public address',
+      });
+    });
+
+    it.each(['http://127.0.0.1:8080/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/'])(
+      'rejects the address literal %s',
+      async (url) => {
+        await expect(service.validateUrl(url)).rejects.toThrow('resolves to a non-public address');
+      }
+    );
+
+    it('rejects hosts that do not resolve', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockRejectedValue(new Error('ENOTFOUND'));
+
+      await expect(service.validateUrl('https://nowhere.invalid/')).rejects.toThrow(
+        'url host nowhere.invalid could not be resolved'
+      );
+    });
+
+    it('skips the address check when private networks are allowed', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup');
+      service.allowPrivateNetworks = true;
+
+      await expect(service.validateUrl('http://localhost:3001/')).resolves.toBeUndefined();
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('send', () => {
+    const webhook = { url: 'https://hooks.example.com/in', secret: 'whsec_test' };
+    const delivery = { _id: 'delivery-1', eventType: 'member.created', body: '{}' };
+
+    beforeEach(() => {
+      jest.spyOn(service, 'post').mockResolvedValue(500);
+    });
+
+    it('checks the host again before every request', async () => {
+      resolvesTo('192.168.1.20');
+
+      const result = await service.send(webhook, delivery);
+
+      expect(service.post).not.toHaveBeenCalled();
+      expect(result.error).toBe('url host hooks.example.com resolves to a non-public address');
+    });
+
+    it('connects to the checked address even if the name now resolves to a private one', async () => {
+      resolvesTo('93.184.215.14');
+      const lookup = jest
+        .spyOn(dns, 'lookup')
+        .mockImplementation((hostname, options, callback) => callback(null, '10.0.0.5', 4));
+
+      await service.send(webhook, delivery);
+
+      expect(service.post.mock.calls[0][1].addresses).toEqual([
+        { address: '93.184.215.14', family: 4 },
+      ]);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('records the status code without the response body', async () => {
+      resolvesTo('93.184.215.14');
+
+      const result = await service.send(webhook, delivery);
+
+      expect(result.statusCode).toBe(500);
+      expect(result).not.toHaveProperty('responseBody');
+    });
+  });
+
+  describe('post', () => {
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        requests.push(req.headers);
+        res.writeHead(500).end('internal details');
+      });
+      await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+      });
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => {
+        server.close(resolve);
+      });
+    });
+
+    it('connects to the given addresses without resolving the name', async () => {
+      const lookup = jest.spyOn(dns, 'lookup');
+      // .invalid names never resolve, the request can only reach the server through `addresses`
+      const url = new URL(`http://hooks.invalid:${server.address().port}/in`);
+
+      const statusCode = await service.post(url, {
+        headers: { 'X-Webhook-Id': 'delivery-1' },
+        body: '{}',
+        addresses: [{ address: '127.0.0.1', family: 4 }],
+      });
+
+      expect(statusCode).toBe(500);
+      expect(requests).toEqual([
+        expect.objectContaining({ host: `hooks.invalid:${server.address().port}` }),
+      ]);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const Job = require('../../../../src/infrastructure/jobs/Job');
+const JobQueue = require('../../../../src/infrastructure/jobs/JobQueue');
+
+// Test configuration: 60 s lease, 3 attempts, 1 s backoff
+const NOW = new Date('2024-09-02T10:00:00Z');
+const LEASE_MS = 60 * 1000;
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    queue = new JobQueue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('enqueue', () => {
+    it('uses the default attempts and runs now', async () => {
+      jest.spyOn(Job, 'create').mockImplementation(async (data) => data);
+
+      const job = await queue.enqueue('reports.build', { month: 9 }, { tenantId: 'acme' });
+
+      expect(job).toMatchObject({
+        name: 'reports.build',
+        payload: { month: 9 },
+        tenantId: 'acme',
+        runAt: NOW,
+        maxAttempts: 3,
+      });
+    });
+
+    it('returns null for a duplicate unique key', async () => {
+      jest.spyOn(Job, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(queue.enqueue('reports.build', {}, { uniqueKey: 'k' })).resolves.toBeNull();
+    });
+
+    it('rethrows duplicate key errors of jobs without a unique key', async () => {
+      jest.spyOn(Job, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(queue.enqueue('reports.build')).rejects.toThrow('dup');
+    });
+  });
+
+  describe('claim', () => {
+    it('buries abandoned jobs that are out of attempts before claiming', async () => {
+      const updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await queue.claim('worker-1', ['reports.build']);
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter).toEqual({
+        status: 'running',
+        lockedUntil: { $lt: NOW },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] },
+      });
+      expect(update.$set.status).toBe('dead');
+      expect(update.$unset).toEqual({ lockedBy: '', lockedUntil: '' });
+    });
+
+    it('takes a lease on the oldest due job or one whose lease ran out', async () => {
+      jest.spyOn(Job, 'updateMany').mockResolvedValue({});
+      const claimed = { _id: 'job-1' };
+      const findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+      await expect(queue.claim('worker-1', ['a', 'b'])).resolves.toBe(claimed);
+
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        name: { $in: ['a', 'b'] },
+        $or: [
+          { status: 'queued', runAt: { $lte: NOW } },
+          { status: 'running', lockedUntil: { $lt: NOW } },
+        ],
+      });
+      expect(update).toEqual({
+        $set: {
+          status: 'running',
+          lockedBy: 'worker-1',
+          lockedUntil: new Date(NOW.getTime() + LEASE_MS),
+          startedAt: NOW,
+        },
+        $inc: { attempts: 1 },
+      });
+      expect(options).toEqual({ sort: { runAt: 1 }, new: true });
+    });
+  });
+
+  describe('fail', () => {
+    const job = (attempts) => ({ _id: 'job-1', lockedBy: 'worker-1', attempts, maxAttempts: 3 });
+
+    it('re-queues with exponential backoff while attempts are left', async () => {
+      const updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+
+      await expect(queue.fail(job(2), new Error('timeout'))).resolves.toBe(false);
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'job-1', lockedBy: 'worker-1' });
+      expect(update.$set).toEqual({
+        status: 'queued',
+        runAt: new Date(NOW.getTime() + 2000),
+        lastError: 'timeout',
+      });
+      expect(update.$unset).toEqual({ lockedBy: '', lockedUntil: '' });
+    });
+
+    it('moves the job to the dead-letter list on the last attempt', async () => {
+      const updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+
+      await expect(queue.fail(job(3), new Error('timeout'))).resolves.toBe(true);
+
+      expect(updateOne.mock.calls[0][1].$set).toEqual({ status: 'dead', lastError: 'timeout' });
+    });
+  });
+
+  describe('getBackoff', () => {
+    it('doubles with each attempt up to an hour', () => {
+      expect([1, 2, 3, 4].map((attempts) => queue.getBackoff(attempts))).toEqual([
+        1000, 2000, 4000, 8000,
+      ]);
+      expect(queue.getBackoff(30)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('renewLease', () => {
+    it('reports a lease lost to another worker', async () => {
+      const updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+      await expect(queue.renewLease({ _id: 'job-1', lockedBy: 'worker-1' })).resolves.toBe(false);
+      expect(updateOne.mock.calls[0][0]).toEqual({
+        _id: 'job-1',
+        lockedBy: 'worker-1',
+        status: 'running',
+      });
+    });
+  });
+});
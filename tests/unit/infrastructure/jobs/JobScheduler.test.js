@@ -0,0 +1,167 @@
+const JobSchedule = require('../../../../src/infrastructure/jobs/JobSchedule');
+const JobScheduler = require('../../../../src/infrastructure/jobs/JobScheduler');
+const tenantResolver = require('../../../../src/tenant/resolver/TenantResolver');
+
+const NOW = new Date('2024-09-02T10:00:00Z');
+
+const createQueue = () => ({
+  enqueue: jest.fn(async (name, payload, options) => ({ _id: `${name}-job`, ...options })),
+  claim: jest.fn().mockResolvedValue(null),
+  complete: jest.fn().mockResolvedValue(),
+  fail: jest.fn().mockResolvedValue(false),
+  renewLease: jest.fn().mockResolvedValue(true),
+});
+
+describe('JobScheduler', () => {
+  let queue;
+  let scheduler;
+
+  beforeEach(() => {
+    queue = createQueue();
+    scheduler = new JobScheduler(queue);
+  });
+
+  describe('define', () => {
+    it('refuses a name that is already defined', () => {
+      scheduler.define('reports.build', jest.fn());
+
+      expect(() => scheduler.define('reports.build', jest.fn())).toThrow('already defined');
+    });
+
+    it('rejects invalid cron expressions at definition time', () => {
+      expect(() => scheduler.define('reports.build', jest.fn(), { cron: '61 * * * *' })).toThrow(
+        'Invalid minute'
+      );
+    });
+  });
+
+  describe('enqueueDueSchedules', () => {
+    const schedule = { _id: 'schedule-1', name: 'reports.build', nextRunAt: NOW };
+
+    beforeEach(() => {
+      scheduler.define('reports.build', jest.fn(), { cron: '0 * * * *', maxAttempts: 5 });
+      jest.spyOn(JobSchedule, 'find').mockResolvedValue([schedule]);
+      jest.spyOn(JobSchedule, 'updateOne').mockResolvedValue({});
+    });
+
+    it('advances the schedule and enqueues the occurrence once', async () => {
+      const findOneAndUpdate = jest
+        .spyOn(JobSchedule, 'findOneAndUpdate')
+        .mockResolvedValue(schedule);
+
+      await expect(scheduler.enqueueDueSchedules(NOW)).resolves.toBe(1);
+
+      expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'schedule-1', nextRunAt: NOW });
+      expect(findOneAndUpdate.mock.calls[0][1].$set.nextRunAt).toEqual(
+        new Date('2024-09-02T11:00:00Z')
+      );
+      expect(queue.enqueue).toHaveBeenCalledWith(
+        'reports.build',
+        {},
+        {
+          maxAttempts: 5,
+          uniqueKey: `reports.build@${NOW.toISOString()}`,
+          scheduleName: 'reports.build',
+        }
+      );
+      expect(JobSchedule.updateOne).toHaveBeenCalledWith(
+        { _id: 'schedule-1' },
+        { $set: { lastJobId: 'reports.build-job' } }
+      );
+    });
+
+    it('leaves the occurrence to the instance that advanced the schedule first', async () => {
+      jest.spyOn(JobSchedule, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(scheduler.enqueueDueSchedules(NOW)).resolves.toBe(0);
+      expect(queue.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('drain', () => {
+    it('claims jobs until all worker slots are busy', async () => {
+      let finish;
+      scheduler.define(
+        'reports.build',
+        () =>
+          new Promise((resolve) => {
+            finish = resolve;
+          })
+      );
+      queue.claim.mockResolvedValue({ _id: 'job-1', name: 'reports.build', attempts: 1 });
+
+      await scheduler.drain();
+
+      // One worker slot in the test configuration
+      expect(queue.claim).toHaveBeenCalledTimes(1);
+      expect(scheduler.running.size).toBe(1);
+
+      finish();
+      await scheduler.stop();
+      expect(scheduler.running.size).toBe(0);
+    });
+
+    it('claims nothing while stopping', async () => {
+      scheduler.stopping = true;
+
+      await scheduler.drain();
+
+      expect(queue.claim).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('execute', () => {
+    const job = { _id: 'job-1', name: 'reports.build', payload: { month: 9 }, attempts: 1 };
+
+    it('completes the job with the handler result', async () => {
+      const handler = jest.fn().mockResolvedValue({ built: 3 });
+      scheduler.define('reports.build', handler);
+
+      await scheduler.execute(job);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ job, payload: { month: 9 }, tenantId: null })
+      );
+      expect(queue.complete).toHaveBeenCalledWith(job, { built: 3 });
+      expect(queue.fail).not.toHaveBeenCalled();
+    });
+
+    it('fails the attempt when the handler throws', async () => {
+      const error = new Error('smtp down');
+      scheduler.define('reports.build', jest.fn().mockRejectedValue(error));
+
+      await scheduler.execute(job);
+
+      expect(queue.fail).toHaveBeenCalledWith(job, error);
+      expect(queue.complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('per-tenant jobs', () => {
+    it('fans out one child per active tenant, keyed by the parent run', async () => {
+      scheduler.define('reports.build', jest.fn(), { perTenant: true });
+      jest.spyOn(scheduler, 'getActiveTenantIds').mockResolvedValue(['acme', 'beta']);
+      const parent = { _id: 'job-1', name: 'reports.build', payload: {}, reruns: 0 };
+
+      await scheduler.execute(parent);
+
+      expect(queue.enqueue.mock.calls.map(([, , options]) => options.uniqueKey)).toEqual([
+        'job-1.0:acme',
+        'job-1.0:beta',
+      ]);
+      expect(queue.complete).toHaveBeenCalledWith(parent, { tenants: 2, enqueued: 2 });
+    });
+
+    it('skips children of tenants that are no longer active', async () => {
+      const handler = jest.fn();
+      scheduler.define('reports.build', handler, { perTenant: true });
+      jest.spyOn(tenantResolver, 'getOrganizationInfo').mockResolvedValue({ isActive: false });
+      const child = { _id: 'job-2', name: 'reports.build', tenantId: 'acme', payload: {} };
+
+      await scheduler.execute(child);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(queue.complete).toHaveBeenCalledWith(child, { skipped: 'Tenant acme is not active' });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { parseCron } = require('../../../../src/infrastructure/jobs/cron');
+
+const at = (iso) => new Date(iso);
+const nextAfter = (expression, iso) => parseCron(expression).next(at(iso)).toISOString();
+
+describe('parseCron', () => {
+  describe('next', () => {
+    it('returns the first matching minute strictly after the given time', () => {
+      expect(nextAfter('*/15 * * * *', '2024-09-02T10:07:00Z')).toBe('2024-09-02T10:15:00.000Z');
+      expect(nextAfter('*/15 * * * *', '2024-09-02T10:15:00Z')).toBe('2024-09-02T10:30:00.000Z');
+    });
+
+    it('ignores seconds of the given time', () => {
+      expect(nextAfter('*/15 * * * *', '2024-09-02T10:14:59.999Z')).toBe(
+        '2024-09-02T10:15:00.000Z'
+      );
+    });
+
+    it('rolls over into the next day, month and year', () => {
+      expect(nextAfter('0 * * * *', '2024-09-30T23:30:00Z')).toBe('2024-10-01T00:00:00.000Z');
+      expect(nextAfter('0 0 1 1 *', '2024-06-15T08:00:00Z')).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('applies steps to ranges', () => {
+      const cron = parseCron('0-30/10 * * * *');
+      const runs = [];
+      let after = at('2024-09-02T09:59:00Z');
+      while (runs.length < 5) {
+        after = cron.next(after);
+        runs.push(after.toISOString().slice(11, 16));
+      }
+
+      expect(runs).toEqual(['10:00', '10:10', '10:20', '10:30', '11:00']);
+    });
+
+    it('runs a step from a single start value to the end of the field', () => {
+      const cron = parseCron('5/15 * * * *');
+      const runs = [];
+      let after = at('2024-09-02T10:00:00Z');
+      while (runs.length < 4) {
+        after = cron.next(after);
+        runs.push(after.getUTCMinutes());
+      }
+
+      expect(runs).toEqual([5, 20, 35, 50]);
+    });
+
+    it('accepts lists', () => {
+      expect(nextAfter('0 9,17 * * *', '2024-09-02T09:00:00Z')).toBe('2024-09-02T17:00:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+      // The 13th or any Friday; 11 October 2024 is a Friday, the 13th a Sunday
+      const cron = '0 0 13 * 5';
+      expect(nextAfter(cron, '2024-10-10T12:00:00Z')).toBe('2024-10-11T00:00:00.000Z');
+      expect(nextAfter(cron, '2024-10-11T00:00:00Z')).toBe('2024-10-13T00:00:00.000Z');
+      expect(nextAfter(cron, '2024-10-13T00:00:00Z')).toBe('2024-10-18T00:00:00.000Z');
+    });
+
+    it('requires both day fields when only one is restricted', () => {
+      // Mondays only; 1 September 2024 is a Sunday
+      expect(nextAfter('0 0 * * 1', '2024-09-01T00:00:00Z')).toBe('2024-09-02T00:00:00.000Z');
+      expect(nextAfter('0 0 1 * *', '2024-09-02T00:00:00Z')).toBe('2024-10-01T00:00:00.000Z');
+    });
+
+    it('accepts 7 as Sunday', () => {
+      expect(nextAfter('0 0 * * 7', '2024-09-02T00:00:00Z')).toBe('2024-09-08T00:00:00.000Z');
+    });
+
+    it('finds 29 February in the next leap year', () => {
+      expect(nextAfter('0 12 29 2 *', '2025-01-01T00:00:00Z')).toBe('2028-02-29T12:00:00.000Z');
+      expect(nextAfter('0 12 29 2 *', '2024-02-29T11:59:00Z')).toBe('2024-02-29T12:00:00.000Z');
+    });
+
+    it('throws for dates that never occur', () => {
+      expect(() => parseCron('0 0 30 2 *').next(at('2024-01-01T00:00:00Z'))).toThrow(
+        'never matches'
+      );
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['* * * *', 'must have 5 fields'],
+      ['60 * * * *', 'Invalid minute "60"'],
+      ['* 24 * * *', 'Invalid hour "24"'],
+      ['* * 0 * *', 'Invalid dayOfMonth "0"'],
+      ['* * * 13 *', 'Invalid month "13"'],
+      ['* * * * 8', 'Invalid dayOfWeek "8"'],
+      ['*/0 * * * *', 'Invalid minute "0"'],
+      ['10-5 * * * *', 'Invalid range "10-5"'],
+      ['a * * * *', 'Invalid minute "a"'],
+    ])('rejects %s', (expression, message) => {
+      expect(() => parseCron(expression)).toThrow(message);
+    });
+
+    it('keeps the expression', () => {
+      expect(parseCron('0 3 * * *').expression).toBe('0 3 * * *');
+    });
+  });
+});
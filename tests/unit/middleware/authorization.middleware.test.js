@@ -0,0 +1,16 @@
+const { permissions } = require('../../../src/middleware/authorization.middleware');
+const permissionRegistry = require('../../../src/domain/permissions');
+
+describe('authorization middleware', () => {
+  describe('permissions', () => {
+    it('has a constant for every registered permission', () => {
+      expect(Object.values(permissions)).toEqual(permissionRegistry.keys());
+      expect(permissions).toMatchObject({
+        USERS_READ: 'users.read',
+        MEMBERS_DELETE: 'members.delete',
+        TENANT_MANAGE: 'tenant.manage',
+      });
+      expect(Object.isFrozen(permissions)).toBe(true);
+    });
+  });
+});
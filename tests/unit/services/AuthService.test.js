@@ -0,0 +1,67 @@
+const User = require('../../../src/domain/entities/User');
+const AuthService = require('../../../src/services/AuthService');
+
+const registration = {
+  email: 'Ada@Example.com',
+  password: 'Str0ng-Passw0rd!',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  role: 'admin',
+};
+
+describe('AuthService', () => {
+  describe('register', () => {
+    let userService;
+    let mfaService;
+    let service;
+
+    beforeEach(() => {
+      const user = { _id: 'user-1', email: 'ada@example.com', tenantId: 'acme', role: 'user' };
+      userService = { create: jest.fn().mockResolvedValue(user) };
+      mfaService = { getLoginRequirement: jest.fn().mockReturnValue(null) };
+      service = new AuthService(
+        userService,
+        null,
+        { sendVerificationEmail: jest.fn().mockResolvedValue() },
+        {},
+        {},
+        {},
+        mfaService,
+        {},
+        { enforce: jest.fn().mockResolvedValue() },
+        {}
+      );
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+      jest.spyOn(service, 'startSession').mockResolvedValue({ accessToken: 'access' });
+    });
+
+    it('creates a plain user and starts a session', async () => {
+      const result = await service.register(registration, 'acme');
+
+      expect(userService.create).toHaveBeenCalledWith(
+        {
+          email: 'ada@example.com',
+          password: registration.password,
+          firstName: 'Ada',
+          lastName: 'Lovelace',
+          role: 'user',
+        },
+        'acme'
+      );
+      expect(result.tokens).toEqual({ accessToken: 'access' });
+      expect(result).not.toHaveProperty('challengeToken');
+    });
+
+    it('returns the enrollment challenge instead of tokens when the tenant requires MFA', async () => {
+      mfaService.getLoginRequirement.mockReturnValue('enroll');
+
+      const result = await service.register(registration, 'acme');
+
+      expect(service.startSession).not.toHaveBeenCalled();
+      expect(result).not.toHaveProperty('tokens');
+      expect(result).toMatchObject({ mfaRequired: true, mfaEnrollmentRequired: true });
+      expect(service.verifyMfaChallenge(result.challengeToken, 'enroll', 'acme').id).toBe('user-1');
+    });
+  });
+});
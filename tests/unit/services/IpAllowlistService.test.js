@@ -0,0 +1,104 @@
+const IpAllowlistService = require('../../../src/services/IpAllowlistService');
+const tenantContext = require('../../../src/tenant/context/TenantContext');
+
+const OFFICE = '203.0.113.10';
+const VPN = '198.51.100.20';
+const HOME = '192.0.2.30';
+
+const tenantWith = (security) => ({ tenantId: 'acme', tenantConfig: { security } });
+
+describe('IpAllowlistService', () => {
+  let auditLogService;
+  let service;
+
+  beforeEach(() => {
+    auditLogService = { record: jest.fn().mockResolvedValue() };
+    service = new IpAllowlistService(auditLogService);
+  });
+
+  describe('getDenialReason', () => {
+    it('allows everyone without lists', () => {
+      expect(service.getDenialReason(tenantWith({}), HOME, { role: 'admin' })).toBeNull();
+    });
+
+    it('refuses addresses outside the tenant list, also before login', () => {
+      const tenant = tenantWith({ ipWhitelist: [OFFICE, '198.51.100.0/24'] });
+
+      expect(service.getDenialReason(tenant, VPN, null)).toBeNull();
+      expect(service.getDenialReason(tenant, HOME, null)).toBe('ip_not_allowlisted');
+    });
+
+    describe('with only an admin list', () => {
+      const tenant = tenantWith({ adminIpWhitelist: [OFFICE] });
+
+      it('leaves users and logins before the user is known alone', () => {
+        expect(service.getDenialReason(tenant, HOME, { role: 'user' })).toBeNull();
+        expect(service.getDenialReason(tenant, HOME, null)).toBeNull();
+      });
+
+      it.each(['admin', 'tenant_admin', 'super_admin'])('restricts the %s role', (role) => {
+        expect(service.getDenialReason(tenant, OFFICE, { role })).toBeNull();
+        expect(service.getDenialReason(tenant, HOME, { role })).toBe('admin_ip_not_allowlisted');
+      });
+
+      it('restricts users who are admins of the tenant only', () => {
+        const user = { role: 'user', getTenantRole: jest.fn().mockReturnValue('tenant_admin') };
+
+        expect(service.getDenialReason(tenant, HOME, user)).toBe('admin_ip_not_allowlisted');
+        expect(user.getTenantRole).toHaveBeenCalledWith('acme');
+      });
+    });
+
+    it('checks admins against both lists', () => {
+      const tenant = tenantWith({ ipWhitelist: [OFFICE, VPN], adminIpWhitelist: [OFFICE] });
+
+      expect(service.getDenialReason(tenant, VPN, { role: 'user' })).toBeNull();
+      expect(service.getDenialReason(tenant, VPN, { role: 'admin' })).toBe(
+        'admin_ip_not_allowlisted'
+      );
+      expect(service.getDenialReason(tenant, HOME, { role: 'admin' })).toBe('ip_not_allowlisted');
+    });
+  });
+
+  describe('enforce', () => {
+    const req = { ip: HOME };
+
+    beforeEach(() => {
+      jest
+        .spyOn(tenantContext, 'getCurrentTenant')
+        .mockReturnValue(tenantWith({ adminIpWhitelist: [OFFICE] }));
+    });
+
+    it('refuses and audits admins from outside the admin list', async () => {
+      const user = { role: 'admin', email: 'admin@acme.test' };
+
+      await expect(service.enforce(req, user)).rejects.toMatchObject({ statusCode: 403 });
+      expect(auditLogService.record).toHaveBeenCalledWith('security.ip_denied', {
+        tenantId: 'acme',
+        user,
+        req,
+        details: { reason: 'admin_ip_not_allowlisted' },
+      });
+    });
+
+    it('lets super admins through and audits the bypass', async () => {
+      const user = { role: 'super_admin', email: 'root@platform.test' };
+
+      await expect(service.enforce(req, user)).resolves.toBeUndefined();
+      expect(auditLogService.record).toHaveBeenCalledWith('security.ip_allowlist_bypassed', {
+        tenantId: 'acme',
+        user,
+        req,
+        details: { reason: 'admin_ip_not_allowlisted' },
+      });
+    });
+
+    it('does nothing for allowed requests or outside a tenant', async () => {
+      await expect(service.enforce(req, { role: 'user' })).resolves.toBeUndefined();
+
+      tenantContext.getCurrentTenant.mockReturnValue(null);
+      await expect(service.enforce(req, { role: 'admin' })).resolves.toBeUndefined();
+      expect(auditLogService.record).not.toHaveBeenCalled();
+    });
+  });
+});
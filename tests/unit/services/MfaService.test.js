@@ -0,0 +1,144 @@
+const User = require('../../../src/domain/entities/User');
+const MfaService = require('../../../src/services/MfaService');
+const tenantContext = require('../../../src/tenant/context/TenantContext');
+const totp = require('../../../src/utils/totp');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const NOW = new Date('2024-09-02T10:00:00Z');
+
+describe('MfaService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MfaService({}, {});
+  });
+
+  describe('encrypt', () => {
+    it('round-trips through decrypt with a fresh IV each time', () => {
+      const first = service.encrypt(SECRET);
+      const second = service.encrypt(SECRET);
+
+      expect(first).not.toBe(second);
+      expect(first).not.toContain(SECRET);
+      expect(service.decrypt(first)).toBe(SECRET);
+      expect(service.decrypt(second)).toBe(SECRET);
+    });
+
+    it('refuses a tampered ciphertext', () => {
+      const [iv, tag, encrypted] = service.encrypt(SECRET).split('.');
+      const tampered = Buffer.from(encrypted, 'base64');
+      tampered[0] = (tampered[0] + 1) % 256;
+
+      expect(() => service.decrypt([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+    });
+
+    it('refuses a ciphertext of another key', () => {
+      const stored = service.encrypt(SECRET);
+      service.env = { ...service.env, mfa: { ...service.env.mfa, encryptionKey: 'other-key' } };
+
+      expect(() => service.decrypt(stored)).toThrow();
+    });
+  });
+
+  describe('verify', () => {
+    const user = (mfa = {}) => ({
+      _id: 'user-1',
+      mfa: { secret: service.encrypt(SECRET), recoveryCodes: [], ...mfa },
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('accepts a TOTP code once per step', async () => {
+      const step = totp.getStep();
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(service.verify(user(), totp.generateCode(SECRET, step))).resolves.toBe('totp');
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter.$or).toContainEqual({ 'mfa.lastUsedStep': { $lt: step } });
+      expect(update).toEqual({ $set: { 'mfa.lastUsedStep': step } });
+    });
+
+    it('refuses a TOTP code of the last used step without touching the user', async () => {
+      const step = totp.getStep();
+      const updateOne = jest.spyOn(User, 'updateOne');
+
+      await expect(
+        service.verify(user({ lastUsedStep: step }), totp.generateCode(SECRET, step))
+      ).resolves.toBeNull();
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a TOTP code that a concurrent request used first', async () => {
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(service.verify(user(), totp.generateCode(SECRET, totp.getStep()))).resolves.toBe(
+        null
+      );
+    });
+
+    it('removes a recovery code when it is used', async () => {
+      const [code] = service.generateRecoveryCodes();
+      const hash = service.hashRecoveryCode(code);
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      // Entered in upper case and with spaces
+      await expect(service.verify(user(), ` ${code.toUpperCase()} `)).resolves.toBe(
+        'recovery_code'
+      );
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1', 'mfa.recoveryCodes': hash },
+        { $pull: { 'mfa.recoveryCodes': hash } }
+      );
+    });
+
+    it('refuses a recovery code that was already used', async () => {
+      const [code] = service.generateRecoveryCodes();
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(service.verify(user(), code)).resolves.toBeNull();
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    it('returns distinct codes of the configured count', () => {
+      const codes = service.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+  });
+
+  describe('getLoginRequirement', () => {
+    const requireMfa = (mfaRequired) =>
+      jest
+        .spyOn(tenantContext, 'getCurrentTenant')
+        .mockReturnValue({ tenantConfig: { security: { mfaRequired } } });
+
+    it('asks users with MFA for a code', () => {
+      requireMfa(false);
+
+      expect(service.getLoginRequirement({ mfa: { enabled: true } })).toBe('verify');
+    });
+
+    it('asks users without MFA to enroll when the tenant requires it', () => {
+      requireMfa(true);
+
+      expect(service.getLoginRequirement({})).toBe('enroll');
+    });
+
+    it('needs nothing otherwise', () => {
+      requireMfa(false);
+
+      expect(service.getLoginRequirement({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const RefreshToken = require('../../../src/domain/entities/RefreshToken');
+const RefreshTokenService = require('../../../src/services/RefreshTokenService');
+
+const user = { _id: 'user-1', tenantId: 'acme' };
+
+describe('RefreshTokenService', () => {
+  let eventBus;
+  let service;
+
+  beforeEach(() => {
+    eventBus = { publish: jest.fn().mockResolvedValue() };
+    service = new RefreshTokenService(eventBus);
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => data);
+  });
+
+  describe('consume', () => {
+    it('rotates an active token', async () => {
+      const { token, jti } = await service.issue(user, { expiresIn: '7d' });
+      const record = { jti, status: 'rotated' };
+      const findOneAndUpdate = jest
+        .spyOn(RefreshToken, 'findOneAndUpdate')
+        .mockResolvedValue(record);
+
+      await expect(service.consume(token)).resolves.toBe(record);
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ jti, status: 'active' });
+      expect(update.$set.status).toBe('rotated');
+    });
+
+    it('revokes the whole family when a rotated token is presented again', async () => {
+      const { token, jti, familyId } = await service.issue(user, { expiresIn: '7d' });
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+        jti,
+        familyId,
+        userId: 'user-1',
+        tenantId: 'acme',
+        status: 'rotated',
+      });
+      const updateMany = jest
+        .spyOn(RefreshToken, 'updateMany')
+        .mockResolvedValue({ modifiedCount: 2 });
+
+      await expect(service.consume(token)).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Invalid refresh token',
+      });
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter).toEqual({ familyId, status: 'active' });
+      expect(update.$set).toMatchObject({ status: 'revoked', revokedReason: 'reuse_detected' });
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'user.refresh_token_reused',
+        { userId: 'user-1', familyId, revokedTokens: 2 },
+        { tenantId: 'acme' }
+      );
+    });
+
+    it('refuses a revoked token without revoking anything else', async () => {
+      const { token, jti, familyId } = await service.issue(user, { expiresIn: '7d' });
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ jti, familyId, status: 'revoked' });
+      const updateMany = jest.spyOn(RefreshToken, 'updateMany');
+
+      await expect(service.consume(token)).rejects.toThrow('Refresh token has been revoked');
+      expect(updateMany).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const Role = require('../../../src/domain/entities/Role');
+const RoleService = require('../../../src/services/RoleService');
+const { permissions } = require('../../../src/middleware/authorization.middleware');
+
+const member = (role, extra = {}) => ({
+  _id: `${role}-1`,
+  tenantId: 'acme',
+  role,
+  customRoles: [],
+  permissions: [],
+  ...extra,
+});
+
+describe('RoleService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RoleService({}, {});
+    jest.spyOn(Role, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  });
+
+  describe('assertCanGrant', () => {
+    it('lets tenant admins, super admins and the platform grant anything', async () => {
+      const everything = { role: 'tenant_admin', permissions: ['tenant.manage'] };
+
+      await expect(
+        service.assertCanGrant(member('tenant_admin'), 'acme', everything)
+      ).resolves.toBeUndefined();
+      await expect(
+        service.assertCanGrant(member('super_admin', { tenantId: 'platform' }), 'acme', everything)
+      ).resolves.toBeUndefined();
+      await expect(service.assertCanGrant(null, 'acme', everything)).resolves.toBeUndefined();
+    });
+
+    it('counts a tenant admin entry of a guest tenant', async () => {
+      const guest = member('user', {
+        tenantId: 'other',
+        tenantRoles: [{ tenantId: 'acme', role: 'tenant_admin', permissions: [] }],
+      });
+
+      await expect(
+        service.assertCanGrant(guest, 'acme', { permissions: ['tenant.manage'] })
+      ).resolves.toBeUndefined();
+    });
+
+    it('lets others grant what they hold', async () => {
+      await expect(
+        service.assertCanGrant(member('admin'), 'acme', {
+          role: 'manager',
+          permissions: ['users.write'],
+        })
+      ).resolves.toBeUndefined();
+    });
+
+    it('refuses permissions the grantor does not hold', async () => {
+      await expect(
+        service.assertCanGrant(member('admin'), 'acme', {
+          permissions: ['users.read', 'settings.write', 'tenant.manage'],
+        })
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'You cannot grant permissions you do not hold: settings.write, tenant.manage',
+      });
+    });
+
+    it('refuses the tenant_admin role to anyone but tenant admins', async () => {
+      const holdsEverything = member('admin', { permissions: Object.values(permissions) });
+
+      await expect(
+        service.assertCanGrant(holdsEverything, 'acme', { role: 'tenant_admin' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('refuses custom roles with permissions the grantor does not hold', async () => {
+      Role.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ permissions: ['members.read', 'settings.write'] }]),
+      });
+
+      await expect(
+        service.assertCanGrant(member('manager'), 'acme', { customRoles: ['treasurer'] })
+      ).rejects.toThrow('You cannot grant permissions you do not hold: settings.write');
+      expect(Role.find).toHaveBeenCalledWith({ tenantId: 'acme', key: { $in: ['treasurer'] } });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  normalizeIp,
+  parseIpRule,
+  isValidIpRule,
+  createIpMatcher,
+  isPublicIp,
+} = require('../../../src/utils/ipAddress');
+
+describe('ipAddress', () => {
+  describe('normalizeIp', () => {
+    it('unwraps IPv4-mapped IPv6 addresses', () => {
+      expect(normalizeIp('::ffff:10.1.2.3')).toBe('10.1.2.3');
+      expect(normalizeIp('::FFFF:10.1.2.3')).toBe('10.1.2.3');
+    });
+
+    it('drops zone IDs and whitespace', () => {
+      expect(normalizeIp(' fe80::1%eth0 ')).toBe('fe80::1');
+    });
+
+    it('returns an empty string for missing addresses', () => {
+      expect(normalizeIp(undefined)).toBe('');
+    });
+  });
+
+  describe('parseIpRule', () => {
+    it.each([
+      ['10.0.0.1', { address: '10.0.0.1', type: 'ipv4' }],
+      ['10.0.0.0/24', { address: '10.0.0.0', type: 'ipv4', prefix: 24 }],
+      ['2001:db8::/32', { address: '2001:db8::', type: 'ipv6', prefix: 32 }],
+      ['0.0.0.0/0', { address: '0.0.0.0', type: 'ipv4', prefix: 0 }],
+      ['::/0', { address: '::', type: 'ipv6', prefix: 0 }],
+      ['::/128', { address: '::', type: 'ipv6', prefix: 128 }],
+      [' 10.0.0.1 ', { address: '10.0.0.1', type: 'ipv4' }],
+    ])('parses %p', (rule, parsed) => {
+      expect(parseIpRule(rule)).toEqual(parsed);
+    });
+
+    it.each([
+      '10.0.0.0/33',
+      '2001:db8::/129',
+      '10.0.0.0/-1',
+      '10.0.0.0/',
+      '10.0.0.0/8.5',
+      '10.0.0.0/ 8',
+      '10.0.0.0/8/1',
+      '10.0.0.256',
+      'fe80::/10%eth0',
+      '1.2.3.4%eth0',
+      'example.com',
+      '',
+      null,
+    ])('rejects %p', (rule) => {
+      expect(parseIpRule(rule)).toBeNull();
+      expect(isValidIpRule(rule)).toBe(false);
+    });
+  });
+
+  describe('createIpMatcher', () => {
+    it('matches addresses and ranges of both versions', () => {
+      const matches = createIpMatcher(['203.0.113.7', '10.0.0.0/8', '2001:db8::/32']);
+
+      expect(matches('203.0.113.7')).toBe(true);
+      expect(matches('10.200.1.1')).toBe(true);
+      expect(matches('2001:db8:1::5')).toBe(true);
+      expect(matches('203.0.113.8')).toBe(false);
+      expect(matches('11.0.0.1')).toBe(false);
+      expect(matches('2001:db9::1')).toBe(false);
+    });
+
+    it('matches IPv4 clients of a dual-stack server', () => {
+      const matches = createIpMatcher(['10.0.0.0/8']);
+
+      expect(matches('::ffff:10.1.2.3')).toBe(true);
+      expect(matches('::ffff:11.1.2.3')).toBe(false);
+    });
+
+    it('matches every address of the version with a /0 range', () => {
+      const matches = createIpMatcher(['0.0.0.0/0']);
+
+      expect(matches('8.8.8.8')).toBe(true);
+      expect(matches('::ffff:8.8.8.8')).toBe(true);
+      expect(matches('2001:db8::1')).toBe(false);
+    });
+
+    it('ignores the zone ID of link-local clients', () => {
+      expect(createIpMatcher(['fe80::/10'])('fe80::1%eth0')).toBe(true);
+    });
+
+    it('skips invalid rules', () => {
+      const matches = createIpMatcher(['bogus', '10.0.0.0/33', '10.0.0.1']);
+
+      expect(matches('10.0.0.1')).toBe(true);
+      expect(matches('10.0.0.2')).toBe(false);
+    });
+
+    it('matches nothing without rules or an address', () => {
+      expect(createIpMatcher([])('10.0.0.1')).toBe(false);
+      expect(createIpMatcher(['10.0.0.0/8'])(undefined)).toBe(false);
+      expect(createIpMatcher(['10.0.0.0/8'])('')).toBe(false);
+    });
+  });
+
+  describe('isPublicIp', () => {
+    it.each(['8.8.8.8', '203.0.113.10', '2606:4700:4700::1111', '::ffff:8.8.8.8'])(
+      'accepts %s',
+      (ip) => {
+        expect(isPublicIp(ip)).toBe(true);
+      }
+    );
+
+    it.each([
+      ['loopback', '127.0.0.1'],
+      ['IPv6 loopback', '::1'],
+      ['unspecified', '0.0.0.0'],
+      ['private 10/8', '10.1.2.3'],
+      ['private 172.16/12', '172.31.255.255'],
+      ['private 192.168/16', '192.168.0.1'],
+      ['shared address space', '100.64.0.1'],
+      ['link-local / cloud metadata', '169.254.169.254'],
+      ['IPv6 link-local', 'fe80::1'],
+      ['IPv6 link-local with zone ID', 'fe80::1%eth0'],
+      ['unique local', 'fd12:3456:789a::1'],
+      ['IPv4-mapped loopback', '::ffff:127.0.0.1'],
+      ['IPv4-mapped loopback in hex', '::ffff:7f00:1'],
+      ['NAT64 of a private address', '64:ff9b::a00:1'],
+      ['multicast', '224.0.0.1'],
+      ['broadcast', '255.255.255.255'],
+    ])('rejects %s (%s)', (name, ip) => {
+      expect(isPublicIp(ip)).toBe(false);
+    });
+
+    it('rejects values that are not addresses', () => {
+      expect(isPublicIp('example.com')).toBe(false);
+      expect(isPublicIp('')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const totp = require('../../../src/utils/totp');
+
+// Secret of the RFC 6238 SHA-1 test vectors, the expected codes are the last six of its eight
+// digit values
+const RFC_SECRET = totp.toBase32(Buffer.from('12345678901234567890'));
+const at = (seconds) => seconds * 1000;
+
+describe('totp', () => {
+  describe('generateCode', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(at(seconds)))).toBe(code);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = at(1111111109);
+    const step = totp.getStep(time);
+
+    it('returns the step of a valid code', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { time })).toBe(step);
+    });
+
+    it('accepts one step of clock drift either way', () => {
+      const previous = totp.generateCode(RFC_SECRET, step - 1);
+      const next = totp.generateCode(RFC_SECRET, step + 1);
+
+      expect(totp.verifyCode(RFC_SECRET, previous, { time })).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, next, { time })).toBe(step + 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { time })).toBe(
+        null
+      );
+    });
+
+    it('refuses a code of a step that was already used', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { time, afterStep: step })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '081804', { time, afterStep: step - 1 })).toBe(step);
+    });
+
+    it('refuses an earlier step once a later one was used', () => {
+      const previous = totp.generateCode(RFC_SECRET, step - 1);
+
+      expect(totp.verifyCode(RFC_SECRET, previous, { time, afterStep: step - 1 })).toBeNull();
+    });
+
+    it.each(['', '81804', '0818045', '08180a', null])('rejects the malformed code %p', (code) => {
+      expect(totp.verifyCode(RFC_SECRET, code, { time })).toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('returns 20 random bytes as base32', () => {
+      const secret = totp.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('encodes the issuer, account and parameters', () => {
+      const uri = totp.buildOtpauthUri({
+        issuer: 'CloudMemberHub',
+        account: 'ada@example.com',
+        secret: 'JBSWY3DPEHPK3PXP',
+      });
+
+      expect(uri).toBe(
+        'otpauth://totp/CloudMemberHub%3Aada%40example.com?secret=JBSWY3DPEHPK3PXP' +
+          '&issuer=CloudMemberHub&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});